@@ -0,0 +1,37 @@
+/**
+ * Local Audio
+ * Serves synthesized prompts stored by the memory/file storage backends so Twilio (or a
+ * browser) can <Play> them offline. In the cloud backend audio is served from Blob Storage
+ * and this endpoint always returns 404.
+ */
+
+const { getRepositories } = require('../shared/repositories');
+
+// Cache file names only (tts-<sha256>.mp3) - no paths
+const AUDIO_NAME_PATTERN = /^[\w-]+\.\w+$/;
+
+module.exports = async function (context, req) {
+  const name = context.bindingData.name;
+  const { audio } = getRepositories();
+
+  if (!name || !AUDIO_NAME_PATTERN.test(name) || !audio || typeof audio.read !== 'function') {
+    context.res = { status: 404, body: 'Not found' };
+    return;
+  }
+
+  const file = await audio.read(name);
+  if (!file) {
+    context.res = { status: 404, body: 'Not found' };
+    return;
+  }
+
+  context.res = {
+    status: 200,
+    headers: {
+      'Content-Type': file.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable' // Content never changes for a name
+    },
+    body: file.data,
+    isRaw: true
+  };
+};
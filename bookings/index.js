@@ -0,0 +1,138 @@
+/**
+ * Bookings API
+ * Lets a business owner list, cancel and reschedule appointments booked by the voice agent
+ *   GET    ?from=YYYY-MM-DD&to=YYYY-MM-DD&status=confirmed   list bookings
+ *   GET    ?availability=true&serviceType=repair             open slots
+ *   PUT    { bookingId, startTime }                          reschedule
+ *   DELETE ?bookingId=...&reason=...                         cancel
+ * Requires a Firebase session cookie (Authorization: Bearer <cookie>)
+ */
+
+const FirebaseService = require('../shared/firebaseService');
+const BusinessService = require('../shared/businessService');
+const AppointmentService = require('../shared/appointmentService');
+
+const firebaseService = new FirebaseService();
+const businessService = new BusinessService();
+const appointmentService = new AppointmentService(firebaseService, businessService.scheduleService);
+
+module.exports = async function (context, req) {
+    context.log('🗓️ Bookings API called');
+    context.log('🔍 Method:', req.method);
+
+    // CORS headers
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Content-Type': 'application/json'
+    };
+
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: ''
+        };
+        return;
+    }
+
+    const respond = (status, body) => {
+        context.res = {
+            status,
+            headers: corsHeaders,
+            body: JSON.stringify(body)
+        };
+    };
+
+    try {
+        const authHeader = req.headers.authorization;
+        const authenticatedUser = authHeader && authHeader.startsWith('Bearer ') ?
+            await firebaseService.verifySessionCookie(authHeader.substring(7)) :
+            null;
+
+        if (!authenticatedUser) {
+            respond(401, {
+                error: 'Authentication required',
+                message: 'You must be logged in to manage bookings'
+            });
+            return;
+        }
+
+        const businessId = authenticatedUser.businessId;
+
+        switch (req.method) {
+            case 'GET': {
+                if (req.query.availability) {
+                    const businessContext = await businessService.getBusinessContext(businessId, null);
+                    const slots = await appointmentService.findOpenSlots(businessContext, {
+                        serviceType: req.query.serviceType || 'general',
+                        count: Math.min(parseInt(req.query.count || '10', 10) || 10, 50)
+                    });
+                    respond(200, { success: true, data: { slots } });
+                    return;
+                }
+
+                const bookings = await appointmentService.listBookings(businessId, {
+                    from: req.query.from,
+                    to: req.query.to,
+                    status: req.query.status
+                });
+                respond(200, { success: true, data: { bookings } });
+                return;
+            }
+
+            case 'PUT': {
+                const { bookingId, startTime } = req.body || {};
+                if (!bookingId || !startTime) {
+                    respond(400, {
+                        error: 'Invalid request',
+                        message: 'bookingId and startTime are required'
+                    });
+                    return;
+                }
+
+                const businessContext = await businessService.getBusinessContext(businessId, null);
+                const result = await appointmentService.rescheduleBooking(businessContext, bookingId, startTime);
+                if (!result.success) {
+                    respond(result.conflict ? 409 : 400, { error: 'Reschedule failed', message: result.error });
+                    return;
+                }
+
+                context.log(`✅ Rescheduled booking ${bookingId} to ${result.booking.startTime}`);
+                respond(200, { success: true, data: { booking: result.booking } });
+                return;
+            }
+
+            case 'DELETE': {
+                const bookingId = req.query.bookingId || (req.body && req.body.bookingId);
+                if (!bookingId) {
+                    respond(400, {
+                        error: 'Invalid request',
+                        message: 'bookingId is required'
+                    });
+                    return;
+                }
+
+                const result = await appointmentService.cancelBooking(businessId, bookingId, req.query.reason || 'cancelled_by_business');
+                if (!result.success) {
+                    respond(404, { error: 'Cancel failed', message: result.error });
+                    return;
+                }
+
+                respond(200, { success: true, data: { booking: result.booking } });
+                return;
+            }
+
+            default:
+                respond(405, { error: 'Method not allowed' });
+        }
+
+    } catch (error) {
+        context.log.error('❌ Bookings API error:', error.message);
+        respond(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
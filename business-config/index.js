@@ -6,9 +6,27 @@
 
 const FirebaseService = require('../shared/firebaseService');
 const BusinessService = require('../shared/businessService');
+const AfterHoursService = require('../shared/afterHoursService');
+const VoiceManager = require('../shared/voiceManager');
+const { VOICE_CATALOG, validateVoiceSettings, resolveVoiceSettings } = require('../shared/voiceCatalog');
+const RateLimiter = require('../shared/rateLimiter');
+const { validatePronunciations } = require('../shared/textNormalizer');
+const { getEnabledLanguages, localizeVoice, validateLanguageSettings } = require('../shared/languages');
+const KeypadService = require('../shared/keypadService');
+const RepromptService = require('../shared/repromptService');
+const { getRepositories } = require('../shared/repositories');
 
 const firebaseService = new FirebaseService();
-const businessService = new BusinessService();
+const repositories = getRepositories();
+const businessService = new BusinessService(repositories);
+const voiceManager = new VoiceManager();
+
+// Voice previews call paid Speech synthesis, so cap them per business
+const MAX_PREVIEW_TEXT_LENGTH = 300;
+const previewLimiter = new RateLimiter({
+    limit: parseInt(process.env.VOICE_PREVIEW_LIMIT || '10', 10),
+    windowMs: 10 * 60 * 1000
+});
 
 module.exports = async function (context, req) {
     context.log('🔧 Business Configuration API called');
@@ -93,6 +111,16 @@ module.exports = async function (context, req) {
  * Handle GET requests - retrieve business configuration
  */
 async function handleGetRequest(context, req, corsHeaders, authenticatedUser) {
+    // Voice catalog for the dashboard voice picker (public)
+    if (req.query.voices) {
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: JSON.stringify({ success: true, data: { voices: VOICE_CATALOG } })
+        };
+        return;
+    }
+
     const businessId = req.query.businessId || authenticatedUser?.businessId;
     const phoneNumber = req.query.phoneNumber;
 
@@ -166,7 +194,7 @@ async function handleGetRequest(context, req, corsHeaders, authenticatedUser) {
         // Include sensitive data only for authenticated requests
         if (authenticatedUser && authenticatedUser.businessId === businessContext.businessId) {
             // Add full business data for owner access
-            const fullBusinessData = await firebaseService.getBusinessData(businessContext.businessId);
+            const fullBusinessData = await repositories.businesses.get(businessContext.businessId);
             if (fullBusinessData) {
                 responseData.fullProfile = fullBusinessData.profile;
                 responseData.twilioNumbers = fullBusinessData.twilioNumbers;
@@ -231,27 +259,27 @@ async function handleUpdateRequest(context, req, corsHeaders, authenticatedUser)
 
     try {
         if (testVoice) {
-            // Test voice endpoint - generate sample audio
-            const testText = testVoice.text || `Hello! This is a test of the ${testVoice.voiceName || 'default'} voice for your business.`;
-            
-            // Note: This would integrate with your voice manager
-            // For now, return a mock response
-            context.res = {
-                status: 200,
-                headers: corsHeaders,
-                body: JSON.stringify({
-                    success: true,
-                    message: 'Voice test functionality will be implemented',
-                    testText: testText,
-                    voiceName: testVoice.voiceName
-                })
-            };
+            await handleTestVoice(context, testVoice, targetBusinessId, corsHeaders);
             return;
         }
 
         if (aiConfig) {
+            const validationErrors = validateAIConfig(aiConfig);
+            if (validationErrors.length > 0) {
+                context.res = {
+                    status: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({ 
+                        error: 'Invalid AI configuration',
+                        message: validationErrors.join('; '),
+                        details: validationErrors
+                    })
+                };
+                return;
+            }
+            
             // Update AI assistant configuration
-            const updateSuccess = await firebaseService.updateBusinessAIConfig(targetBusinessId, aiConfig);
+            const updateSuccess = await repositories.aiConfigs.save(targetBusinessId, aiConfig);
             
             if (updateSuccess) {
                 context.log(`✅ Updated AI config for business: ${targetBusinessId}`);
@@ -259,6 +287,16 @@ async function handleUpdateRequest(context, req, corsHeaders, authenticatedUser)
                 // Get updated business context
                 const updatedContext = await businessService.getBusinessContext(targetBusinessId, null);
                 
+                // Pre-generate the greeting and canned prompts in every language so callers hit the audio cache
+                const prewarm = { synthesized: 0, cached: 0, failed: 0 };
+                for (const language of getEnabledLanguages(updatedContext.aiConfig)) {
+                    const result = await voiceManager.prewarmAudio([
+                        businessService.generateGreeting(updatedContext, language),
+                        ...Object.values(VoiceManager.getCannedPrompts(language))
+                    ], localizeVoice(updatedContext.voice, language));
+                    Object.keys(prewarm).forEach(key => { prewarm[key] += result[key]; });
+                }
+                
                 context.res = {
                     status: 200,
                     headers: corsHeaders,
@@ -268,7 +306,8 @@ async function handleUpdateRequest(context, req, corsHeaders, authenticatedUser)
                         data: {
                             businessId: targetBusinessId,
                             aiAssistant: updatedContext.aiConfig,
-                            companyName: updatedContext.companyName
+                            companyName: updatedContext.companyName,
+                            audioPrewarm: prewarm
                         }
                     })
                 };
@@ -306,6 +345,93 @@ async function handleUpdateRequest(context, req, corsHeaders, authenticatedUser)
     }
 }
 
+/**
+ * Handle testVoice - synthesize a preview with the requested voice settings
+ * Returns a playable URL when blob storage is configured, otherwise base64 MP3
+ * Optional testVoice.pronunciations previews lexicon entries before they are saved
+ */
+async function handleTestVoice(context, testVoice, businessId, corsHeaders) {
+    const voiceRequest = {
+        name: testVoice.voiceName,
+        style: testVoice.style || null,
+        rate: testVoice.rate,
+        pitch: testVoice.pitch
+    };
+    const testText = (testVoice.text || `Hello! This is a test of the ${testVoice.voiceName || 'default'} voice for your business.`).trim();
+
+    const errors = testVoice.voiceName ? validateVoiceSettings(voiceRequest) : ['voiceName is required'];
+    errors.push(...validatePronunciations(testVoice.pronunciations));
+    if (testText.length > MAX_PREVIEW_TEXT_LENGTH) {
+        errors.push(`Preview text too long (max ${MAX_PREVIEW_TEXT_LENGTH} characters)`);
+    }
+    if (errors.length > 0) {
+        context.res = {
+            status: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({ 
+                error: 'Invalid voice test',
+                message: errors.join('; '),
+                details: errors
+            })
+        };
+        return;
+    }
+
+    const limit = previewLimiter.consume(businessId);
+    if (!limit.allowed) {
+        const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+        context.res = {
+            status: 429,
+            headers: { ...corsHeaders, 'Retry-After': String(retryAfter) },
+            body: JSON.stringify({ 
+                error: 'Too many voice previews',
+                message: `Please wait ${retryAfter} seconds before testing another voice`
+            })
+        };
+        return;
+    }
+
+    const voice = resolveVoiceSettings({ voice: voiceRequest, pronunciations: testVoice.pronunciations });
+    const speech = voiceManager.azureSpeech;
+    context.log(`🎧 Voice preview for ${businessId}: ${voice.name} (style ${voice.style || 'none'}, rate ${voice.rate})`);
+
+    let audio;
+    try {
+        const { url } = await speech.synthesizeToUrl(testText, { voice });
+        audio = { audioUrl: url };
+    } catch (error) {
+        // No blob storage (e.g. local dev): return the audio inline instead
+        context.log.warn('⚠️ Preview upload unavailable, returning inline audio:', error.message);
+        const result = await speech.synthesizeSpeech(testText, { voice });
+        if (!result.success) {
+            context.res = {
+                status: 502,
+                headers: corsHeaders,
+                body: JSON.stringify({ 
+                    error: 'Voice synthesis failed',
+                    message: result.error || 'Speech service unavailable'
+                })
+            };
+            return;
+        }
+        audio = { audioBase64: result.audioData, contentType: 'audio/mpeg' };
+    }
+
+    context.res = {
+        status: 200,
+        headers: corsHeaders,
+        body: JSON.stringify({
+            success: true,
+            data: {
+                ...audio,
+                testText,
+                voice,
+                previewsRemaining: limit.remaining
+            }
+        })
+    };
+}
+
 /**
  * Validate AI configuration update
  */
@@ -316,6 +442,20 @@ function validateAIConfig(aiConfig) {
         errors.push('Greeting message too long (max 500 characters)');
     }
     
+    if (aiConfig.closingMessage && aiConfig.closingMessage.length > 300) {
+        errors.push('Closing message too long (max 300 characters)');
+    }
+    
+    if (aiConfig.closingMessages) {
+        Object.entries(aiConfig.closingMessages).forEach(([code, message]) => {
+            if (typeof message !== 'string' || message.length > 300) errors.push(`Closing message (${code}) must be text of at most 300 characters`);
+        });
+    }
+    
+    if (aiConfig.businessSlogan && aiConfig.businessSlogan.length > 150) {
+        errors.push('Business slogan too long (max 150 characters)');
+    }
+    
     if (aiConfig.voiceStyle && !['professional', 'friendly', 'casual', 'authoritative'].includes(aiConfig.voiceStyle)) {
         errors.push('Invalid voice style');
     }
@@ -324,6 +464,28 @@ function validateAIConfig(aiConfig) {
         errors.push('Buffer time must be between 0 and 60 minutes');
     }
     
+    if (aiConfig.afterHours && aiConfig.afterHours.mode && !AfterHoursService.AFTER_HOURS_MODES.includes(aiConfig.afterHours.mode)) {
+        errors.push(`Invalid after-hours mode (expected one of: ${AfterHoursService.AFTER_HOURS_MODES.join(', ')})`);
+    }
+    
+    if (aiConfig.voice) {
+        errors.push(...validateVoiceSettings(aiConfig.voice));
+    }
+    
+    errors.push(...validatePronunciations(aiConfig.pronunciations));
+    errors.push(...validateLanguageSettings(aiConfig));
+    errors.push(...KeypadService.validateKeypadMenu(aiConfig.keypadMenu));
+    errors.push(...RepromptService.validateRepromptSettings(aiConfig.reprompt));
+    
+    if (aiConfig.serviceDurations) {
+        const invalid = Object.entries(aiConfig.serviceDurations)
+            .filter(([, minutes]) => !Number.isInteger(minutes) || minutes < 15 || minutes > 480)
+            .map(([serviceType]) => serviceType);
+        if (invalid.length > 0) {
+            errors.push(`Service durations must be whole minutes between 15 and 480 (${invalid.join(', ')})`);
+        }
+    }
+    
     return errors;
 }
 
@@ -0,0 +1,122 @@
+const querystring = require('querystring');
+const VoiceManager = require('../shared/voiceManager');
+const BusinessService = require('../shared/businessService');
+const CallLifecycleService = require('../shared/callLifecycleService');
+const CallRecordStore = require('../shared/callRecordStore');
+const CallSummaryService = require('../shared/callSummaryService');
+const ConversationService = require('../shared/conversationService');
+const LeadStore = require('../shared/leadStore');
+const TwilioWebhookValidator = require('../shared/twilioWebhookValidator');
+const memorySessions = require('../shared/callSessions');
+
+const voiceManager = new VoiceManager();
+const businessService = new BusinessService();
+const lifecycleService = new CallLifecycleService();
+const callRecordStore = new CallRecordStore();
+const leadStore = new LeadStore();
+const callSummaryService = new CallSummaryService(new ConversationService(businessService).openai);
+const webhookValidator = new TwilioWebhookValidator({ baseUrl: voiceManager.baseUrl });
+
+// Transcript stats from the in-process session (no database) or the saved conversation
+const getTranscriptStats = async (businessId, callSid, memorySession) => {
+  if (memorySession) {
+    const stats = CallRecordStore.summarizeMessages(memorySession.messages);
+    return { ...stats, firstAt: memorySession.createdAt || null };
+  }
+  return await callRecordStore.getTranscriptStats(businessId, callSid);
+};
+
+// Summary of a connected call for the business owner (null for calls that never connected)
+const summarizeCall = async (formData, details, memorySession) => {
+  if (formData.CallStatus !== 'completed') return null;
+
+  const { businessId } = details;
+  const saved = memorySession ? null : await callRecordStore.getTranscript(businessId, formData.CallSid);
+  const leadInfo = memorySession ? memorySession.leadInfo : (await leadStore.getLeadInfo(businessId, formData.From)) || {};
+  const messages = memorySession ? memorySession.messages : (saved ? saved.messages : []);
+  const preview = lifecycleService.buildCallRecord(formData, { ...details, leadInfo });
+  return await callSummaryService.summarize(messages, leadInfo, preview);
+};
+
+/**
+ * Twilio status callback for business numbers (ringing, in-progress, completed,
+ * no-answer, busy, failed). Keeps one call record per call; on the final status it closes
+ * the conversation session, records duration / turns / ending on the record and the
+ * caller's lead, flags abandoned calls for a recovery callback and writes the post-call
+ * summary and disposition.
+ */
+module.exports = async function (context, req) {
+  const formData = typeof req.body === 'string' ? querystring.parse(req.body) : (req.body || {});
+  const { CallSid: callSid, CallStatus: callStatus, From: callerNumber, To: twilioPhoneNumber } = formData;
+  context.log(`📞 Call status ${callStatus} for ${callSid}`);
+
+  if (!callSid || !callStatus) {
+    context.res = { status: 400, body: "CallSid and CallStatus are required" };
+    return;
+  }
+
+  try {
+    const businessContext = await businessService.getBusinessContext(null, twilioPhoneNumber);
+
+    const webhookCheck = webhookValidator.validate(req, { functionName: 'call-status', businessContext });
+    if (!webhookCheck.valid) {
+      context.log.warn(`🚫 Rejected call-status webhook for ${twilioPhoneNumber}: ${webhookCheck.reason}`);
+      context.res = { status: 403, body: "Forbidden" };
+      return;
+    }
+
+    const businessId = businessContext.businessId;
+    const existing = await callRecordStore.getCallRecord(businessId, callSid);
+
+    if (!lifecycleService.isFinal(callStatus)) {
+      await callRecordStore.saveCallRecord(lifecycleService.buildCallRecord(formData, { businessId, existing }));
+      context.res = { status: 204 };
+      return;
+    }
+
+    // The call is over: close the session and settle the record
+    const memorySession = await memorySessions.get(businessId, callSid);
+    if (memorySession) await memorySessions.remove(businessId, callSid);
+    const transcript = await getTranscriptStats(businessId, callSid, memorySession);
+    const summary = await summarizeCall(formData, { businessId, existing, transcript }, memorySession);
+
+    let record = null;
+    const closeOut = leadInfo => {
+      record = lifecycleService.buildCallRecord(formData, { businessId, existing, transcript, leadInfo });
+      record.summary = summary;
+      if (record.status !== 'completed') return;
+
+      leadInfo.callStatus = {
+        callSid,
+        status: record.status,
+        endedBy: record.endedBy,
+        endReason: record.endReason,
+        endedAt: record.endedAt,
+        durationSeconds: record.durationSeconds,
+        turnCount: record.turnCount
+      };
+      if (record.recovery && leadInfo.followUp?.status !== 'pending') {
+        leadInfo.followUp = record.recovery;
+      }
+      if (summary) {
+        leadInfo.callSummary = { callSid, ...summary };
+        leadInfo.disposition = summary.disposition;
+      }
+    };
+
+    // Calls that never connected have no conversation to attach to a lead
+    if (callStatus === 'completed' && !memorySession) {
+      await leadStore.updateLeadInfo(businessId, callerNumber, closeOut);
+    }
+    if (!record) closeOut(memorySession ? memorySession.leadInfo : { contactInfo: {} });
+
+    await callRecordStore.saveCallRecord(record);
+    context.log(`✅ Call ${callSid} closed: ${record.status}, ${record.durationSeconds}s, ${record.turnCount} turns, ended by ${record.endedBy}${summary ? `, ${summary.disposition}` : ''}${record.recovery ? ' - flagged for recovery' : ''}`);
+
+    context.res = { status: 204 };
+  } catch (error) {
+    context.log.error("❌ Call status error:", error.message);
+    // Twilio does not retry status callbacks on errors, so report it but answer normally
+    context.res = { status: 204 };
+  }
+};
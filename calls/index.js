@@ -0,0 +1,100 @@
+/**
+ * Calls API
+ * Lets a business owner review calls handled by the voice agent, with the post-call
+ * summary (problem, urgency, next step, contact) and disposition
+ *   GET ?from=YYYY-MM-DD&to=YYYY-MM-DD&disposition=needs_callback&limit=50   list calls
+ *   GET ?callSid=CA...                                                      one call
+ * Requires a Firebase session cookie (Authorization: Bearer <cookie>)
+ */
+
+const FirebaseService = require('../shared/firebaseService');
+const CallRecordStore = require('../shared/callRecordStore');
+const CallSummaryService = require('../shared/callSummaryService');
+
+const firebaseService = new FirebaseService();
+const callRecordStore = new CallRecordStore();
+
+module.exports = async function (context, req) {
+    context.log('📋 Calls API called');
+
+    // CORS headers
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Content-Type': 'application/json'
+    };
+
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: ''
+        };
+        return;
+    }
+
+    const respond = (status, body) => {
+        context.res = {
+            status,
+            headers: corsHeaders,
+            body: JSON.stringify(body)
+        };
+    };
+
+    try {
+        const authHeader = req.headers.authorization;
+        const authenticatedUser = authHeader && authHeader.startsWith('Bearer ') ?
+            await firebaseService.verifySessionCookie(authHeader.substring(7)) :
+            null;
+
+        if (!authenticatedUser) {
+            respond(401, {
+                error: 'Authentication required',
+                message: 'You must be logged in to view calls'
+            });
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            respond(405, { error: 'Method not allowed' });
+            return;
+        }
+
+        const businessId = authenticatedUser.businessId;
+
+        if (req.query.callSid) {
+            const call = await callRecordStore.getCallRecord(businessId, req.query.callSid);
+            if (!call) {
+                respond(404, { error: 'Call not found' });
+                return;
+            }
+            respond(200, { success: true, data: { call } });
+            return;
+        }
+
+        const disposition = req.query.disposition;
+        if (disposition && !CallSummaryService.DISPOSITIONS.includes(disposition)) {
+            respond(400, {
+                error: 'Invalid request',
+                message: `disposition must be one of: ${CallSummaryService.DISPOSITIONS.join(', ')}`
+            });
+            return;
+        }
+
+        const calls = await callRecordStore.getBusinessCalls(businessId, {
+            from: req.query.from,
+            to: req.query.to,
+            disposition,
+            limit: parseInt(req.query.limit || '50', 10) || 50
+        });
+        respond(200, { success: true, data: { calls } });
+
+    } catch (error) {
+        context.log.error('❌ Calls API error:', error.message);
+        respond(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
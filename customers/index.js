@@ -0,0 +1,94 @@
+/**
+ * Customers API
+ * Lets a business owner look up one caller: their profile with this business (names,
+ * phones, emails and addresses they gave, past issues, bookings) and a timeline of
+ * their calls and bookings, newest first
+ *   GET ?phone=+15555550123&limit=50
+ * Requires a Firebase session cookie (Authorization: Bearer <cookie>)
+ */
+
+const FirebaseService = require('../shared/firebaseService');
+const BusinessService = require('../shared/businessService');
+const AppointmentService = require('../shared/appointmentService');
+const CustomerProfileService = require('../shared/customerProfileService');
+
+const firebaseService = new FirebaseService();
+const businessService = new BusinessService();
+const appointmentService = new AppointmentService(firebaseService, businessService.scheduleService);
+const customerProfileService = new CustomerProfileService(null, appointmentService);
+
+module.exports = async function (context, req) {
+    context.log('👤 Customers API called');
+
+    // CORS headers
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Content-Type': 'application/json'
+    };
+
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: ''
+        };
+        return;
+    }
+
+    const respond = (status, body) => {
+        context.res = {
+            status,
+            headers: corsHeaders,
+            body: JSON.stringify(body)
+        };
+    };
+
+    try {
+        const authHeader = req.headers.authorization;
+        const authenticatedUser = authHeader && authHeader.startsWith('Bearer ') ?
+            await firebaseService.verifySessionCookie(authHeader.substring(7)) :
+            null;
+
+        if (!authenticatedUser) {
+            respond(401, {
+                error: 'Authentication required',
+                message: 'You must be logged in to view customers'
+            });
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            respond(405, { error: 'Method not allowed' });
+            return;
+        }
+
+        const phoneNumber = (req.query.phone || '').trim();
+        if (!phoneNumber) {
+            respond(400, {
+                error: 'Invalid request',
+                message: 'phone is required (E.164, e.g. +15555550123)'
+            });
+            return;
+        }
+
+        // Scoped to the owner's business: other tenants' history with the same caller is never included
+        const result = await customerProfileService.getTimeline(authenticatedUser.businessId, phoneNumber, {
+            limit: parseInt(req.query.limit || '50', 10) || 50
+        });
+        if (!result) {
+            respond(404, { error: 'Customer not found' });
+            return;
+        }
+
+        respond(200, { success: true, data: result });
+
+    } catch (error) {
+        context.log.error('❌ Customers API error:', error.message);
+        respond(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
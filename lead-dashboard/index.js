@@ -1,13 +1,24 @@
-const { CosmosClient } = require('@azure/cosmos');
+const { getRepositories } = require('../shared/repositories');
+
+const DISPOSITION_LABELS = {
+  booked: 'Booked',
+  needs_callback: 'Needs Callback',
+  spam: 'Spam',
+  wrong_number: 'Wrong Number',
+  info_only: 'Info Only'
+};
+
+// Summaries are model output from caller speech, so never render them as markup
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
 
 module.exports = async function (context, req) {
   context.log("Lead dashboard accessed");
 
-  let cosmosClient = null;
-  
   try {
-    // Initialize Cosmos DB connection
-    if (!process.env.COSMOS_CONN) {
+    const { sessions, leads: leadRepository } = getRepositories();
+    if (!sessions || !leadRepository) {
       context.res = {
         headers: { "Content-Type": "text/html" },
         body: `
@@ -24,27 +35,21 @@ module.exports = async function (context, req) {
       return;
     }
 
-    cosmosClient = new CosmosClient(process.env.COSMOS_CONN);
-    const database = cosmosClient.database('voiceai');
-    const transcriptsContainer = database.container('transcripts');
-    const leadsContainer = database.container('leads');
-
-    // Get recent leads
-    const leadsQuery = {
-      query: 'SELECT * FROM c ORDER BY c.lastContact DESC OFFSET 0 LIMIT 20'
-    };
-    const { resources: leads } = await leadsContainer.items.query(leadsQuery).fetchAll();
+    // ?businessId= narrows the dashboard to one business
+    const businessId = (req.query && req.query.businessId) || null;
 
-    // Get recent conversations
-    const conversationsQuery = {
-      query: 'SELECT DISTINCT c.callSid, c.phoneNumber, c.timestamp FROM c ORDER BY c.timestamp DESC OFFSET 0 LIMIT 10'
-    };
-    const { resources: recentConversations } = await transcriptsContainer.items.query(conversationsQuery).fetchAll();
+    // Get recent leads and conversations
+    const leads = await leadRepository.listRecent(businessId, 20);
+    const recentConversations = (await sessions.listRecent(businessId, 10)).map(conv => ({
+      ...conv,
+      messageCount: (conv.messages || []).length
+    }));
 
     // Calculate analytics
     const totalLeads = leads.length;
     const emergencyLeads = leads.filter(lead => lead.leadInfo?.hasEmergency).length;
     const highScoreLeads = leads.filter(lead => lead.score >= 70).length;
+    const callbackLeads = leads.filter(lead => lead.leadInfo?.disposition === 'needs_callback').length;
     
     const serviceTypeStats = {};
     leads.forEach(lead => {
@@ -167,6 +172,23 @@ module.exports = async function (context, req) {
             font-size: 0.8em;
             margin-right: 10px;
           }
+          .disposition { 
+            padding: 4px 8px; 
+            border-radius: 4px; 
+            font-size: 0.8em;
+            margin-right: 10px;
+            color: white;
+          }
+          .disposition.booked { background: #10b981; }
+          .disposition.needs_callback { background: #f59e0b; color: #333; }
+          .disposition.spam, .disposition.wrong_number { background: #6b7280; }
+          .disposition.info_only { background: #93c5fd; color: #333; }
+          .call-summary { 
+            margin-top: 10px; 
+            padding: 10px; 
+            background: white; 
+            border-left: 3px solid #2563eb;
+          }
           .conversation-item { 
             border-left: 4px solid #2563eb; 
             padding: 15px; 
@@ -216,6 +238,10 @@ module.exports = async function (context, req) {
               <div class="stat-number">${avgScore}</div>
               <div class="stat-label">Average Score</div>
             </div>
+            <div class="stat-card">
+              <div class="stat-number">${callbackLeads}</div>
+              <div class="stat-label">Needs Callback</div>
+            </div>
           </div>
 
           <div class="section">
@@ -233,6 +259,7 @@ module.exports = async function (context, req) {
                 <div class="lead-header">
                   <span class="phone-number">${lead.phoneNumber}</span>
                   <div>
+                    ${DISPOSITION_LABELS[lead.leadInfo?.disposition] ? `<span class="disposition ${lead.leadInfo.disposition}">${DISPOSITION_LABELS[lead.leadInfo.disposition]}</span>` : ''}
                     ${lead.leadInfo?.serviceType ? `<span class="service-type">${lead.leadInfo.serviceType}</span>` : ''}
                     ${lead.leadInfo?.hasEmergency ? '<span class="emergency">EMERGENCY</span>' : ''}
                     <span class="score ${lead.score >= 70 ? 'high' : lead.score >= 40 ? 'medium' : 'low'}">
@@ -245,6 +272,13 @@ module.exports = async function (context, req) {
                   <strong>Last Contact:</strong> ${new Date(lead.lastContact).toLocaleString()}<br>
                   <strong>Status:</strong> ${lead.leadInfo?.urgencyLevel || 'normal'} | <strong>Call ID:</strong> ${lead.lastCallSid?.substring(0, 10) || 'N/A'}...
                 </div>
+                ${lead.leadInfo?.callSummary ? `
+                  <div class="call-summary">
+                    <strong>Summary:</strong> ${escapeHtml(lead.leadInfo.callSummary.problem || 'No details')}
+                    (${escapeHtml(lead.leadInfo.callSummary.urgency || 'normal')})<br>
+                    ${lead.leadInfo.callSummary.nextStep ? `<strong>Next Step:</strong> ${escapeHtml(lead.leadInfo.callSummary.nextStep)}` : ''}
+                  </div>
+                ` : ''}
               </div>
             `).join('')}
             ${leads.length === 0 ? '<p>No leads recorded yet. Call your voice agent to start generating leads!</p>' : ''}
@@ -255,12 +289,12 @@ module.exports = async function (context, req) {
             ${recentConversations.map(conv => `
               <div class="conversation-item">
                 <div class="lead-header">
-                  <span class="phone-number">${conv.phoneNumber}</span>
-                  <span class="timestamp">${new Date(conv.timestamp).toLocaleString()}</span>
+                  <span class="phone-number">${conv.customerPhone}</span>
+                  <span class="timestamp">${new Date(conv.updatedAt).toLocaleString()}</span>
                 </div>
                 <div>
                   Call ID: ${conv.callSid.substring(0, 10)}... |
-                  Active conversation
+                  <span class="message-count">${conv.messageCount || 0} messages</span>
                 </div>
               </div>
             `).join('')}
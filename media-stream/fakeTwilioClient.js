@@ -0,0 +1,174 @@
+/**
+ * Fake Twilio Media Streams client for local testing
+ * Speaks the Twilio <Connect><Stream> WebSocket protocol (connected / start / media /
+ * mark / stop), echoes marks back like Twilio does after playback, and records
+ * everything the server sends. Signs its own stream token the way voice-connect does.
+ *
+ * Usage: MEDIA_STREAM_SECRET=... node media-stream/fakeTwilioClient.js [ws-url] [mulaw-8khz-file]
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+const { createStreamToken } = require('../shared/mediaStreamToken');
+
+// 20ms of 8kHz mulaw
+const FRAME_BYTES = 160;
+const MULAW_SILENCE = 0xff;
+
+class FakeTwilioClient {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.callSid = options.callSid || `CAfake${Date.now()}`;
+        this.streamSid = options.streamSid || `MZfake${Date.now()}`;
+        this.from = options.from || '+15555550100';
+        this.to = options.to || '+15555550199';
+        this.businessId = options.businessId || null;
+        // Token for /media-stream/{token}: pass one (e.g. another call's), or a secret to sign one
+        this.token = options.token !== undefined ? options.token : createStreamToken(
+            { callSid: this.callSid, businessId: this.businessId, from: this.from, to: this.to },
+            { secret: options.streamSecret }
+        );
+        this.socket = null;
+        this.received = [];
+        this.sequenceNumber = 0;
+        this.chunk = 0;
+        this.waiters = [];
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.socket = new WebSocket(this.token ? `${this.url}/${this.token}` : this.url);
+
+            this.socket.on('message', data => this.handleMessage(JSON.parse(data.toString())));
+            this.socket.on('error', reject);
+            this.socket.on('open', () => {
+                this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+                this.send({
+                    event: 'start',
+                    sequenceNumber: String(++this.sequenceNumber),
+                    start: {
+                        streamSid: this.streamSid,
+                        callSid: this.callSid,
+                        tracks: ['inbound'],
+                        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+                        customParameters: { from: this.from, to: this.to }
+                    },
+                    streamSid: this.streamSid
+                });
+                resolve(this);
+            });
+        });
+    }
+
+    handleMessage(message) {
+        this.received.push(message);
+
+        // Twilio reports a mark back once the audio queued before it has played
+        if (message.event === 'mark') {
+            this.send({ event: 'mark', streamSid: this.streamSid, mark: message.mark });
+        }
+
+        this.waiters = this.waiters.filter(waiter => {
+            if (!waiter.predicate(message)) return true;
+            waiter.resolve(message);
+            return false;
+        });
+    }
+
+    /**
+     * Send caller audio as 20ms media frames
+     * @param {Buffer} audio - 8kHz mulaw audio
+     */
+    sendAudio(audio) {
+        for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+            const frame = audio.subarray(offset, offset + FRAME_BYTES);
+            this.send({
+                event: 'media',
+                sequenceNumber: String(++this.sequenceNumber),
+                media: {
+                    track: 'inbound',
+                    chunk: String(++this.chunk),
+                    timestamp: String(this.chunk * 20),
+                    payload: frame.toString('base64')
+                },
+                streamSid: this.streamSid
+            });
+        }
+    }
+
+    sendSilence(milliseconds) {
+        this.sendAudio(Buffer.alloc((milliseconds / 20) * FRAME_BYTES, MULAW_SILENCE));
+    }
+
+    /**
+     * Wait for the first server message matching a predicate
+     * @param {Function} predicate - Receives each message
+     * @param {number} timeoutMs - Give up after this long
+     * @returns {Promise<Object>} The matching message
+     */
+    waitFor(predicate, timeoutMs = 10000) {
+        const existing = this.received.find(predicate);
+        if (existing) return Promise.resolve(existing);
+
+        return new Promise((resolve, reject) => {
+            const waiter = { predicate, resolve };
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`Timed out after ${timeoutMs}ms waiting for media stream message`));
+            }, timeoutMs);
+            waiter.resolve = message => {
+                clearTimeout(timer);
+                resolve(message);
+            };
+            this.waiters.push(waiter);
+        });
+    }
+
+    outboundAudio() {
+        return Buffer.concat(this.received
+            .filter(message => message.event === 'media')
+            .map(message => Buffer.from(message.media.payload, 'base64')));
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    stop() {
+        this.send({ event: 'stop', sequenceNumber: String(++this.sequenceNumber), streamSid: this.streamSid, stop: { callSid: this.callSid } });
+        return new Promise(resolve => {
+            this.socket.once('close', resolve);
+            this.socket.close();
+        });
+    }
+}
+
+if (require.main === module) {
+    const url = process.argv[2] || 'ws://localhost:8081/media-stream';
+    const audioFile = process.argv[3];
+
+    (async () => {
+        const client = await new FakeTwilioClient(url).connect();
+        console.log(`📞 Fake call ${client.callSid} connected to ${url}`);
+
+        const greeting = await client.waitFor(message => message.event === 'mark', 15000);
+        console.log(`🔊 Greeting received (${client.outboundAudio().length} bytes, mark ${greeting.mark.name})`);
+
+        if (audioFile) {
+            client.sendAudio(fs.readFileSync(audioFile));
+            client.sendSilence(1000);
+            const reply = await client.waitFor(message => message.event === 'mark' && message.mark.name !== greeting.mark.name, 20000);
+            console.log(`🔊 Reply received (mark ${reply.mark.name})`);
+        }
+
+        await client.stop();
+        console.log(`✅ Done - ${client.received.length} messages, ${client.outboundAudio().length} bytes of audio`);
+    })().catch(error => {
+        console.error('❌ Fake Twilio client failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = FakeTwilioClient;
@@ -0,0 +1,96 @@
+/**
+ * Media Streams WebSocket server
+ * Azure Functions cannot accept WebSockets, so real-time calls run through this
+ * small Node server. voice-connect points Twilio's <Connect><Stream> here. Sessions,
+ * leads and call records go to the same STORAGE_BACKEND as the Functions app (use
+ * cloud or file storage so call-status can read what this process saves).
+ * Sockets are only accepted at /media-stream/{token} with a token from voice-connect
+ * (see shared/mediaStreamToken.js); set the same MEDIA_STREAM_SECRET on both.
+ *
+ * Usage: node media-stream/server.js   (listens on MEDIA_STREAM_PORT, default 8081)
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const VoiceManager = require('../shared/voiceManager');
+const BusinessService = require('../shared/businessService');
+const ConversationService = require('../shared/conversationService');
+const AgentToolService = require('../shared/agentToolService');
+const CallSessionService = require('../shared/callSessionService');
+const CallRecordStore = require('../shared/callRecordStore');
+const { getRepositories } = require('../shared/repositories');
+const MediaStreamBridge = require('../shared/mediaStreamBridge');
+const { verifyStreamToken } = require('../shared/mediaStreamToken');
+
+const MEDIA_STREAM_PATH = '/media-stream';
+
+// Claims of the token in /media-stream/{token}, or null
+function authenticateUpgrade(url, secret) {
+    const pathname = new URL(url, 'http://localhost').pathname;
+    if (!pathname.startsWith(`${MEDIA_STREAM_PATH}/`)) return null;
+    return verifyStreamToken(decodeURIComponent(pathname.slice(MEDIA_STREAM_PATH.length + 1)), { secret });
+}
+
+/**
+ * Create the HTTP + WebSocket server (not yet listening)
+ * @param {Object} options - Overrides for the bridge services, repositories and streamSecret (used by local simulation and tests)
+ * @returns {http.Server} Server with a WebSocket endpoint at /media-stream/{token}
+ */
+function createMediaStreamServer(options = {}) {
+    const repositories = options.repositories || getRepositories();
+    const businessService = options.businessService || new BusinessService(repositories);
+    const conversationService = options.conversationService || new ConversationService(businessService);
+    const agentToolService = options.agentToolService || new AgentToolService(businessService);
+    const voiceManager = options.voiceManager || new VoiceManager();
+    const callSessions = new CallSessionService({ conversationService, repositories });
+    const callRecordStore = new CallRecordStore(repositories);
+    const streamSecret = options.streamSecret || process.env.MEDIA_STREAM_SECRET;
+
+    if (!streamSecret) {
+        console.error('❌ MEDIA_STREAM_SECRET is not set - every media stream will be rejected');
+    }
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Media stream endpoint ready');
+    });
+
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        const claims = authenticateUpgrade(req.url, streamSecret);
+        if (!claims) {
+            console.warn(`🚫 Rejected media stream connection from ${req.socket.remoteAddress}: missing or invalid token`);
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req, claims));
+    });
+
+    wss.on('connection', (socket, req, claims) => {
+        new MediaStreamBridge(socket, {
+            streamClaims: claims,
+            businessService,
+            conversationService,
+            agentToolService,
+            voiceManager,
+            speechService: options.speechService,
+            callSessions,
+            callRecordStore,
+            onSessionEnd: options.onSessionEnd || (session => {
+                console.log(`📊 Call ${session.callSid} ended - lead score ${session.leadInfo.qualificationScore}`);
+            })
+        }).attach();
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.MEDIA_STREAM_PORT || '8081', 10);
+    createMediaStreamServer().listen(port, () => {
+        console.log(`🎙️ Media stream server listening on ws://localhost:${port}${MEDIA_STREAM_PATH}/{token}`);
+    });
+}
+
+module.exports = { createMediaStreamServer, MEDIA_STREAM_PATH };
@@ -0,0 +1,195 @@
+/**
+ * Copy legacy documents from the voiceai database into the business-scoped containers
+ * (VoiceAgentDB, partitioned by businessId) and report on what was moved.
+ *
+ * Usage: node migrate-cosmos.js [--dry-run] [--default-business <id>]
+ *   voiceai/transcripts -> conversations  (one session per callSid, messages in time order)
+ *   voiceai/leads       -> leads          (one lead per caller)
+ *
+ * Legacy documents carry nothing that identifies a business (transcripts are keyed by
+ * callSid, leads by phone number, and no call records were kept), so they cannot be
+ * attributed: every one is assigned to --default-business (default: "default").
+ * Pick the business that owned the number before multi-tenancy, or move documents by
+ * hand afterwards. Documents already present in the target are left alone, so the
+ * command can be re-run. The voiceai database is never modified; delete it once the
+ * report looks right.
+ */
+
+const { CosmosClient } = require('@azure/cosmos');
+const MultiTenantCosmosDB = require('./shared/multiTenantCosmosDB');
+
+const LEGACY_DATABASE_ID = 'voiceai';
+
+const createReport = () => ({ read: 0, copied: 0, alreadyPresent: 0, failed: 0 });
+
+async function exists(resource) {
+    try {
+        await resource.read();
+        return true;
+    } catch (error) {
+        if (error.code === 404) return false;
+        throw error;
+    }
+}
+
+async function* readAll(container, querySpec, options = {}) {
+    for await (const { resources } of container.items.query(querySpec, options).getAsyncIterator()) {
+        yield* resources;
+    }
+}
+
+/**
+ * Create a document unless one with the same id already exists
+ * @returns {string} copied | alreadyPresent | failed
+ */
+async function copyDocument(container, doc, report, dryRun) {
+    if (dryRun) {
+        report.copied++;
+        return 'copied';
+    }
+    try {
+        await container.items.create(doc);
+        report.copied++;
+        return 'copied';
+    } catch (error) {
+        if (error.code === 409) {
+            report.alreadyPresent++;
+            return 'alreadyPresent';
+        }
+        console.error(`❌ Failed to copy ${doc.id}:`, error.message);
+        report.failed++;
+        return 'failed';
+    }
+}
+
+async function migrateTranscripts(legacy, target, options) {
+    const report = createReport();
+    const source = legacy.container('transcripts');
+    if (!(await exists(source))) return null;
+
+    const conversations = options.dryRun ? null : await target.getContainer('conversations');
+    const callSids = [];
+    for await (const callSid of readAll(source, 'SELECT DISTINCT VALUE c.callSid FROM c')) {
+        callSids.push(callSid);
+    }
+
+    for (const callSid of callSids) {
+        const messages = [];
+        for await (const message of readAll(source, {
+            query: 'SELECT * FROM c WHERE c.callSid = @callSid ORDER BY c.timestamp ASC',
+            parameters: [{ name: '@callSid', value: callSid }]
+        }, { partitionKey: callSid })) {
+            messages.push(message);
+        }
+        report.read += messages.length;
+        if (messages.length === 0) continue;
+
+        const businessId = options.defaultBusiness;
+        const session = {
+            id: target.getSessionId(businessId, callSid),
+            businessId,
+            callSid,
+            customerPhone: messages[0].phoneNumber,
+            messages: messages
+                .filter(message => message.role !== 'system')
+                .map(message => ({ role: message.role, content: message.content })),
+            leadInfo: { contactInfo: {} },
+            previousCalls: 0,
+            createdAt: messages[0].timestamp,
+            updatedAt: messages[messages.length - 1].timestamp,
+            businessScoped: true,
+            version: '2.0',
+            migratedFrom: `${LEGACY_DATABASE_ID}/transcripts`
+        };
+        await copyDocument(conversations, session, report, options.dryRun);
+    }
+    return report;
+}
+
+async function migrateLeads(legacy, target, options) {
+    const report = createReport();
+    const source = legacy.container('leads');
+    if (!(await exists(source))) return null;
+
+    const leads = options.dryRun ? null : await target.getContainer('leads');
+    for await (const lead of readAll(source, 'SELECT * FROM c')) {
+        report.read++;
+        const phoneNumber = lead.phoneNumber || lead.id;
+        const businessId = options.defaultBusiness;
+
+        await copyDocument(leads, {
+            id: target.getLeadId(businessId, phoneNumber),
+            businessId,
+            phoneNumber,
+            leadInfo: lead.leadInfo || { contactInfo: {} },
+            score: lead.score || 0,
+            lastCallSid: lead.lastCallSid || null,
+            lastContact: lead.lastContact || null,
+            createdAt: lead.lastContact || new Date().toISOString(),
+            businessScoped: true,
+            ...(lead.ttl ? { ttl: lead.ttl } : {}),
+            migratedFrom: `${LEGACY_DATABASE_ID}/leads`
+        }, report, options.dryRun);
+    }
+    return report;
+}
+
+/**
+ * @param {CosmosClient} client - Cosmos SQL API client
+ * @param {Object} options - { dryRun, defaultBusiness }
+ * @returns {Object} Report per legacy container (null when the container doesn't exist)
+ */
+async function migrate(client, options = {}) {
+    const settings = { dryRun: false, defaultBusiness: 'default', ...options };
+    const target = new MultiTenantCosmosDB(client);
+    if (!settings.dryRun) await target.provision();
+
+    const legacy = client.database(LEGACY_DATABASE_ID);
+    if (!(await exists(legacy))) {
+        console.log(`ℹ️ No ${LEGACY_DATABASE_ID} database - nothing to migrate`);
+        return { transcripts: null, leads: null };
+    }
+
+    const transcripts = await migrateTranscripts(legacy, target, settings);
+    const leads = await migrateLeads(legacy, target, settings);
+
+    return { transcripts, leads };
+}
+
+function printReport(report, options) {
+    console.log(`\n📋 Migration report (${options.dryRun ? 'dry run, nothing written' : 'applied'}, everything assigned to "${options.defaultBusiness}")`);
+    Object.entries(report).forEach(([source, counts]) => {
+        if (!counts) {
+            console.log(`  ${LEGACY_DATABASE_ID}/${source}: not found, skipped`);
+            return;
+        }
+        console.log(`  ${LEGACY_DATABASE_ID}/${source}: read ${counts.read}, copied ${counts.copied}, ` +
+            `already present ${counts.alreadyPresent}, failed ${counts.failed}`);
+    });
+}
+
+async function main(argv) {
+    const options = { dryRun: argv.includes('--dry-run'), defaultBusiness: 'default' };
+    const businessFlag = argv.indexOf('--default-business');
+    if (businessFlag >= 0 && argv[businessFlag + 1]) options.defaultBusiness = argv[businessFlag + 1];
+
+    if (!process.env.COSMOS_CONN || !process.env.COSMOS_CONN.includes('AccountEndpoint=')) {
+        console.error('❌ Set COSMOS_CONN to the SQL API connection string (AccountEndpoint=...;AccountKey=...)');
+        process.exit(1);
+    }
+
+    const report = await migrate(new CosmosClient(process.env.COSMOS_CONN), options);
+    printReport(report, options);
+
+    const failed = Object.values(report).reduce((sum, counts) => sum + (counts ? counts.failed : 0), 0);
+    if (failed > 0) process.exit(1);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { migrate };
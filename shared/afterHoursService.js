@@ -0,0 +1,130 @@
+/**
+ * After-Hours Service
+ * Tenant-selected handling for calls outside business hours:
+ *   ai_message     - the AI assistant takes a message (name, callback number, issue)
+ *   voicemail      - caller records a voicemail (<Record> with status + transcription callbacks)
+ *   emergency_only - emergencies are handled live, everything else goes to voicemail
+ */
+
+const querystring = require('querystring');
+const { getPhrase } = require('./languages');
+
+const AFTER_HOURS_MODES = ['ai_message', 'voicemail', 'emergency_only'];
+const DEFAULT_AFTER_HOURS_MODE = 'ai_message';
+
+class AfterHoursService {
+    constructor(voiceManager) {
+        this.voiceManager = voiceManager;
+        this.baseUrl = voiceManager.baseUrl;
+    }
+
+    /**
+     * Get the tenant's after-hours mode
+     * @param {Object} businessContext - Business context data
+     * @returns {string} One of AFTER_HOURS_MODES
+     */
+    static getMode(businessContext) {
+        const mode = businessContext?.aiConfig?.afterHours?.mode;
+        return AFTER_HOURS_MODES.includes(mode) ? mode : DEFAULT_AFTER_HOURS_MODE;
+    }
+
+    /**
+     * Instructions added to the AI system prompt while the business is closed
+     * @param {Object} businessContext - Business context data
+     * @param {Object} hoursAnalysis - Result of BusinessService.analyzeBusinessHours
+     * @param {string} language - Language of the call
+     * @returns {string} Prompt section
+     */
+    static buildSystemPromptSection(businessContext, hoursAnalysis = {}, language = 'en') {
+        const closed = hoursAnalysis.closedMessage || getPhrase('closedNow', language);
+
+        if (AfterHoursService.getMode(businessContext) === 'emergency_only') {
+            return `AFTER HOURS: ${closed} Only emergencies are handled right now. If the caller has an emergency, get their name, address and callback number and reassure them help is on the way. For anything else, politely explain we'll call back when we open.`;
+        }
+
+        return `AFTER HOURS: ${closed} Take a message: get the caller's name, best callback number and a short description of what they need, then let them know someone will call them back when we open. Do not promise a specific technician or price.`;
+    }
+
+    /**
+     * Greeting for emergency-only triage
+     * @param {string} greeting - Business greeting
+     * @param {Object} hoursAnalysis - Result of BusinessService.analyzeBusinessHours
+     * @param {string} language - Language of the call
+     * @returns {string} Greeting text
+     */
+    buildEmergencyOnlyGreeting(greeting, hoursAnalysis = {}, language = 'en') {
+        const closed = hoursAnalysis.closedMessage || getPhrase('closedNow', language);
+        return `${greeting} ${closed} ${getPhrase('emergencyOnlyOffer', language)}`;
+    }
+
+    /**
+     * Build the follow-up flag stored on leads captured after hours
+     * @param {string} mode - After-hours mode
+     * @param {Object} hoursAnalysis - Result of BusinessService.analyzeBusinessHours
+     * @returns {Object} Follow-up flag
+     */
+    createFollowUpFlag(mode, hoursAnalysis = {}) {
+        return {
+            required: true,
+            reason: 'after_hours',
+            mode,
+            status: 'pending',
+            dueAt: hoursAnalysis.nextOpenAt || null,
+            requestedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * TwiML that plays the closed greeting and records a voicemail
+     * @param {string} message - Spoken prompt before the beep
+     * @param {Object} options - { businessId, callerNumber, language }
+     * @returns {string} TwiML
+     */
+    createVoicemailTwiML(message, options = {}) {
+        const { businessId, callerNumber, language = 'en' } = options;
+        const voice = this.voiceManager.azureSpeech.getTwilioFallbackVoice(false, null, language);
+        const escape = value => this.voiceManager.escapeXML(value);
+
+        const params = { businessId, caller: callerNumber, language };
+        const recordAction = this.callbackUrl({ step: 'recorded', ...params });
+        const statusCallback = this.callbackUrl({ step: 'recording-status', ...params });
+        const transcribeCallback = this.callbackUrl({ step: 'transcription', ...params });
+
+        return `
+            <Response>
+                <Say voice="${voice}">${escape(message)}</Say>
+                <Record action="${escape(recordAction)}" method="POST"
+                        recordingStatusCallback="${escape(statusCallback)}"
+                        recordingStatusCallbackMethod="POST"
+                        transcribe="true"
+                        transcribeCallback="${escape(transcribeCallback)}"
+                        maxLength="120" playBeep="true" finishOnKey="#"/>
+                <Say voice="${voice}">${escape(getPhrase('noMessage', language))}</Say>
+                <Hangup/>
+            </Response>
+        `.trim();
+    }
+
+    /**
+     * Prompt spoken before the voicemail beep
+     * @param {string} greeting - Business greeting
+     * @param {Object} hoursAnalysis - Result of BusinessService.analyzeBusinessHours
+     * @param {string} language - Language of the call
+     * @returns {string} Voicemail prompt
+     */
+    buildVoicemailPrompt(greeting, hoursAnalysis = {}, language = 'en') {
+        const closed = hoursAnalysis.closedMessage || getPhrase('closedNow', language);
+        return `${greeting} ${closed} ${getPhrase('voicemailPrompt', language)}`;
+    }
+
+    callbackUrl(params) {
+        const definedParams = Object.fromEntries(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        return `${this.baseUrl}/voice-afterhours?${querystring.stringify(definedParams)}`;
+    }
+}
+
+AfterHoursService.AFTER_HOURS_MODES = AFTER_HOURS_MODES;
+
+module.exports = AfterHoursService;
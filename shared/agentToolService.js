@@ -0,0 +1,349 @@
+/**
+ * Agent Tool Service
+ * Function tools exposed to the model during a call (check_availability,
+ * book_appointment, confirm_appointment, capture_contact, collect_digits, transfer_to_human, end_call),
+ * scoped to what each tenant's aiConfig enables, plus the executor that runs them
+ * against our services
+ */
+
+const AppointmentService = require('./appointmentService');
+const LeadExtractionService = require('./leadExtractionService');
+
+const TOOL_DEFINITIONS = {
+    check_availability: {
+        type: 'function',
+        function: {
+            name: 'check_availability',
+            description: 'Look up open appointment times. Use before offering the caller a time.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    serviceType: { type: 'string', description: 'Kind of job, e.g. "repair", "maintenance", "installation"' },
+                    preferredDate: { type: 'string', description: 'Preferred date as YYYY-MM-DD, if the caller gave one' }
+                }
+            }
+        }
+    },
+    book_appointment: {
+        type: 'function',
+        function: {
+            name: 'book_appointment',
+            description: 'Hold a time the caller picked from check_availability. Read the time back and ask them to confirm.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    startTime: { type: 'string', description: 'Slot start time exactly as returned by check_availability' },
+                    serviceType: { type: 'string', description: 'Kind of job' },
+                    notes: { type: 'string', description: 'Short description of the problem' }
+                },
+                required: ['startTime']
+            }
+        }
+    },
+    confirm_appointment: {
+        type: 'function',
+        function: {
+            name: 'confirm_appointment',
+            description: 'Confirm the held appointment after the caller says yes to the time you read back.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    notes: { type: 'string', description: 'Short description of the problem' }
+                }
+            }
+        }
+    },
+    capture_contact: {
+        type: 'function',
+        function: {
+            name: 'capture_contact',
+            description: 'Save contact details the caller has clearly stated.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    phone: { type: 'string', description: 'Callback number' },
+                    address: { type: 'string', description: 'Service address' },
+                    email: { type: 'string' }
+                }
+            }
+        }
+    },
+    collect_digits: {
+        type: 'function',
+        function: {
+            name: 'collect_digits',
+            description: 'Let the caller type a callback number or ZIP code on their keypad, e.g. when speech keeps getting it wrong or they are somewhere noisy. Ask them to enter it and press pound.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    kind: { type: 'string', enum: ['phone', 'zip'], description: 'What the caller should type' }
+                },
+                required: ['kind']
+            }
+        }
+    },
+    transfer_to_human: {
+        type: 'function',
+        function: {
+            name: 'transfer_to_human',
+            description: 'Transfer the call to a person on our team when the caller asks for one or you cannot help.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    reason: { type: 'string', description: 'Why the call is being transferred' }
+                }
+            }
+        }
+    },
+    end_call: {
+        type: 'function',
+        function: {
+            name: 'end_call',
+            description: 'End the call after the caller says they are done. The business closing line is played after your reply, so just thank them briefly.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    reason: { type: 'string', description: 'Why the call is ending' }
+                }
+            }
+        }
+    }
+};
+
+// Number of availability options offered to the caller
+const MAX_OFFERED_SLOTS = 3;
+
+class AgentToolService {
+    /**
+     * @param {Object} businessService - BusinessService (schedule lookups)
+     * @param {Object} appointmentService - AppointmentService (slots, holds and bookings)
+     */
+    constructor(businessService, appointmentService = null) {
+        this.businessService = businessService;
+        this.appointmentService = appointmentService ||
+            new AppointmentService(businessService.firebaseService, businessService.scheduleService);
+    }
+
+    /**
+     * Get the tools this tenant's agent may use
+     * @param {Object} businessContext - Business context data
+     * @param {Object} capabilities - { transfer, keypad } what the calling pipeline can do
+     * @returns {Array} OpenAI tool definitions
+     */
+    getToolDefinitions(businessContext, capabilities = {}) {
+        const tools = { scheduling: true, contactCapture: true, endCall: true, ...(businessContext?.aiConfig?.tools || {}) };
+        const forwarding = businessContext?.aiConfig?.humanForwarding;
+        const canTransfer = capabilities.transfer !== false && forwarding && forwarding.enabled && forwarding.phoneNumber;
+
+        const enabled = [];
+        if (tools.scheduling) enabled.push('check_availability', 'book_appointment', 'confirm_appointment');
+        if (tools.contactCapture) enabled.push('capture_contact');
+        if (tools.contactCapture && capabilities.keypad !== false) enabled.push('collect_digits');
+        if (canTransfer) enabled.push('transfer_to_human');
+        if (tools.endCall) enabled.push('end_call');
+
+        return enabled.map(name => TOOL_DEFINITIONS[name]);
+    }
+
+    /**
+     * Create the executor passed to ConversationService.getAIResponse for one turn
+     * @param {Object} session - Conversation session (leadInfo is updated in place)
+     * @param {Object} businessContext - Business context data
+     * @returns {Function} async (name, args) => result
+     */
+    createExecutor(session, businessContext) {
+        return (name, args) => this.executeTool(name, args, { session, businessContext });
+    }
+
+    /**
+     * Run one tool call
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed tool arguments
+     * @param {Object} toolContext - { session, businessContext }
+     * @returns {Object} JSON-serializable result for the model
+     */
+    async executeTool(name, args = {}, toolContext) {
+        const { session, businessContext } = toolContext;
+        console.log(`🛠️ Tool call: ${name}`, JSON.stringify(args));
+
+        switch (name) {
+            case 'check_availability':
+                return this.checkAvailability(args, businessContext);
+
+            case 'book_appointment':
+                return this.bookAppointment(args, session, businessContext);
+
+            case 'confirm_appointment':
+                return this.confirmAppointment(args, session, businessContext);
+
+            case 'capture_contact': {
+                const saved = [];
+                const rejected = [];
+                ['name', 'phone', 'address', 'email'].forEach(field => {
+                    if (!args[field] || !String(args[field]).trim()) return;
+
+                    // Stored as E.164 like the extracted and keypad numbers
+                    const value = field === 'phone' ?
+                        LeadExtractionService.normalizePhone(String(args[field])) :
+                        String(args[field]).trim();
+                    if (!value) {
+                        rejected.push(field);
+                        return;
+                    }
+
+                    session.leadInfo.contactInfo[field] = value;
+                    saved.push(field);
+                });
+                return rejected.length ?
+                    { saved, rejected, instruction: 'That is not a full phone number. Ask the caller for it again, with the area code.' } :
+                    { saved };
+            }
+
+            case 'collect_digits': {
+                const kind = args.kind === 'zip' ? 'zip' : 'phone';
+                session.pendingAction = { type: 'collect_digits', kind };
+                return { status: 'listening_for_keypad', kind, instruction: `Ask the caller to type their ${kind === 'zip' ? 'ZIP code' : '10-digit callback number'} on the keypad and press pound.` };
+            }
+
+            case 'transfer_to_human':
+                session.pendingAction = { type: 'transfer', reason: 'caller_request', detail: args.reason || null };
+                return { status: 'transferring', instruction: 'Tell the caller you are connecting them now.' };
+
+            case 'end_call':
+                session.pendingAction = { type: 'end_call', reason: args.reason || 'caller_done' };
+                return { status: 'ending', instruction: 'Briefly thank the caller. Do not say goodbye; the closing line follows your reply.' };
+
+            default:
+                return { error: `Unknown tool: ${name}` };
+        }
+    }
+
+    async checkAvailability(args, businessContext) {
+        const scheduleService = this.businessService.scheduleService;
+        const schedule = scheduleService.normalizeSchedule(businessContext?.schedule);
+        if (!schedule) {
+            return { slots: [], note: 'No business hours configured. Offer to have the office call back to schedule.' };
+        }
+
+        let from = /^\d{4}-\d{2}-\d{2}$/.test(args.preferredDate || '') ?
+            scheduleService.localToInstant(args.preferredDate, 0, schedule.timezone) : new Date();
+        if (isNaN(from.getTime()) || from < new Date()) from = new Date();
+
+        // Without a booking calendar we can only offer opening times as a request
+        if (!this.appointmentService.isAvailable(businessContext?.businessId)) {
+            const slots = scheduleService
+                .listOpenings(schedule, from, MAX_OFFERED_SLOTS)
+                .map(opening => ({
+                    startTime: opening.at.toISOString(),
+                    spoken: scheduleService.describeNextOpening(opening)
+                }));
+            return { slots };
+        }
+
+        const slots = await this.appointmentService.findOpenSlots(businessContext, {
+            serviceType: args.serviceType || 'general',
+            from,
+            count: MAX_OFFERED_SLOTS
+        });
+
+        if (slots.length === 0) {
+            return { slots: [], note: 'Nothing open in the next two weeks. Offer to have the office call back to schedule.' };
+        }
+
+        return {
+            slots: slots.map(slot => ({
+                startTime: slot.startTime,
+                spoken: scheduleService.describeInstant(new Date(slot.startTime), schedule.timezone)
+            }))
+        };
+    }
+
+    async bookAppointment(args, session, businessContext) {
+        if (!args.startTime || isNaN(new Date(args.startTime).getTime())) {
+            return { booked: false, error: 'startTime must be one of the times returned by check_availability' };
+        }
+
+        const serviceType = args.serviceType || session.leadInfo.serviceType || null;
+
+        if (!this.appointmentService.isAvailable(businessContext?.businessId)) {
+            session.leadInfo.appointmentRequest = {
+                startTime: new Date(args.startTime).toISOString(),
+                serviceType,
+                notes: args.notes || null,
+                businessId: businessContext?.businessId || null,
+                status: 'requested',
+                requestedAt: new Date().toISOString()
+            };
+            return { booked: true, status: 'requested', startTime: session.leadInfo.appointmentRequest.startTime };
+        }
+
+        const previous = session.leadInfo.appointment;
+        const previousHold = previous && previous.status === 'held' ? previous : null;
+        if (previousHold && new Date(previousHold.startTime).getTime() === new Date(args.startTime).getTime()) {
+            return { held: true, startTime: previousHold.startTime, instruction: 'Read the time back and ask the caller to confirm.' };
+        }
+
+        const result = await this.appointmentService.holdSlot(businessContext, {
+            startTime: args.startTime,
+            serviceType: serviceType || 'general',
+            callSid: session.callSid,
+            phoneNumber: session.phoneNumber,
+            customerName: session.leadInfo.contactInfo.name,
+            notes: args.notes
+        });
+
+        // A failed hold keeps the caller's previous time
+        if (!result.success) {
+            return {
+                booked: false,
+                error: result.error,
+                instruction: result.conflict ? 'Call check_availability again and offer new times.' : undefined,
+                ...(previousHold ? { stillHeld: previousHold.startTime } : {})
+            };
+        }
+
+        // Picking a new time releases the previous hold, once the new one is secured
+        // (a hold we fail to cancel simply expires)
+        if (previousHold) {
+            await this.appointmentService.cancelBooking(businessContext.businessId, previousHold.bookingId, 'caller_changed_time')
+                .catch(error => console.warn(`⚠️ Could not release hold ${previousHold.bookingId}:`, error.message));
+        }
+
+        session.leadInfo.appointment = {
+            bookingId: result.booking.id,
+            startTime: result.booking.startTime,
+            serviceType: result.booking.serviceType,
+            status: 'held',
+            holdExpiresAt: result.booking.holdExpiresAt
+        };
+        return { held: true, startTime: result.booking.startTime, instruction: 'Read the time back and ask the caller to confirm.' };
+    }
+
+    async confirmAppointment(args, session, businessContext) {
+        const appointment = session.leadInfo.appointment;
+        if (!appointment || !appointment.bookingId) {
+            return { confirmed: false, error: 'No appointment is on hold. Use book_appointment first.' };
+        }
+
+        const contact = session.leadInfo.contactInfo || {};
+        const result = await this.appointmentService.confirmBooking(businessContext, appointment.bookingId, {
+            customerName: contact.name,
+            callbackNumber: contact.phone || null,
+            address: contact.address,
+            notes: args.notes
+        });
+
+        if (!result.success) {
+            session.leadInfo.appointment = { ...appointment, status: 'lost' };
+            return { confirmed: false, error: result.error, instruction: 'Apologize and offer new times with check_availability.' };
+        }
+
+        session.leadInfo.appointment = { ...appointment, status: 'confirmed', holdExpiresAt: null, confirmedAt: result.booking.confirmedAt || new Date().toISOString() };
+        return { confirmed: true, startTime: result.booking.startTime };
+    }
+}
+
+AgentToolService.TOOL_DEFINITIONS = TOOL_DEFINITIONS;
+
+module.exports = AgentToolService;
@@ -0,0 +1,480 @@
+/**
+ * Appointment Service
+ * Scheduling engine for booking jobs during a call: open slots from business hours,
+ * technician availability and existing bookings (honoring aiConfig.bufferTime and the
+ * job duration per service type), short holds while the caller decides, confirmation,
+ * and list/cancel/reschedule with double-booking detection.
+ *
+ * Firestore layout (per business):
+ *   businesses/{businessId}/technicians/{id}  { name, active, serviceTypes: [], weekly?, daysOff: ['YYYY-MM-DD'] }
+ *   businesses/{businessId}/bookings/{id}     { technicianId, serviceType, startTime, endTime, date,
+ *                                               status: held | confirmed | cancelled, holdExpiresAt, ... }
+ * A business with no technicians is treated as a single crew. The conflict check queries
+ * bookings by technicianId and a date range, which needs the composite index in
+ * firestore.indexes.json (firebase deploy --only firestore:indexes).
+ */
+
+const FirebaseService = require('./firebaseService');
+const ScheduleService = require('./scheduleService');
+
+// Minutes a job takes when the tenant has not set aiConfig.serviceDurations
+const DEFAULT_SERVICE_DURATIONS = {
+    maintenance: 60,
+    repair: 120,
+    heating: 120,
+    cooling: 120,
+    installation: 240,
+    general: 60
+};
+
+// Offered start times fall on this grid (minutes)
+const SLOT_INTERVAL_MINUTES = 30;
+
+// How long a held slot stays reserved before it is released
+const HOLD_MINUTES = 10;
+
+// How far ahead to search for open slots
+const MAX_SEARCH_DAYS = 14;
+
+const ACTIVE_STATUSES = ['held', 'confirmed'];
+
+// Stand-in technician for businesses that have not set up a team
+const DEFAULT_TECHNICIAN = { id: 'team', name: null, active: true, serviceTypes: [], daysOff: [] };
+
+class AppointmentService {
+    /**
+     * @param {Object} firebaseService - FirebaseService (Firestore access)
+     * @param {Object} scheduleService - ScheduleService (business hours)
+     */
+    constructor(firebaseService = null, scheduleService = null) {
+        this.firebaseService = firebaseService || new FirebaseService();
+        this.scheduleService = scheduleService || new ScheduleService();
+    }
+
+    isAvailable(businessId) {
+        return this.firebaseService.initialized && !!businessId && businessId !== 'default';
+    }
+
+    collection(businessId, name) {
+        return this.firebaseService.firestore.collection('businesses').doc(businessId).collection(name);
+    }
+
+    /**
+     * Job length in minutes for a service type
+     * @param {Object} businessContext - Business context data
+     * @param {string} serviceType - Service type (repair, maintenance, ...)
+     * @returns {number} Duration in minutes
+     */
+    getServiceDuration(businessContext, serviceType) {
+        const durations = { ...DEFAULT_SERVICE_DURATIONS, ...(businessContext?.aiConfig?.serviceDurations || {}) };
+        const duration = parseInt(durations[serviceType] || durations.general, 10);
+        return duration > 0 ? duration : DEFAULT_SERVICE_DURATIONS.general;
+    }
+
+    getBufferMinutes(businessContext) {
+        const bufferTime = parseInt(businessContext?.aiConfig?.bufferTime, 10);
+        return bufferTime > 0 ? bufferTime : 0;
+    }
+
+    async getTechnicians(businessId) {
+        if (!this.isAvailable(businessId)) return [DEFAULT_TECHNICIAN];
+
+        try {
+            const snapshot = await this.collection(businessId, 'technicians').get();
+            const technicians = snapshot.docs
+                .map(doc => ({ id: doc.id, serviceTypes: [], daysOff: [], ...doc.data() }))
+                .filter(technician => technician.active !== false);
+            return technicians.length > 0 ? technicians : [DEFAULT_TECHNICIAN];
+        } catch (error) {
+            console.error('❌ Error loading technicians:', error.message);
+            return [DEFAULT_TECHNICIAN];
+        }
+    }
+
+    /**
+     * Bookings that occupy time between two local dates (inclusive)
+     * @param {string} businessId - Business document ID
+     * @param {string} fromDate - First local date (YYYY-MM-DD)
+     * @param {string} toDate - Last local date (YYYY-MM-DD)
+     * @param {Date} now - Current time (expired holds are ignored)
+     * @returns {Array} Active bookings
+     */
+    async getActiveBookings(businessId, fromDate, toDate, now = new Date()) {
+        if (!this.isAvailable(businessId)) return [];
+
+        const snapshot = await this.collection(businessId, 'bookings')
+            .where('date', '>=', fromDate)
+            .where('date', '<=', toDate)
+            .get();
+
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(booking => this.isActive(booking, now));
+    }
+
+    isActive(booking, now = new Date()) {
+        if (!ACTIVE_STATUSES.includes(booking.status)) return false;
+        return booking.status !== 'held' || new Date(booking.holdExpiresAt) > now;
+    }
+
+    /**
+     * Find open appointment slots
+     * @param {Object} businessContext - Business context data
+     * @param {Object} options - { serviceType, from, count, now }
+     * @returns {Array} Slots { startTime, endTime, technicianId, date }
+     */
+    async findOpenSlots(businessContext, options = {}) {
+        const { serviceType = 'general', count = 3, now = new Date() } = options;
+        const schedule = this.scheduleService.normalizeSchedule(businessContext?.schedule);
+        if (!schedule) return [];
+
+        const from = options.from && options.from > now ? options.from : now;
+        const startDate = this.scheduleService.getLocalParts(from, schedule.timezone).date;
+        const endDate = this.scheduleService.addDays(startDate, MAX_SEARCH_DAYS);
+
+        const [technicians, bookings] = await Promise.all([
+            this.getTechnicians(businessContext.businessId),
+            this.getActiveBookings(businessContext.businessId, startDate, endDate, now)
+        ]);
+
+        const duration = this.getServiceDuration(businessContext, serviceType);
+        const buffer = this.getBufferMinutes(businessContext);
+        const qualified = technicians.filter(technician => this.canPerform(technician, serviceType));
+        const slots = [];
+
+        for (let offset = 0; offset <= MAX_SEARCH_DAYS && slots.length < count; offset++) {
+            const date = this.scheduleService.addDays(startDate, offset);
+            const dayOfWeek = new Date(`${date}T12:00:00Z`).getUTCDay();
+            const plan = this.scheduleService.getDayPlan(schedule, date, dayOfWeek);
+
+            for (const range of plan.ranges) {
+                for (let minutes = this.alignToGrid(range.openMinutes); minutes + duration <= range.closeMinutes; minutes += SLOT_INTERVAL_MINUTES) {
+                    if (slots.length >= count) break;
+
+                    const start = this.scheduleService.localToInstant(date, minutes, schedule.timezone);
+                    if (start < from) continue;
+                    const end = new Date(start.getTime() + duration * 60 * 1000);
+
+                    const technician = this.pickTechnician(qualified, bookings, {
+                        schedule, date, dayOfWeek, startMinutes: minutes, endMinutes: minutes + duration, startTime: start, endTime: end
+                    }, buffer);
+
+                    if (technician) {
+                        slots.push({ startTime: start.toISOString(), endTime: end.toISOString(), technicianId: technician.id, date });
+                    }
+                }
+            }
+        }
+
+        return slots;
+    }
+
+    alignToGrid(minutes) {
+        return Math.ceil(minutes / SLOT_INTERVAL_MINUTES) * SLOT_INTERVAL_MINUTES;
+    }
+
+    canPerform(technician, serviceType) {
+        const serviceTypes = technician.serviceTypes || [];
+        return serviceTypes.length === 0 || serviceTypes.includes(serviceType) || serviceTypes.includes('general');
+    }
+
+    isTechnicianWorking(technician, schedule, date, dayOfWeek, startMinutes, endMinutes) {
+        if ((technician.daysOff || []).includes(date)) return false;
+        if (!technician.weekly) return true;
+
+        // Technician's own hours apply on top of the business hours
+        const dayName = ScheduleService.DAY_NAMES[dayOfWeek];
+        return this.scheduleService.normalizeRanges(technician.weekly[dayName])
+            .some(range => startMinutes >= range.openMinutes && endMinutes <= range.closeMinutes);
+    }
+
+    /**
+     * First technician who works the whole job and has no overlapping booking
+     * @param {Array} technicians - Technicians qualified for the job, preferred one first
+     * @param {Array} bookings - Active bookings
+     * @param {Object} job - { id?, schedule, date, dayOfWeek, startMinutes, endMinutes, startTime, endTime }
+     * @param {number} bufferMinutes - Gap required between jobs
+     * @returns {Object|null} Technician
+     */
+    pickTechnician(technicians, bookings, job, bufferMinutes = 0) {
+        return technicians.find(tech =>
+            this.isTechnicianWorking(tech, job.schedule, job.date, job.dayOfWeek, job.startMinutes, job.endMinutes) &&
+            this.findConflicts(bookings, { id: job.id, technicianId: tech.id, startTime: job.startTime, endTime: job.endTime }, bufferMinutes).length === 0) || null;
+    }
+
+    /**
+     * Bookings that would overlap a candidate for the same technician, including the buffer between jobs
+     * @param {Array} bookings - Active bookings
+     * @param {Object} candidate - { id?, technicianId, startTime, endTime }
+     * @param {number} bufferMinutes - Gap required between jobs
+     * @returns {Array} Conflicting bookings
+     */
+    findConflicts(bookings, candidate, bufferMinutes = 0) {
+        const bufferMs = bufferMinutes * 60 * 1000;
+        const start = new Date(candidate.startTime).getTime();
+        const end = new Date(candidate.endTime).getTime();
+
+        return bookings.filter(booking =>
+            booking.id !== candidate.id &&
+            booking.technicianId === candidate.technicianId &&
+            new Date(booking.startTime).getTime() < end + bufferMs &&
+            new Date(booking.endTime).getTime() > start - bufferMs);
+    }
+
+    /**
+     * Hold a slot for the caller while they confirm
+     * @param {Object} businessContext - Business context data
+     * @param {Object} request - { startTime, serviceType, technicianId?, callSid, phoneNumber, customerName, notes }
+     * @param {Date} now - Current time
+     * @returns {Object} { success, booking } or { success: false, error, conflict }
+     */
+    async holdSlot(businessContext, request, now = new Date()) {
+        const businessId = businessContext?.businessId;
+        if (!this.isAvailable(businessId)) {
+            return { success: false, error: 'Online scheduling is not available for this business' };
+        }
+
+        const serviceType = request.serviceType || 'general';
+        const start = new Date(request.startTime);
+        if (isNaN(start.getTime()) || start <= now) {
+            return { success: false, error: 'Invalid start time' };
+        }
+
+        // Re-check the slot so a stale offer cannot double-book
+        const openSlots = await this.findOpenSlots(businessContext, {
+            serviceType,
+            from: start,
+            count: 1,
+            now
+        });
+        const slot = openSlots.find(s => new Date(s.startTime).getTime() === start.getTime() &&
+            (!request.technicianId || s.technicianId === request.technicianId));
+        if (!slot) {
+            return { success: false, error: 'That time is no longer available', conflict: true };
+        }
+
+        const booking = {
+            technicianId: slot.technicianId,
+            serviceType,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            date: slot.date,
+            status: 'held',
+            holdExpiresAt: new Date(now.getTime() + HOLD_MINUTES * 60 * 1000).toISOString(),
+            callSid: request.callSid || null,
+            phoneNumber: request.phoneNumber || null,
+            customerName: request.customerName || null,
+            notes: request.notes || null,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+
+        return this.writeWithoutConflict(businessContext, null, booking, now);
+    }
+
+    /**
+     * Confirm a held booking
+     * @param {Object} businessContext - Business context data
+     * @param {string} bookingId - Booking document ID
+     * @param {Object} details - Extra fields to store (customerName, callbackNumber, address, notes); phoneNumber
+     *                           stays the caller ID the slot was held with, so listCustomerBookings finds it
+     * @param {Date} now - Current time
+     * @returns {Object} { success, booking } or { success: false, error }
+     */
+    async confirmBooking(businessContext, bookingId, details = {}, now = new Date()) {
+        const booking = await this.getBooking(businessContext?.businessId, bookingId);
+        if (!booking) return { success: false, error: 'Booking not found' };
+        if (booking.status === 'confirmed') return { success: true, booking };
+        if (booking.status !== 'held') return { success: false, error: `Booking is ${booking.status}` };
+
+        const updated = { ...booking, ...this.pickDetails(details), status: 'confirmed', holdExpiresAt: null, confirmedAt: now.toISOString(), updatedAt: now.toISOString() };
+        delete updated.id;
+
+        // An expired hold is still confirmable if nobody took the slot in the meantime
+        return this.writeWithoutConflict(businessContext, bookingId, updated, now);
+    }
+
+    async cancelBooking(businessId, bookingId, reason = null, now = new Date()) {
+        const booking = await this.getBooking(businessId, bookingId);
+        if (!booking) return { success: false, error: 'Booking not found' };
+        if (booking.status === 'cancelled') return { success: true, booking };
+
+        const updates = { status: 'cancelled', cancelReason: reason, cancelledAt: now.toISOString(), updatedAt: now.toISOString() };
+        await this.collection(businessId, 'bookings').doc(bookingId).update(updates);
+        console.log(`🗓️ Cancelled booking ${bookingId}`);
+        return { success: true, booking: { ...booking, ...updates } };
+    }
+
+    /**
+     * Move a booking to a new start time, keeping its technician when they work then and are
+     * free, otherwise handing it to another qualified technician
+     * @param {Object} businessContext - Business context data
+     * @param {string} bookingId - Booking document ID
+     * @param {string} startTime - New start time (ISO)
+     * @param {Date} now - Current time
+     * @returns {Object} { success, booking } or { success: false, error, conflict }
+     */
+    async rescheduleBooking(businessContext, bookingId, startTime, now = new Date()) {
+        const booking = await this.getBooking(businessContext?.businessId, bookingId);
+        if (!booking) return { success: false, error: 'Booking not found' };
+        if (!ACTIVE_STATUSES.includes(booking.status)) return { success: false, error: `Booking is ${booking.status}` };
+
+        const schedule = this.scheduleService.normalizeSchedule(businessContext.schedule);
+        const start = new Date(startTime);
+        if (!schedule || isNaN(start.getTime()) || start <= now) {
+            return { success: false, error: 'Invalid start time' };
+        }
+
+        const duration = this.getServiceDuration(businessContext, booking.serviceType);
+        const end = new Date(start.getTime() + duration * 60 * 1000);
+        const local = this.scheduleService.getLocalParts(start, schedule.timezone);
+        const plan = this.scheduleService.getDayPlan(schedule, local.date, local.dayOfWeek);
+        const withinHours = plan.ranges.some(range =>
+            local.minutes >= range.openMinutes && local.minutes + duration <= range.closeMinutes);
+        if (!withinHours) {
+            return { success: false, error: 'New time is outside business hours' };
+        }
+
+        // Buffers can reach into the neighbouring days
+        const [technicians, bookings] = await Promise.all([
+            this.getTechnicians(businessContext.businessId),
+            this.getActiveBookings(businessContext.businessId, this.scheduleService.addDays(local.date, -1), this.scheduleService.addDays(local.date, 1), now)
+        ]);
+        const qualified = technicians.filter(technician => this.canPerform(technician, booking.serviceType || 'general'));
+        const current = qualified.find(technician => technician.id === booking.technicianId);
+        const technician = this.pickTechnician(current ? [current, ...qualified.filter(t => t !== current)] : qualified, bookings, {
+            id: bookingId,
+            schedule,
+            date: local.date,
+            dayOfWeek: local.dayOfWeek,
+            startMinutes: local.minutes,
+            endMinutes: local.minutes + duration,
+            startTime: start,
+            endTime: end
+        }, this.getBufferMinutes(businessContext));
+        if (!technician) {
+            return { success: false, error: 'That time is no longer available', conflict: true };
+        }
+        if (technician.id !== booking.technicianId) {
+            console.log(`🗓️ Booking ${bookingId} moves from ${booking.technicianId} to ${technician.id}`);
+        }
+
+        const updated = {
+            ...booking,
+            technicianId: technician.id,
+            startTime: start.toISOString(),
+            endTime: end.toISOString(),
+            date: local.date,
+            rescheduledFrom: booking.startTime,
+            updatedAt: now.toISOString()
+        };
+        delete updated.id;
+
+        return this.writeWithoutConflict(businessContext, bookingId, updated, now);
+    }
+
+    /**
+     * List bookings for the dashboard
+     * @param {string} businessId - Business document ID
+     * @param {Object} filters - { from, to (YYYY-MM-DD), status }
+     * @returns {Array} Bookings ordered by start time
+     */
+    async listBookings(businessId, filters = {}) {
+        if (!this.isAvailable(businessId)) return [];
+
+        let query = this.collection(businessId, 'bookings');
+        if (filters.from) query = query.where('date', '>=', filters.from);
+        if (filters.to) query = query.where('date', '<=', filters.to);
+
+        const snapshot = await query.get();
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(booking => !filters.status || booking.status === filters.status)
+            .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    }
+
+    /**
+     * A caller's bookings, plus any booked under another callback number on their calls
+     * @param {string} businessId - Business document ID
+     * @param {string} phoneNumber - Caller phone number
+     * @param {Array} bookingIds - Booking IDs already known from the caller's calls
+     * @returns {Array} Bookings, newest start time first
+     */
+    async listCustomerBookings(businessId, phoneNumber, bookingIds = []) {
+        if (!this.isAvailable(businessId) || !phoneNumber) return [];
+
+        const snapshot = await this.collection(businessId, 'bookings').where('phoneNumber', '==', phoneNumber).get();
+        const bookings = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        const missing = [...new Set(bookingIds)].filter(id => id && !bookings.some(booking => booking.id === id));
+        const extra = await Promise.all(missing.map(id => this.getBooking(businessId, id)));
+
+        return [...bookings, ...extra.filter(Boolean)]
+            .sort((a, b) => b.startTime.localeCompare(a.startTime));
+    }
+
+    async getBooking(businessId, bookingId) {
+        if (!this.isAvailable(businessId) || !bookingId) return null;
+
+        const doc = await this.collection(businessId, 'bookings').doc(bookingId).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    }
+
+    /**
+     * Write a booking inside a transaction after checking the technician's day for overlaps
+     * @param {Object} businessContext - Business context data
+     * @param {string|null} bookingId - Existing booking ID, or null to create one
+     * @param {Object} booking - Booking fields to store
+     * @param {Date} now - Current time
+     * @returns {Object} { success, booking } or { success: false, error, conflict }
+     */
+    async writeWithoutConflict(businessContext, bookingId, booking, now) {
+        const businessId = businessContext.businessId;
+        const bookings = this.collection(businessId, 'bookings');
+        const ref = bookingId ? bookings.doc(bookingId) : bookings.doc();
+        const buffer = this.getBufferMinutes(businessContext);
+        const schedule = this.scheduleService.normalizeSchedule(businessContext.schedule);
+        const timezone = schedule ? schedule.timezone : ScheduleService.DEFAULT_TIMEZONE;
+
+        try {
+            return await this.firebaseService.firestore.runTransaction(async transaction => {
+                // Buffers can reach into the neighbouring days
+                const fromDate = this.scheduleService.getLocalParts(new Date(new Date(booking.startTime).getTime() - buffer * 60 * 1000), timezone).date;
+                const toDate = this.scheduleService.getLocalParts(new Date(new Date(booking.endTime).getTime() + buffer * 60 * 1000), timezone).date;
+                const snapshot = await transaction.get(bookings
+                    .where('technicianId', '==', booking.technicianId)
+                    .where('date', '>=', fromDate)
+                    .where('date', '<=', toDate));
+
+                const existing = snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .filter(b => this.isActive(b, now));
+                const conflicts = this.findConflicts(existing, { ...booking, id: ref.id }, buffer);
+                if (conflicts.length > 0) {
+                    console.warn(`⚠️ Booking conflict for ${booking.technicianId} at ${booking.startTime}`);
+                    return { success: false, error: 'That time is no longer available', conflict: true };
+                }
+
+                transaction.set(ref, booking);
+                console.log(`🗓️ Booking ${ref.id} ${booking.status} for ${booking.startTime}`);
+                return { success: true, booking: { id: ref.id, ...booking } };
+            });
+        } catch (error) {
+            console.error('❌ Error saving booking:', error.message);
+            return { success: false, error: 'Could not save booking' };
+        }
+    }
+
+    pickDetails(details) {
+        const picked = {};
+        ['customerName', 'callbackNumber', 'address', 'notes'].forEach(field => {
+            if (details[field]) picked[field] = details[field];
+        });
+        return picked;
+    }
+}
+
+AppointmentService.DEFAULT_SERVICE_DURATIONS = DEFAULT_SERVICE_DURATIONS;
+AppointmentService.HOLD_MINUTES = HOLD_MINUTES;
+
+module.exports = AppointmentService;
@@ -1,9 +1,18 @@
 const sdk = require('microsoft-cognitiveservices-speech-sdk');
+const TtsAudioCache = require('./ttsAudioCache');
+const { getRepositories } = require('./repositories');
+const SsmlBuilder = require('./ssmlBuilder');
+const { SUPPORTED_LANGUAGES, getTwilioVoice } = require('./languages');
+
+// Part of the audio cache key: changing the synthesis format must not reuse old audio
+const CALL_AUDIO_FORMAT = 'Audio16Khz32KBitRateMonoMp3';
 
 class AzureSpeechService {
     constructor() {
         this.speechConfig = null;
-        this.blobService = null;
+        this.telephonySpeechConfig = null;
+        this.audioCache = TtsAudioCache.getShared();
+        this.ssmlBuilder = new SsmlBuilder();
         this.initializeService();
     }
 
@@ -26,7 +35,16 @@ class AzureSpeechService {
             this.speechConfig.speechSynthesisVoiceName = 'en-US-AvaMultilingualNeural';
             
             // Configure FASTEST audio output - lower quality for speed
-            this.speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Audio16Khz32KBitRateMonoMp3;
+            this.speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat[CALL_AUDIO_FORMAT];
+
+            // Media Streams: Twilio sends and expects raw 8kHz mulaw, so synthesize straight to it
+            this.telephonySpeechConfig = sdk.SpeechConfig.fromSubscription(
+                process.env.SPEECH_KEY,
+                process.env.SPEECH_REGION
+            );
+            this.telephonySpeechConfig.speechSynthesisVoiceName = 'en-US-AvaMultilingualNeural';
+            this.telephonySpeechConfig.speechRecognitionLanguage = 'en-US';
+            this.telephonySpeechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Raw8Khz8BitMonoMULaw;
 
             // Debug environment variables
             console.log('🔍 Environment Variables Debug:');
@@ -34,22 +52,9 @@ class AzureSpeechService {
             console.log('SPEECH_REGION:', process.env.SPEECH_REGION || 'Missing');
             console.log('AZURE_STORAGE_CONNECTION_STRING:', process.env.AZURE_STORAGE_CONNECTION_STRING ? 'Present' : 'Missing');
             
-            // Initialize blob storage for audio caching (required for Alloy Turbo)
-            if (process.env.AZURE_STORAGE_CONNECTION_STRING) {
-                try {
-                    const { BlobServiceClient } = require('@azure/storage-blob');
-                    this.blobService = BlobServiceClient.fromConnectionString(
-                        process.env.AZURE_STORAGE_CONNECTION_STRING
-                    );
-                    console.log('✅ Azure Blob Storage initialized successfully');
-                    console.log('Connection string length:', process.env.AZURE_STORAGE_CONNECTION_STRING.length);
-                } catch (error) {
-                    console.error('❌ Azure Blob Storage initialization failed:', error.message);
-                    console.error('Full error:', error);
-                }
-            } else {
-                console.error('❌ AZURE_STORAGE_CONNECTION_STRING is undefined or empty');
-                console.log('All env vars:', Object.keys(process.env).filter(k => k.includes('STORAGE')));
+            // Synthesized audio is cached in blob storage (or local storage, see repositories.js)
+            if (!getRepositories().audio) {
+                console.error('❌ Audio storage not configured - set AZURE_STORAGE_CONNECTION_STRING or STORAGE_BACKEND=memory|file');
             }
 
             console.log('✅ Azure Speech Service initialized with Ava Multilingual voice');
@@ -119,160 +124,162 @@ class AzureSpeechService {
         }
     }
 
-    createSSML(text, options = {}) {
-        const {
-            rate = 'medium',
-            pitch = 'medium',
-            emphasis = false,
-            emotion = 'neutral',
-            isEmergency = false
-        } = options;
-
-        // Adjust voice characteristics based on content urgency
-        let adjustedRate = rate;
-        let adjustedPitch = pitch;
-        let expressionStyle = 'chat'; // Default to conversational
-        
-        if (isEmergency) {
-            adjustedRate = 'fast';
-            adjustedPitch = 'medium';
-            expressionStyle = 'customerservice'; // More authoritative for emergencies
+    /**
+     * Synthesize 8kHz mulaw audio for Twilio Media Streams, emitting chunks as they arrive
+     * @param {string} text - Text to speak
+     * @param {Object} options - Same SSML options as synthesizeSpeech
+     * @param {Function} onAudioChunk - Called with a Buffer for every synthesized chunk
+     * @returns {Object} { success, error }
+     */
+    async synthesizeToStream(text, options = {}, onAudioChunk = () => {}) {
+        if (!this.telephonySpeechConfig) {
+            console.warn('⚠️ Azure Speech Services not available for streaming synthesis');
+            return { success: false, error: 'Speech service not initialized' };
         }
 
-        // Clean text for SSML and add natural pauses
-        const cleanText = this.cleanTextForSSML(text);
-
-        // Create ULTRA-FAST SSML for Ava Multilingual - speed over style
-        const ssml = `
-            <speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" 
-                   xmlns:mstts="https://www.w3.org/2001/mstts" xml:lang="en-US">
-                <voice name="en-US-AvaMultilingualNeural">
-                    <prosody rate="1.3" pitch="default">
-                        ${cleanText}
-                    </prosody>
-                </voice>
-            </speak>
-        `.trim();
-
-        return ssml;
-    }
+        const ssml = this.createSSML(text, options);
+        const synthesizer = new sdk.SpeechSynthesizer(this.telephonySpeechConfig, null);
 
-    cleanTextForSSML(text) {
-        return text
-            // Fix contractions FIRST before escaping
-            .replace(/you're/gi, 'you are')
-            .replace(/we're/gi, 'we are') 
-            .replace(/they're/gi, 'they are')
-            .replace(/I'm/gi, 'I am')
-            .replace(/can't/gi, 'cannot')
-            .replace(/won't/gi, 'will not')
-            .replace(/don't/gi, 'do not')
-            .replace(/didn't/gi, 'did not')
-            .replace(/isn't/gi, 'is not')
-            .replace(/aren't/gi, 'are not')
-            .replace(/wasn't/gi, 'was not')
-            .replace(/weren't/gi, 'were not')
-            .replace(/it's/gi, 'it is')
-            .replace(/that's/gi, 'that is')
-            .replace(/what's/gi, 'what is')
-            .replace(/here's/gi, 'here is')
-            .replace(/there's/gi, 'there is')
-            // Then escape XML special characters  
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            // Fix name stuttering - remove pauses after names
-            .replace(/\bHi\s+([A-Z][a-z]+)!\s*/g, 'Hi $1! ')
-            .replace(/\bHello\s+([A-Z][a-z]+)!\s*/g, 'Hello $1! ')
-            // ULTRA-MINIMAL pauses for maximum speed
-            .replace(/\./g, '.<break time="50ms"/>')
-            .replace(/\?/g, '?<break time="75ms"/>')
-            .replace(/!/g, '!<break time="50ms"/>')
-            .replace(/,/g, ',<break time="25ms"/>')
-            .replace(/;/g, ';<break time="30ms"/>');
+        synthesizer.synthesizing = (sender, event) => {
+            if (event.result.audioData && event.result.audioData.byteLength > 0) {
+                onAudioChunk(Buffer.from(event.result.audioData));
+            }
+        };
+
+        return new Promise(resolve => {
+            synthesizer.speakSsmlAsync(
+                ssml,
+                result => {
+                    synthesizer.close();
+                    if (result.reason === sdk.ResultReason.SynthesizingAudioCompleted) {
+                        resolve({ success: true, duration: result.audioDuration });
+                    } else {
+                        console.error('❌ Streaming synthesis failed:', result.errorDetails);
+                        resolve({ success: false, error: result.errorDetails });
+                    }
+                },
+                error => {
+                    synthesizer.close();
+                    console.error('❌ Streaming synthesis error:', error);
+                    resolve({ success: false, error: error.message || String(error) });
+                }
+            );
+        });
     }
 
-    async cacheAudio(text, audioBase64) {
-        console.log('🔍 cacheAudio called - Debug info:');
-        console.log('this.blobService exists:', !!this.blobService);
-        console.log('AZURE_STORAGE_CONNECTION_STRING in cacheAudio:', !!process.env.AZURE_STORAGE_CONNECTION_STRING);
-        console.log('Env var length in cacheAudio:', process.env.AZURE_STORAGE_CONNECTION_STRING?.length || 0);
-        
-        // If blob service isn't initialized but environment variable exists, try to initialize it now
-        if (!this.blobService && process.env.AZURE_STORAGE_CONNECTION_STRING) {
-            console.log('🔧 Attempting to re-initialize blob service...');
-            try {
-                const { BlobServiceClient } = require('@azure/storage-blob');
-                this.blobService = BlobServiceClient.fromConnectionString(
-                    process.env.AZURE_STORAGE_CONNECTION_STRING
-                );
-                console.log('✅ Blob service successfully re-initialized!');
-            } catch (error) {
-                console.error('❌ Blob service re-initialization failed:', error.message);
-                console.error('Full error:', error);
-                return null;
-            }
-        }
-        
-        if (!this.blobService) {
-            console.error('❌ Blob service not initialized - AZURE_STORAGE_CONNECTION_STRING missing');
-            console.log('🔍 Re-checking environment variable:', process.env.AZURE_STORAGE_CONNECTION_STRING ? 'Present' : 'Missing');
+    /**
+     * Start continuous recognition over pushed 8kHz mulaw audio (Twilio Media Streams)
+     * The caller's language is identified at the start of the stream among SUPPORTED_LANGUAGES.
+     * @param {Object} handlers - { onRecognizing(text), onRecognized(text, locale), onError(message) }
+     * @returns {Object} { pushAudio(buffer), stop() } or null when Speech is not configured
+     */
+    createContinuousRecognizer(handlers = {}) {
+        if (!this.telephonySpeechConfig) {
+            console.warn('⚠️ Azure Speech Services not available for continuous recognition');
             return null;
         }
 
-        try {
-            const containerName = 'ava-multilingual-audio';
-            const textHash = require('crypto').createHash('md5').update(`ava-2025-${text}`).digest('hex');
-            const timestamp = Date.now();
-            const blobName = `ava-${textHash}-${timestamp}.mp3`;
-            
-            const containerClient = this.blobService.getContainerClient(containerName);
-            
-            // Ensure container exists with public read access for blobs
-            await containerClient.createIfNotExists({ access: 'blob' });
-            
-            const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-            const audioBuffer = Buffer.from(audioBase64, 'base64');
-            
-            // Upload with proper headers for audio playback
-                            await blockBlobClient.upload(audioBuffer, audioBuffer.length, {
-                    blobHTTPHeaders: {
-                        blobContentType: 'audio/mpeg',
-                        blobCacheControl: 'public, max-age=604800', // Cache for 7 days
-                        blobContentEncoding: 'identity', // Ensure no compression
-                        blobContentDisposition: 'inline' // Enable streaming playback
-                    },
-                    blockSize: 1 * 1024 * 1024, // 1MB blocks for faster small files
-                    concurrency: 20 // More parallel streams for speed
-                });
+        const { onRecognizing = () => {}, onRecognized = () => {}, onError = () => {} } = handlers;
 
-            console.log(`✅ Ava Multilingual audio cached successfully: ${blobName}`);
-            console.log(`🔗 Public URL: ${blockBlobClient.url}`);
-            return blockBlobClient.url;
-        } catch (error) {
-            console.error('❌ Audio caching error:', error.message);
-            console.error('Full error:', error);
-            return null;
-        }
+        const format = sdk.AudioStreamFormat.getWaveFormat(8000, 8, 1, sdk.AudioFormatTag.MuLaw);
+        const pushStream = sdk.AudioInputStream.createPushStream(format);
+        const audioConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+        const autoDetectConfig = sdk.AutoDetectSourceLanguageConfig.fromLanguages(
+            Object.values(SUPPORTED_LANGUAGES).map(language => language.locale)
+        );
+        const recognizer = sdk.SpeechRecognizer.FromConfig(this.telephonySpeechConfig, autoDetectConfig, audioConfig);
+
+        recognizer.recognizing = (sender, event) => {
+            if (event.result.text) onRecognizing(event.result.text);
+        };
+        recognizer.recognized = (sender, event) => {
+            if (event.result.reason === sdk.ResultReason.RecognizedSpeech && event.result.text) {
+                const detected = sdk.AutoDetectSourceLanguageResult.fromResult(event.result);
+                onRecognized(event.result.text, detected ? detected.language : null);
+            }
+        };
+        recognizer.canceled = (sender, event) => {
+            if (event.reason === sdk.CancellationReason.Error) {
+                console.error('❌ Continuous recognition canceled:', event.errorDetails);
+                onError(event.errorDetails);
+            }
+        };
+
+        recognizer.startContinuousRecognitionAsync(
+            () => console.log('✅ Continuous recognition started'),
+            error => onError(error)
+        );
+
+        let stopped = false;
+        return {
+            pushAudio: buffer => {
+                // The push stream takes an ArrayBuffer, not a Node Buffer view
+                if (!stopped) pushStream.write(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+            },
+            stop: () => new Promise(resolve => {
+                if (stopped) return resolve();
+                stopped = true;
+                pushStream.close();
+                recognizer.stopContinuousRecognitionAsync(
+                    () => { recognizer.close(); resolve(); },
+                    () => { recognizer.close(); resolve(); }
+                );
+            })
+        };
+    }
+
+    /**
+     * Build SSML for the business voice (see SsmlBuilder for style/prosody rules)
+     * @param {string} text - Text to speak
+     * @param {Object} options - { voice, emotion, urgencyLevel, isEmergency, emphasis, rate, pitch }
+     * @returns {string} SSML document
+     */
+    createSSML(text, options = {}) {
+        return this.ssmlBuilder.build(text, options);
+    }
+
+    cleanTextForSSML(text) {
+        return this.ssmlBuilder.prepareText(text);
+    }
+
+    /**
+     * Synthesize text for <Play>, reusing cached audio for identical voice/SSML/text
+     * @param {string} text - Text to speak
+     * @param {Object} options - Same SSML options as synthesizeSpeech
+     * @returns {Object} { url, source: 'memory' | 'blob' | 'synthesized' } (throws on failure)
+     */
+    async synthesizeToUrl(text, options = {}) {
+        const key = TtsAudioCache.createKey({
+            format: CALL_AUDIO_FORMAT,
+            ssml: this.createSSML(text, options)
+        });
+
+        const result = await this.audioCache.getOrCreate(key, async () => {
+            const synthesis = await this.synthesizeSpeech(text, options);
+            if (!synthesis.success) {
+                throw new Error(`Azure Speech synthesis failed: ${synthesis.error || 'unknown error'}`);
+            }
+            return Buffer.from(synthesis.audioData, 'base64');
+        }, { repository: getRepositories().audio });
+
+        console.log(`🗃️ Audio cache ${result.source === 'synthesized' ? 'miss' : `hit (${result.source})`}: ${result.url}`);
+        return result;
     }
 
     // Enhanced Twilio neural voice fallback options
-    getTwilioFallbackVoice(isEmergency = false, customerName = null) {
+    getTwilioFallbackVoice(isEmergency = false, customerName = null, language = 'en') {
         // Use different voices based on context with the best available Twilio neural voices
-        if (isEmergency) {
-            return 'en-US-Neural2-A'; // Clear and authoritative for emergencies
-        } else {
-            return 'en-US-Neural2-H'; // Warm and friendly for normal interactions
-        }
+        // Twilio only accepts Google voices with the "Google." prefix (see languages.js)
+        // Emergencies get the clearer, more authoritative voice; normal calls the warmer one
+        return getTwilioVoice(language, isEmergency);
     }
 
-    // Get voice rate based on context - optimized for natural conversation
+    // Relative rate on top of the business's base rate (see SsmlBuilder.RATE_FACTORS)
     getVoiceRate(isEmergency = false, urgencyLevel = 'normal') {
         if (isEmergency || urgencyLevel === 'emergency') {
-            return 'medium';
+            return 'slow'; // Calm and easy to follow when the caller is stressed
         } else if (urgencyLevel === 'urgent') {
-            return 'medium';
+            return 'fast';
         } else {
             return 'medium'; // Natural conversational speed
         }
@@ -3,11 +3,22 @@
  * Handles business-specific logic, industry templates, and AI prompt generation
  */
 
-const FirebaseService = require('./firebaseService');
+const { getRepositories } = require('./repositories');
+const AfterHoursService = require('./afterHoursService');
+const ScheduleService = require('./scheduleService');
+const { resolveVoiceSettings } = require('./voiceCatalog');
+const { SUPPORTED_LANGUAGES, getEnabledLanguages, getPhrase } = require('./languages');
+const KeypadService = require('./keypadService');
 
 class BusinessService {
-    constructor() {
-        this.firebaseService = new FirebaseService();
+    /**
+     * @param {Object} repositories - Storage repositories (defaults to the STORAGE_BACKEND ones)
+     */
+    constructor(repositories = null) {
+        this.repositories = repositories || getRepositories();
+        this.firebaseService = this.repositories.firebaseService; // Appointments still use Firestore directly
+        this.scheduleService = new ScheduleService();
+        this.keypadService = new KeypadService();
         this.industryTemplates = this.initializeIndustryTemplates();
     }
 
@@ -27,6 +38,16 @@ class BusinessService {
                                      Prioritize emergency calls with no heat or AC.
                                      Understand seasonal needs - heating in winter, cooling in summer.`,
                 greetingTemplate: "Thank you for calling {companyName}! How can we help with your heating and cooling needs today?",
+                translations: {
+                    es: {
+                        systemPromptTemplate: `Eres un agente de servicio al cliente amable de {companyName}.
+                                     Enfócate en servicios de calefacción, aire acondicionado y ventilación.
+                                     Da prioridad a las emergencias sin calefacción o sin aire acondicionado.
+                                     Ten en cuenta la temporada: calefacción en invierno, aire acondicionado en verano.`,
+                        greetingTemplate: "¡Gracias por llamar a {companyName}! ¿Cómo le podemos ayudar hoy con su calefacción o aire acondicionado?",
+                        emergencyKeywords: ["sin calefacción", "sin aire", "no enfría", "no calienta", "fuga", "olor a gas", "emergencia"]
+                    }
+                },
                 seasonalContext: {
                     summer: "Prioritize AC and cooling issues",
                     winter: "Focus on heating and furnace problems",
@@ -43,6 +64,15 @@ class BusinessService {
                                      Handle plumbing emergencies urgently, especially leaks and floods.
                                      Water damage can be costly - emphasize quick response times.`,
                 greetingTemplate: "Thanks for calling {companyName}! What plumbing issue can we help you with?",
+                translations: {
+                    es: {
+                        systemPromptTemplate: `Eres un agente de servicio al cliente amable de {companyName}.
+                                     Atiende con urgencia las emergencias de plomería, sobre todo fugas e inundaciones.
+                                     Los daños por agua pueden ser costosos: destaca que respondemos rápido.`,
+                        greetingTemplate: "¡Gracias por llamar a {companyName}! ¿Con qué problema de plomería le podemos ayudar?",
+                        emergencyKeywords: ["fuga", "inundación", "sin agua", "tubo roto", "tubería rota", "se desborda", "emergencia"]
+                    }
+                },
                 urgencyLevels: {
                     emergency: ["leak", "flood", "burst pipe", "no water"],
                     urgent: ["clogged drain", "no hot water", "toilet issues"],
@@ -58,6 +88,15 @@ class BusinessService {
                                      Prioritize safety - any mention of sparks, burning smells, or shocks is an emergency.
                                      Electrical issues can be dangerous - emphasize licensed professional service.`,
                 greetingTemplate: "Hello! Thank you for calling {companyName}. How can we help with your electrical needs?",
+                translations: {
+                    es: {
+                        systemPromptTemplate: `Eres un representante profesional de servicios eléctricos de {companyName}.
+                                     La seguridad es lo primero: chispas, olor a quemado o descargas son una emergencia.
+                                     Los problemas eléctricos pueden ser peligrosos: destaca nuestro servicio profesional con licencia.`,
+                        greetingTemplate: "¡Hola! Gracias por llamar a {companyName}. ¿Cómo le podemos ayudar con su servicio eléctrico?",
+                        emergencyKeywords: ["sin luz", "chispas", "olor a quemado", "descarga", "incendio", "emergencia"]
+                    }
+                },
                 safetyKeywords: ["sparks", "burning", "shock", "fire", "smoke", "hot outlet"]
             },
             roofing: {
@@ -69,6 +108,15 @@ class BusinessService {
                                      Focus on protecting homes from weather damage.
                                      Roof leaks are urgent - water damage spreads quickly.`,
                 greetingTemplate: "Thank you for calling {companyName}! How can we help protect your home?",
+                translations: {
+                    es: {
+                        systemPromptTemplate: `Eres un representante profesional de servicios de techado de {companyName}.
+                                     Enfócate en proteger los hogares de los daños del clima.
+                                     Las goteras en el techo son urgentes: el daño por agua se extiende rápido.`,
+                        greetingTemplate: "¡Gracias por llamar a {companyName}! ¿Cómo podemos ayudarle a proteger su hogar?",
+                        emergencyKeywords: ["gotera", "daño por tormenta", "se cayó", "entra agua", "emergencia"]
+                    }
+                },
                 weatherAware: true
             },
             "general-contractor": {
@@ -79,7 +127,16 @@ class BusinessService {
                 systemPromptTemplate: `You are a professional general contractor representative for {companyName}.
                                      Help with home improvement projects and repairs.
                                      Focus on understanding project scope and scheduling consultations.`,
-                greetingTemplate: "Thank you for calling {companyName}! What home improvement project can we help you with?"
+                greetingTemplate: "Thank you for calling {companyName}! What home improvement project can we help you with?",
+                translations: {
+                    es: {
+                        systemPromptTemplate: `Eres un representante profesional de contratista general de {companyName}.
+                                     Ayuda con proyectos de remodelación y reparaciones del hogar.
+                                     Enfócate en entender el alcance del proyecto y en agendar consultas.`,
+                        greetingTemplate: "¡Gracias por llamar a {companyName}! ¿Con qué proyecto para su hogar le podemos ayudar?",
+                        emergencyKeywords: ["daño estructural", "daño por agua", "reparación de emergencia"]
+                    }
+                }
             },
             // Add more industries as needed...
             general: {
@@ -89,7 +146,15 @@ class BusinessService {
                 emergencyKeywords: ["emergency", "urgent", "immediate"],
                 systemPromptTemplate: `You are a friendly customer service agent for {companyName}.
                                      Provide helpful information about services and schedule appointments.`,
-                greetingTemplate: "Thank you for calling {companyName}! How may we assist you today?"
+                greetingTemplate: "Thank you for calling {companyName}! How may we assist you today?",
+                translations: {
+                    es: {
+                        systemPromptTemplate: `Eres un agente de servicio al cliente amable de {companyName}.
+                                     Da información útil sobre nuestros servicios y agenda citas.`,
+                        greetingTemplate: "¡Gracias por llamar a {companyName}! ¿En qué le podemos ayudar hoy?",
+                        emergencyKeywords: ["emergencia", "urgente", "inmediato"]
+                    }
+                }
             }
         };
     }
@@ -106,7 +171,7 @@ class BusinessService {
             
             // If businessId is provided, get business directly
             if (businessId && businessId !== 'default') {
-                const businessData = await this.firebaseService.getBusinessData(businessId);
+                const businessData = await this.repositories.businesses.get(businessId);
                 if (businessData) {
                     business = { businessId, data: businessData, found: true };
                 }
@@ -114,11 +179,11 @@ class BusinessService {
             
             // Otherwise, lookup by phone number
             if (!business) {
-                business = await this.firebaseService.findBusinessByPhone(phoneNumber);
+                business = await this.repositories.businesses.findByPhone(phoneNumber);
             }
 
             // Get AI configuration
-            const aiConfig = await this.firebaseService.getBusinessAIConfig(business.businessId);
+            const aiConfig = await this.repositories.aiConfigs.get(business.businessId);
 
             // Get industry template
             const industry = business.data.profile?.industry || 'general';
@@ -129,10 +194,15 @@ class BusinessService {
                 companyName: business.data.profile?.companyName || 'Your Business',
                 industry: industry,
                 services: business.data.services?.list || industryTemplate.services,
-                schedule: business.data.schedule || {},
+                schedule: this.scheduleService.normalizeSchedule(
+                    business.data.schedule,
+                    business.data.schedule?.timezone || business.data.profile?.timezone
+                ) || {},
                 aiConfig: aiConfig,
+                twilioAccountSid: business.data.twilio?.accountSid || null, // Tenants on their own Twilio account
+                voice: resolveVoiceSettings(aiConfig),
                 industryTemplate: industryTemplate,
-                emergencyKeywords: industryTemplate.emergencyKeywords,
+                emergencyKeywords: this.getEmergencyKeywords(industryTemplate, aiConfig),
                 isDefault: business.isDefault || false,
                 found: business.found || false
             };
@@ -145,16 +215,42 @@ class BusinessService {
         }
     }
 
+    /**
+     * Industry template text in a language (falls back to English)
+     * @param {Object} industryTemplate - Industry template
+     * @param {string} field - systemPromptTemplate or greetingTemplate
+     * @param {string} language - Language code
+     * @returns {string} Template text
+     */
+    getLocalizedTemplate(industryTemplate, field, language = 'en') {
+        const translation = industryTemplate.translations && industryTemplate.translations[language];
+        return (translation && translation[field]) || industryTemplate[field];
+    }
+
+    /**
+     * Emergency keywords for every language the business serves
+     * @param {Object} industryTemplate - Industry template
+     * @param {Object} aiConfig - Business AI configuration
+     * @returns {Array} Keywords
+     */
+    getEmergencyKeywords(industryTemplate, aiConfig) {
+        return getEnabledLanguages(aiConfig).reduce((keywords, language) => {
+            const translation = industryTemplate.translations && industryTemplate.translations[language];
+            return translation && translation.emergencyKeywords ? keywords.concat(translation.emergencyKeywords) : keywords;
+        }, [...industryTemplate.emergencyKeywords]);
+    }
+
     /**
      * Generate business-specific AI system prompt
      * @param {Object} businessContext - Business context data
+     * @param {string} language - Language the call is held in
      * @returns {string} Customized system prompt
      */
-    generateSystemPrompt(businessContext) {
+    generateSystemPrompt(businessContext, language = 'en') {
         const { companyName, industry, services, industryTemplate, emergencyKeywords } = businessContext;
 
         // Start with industry template
-        let systemPrompt = industryTemplate.systemPromptTemplate.replace('{companyName}', companyName);
+        let systemPrompt = this.getLocalizedTemplate(industryTemplate, 'systemPromptTemplate', language).replace('{companyName}', companyName);
 
         // Add business-specific services
         if (services && services.length > 0) {
@@ -180,6 +276,12 @@ class BusinessService {
             systemPrompt += `\n\nSAFETY PRIORITY: If customer mentions ${industryTemplate.safetyKeywords.join(', ')}, this is an emergency requiring immediate attention.`;
         }
 
+        // Add after-hours instructions (message taking / emergency triage)
+        const hoursAnalysis = this.analyzeBusinessHours(businessContext, language);
+        if (!hoursAnalysis.isOpen) {
+            systemPrompt += `\n\n${AfterHoursService.buildSystemPromptSection(businessContext, hoursAnalysis, language)}`;
+        }
+
         // Add general conversation guidelines
         systemPrompt += `\n\nCONVERSATION STYLE:
 - Be warm, conversational, and relatable
@@ -189,24 +291,59 @@ class BusinessService {
 - Get contact information naturally during conversation
 - It's OK to have brief small talk that relates to their situation`;
 
+        if (language !== 'en' && SUPPORTED_LANGUAGES[language]) {
+            systemPrompt += `\n\nLANGUAGE: The caller speaks ${SUPPORTED_LANGUAGES[language].name}. Always reply in natural, polite ${SUPPORTED_LANGUAGES[language].name}, even though some instructions above are in English.`;
+        }
+
         return systemPrompt;
     }
 
     /**
      * Generate business-specific greeting
      * @param {Object} businessContext - Business context data
+     * @param {string} language - Language the call starts in
      * @returns {string} Customized greeting message
      */
-    generateGreeting(businessContext) {
+    generateGreeting(businessContext, language = 'en') {
         const { companyName, industryTemplate, aiConfig } = businessContext;
+        const customGreeting = language === 'en' ?
+            aiConfig && aiConfig.greetingMessage :
+            aiConfig && aiConfig.greetingMessages && aiConfig.greetingMessages[language];
 
-        // Use custom greeting from AI config if available
-        if (aiConfig && aiConfig.greetingMessage && aiConfig.greetingMessage.trim() !== '') {
-            return aiConfig.greetingMessage;
-        }
+        // Use custom greeting from AI config if available, otherwise the industry template
+        const greeting = customGreeting && customGreeting.trim() !== '' ?
+            customGreeting :
+            this.getLocalizedTemplate(industryTemplate, 'greetingTemplate', language).replace('{companyName}', companyName);
+
+        // Bilingual businesses tell callers how to switch (e.g. "Para español, diga español.")
+        const offers = getEnabledLanguages(aiConfig)
+            .filter(code => code !== language)
+            .map(code => getPhrase('languageOffer', code));
 
-        // Use industry template
-        return industryTemplate.greetingTemplate.replace('{companyName}', companyName);
+        // Keypad menu, when the business has one ("For an emergency, press 1. ...")
+        const menu = this.keypadService.describeMenu(this.keypadService.getMenu(businessContext), language);
+
+        return [greeting, menu, ...offers].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Closing line spoken before the agent hangs up, followed by the business slogan
+     * @param {Object} businessContext - Business context data
+     * @param {string} language - Language of the call
+     * @returns {string} Closing, e.g. "Thank you for calling Acme Heating. Have a great day! Comfort you can count on."
+     */
+    generateClosing(businessContext, language = 'en') {
+        const { companyName, aiConfig } = businessContext;
+        const customClosing = language === 'en' ?
+            aiConfig && aiConfig.closingMessage :
+            aiConfig && aiConfig.closingMessages && aiConfig.closingMessages[language];
+
+        const closing = customClosing && customClosing.trim() !== '' ?
+            customClosing.trim() :
+            getPhrase('closing', language).replace('{companyName}', companyName);
+        const slogan = aiConfig && aiConfig.businessSlogan ? aiConfig.businessSlogan.trim() : '';
+
+        return slogan ? `${closing} ${slogan}` : closing;
     }
 
     /**
@@ -275,11 +412,13 @@ class BusinessService {
             companyName: 'Blue Caller HVAC',
             industry: 'hvac',
             services: defaultTemplate.services,
-            schedule: {
+            schedule: this.scheduleService.normalizeSchedule({
                 weekdayHours: { open: '08:00', close: '17:00' },
                 weekendHours: { open: '09:00', close: '15:00' }
-            },
-            aiConfig: this.firebaseService.getDefaultAIConfig(),
+            }),
+            aiConfig: this.repositories.aiConfigs.getDefault(),
+            twilioAccountSid: null,
+            voice: resolveVoiceSettings(this.repositories.aiConfigs.getDefault()),
             industryTemplate: defaultTemplate,
             emergencyKeywords: defaultTemplate.emergencyKeywords,
             isDefault: true,
@@ -290,46 +429,53 @@ class BusinessService {
     /**
      * Validate business hours and suggest after-hours handling
      * @param {Object} businessContext - Business context data
+     * @param {string} language - Language the closed message is spoken in
+     * @param {Date} now - Instant to evaluate (defaults to the current time)
      * @returns {Object} Hours analysis
      */
-    analyzeBusinessHours(businessContext) {
-        const now = new Date();
-        const currentHour = now.getHours();
-        const currentDay = now.getDay(); // 0 = Sunday, 6 = Saturday
-        
-        const { schedule } = businessContext;
-        
-        if (!schedule || !schedule.weekdayHours) {
+    analyzeBusinessHours(businessContext, language = 'en', now = new Date()) {
+        const schedule = this.scheduleService.normalizeSchedule(businessContext.schedule);
+
+        if (!schedule) {
             return { isOpen: true, message: null }; // Assume open if no schedule
         }
 
-        const isWeekend = currentDay === 0 || currentDay === 6;
-        const hours = isWeekend ? schedule.weekendHours : schedule.weekdayHours;
+        const evaluation = this.scheduleService.evaluate(schedule, now);
 
-        if (!hours) {
-            return { 
-                isOpen: false, 
-                message: isWeekend ? "We're closed on weekends" : "We're currently closed"
-            };
+        if (evaluation.isOpen) {
+            return { isOpen: true, message: null };
         }
 
-        const openHour = parseInt(hours.open.split(':')[0]);
-        const closeHour = parseInt(hours.close.split(':')[0]);
-
-        const isOpen = currentHour >= openHour && currentHour < closeHour;
+        let closedMessage;
+        switch (evaluation.reason) {
+            case 'holiday':
+                closedMessage = getPhrase('closedHoliday', language).replace('{holiday}', evaluation.holidayName);
+                break;
+            case 'closure':
+                closedMessage = evaluation.holidayName ?
+                    getPhrase('closedHoliday', language).replace('{holiday}', evaluation.holidayName) :
+                    getPhrase('closedToday', language);
+                break;
+            case 'break':
+                closedMessage = getPhrase('closedBreak', language);
+                break;
+            default:
+                closedMessage = getPhrase('closedNow', language);
+        }
 
-        if (!isOpen) {
-            const nextOpenTime = isWeekend && schedule.weekdayHours ? 
-                `Monday at ${schedule.weekdayHours.open}` : 
-                `tomorrow at ${hours.open}`;
-                
-            return {
-                isOpen: false,
-                message: `We're currently closed. Our next available time is ${nextOpenTime}. For emergencies, please let me know!`
-            };
+        const nextOpenDescription = this.scheduleService.describeNextOpening(evaluation.nextOpening, language);
+        if (nextOpenDescription) {
+            closedMessage += ` ${getPhrase('nextOpening', language).replace('{when}', nextOpenDescription)}`;
         }
 
-        return { isOpen: true, message: null };
+        return {
+            isOpen: false,
+            message: `${closedMessage} ${getPhrase('emergencyInvite', language)}`,
+            closedMessage,
+            reason: evaluation.reason,
+            nextOpenAt: evaluation.nextOpening ? evaluation.nextOpening.at.toISOString() : null,
+            nextOpenDescription
+        };
     }
 
     /**
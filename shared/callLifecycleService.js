@@ -0,0 +1,129 @@
+/**
+ * Call Lifecycle Service
+ * Turns Twilio status callbacks (StatusCallbackEvent on the business number) into one
+ * call record per call: final status, duration, turn count, who ended the call and
+ * whether an abandoned caller needs a recovery callback.
+ */
+
+const CALL_STATUSES = ['queued', 'initiated', 'ringing', 'in-progress', 'completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Statuses after which Twilio sends nothing more for the call
+const FINAL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// contactInfo fields that count as "we can reach this caller" beyond caller ID
+const CONTACT_FIELDS = ['name', 'phone', 'email', 'address'];
+
+const CALL_RECORD_TTL_SECONDS = 60 * 60 * 24 * 365 * 2; // 2 year retention
+
+class CallLifecycleService {
+    isFinal(callStatus) {
+        return FINAL_STATUSES.includes(callStatus);
+    }
+
+    /**
+     * Whether the conversation captured anything to follow up with
+     * @param {Object} leadInfo - Lead info
+     * @returns {boolean} True if any contact field is filled in
+     */
+    hasContactInfo(leadInfo) {
+        const contactInfo = (leadInfo && leadInfo.contactInfo) || {};
+        return CONTACT_FIELDS.some(field => contactInfo[field] && String(contactInfo[field]).trim() !== '');
+    }
+
+    /**
+     * How the call ended
+     * @param {string} callStatus - Final Twilio CallStatus
+     * @param {Object} leadInfo - Lead info (callStatus / transfer are only trusted for this callSid)
+     * @param {string} callSid - Call SID
+     * @returns {Object} { endedBy: 'agent' | 'transfer' | 'caller' | 'not_connected', endReason }
+     */
+    resolveEnding(callStatus, leadInfo, callSid) {
+        if (callStatus !== 'completed') {
+            return { endedBy: 'not_connected', endReason: callStatus };
+        }
+
+        const agentEnd = leadInfo && leadInfo.callStatus;
+        if (agentEnd && agentEnd.callSid === callSid) {
+            return { endedBy: 'agent', endReason: agentEnd.endReason };
+        }
+
+        const transfer = leadInfo && leadInfo.transfer;
+        if (transfer && transfer.callSid === callSid) {
+            return { endedBy: 'transfer', endReason: transfer.reason || 'transfer' };
+        }
+
+        return { endedBy: 'caller', endReason: 'caller_hangup' };
+    }
+
+    /**
+     * Build the call record for a status callback
+     * @param {Object} params - Twilio status callback params (CallSid, CallStatus, CallDuration, From, To, Timestamp...)
+     * @param {Object} details - { businessId, existing (record so far), transcript: { turnCount, firstAt, lastAt, lastRole }, leadInfo }
+     * @returns {Object} Call record document (partitioned by businessId)
+     */
+    buildCallRecord(params, details = {}) {
+        const { businessId, existing = null, transcript = null, leadInfo = null } = details;
+        const callStatus = CALL_STATUSES.includes(params.CallStatus) ? params.CallStatus : 'failed';
+        const eventAt = params.Timestamp ? new Date(params.Timestamp).toISOString() : new Date().toISOString();
+
+        const record = {
+            ...(existing || {}),
+            id: params.CallSid,
+            callSid: params.CallSid,
+            businessId,
+            from: params.From || existing?.from || null,
+            to: params.To || existing?.to || null,
+            direction: params.Direction || existing?.direction || 'inbound',
+            status: callStatus,
+            statusHistory: [...(existing?.statusHistory || []), { status: callStatus, at: eventAt }],
+            updatedAt: new Date().toISOString(),
+            ttl: CALL_RECORD_TTL_SECONDS
+        };
+
+        if (callStatus === 'in-progress' && !record.answeredAt) record.answeredAt = eventAt;
+        if (!this.isFinal(callStatus)) return record;
+
+        const startedAt = record.answeredAt || (transcript && transcript.firstAt) || null;
+        const twilioDuration = parseInt(params.CallDuration || '', 10);
+        const ending = this.resolveEnding(callStatus, leadInfo, params.CallSid);
+
+        record.endedAt = eventAt;
+        record.durationSeconds = Number.isFinite(twilioDuration) ? twilioDuration :
+            (startedAt ? Math.max(0, Math.round((new Date(eventAt) - new Date(startedAt)) / 1000)) : 0);
+        record.turnCount = transcript ? transcript.turnCount : 0;
+        record.endedBy = ending.endedBy;
+        record.endReason = ending.endReason;
+        // Caller hung up right after (or while) the agent was talking
+        record.hungUpDuringAgentTurn = ending.endedBy === 'caller' && transcript?.lastRole === 'assistant';
+        record.contactCaptured = this.hasContactInfo(leadInfo);
+        record.recovery = this.needsRecovery(record) ? this.createRecoveryFlag(record) : null;
+
+        return record;
+    }
+
+    /**
+     * Abandoned call: the caller hung up on a live conversation before we got any way to reach them
+     * @param {Object} record - Final call record
+     * @returns {boolean} True if someone should call back
+     */
+    needsRecovery(record) {
+        return record.status === 'completed' && record.endedBy === 'caller' && !record.contactCaptured;
+    }
+
+    createRecoveryFlag(record) {
+        return {
+            required: true,
+            reason: 'abandoned_call',
+            status: 'pending',
+            callSid: record.callSid,
+            callbackNumber: record.from,
+            dueAt: null,
+            requestedAt: new Date().toISOString()
+        };
+    }
+}
+
+CallLifecycleService.CALL_STATUSES = CALL_STATUSES;
+CallLifecycleService.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = CallLifecycleService;
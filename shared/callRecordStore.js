@@ -0,0 +1,102 @@
+/**
+ * Call Record Store
+ * One record per call in the business-scoped calls container, plus read-only access to
+ * the call's conversation session for closing out a call
+ */
+
+const { getRepositories } = require('./repositories');
+
+class CallRecordStore {
+    /**
+     * @param {Object} repositories - { calls, sessions } (defaults to the STORAGE_BACKEND ones)
+     */
+    constructor(repositories = null) {
+        this.repositories = repositories;
+    }
+
+    getRepositories() {
+        if (this.repositories) return this.repositories;
+
+        this.repositories = getRepositories();
+        if (!this.repositories.calls) console.warn('⚠️ COSMOS_CONN not configured, call records will not be saved');
+        return this.repositories;
+    }
+
+    /**
+     * @param {string} businessId - Business identifier (partition key)
+     * @param {string} callSid - Call SID (record id)
+     * @returns {Object|null} Call record
+     */
+    async getCallRecord(businessId, callSid) {
+        const { calls } = this.getRepositories();
+        return calls ? await calls.get(businessId, callSid) : null;
+    }
+
+    /**
+     * @param {Object} record - Call record (id = callSid, businessId)
+     * @returns {boolean} True if saved
+     */
+    async saveCallRecord(record) {
+        const { calls } = this.getRepositories();
+        return calls ? await calls.save(record) : false;
+    }
+
+    /**
+     * Saved conversation for a call
+     * @param {string} businessId - Business identifier
+     * @param {string} callSid - Call SID
+     * @returns {Object|null} { messages: [{ role, content }], startedAt } or null without storage or a session
+     */
+    async getTranscript(businessId, callSid) {
+        const { sessions } = this.getRepositories();
+        if (!sessions) return null;
+
+        const session = await sessions.get(businessId, callSid);
+        return session ? { messages: session.messages || [], startedAt: session.createdAt || null } : null;
+    }
+
+    /**
+     * Turn count and timing for a call from its saved conversation
+     * @param {string} businessId - Business identifier
+     * @param {string} callSid - Call SID
+     * @returns {Object|null} { turnCount, firstAt, lastAt, lastRole } or null without a saved conversation
+     */
+    async getTranscriptStats(businessId, callSid) {
+        const transcript = await this.getTranscript(businessId, callSid);
+        if (!transcript) return null;
+        return { ...summarizeMessages(transcript.messages), firstAt: transcript.startedAt };
+    }
+
+    /**
+     * A business's call records, newest first
+     * @param {string} businessId - Business identifier
+     * @param {Object} filters - { from, to (YYYY-MM-DD or ISO, inclusive), disposition, limit }
+     * @returns {Array} Call records
+     */
+    async getBusinessCalls(businessId, filters = {}) {
+        const { calls } = this.getRepositories();
+        return calls ? await calls.list(businessId, filters) : [];
+    }
+}
+
+/**
+ * Transcript stats for a list of messages (system prompts are ignored)
+ * @param {Array} messages - [{ role, timestamp? }] in call order
+ * @param {Function} timestampOf - Reads a message's ISO timestamp
+ * @returns {Object} { turnCount, firstAt, lastAt, lastRole }
+ */
+function summarizeMessages(messages, timestampOf = () => null) {
+    const spoken = (messages || []).filter(message => message.role !== 'system');
+    const last = spoken[spoken.length - 1];
+
+    return {
+        turnCount: spoken.filter(message => message.role === 'user').length,
+        firstAt: spoken.length > 0 ? timestampOf(spoken[0]) : null,
+        lastAt: last ? timestampOf(last) : null,
+        lastRole: last ? last.role : null
+    };
+}
+
+CallRecordStore.summarizeMessages = summarizeMessages;
+
+module.exports = CallRecordStore;
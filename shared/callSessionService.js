@@ -0,0 +1,219 @@
+/**
+ * Call Session Service
+ * The conversation session and caller lead behind one call, shared by the <Gather>
+ * pipeline (voice-stream) and streamed calls (media-stream):
+ *   - the session document is created on the call's first turn with the caller's contact
+ *     details from their lead with the business, and each save appends the turn's new messages
+ *   - the call's leadInfo and score are merged into the lead, keeping what earlier calls recorded
+ * Sessions fall back to this process's memory (callSessions.js) when session storage is
+ * missing or unreachable.
+ */
+
+const { getRepositories } = require('./repositories');
+const CustomerProfileService = require('./customerProfileService');
+const defaultMemorySessions = require('./callSessions');
+
+// Give up on session storage (and use memory) if it is not ready by then
+const CONNECT_TIMEOUT_MS = 5000;
+
+// What a new call keeps from the caller's lead. Everything else (transfer, followUp,
+// callStatus, appointment, extracted, callSummary...) describes one call and starts fresh
+// in the session, but stays on the lead until this call sets it again.
+const CALLER_FIELDS = ['contactInfo', 'voicemails'];
+
+// Written to the lead only by the recording callbacks; the session's copy is read-only
+const CALLBACK_FIELDS = ['voicemails'];
+
+class CallSessionService {
+    /**
+     * @param {Object} options - { conversationService, repositories, memorySessions, customerProfileService }
+     */
+    constructor(options = {}) {
+        this.conversationService = options.conversationService;
+        this.repositories = options.repositories || getRepositories();
+        this.memorySessions = options.memorySessions || defaultMemorySessions;
+        this.customerProfileService = options.customerProfileService || new CustomerProfileService(this.repositories);
+        this.isConnected = false;
+    }
+
+    /**
+     * Create the session containers if needed (once per process)
+     * @returns {boolean} True if sessions and leads go to storage, false for the memory fallback
+     */
+    async connect() {
+        if (this.isConnected) return true;
+
+        const { sessions, backend } = this.repositories;
+        if (!sessions) {
+            console.warn('⚠️ COSMOS_CONN not found or not SQL API format, using memory storage');
+            console.warn('Expected format: AccountEndpoint=https://...;AccountKey=... (or set STORAGE_BACKEND=memory|file)');
+            return false;
+        }
+
+        let timer = null;
+        const connectionTimeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Connection timeout')), CONNECT_TIMEOUT_MS);
+        });
+
+        try {
+            await Promise.race([sessions.provision(), connectionTimeout]);
+            this.isConnected = true;
+            console.log(`✅ Session storage ready (${backend} backend)`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to connect to session storage:', error.message);
+            if (error.message.includes('timeout')) {
+                console.error('Database connection timed out - check network connectivity');
+            }
+            return false;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * The call's session document, created on the first turn from the caller's lead with this business
+     */
+    async loadSessionDoc(store, { businessId, callSid, phoneNumber, businessContext, withLead }) {
+        const sessionDoc = await store.get(businessId, callSid);
+        if (sessionDoc) return sessionDoc;
+
+        const [existingLead, previousCalls] = await Promise.all([
+            withLead ? this.repositories.leads.get(businessId, phoneNumber) : null,
+            store.countPreviousCalls(businessId, phoneNumber, callSid)
+        ]);
+        return await store.create(businessId, callSid, phoneNumber, {
+            leadInfo: this.seedLeadInfo(existingLead),
+            previousCalls,
+            // Snapshot taken before this call changes the lead, so it keeps describing the previous call
+            customer: this.customerProfileService.describeLead(existingLead),
+            businessContext
+        });
+    }
+
+    /**
+     * Lead info for a new call: fresh per-call state with the caller's details from their lead
+     * @param {Object} existingLead - Caller's lead document, or null
+     * @returns {Object} leadInfo
+     */
+    seedLeadInfo(existingLead) {
+        const leadInfo = this.conversationService.createLeadInfo();
+        const previous = existingLead?.leadInfo || {};
+
+        CALLER_FIELDS.filter(field => previous[field] !== undefined).forEach(field => {
+            leadInfo[field] = JSON.parse(JSON.stringify(previous[field]));
+        });
+        return leadInfo;
+    }
+
+    /**
+     * Load (or start) the conversation for a call with the business's system prompt
+     * @param {string} callSid - Call SID
+     * @param {string} phoneNumber - Caller phone number
+     * @param {Object} businessContext - Business context
+     * @param {string} language - Call language
+     * @returns {Object} Session { messages, leadInfo, callSid, phoneNumber, businessId, customer, previousCalls, persistedCount, isFromDb }
+     */
+    async getOrCreateSession(callSid, phoneNumber, businessContext = null, language = 'en') {
+        const businessId = businessContext?.businessId || 'default';
+        const details = { businessId, callSid, phoneNumber, businessContext, withLead: this.isConnected && !!this.repositories.leads };
+
+        let sessionDoc = null;
+        if (this.isConnected) {
+            try {
+                sessionDoc = await this.loadSessionDoc(this.repositories.sessions, details);
+            } catch (error) {
+                console.error('❌ Session storage error in getOrCreateSession:', error.message);
+            }
+        }
+
+        // Fallback to this instance's memory (same document shape, single instance only)
+        const isFromDb = !!sessionDoc;
+        if (!sessionDoc) {
+            sessionDoc = await this.loadSessionDoc(this.memorySessions, { ...details, withLead: false });
+        }
+
+        const history = sessionDoc.messages || [];
+        const session = {
+            messages: [{ role: 'system', content: '' }, ...history],
+            leadInfo: sessionDoc.leadInfo,
+            callSid,
+            phoneNumber,
+            businessId,
+            customer: sessionDoc.customer || null,
+            previousCalls: sessionDoc.previousCalls || 0,
+            createdAt: sessionDoc.createdAt || null,
+            persistedCount: history.length, // Messages already in the session document
+            isFromDb
+        };
+        session.messages[0].content = this.buildSystemPrompt(session, businessContext, language);
+        return session;
+    }
+
+    /**
+     * Business-specific system prompt plus what we know about a returning caller
+     * @param {Object} session - Session from getOrCreateSession
+     * @param {Object} businessContext - Business context
+     * @param {string} language - Call language
+     * @returns {string} System prompt
+     */
+    buildSystemPrompt(session, businessContext, language = 'en') {
+        const customerContext = this.customerProfileService.buildPromptContext(session.customer, session.previousCalls);
+        return this.conversationService.buildSystemPrompt(businessContext, language) +
+            (customerContext ? `\n\n${customerContext}` : '');
+    }
+
+    /**
+     * Append the session's new messages and the lead info to the session document. Saves of
+     * one session run in order, and each one is an ETag-checked update of the latest document,
+     * so a turn is never overwritten by an older save or by another instance handling the call.
+     * A failed save rejects its own promise only; the next save still runs and catches up.
+     * @param {Object} session - Session from getOrCreateSession
+     * @returns {Promise<boolean>} True once saved
+     */
+    saveSession(session) {
+        const store = session.isFromDb ? this.repositories.sessions : this.memorySessions;
+
+        session.saving = (session.saving || Promise.resolve()).catch(() => false).then(async () => {
+            const unsaved = session.messages.filter(msg => msg.role !== 'system').slice(session.persistedCount);
+            const saved = await store.update(session.businessId, session.callSid, sessionDoc => {
+                sessionDoc.messages = [...(sessionDoc.messages || []), ...unsaved];
+                sessionDoc.leadInfo = session.leadInfo;
+            });
+            if (!saved) return false;
+
+            session.persistedCount += unsaved.length;
+            console.log(`💾 Saved session ${session.callSid} (${saved.messages.length} messages, revision ${saved.revision}) to ${session.isFromDb ? `${this.repositories.backend} storage` : 'memory'}`);
+            return true;
+        });
+        return session.saving;
+    }
+
+    /**
+     * Merge this call's leadInfo into the caller's lead with this business. Fields the call
+     * has not set (an earlier call's appointment, summary, pending follow-up) are kept.
+     * @param {Object} session - Session from getOrCreateSession
+     * @returns {boolean} True if saved (false without session storage)
+     */
+    async updateLead(session) {
+        if (!this.isConnected || !this.repositories.leads) return false;
+
+        const saved = await this.repositories.leads.update(session.businessId, session.phoneNumber, leadInfo => {
+            Object.entries(session.leadInfo)
+                .filter(([field, value]) => value !== undefined && !CALLBACK_FIELDS.includes(field))
+                .forEach(([field, value]) => {
+                    leadInfo[field] = JSON.parse(JSON.stringify(value));
+                });
+        }, {
+            callSid: session.callSid,
+            score: this.conversationService.calculateLeadScore(session.leadInfo)
+        });
+        if (saved) console.log(`📋 Lead information updated (${this.repositories.backend} storage)`);
+        return !!saved;
+    }
+}
+
+CallSessionService.CONNECT_TIMEOUT_MS = CONNECT_TIMEOUT_MS;
+CallSessionService.CALLER_FIELDS = CALLER_FIELDS;
+
+module.exports = CallSessionService;
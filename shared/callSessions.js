@@ -0,0 +1,14 @@
+/**
+ * Call Sessions
+ * In-process fallback for conversation sessions when the configured session storage
+ * (Cosmos DB) is missing or unreachable. It is a LocalSessionRepository, so sessions have
+ * the same document shape and ETag-checked updates as in Cosmos, but it only lives in
+ * this worker process: shared by voice-stream (which opens sessions) and call-status
+ * (which removes them when Twilio reports the call has ended). Calls spread over several
+ * instances need Cosmos DB.
+ */
+
+const LocalDocumentStore = require('./localDocumentStore');
+const { LocalSessionRepository } = require('./localRepositories');
+
+module.exports = new LocalSessionRepository(new LocalDocumentStore());
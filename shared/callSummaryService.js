@@ -0,0 +1,198 @@
+/**
+ * Call Summary Service
+ * Post-call summary for the business owner (problem, urgency, promised next step,
+ * captured contact details) and a disposition for the call. The model writes the
+ * summary as JSON; facts the call flow already knows (a confirmed booking, a pending
+ * callback) override what the model says, and a rule-based summary is used when the
+ * model is unavailable.
+ */
+
+const DISPOSITIONS = ['booked', 'needs_callback', 'spam', 'wrong_number', 'info_only'];
+
+const URGENCY_LEVELS = ['normal', 'urgent', 'emergency'];
+
+const SUMMARY_PROMPT = `You summarize a finished phone call between a home services business's AI receptionist and a caller, for the business owner.
+Return ONLY a JSON object:
+{
+  "problem": "what the caller needed, one sentence",
+  "urgency": "normal" | "urgent" | "emergency",
+  "nextStep": "what was promised to the caller (e.g. technician Tuesday 9am, callback tomorrow), or null",
+  "disposition": "booked" | "needs_callback" | "spam" | "wrong_number" | "info_only"
+}
+Dispositions: booked = an appointment was confirmed; needs_callback = someone must call the caller back;
+spam = robocall, sales pitch or prank; wrong_number = caller meant to reach someone else;
+info_only = the caller only wanted information and nothing is owed.
+Use only what the transcript says; never invent times, prices or names.`;
+
+// Transcript sent to the model, most recent turns kept
+const MAX_TRANSCRIPT_CHARS = 6000;
+const MAX_FIELD_LENGTH = 300;
+
+class CallSummaryService {
+    /**
+     * @param {Object} openaiClient - AzureOpenAI client (or a mock with chat.completions.create)
+     */
+    constructor(openaiClient = null) {
+        this.openai = openaiClient;
+    }
+
+    /**
+     * Summarize a finished call
+     * @param {Array} messages - Conversation messages [{ role, content }]
+     * @param {Object} leadInfo - Lead info at the end of the call
+     * @param {Object} callRecord - Final call record (endedBy, endReason, recovery...)
+     * @returns {Object} { problem, urgency, nextStep, contact, disposition, source, generatedAt }
+     */
+    async summarize(messages, leadInfo = {}, callRecord = {}) {
+        const transcript = this.formatTranscript(messages);
+        const modelSummary = transcript ? await this.requestSummary(transcript) : null;
+        const fallback = this.buildRuleSummary(leadInfo, callRecord, transcript);
+
+        const summary = modelSummary ? {
+            problem: modelSummary.problem || fallback.problem,
+            urgency: modelSummary.urgency || fallback.urgency,
+            nextStep: modelSummary.nextStep || fallback.nextStep,
+            disposition: modelSummary.disposition || fallback.disposition,
+            source: 'model'
+        } : { ...fallback, source: 'rules' };
+
+        return {
+            ...summary,
+            disposition: this.resolveDisposition(summary.disposition, leadInfo, callRecord),
+            contact: this.getCapturedContact(leadInfo),
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    formatTranscript(messages = []) {
+        const lines = messages
+            .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+            .map(message => `${message.role === 'user' ? 'Caller' : 'Agent'}: ${message.content}`);
+
+        const transcript = lines.join('\n');
+        return transcript.length > MAX_TRANSCRIPT_CHARS ? transcript.slice(-MAX_TRANSCRIPT_CHARS) : transcript;
+    }
+
+    async requestSummary(transcript) {
+        if (!this.openai) return null;
+
+        try {
+            const completion = await this.openai.chat.completions.create({
+                model: 'gpt-35-turbo',
+                messages: [
+                    { role: 'system', content: SUMMARY_PROMPT },
+                    { role: 'user', content: transcript }
+                ],
+                max_tokens: 250,
+                temperature: 0
+            });
+
+            return this.validate(this.parseJSON(completion.choices[0].message.content));
+        } catch (error) {
+            console.error('❌ Call summary failed:', error.message);
+            return null;
+        }
+    }
+
+    parseJSON(content) {
+        if (!content) return null;
+        // Tolerate prose or code fences around the object
+        const match = content.match(/\{[\s\S]*\}/);
+        if (!match) return null;
+        try {
+            return JSON.parse(match[0]);
+        } catch (error) {
+            console.warn('⚠️ Call summary returned invalid JSON');
+            return null;
+        }
+    }
+
+    /**
+     * Keep only well-formed summary fields
+     * @param {Object} raw - Parsed model output
+     * @returns {Object|null} { problem, urgency, nextStep, disposition } (null when nothing usable)
+     */
+    validate(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        const text = value => (typeof value === 'string' && value.trim() && value.trim().toLowerCase() !== 'null' ?
+            value.trim().substring(0, MAX_FIELD_LENGTH) : null);
+        const oneOf = (value, allowed) => (typeof value === 'string' && allowed.includes(value.trim().toLowerCase()) ?
+            value.trim().toLowerCase() : null);
+
+        const summary = {
+            problem: text(raw.problem),
+            urgency: oneOf(raw.urgency, URGENCY_LEVELS),
+            nextStep: text(raw.nextStep),
+            disposition: oneOf(raw.disposition, DISPOSITIONS)
+        };
+
+        return summary.problem || summary.disposition ? summary : null;
+    }
+
+    /**
+     * Summary from what the call flow recorded (no model)
+     * @param {Object} leadInfo - Lead info
+     * @param {Object} callRecord - Final call record
+     * @param {string} transcript - Formatted transcript
+     * @returns {Object} { problem, urgency, nextStep, disposition }
+     */
+    buildRuleSummary(leadInfo = {}, callRecord = {}, transcript = '') {
+        const appointment = leadInfo.appointment;
+        const followUp = leadInfo.followUp;
+
+        let nextStep = null;
+        if (appointment && appointment.status === 'confirmed') {
+            nextStep = `Appointment confirmed for ${appointment.startTime}`;
+        } else if (followUp && followUp.status === 'pending') {
+            nextStep = 'Call the customer back';
+        } else if (callRecord.endedBy === 'transfer') {
+            nextStep = 'Transferred to the team';
+        }
+
+        const problem = leadInfo.problemDescription ||
+            (leadInfo.serviceType ? `${leadInfo.serviceType} request` : null) ||
+            (transcript ? 'General inquiry' : 'No conversation');
+
+        return {
+            problem,
+            urgency: leadInfo.hasEmergency ? 'emergency' : (URGENCY_LEVELS.includes(leadInfo.urgencyLevel) ? leadInfo.urgencyLevel : 'normal'),
+            nextStep,
+            disposition: this.resolveDisposition(transcript ? 'info_only' : 'needs_callback', leadInfo, callRecord)
+        };
+    }
+
+    /**
+     * Known outcomes win over the model: a confirmed booking is "booked", and anything
+     * still owing a callback is "needs_callback" unless it was spam or a wrong number
+     * @param {string} proposed - Disposition from the model or rules
+     * @param {Object} leadInfo - Lead info
+     * @param {Object} callRecord - Final call record
+     * @returns {string} Disposition
+     */
+    resolveDisposition(proposed, leadInfo = {}, callRecord = {}) {
+        if (leadInfo.appointment && leadInfo.appointment.status === 'confirmed') return 'booked';
+        if (proposed === 'spam' || proposed === 'wrong_number') return proposed;
+
+        const owesCallback = (leadInfo.followUp && leadInfo.followUp.status === 'pending') ||
+            Boolean(callRecord.recovery) ||
+            (leadInfo.transfer && leadInfo.transfer.callSid === callRecord.callSid &&
+                ['no_answer', 'voicemail'].includes(leadInfo.transfer.status));
+        if (owesCallback) return 'needs_callback';
+
+        return DISPOSITIONS.includes(proposed) && proposed !== 'booked' ? proposed : 'info_only';
+    }
+
+    getCapturedContact(leadInfo = {}) {
+        const contactInfo = leadInfo.contactInfo || {};
+        const contact = {};
+        ['name', 'phone', 'email', 'address', 'zip'].forEach(field => {
+            if (contactInfo[field]) contact[field] = contactInfo[field];
+        });
+        return contact;
+    }
+}
+
+CallSummaryService.DISPOSITIONS = DISPOSITIONS;
+
+module.exports = CallSummaryService;
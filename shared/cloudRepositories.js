@@ -0,0 +1,305 @@
+/**
+ * Cloud Repositories
+ * Production implementations of the repository interfaces in repositories.js:
+ *   sessions / leads / calls / webhookResponses - Cosmos DB (MultiTenantCosmosDB, partitioned by businessId)
+ *   businesses / aiConfigs    - Firestore (FirebaseService)
+ *   audio                     - Azure Blob Storage (public read so Twilio can <Play> it)
+ */
+
+// Blob container for synthesized prompts
+const AUDIO_CONTAINER = 'ava-multilingual-audio';
+
+// A bare date covers the whole day
+const endOfDay = date => (date.length === 10 ? `${date}T23:59:59.999Z` : date);
+
+class CosmosSessionRepository {
+    /**
+     * @param {MultiTenantCosmosDB} db - Cosmos data layer
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async provision() {
+        await this.db.provision();
+    }
+
+    async get(businessId, callSid) {
+        return await this.db.getSession(businessId, callSid);
+    }
+
+    async create(businessId, callSid, customerPhone, details = {}) {
+        return await this.db.createSession(businessId, callSid, customerPhone, details);
+    }
+
+    async update(businessId, callSid, mutate) {
+        return await this.db.updateSession(businessId, callSid, mutate);
+    }
+
+    async countPreviousCalls(businessId, customerPhone, callSid) {
+        return await this.db.countPreviousCalls(businessId, customerPhone, callSid);
+    }
+
+    async listByCaller(businessId, customerPhone, limit = 50) {
+        return await this.db.getCustomerConversations(businessId, customerPhone, limit);
+    }
+
+    /**
+     * @param {string|null} businessId - Business identifier, or null for every business
+     * @param {number} limit - Maximum sessions
+     * @returns {Array} Sessions, most recently updated first
+     */
+    async listRecent(businessId, limit = 50) {
+        if (businessId) return await this.db.getBusinessConversations(businessId, limit);
+        return await this.db.queryAll('conversations', 'SELECT * FROM c ORDER BY c.updatedAt DESC OFFSET 0 LIMIT @limit', limit);
+    }
+}
+
+class CosmosLeadRepository {
+    /**
+     * @param {MultiTenantCosmosDB} db - Cosmos data layer
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async get(businessId, phoneNumber) {
+        return await this.db.getLead(businessId, phoneNumber);
+    }
+
+    async save(businessId, phoneNumber, leadInfo, extras = {}) {
+        return await this.db.saveLead(businessId, phoneNumber, leadInfo, extras);
+    }
+
+    async update(businessId, phoneNumber, mutate, extras = {}) {
+        return await this.db.updateLeadInfo(businessId, phoneNumber, mutate, extras);
+    }
+
+    /**
+     * @param {string|null} businessId - Business identifier, or null for every business
+     * @param {number} limit - Maximum leads
+     * @returns {Array} Leads, most recent contact first
+     */
+    async listRecent(businessId, limit = 100) {
+        if (businessId) return await this.db.getBusinessLeads(businessId, limit);
+        return await this.db.queryAll('leads', 'SELECT * FROM c ORDER BY c.lastContact DESC OFFSET 0 LIMIT @limit', limit);
+    }
+}
+
+class CosmosCallRepository {
+    /**
+     * @param {MultiTenantCosmosDB} db - Cosmos data layer
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async get(businessId, callSid) {
+        try {
+            const container = await this.db.getContainer('calls');
+            const { resource } = await container.item(callSid, businessId).read();
+            return resource || null;
+        } catch (error) {
+            if (error.code !== 404) console.error('❌ Error reading call record:', error.message);
+            return null;
+        }
+    }
+
+    async save(record) {
+        try {
+            const container = await this.db.getContainer('calls');
+            await container.items.upsert(record);
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving call record:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} businessId - Business identifier
+     * @param {Object} filters - { from, to (YYYY-MM-DD or ISO, inclusive), disposition, caller (phone), limit }
+     * @returns {Array} Call records, newest first
+     */
+    async list(businessId, filters = {}) {
+        try {
+            const container = await this.db.getContainer('calls');
+
+            const conditions = ['c.businessId = @businessId'];
+            const parameters = [{ name: '@businessId', value: businessId }];
+            if (filters.from) {
+                conditions.push('c.endedAt >= @from');
+                parameters.push({ name: '@from', value: filters.from });
+            }
+            if (filters.to) {
+                conditions.push('c.endedAt <= @to');
+                parameters.push({ name: '@to', value: endOfDay(filters.to) });
+            }
+            if (filters.disposition) {
+                conditions.push('c.summary.disposition = @disposition');
+                parameters.push({ name: '@disposition', value: filters.disposition });
+            }
+            if (filters.caller) {
+                // FROM is a reserved word in Cosmos SQL
+                conditions.push('c["from"] = @caller');
+                parameters.push({ name: '@caller', value: filters.caller });
+            }
+
+            const { resources } = await container.items
+                .query({
+                    query: `SELECT * FROM c WHERE ${conditions.join(' AND ')} ORDER BY c.updatedAt DESC OFFSET 0 LIMIT @limit`,
+                    parameters: [...parameters, { name: '@limit', value: Math.min(filters.limit || 50, 200) }]
+                }, { partitionKey: businessId })
+                .fetchAll();
+            return resources;
+        } catch (error) {
+            console.error('❌ Error listing call records:', error.message);
+            return [];
+        }
+    }
+}
+
+class CosmosWebhookResponseRepository {
+    /**
+     * @param {MultiTenantCosmosDB} db - Cosmos data layer
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async get(businessId, key) {
+        try {
+            const container = await this.db.getContainer('webhookResponses');
+            const { resource } = await container.item(key, businessId).read();
+            return resource || null;
+        } catch (error) {
+            if (error.code !== 404) console.error('❌ Error reading webhook response:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} entry - { response, createdAt, expiresAt, ttl (seconds, Cosmos removes it after) }
+     */
+    async save(businessId, key, entry) {
+        const container = await this.db.getContainer('webhookResponses');
+        await container.items.upsert({ ...entry, id: key, businessId });
+        return true;
+    }
+}
+
+class FirestoreBusinessRepository {
+    /**
+     * @param {FirebaseService} firebaseService - Firestore access
+     */
+    constructor(firebaseService) {
+        this.firebaseService = firebaseService;
+    }
+
+    /**
+     * @param {string} businessId - Business document ID
+     * @returns {Object|null} Business data
+     */
+    async get(businessId) {
+        return await this.firebaseService.getBusinessData(businessId);
+    }
+
+    /**
+     * @param {string} phoneNumber - Twilio number (E.164)
+     * @returns {Object} { businessId, data, found } (the default business when nothing matches)
+     */
+    async findByPhone(phoneNumber) {
+        return await this.firebaseService.findBusinessByPhone(phoneNumber);
+    }
+
+    getDefault() {
+        return this.firebaseService.getDefaultBusinessConfig();
+    }
+}
+
+class FirestoreAIConfigRepository {
+    /**
+     * @param {FirebaseService} firebaseService - Firestore access
+     */
+    constructor(firebaseService) {
+        this.firebaseService = firebaseService;
+    }
+
+    async get(businessId) {
+        return await this.firebaseService.getBusinessAIConfig(businessId);
+    }
+
+    async save(businessId, aiConfig) {
+        return await this.firebaseService.updateBusinessAIConfig(businessId, aiConfig);
+    }
+
+    getDefault() {
+        return this.firebaseService.getDefaultAIConfig();
+    }
+}
+
+class BlobAudioRepository {
+    /**
+     * @param {string} connectionString - AZURE_STORAGE_CONNECTION_STRING
+     * @param {string} containerName - Blob container
+     */
+    constructor(connectionString, containerName = AUDIO_CONTAINER) {
+        this.connectionString = connectionString;
+        this.containerName = containerName;
+        this.container = null;
+    }
+
+    /**
+     * Blob container for cached audio, created on first use
+     * @returns {Object} ContainerClient (throws when storage is unreachable)
+     */
+    async getContainer() {
+        if (this.container) return this.container;
+
+        const { BlobServiceClient } = require('@azure/storage-blob');
+        const containerClient = BlobServiceClient.fromConnectionString(this.connectionString)
+            .getContainerClient(this.containerName);
+        // Ensure container exists with public read access for blobs
+        await containerClient.createIfNotExists({ access: 'blob' });
+        this.container = containerClient;
+        return containerClient;
+    }
+
+    /**
+     * @param {string} name - Audio file name
+     * @returns {string|null} Public URL if the audio is already stored
+     */
+    async find(name) {
+        const blobClient = (await this.getContainer()).getBlockBlobClient(name);
+        return (await blobClient.exists()) ? blobClient.url : null;
+    }
+
+    /**
+     * @param {string} name - Audio file name
+     * @param {Buffer} audio - Audio bytes
+     * @param {string} contentType - MIME type
+     * @returns {string} Public URL
+     */
+    async save(name, audio, contentType) {
+        const blobClient = (await this.getContainer()).getBlockBlobClient(name);
+        await blobClient.upload(audio, audio.length, {
+            blobHTTPHeaders: {
+                blobContentType: contentType,
+                blobCacheControl: 'public, max-age=31536000, immutable', // Content never changes for a name
+                blobContentDisposition: 'inline'
+            }
+        });
+        return blobClient.url;
+    }
+}
+
+module.exports = {
+    CosmosSessionRepository,
+    CosmosLeadRepository,
+    CosmosCallRepository,
+    CosmosWebhookResponseRepository,
+    FirestoreBusinessRepository,
+    FirestoreAIConfigRepository,
+    BlobAudioRepository,
+    AUDIO_CONTAINER
+};
@@ -0,0 +1,324 @@
+/**
+ * Conversation Service
+ * Shared prompt, lead analysis and AI response logic used by every call pipeline
+ * (TwiML <Gather> turns in voice-stream and Media Streams in media-stream)
+ */
+
+const { AzureOpenAI } = require('openai');
+const LeadExtractionService = require('./leadExtractionService');
+const { getPhrase } = require('./languages');
+
+const DEFAULT_SYSTEM_PROMPT = `You are a friendly customer service agent for Blue Caller HVAC. Have natural conversations and be genuinely helpful.
+
+PRIMARY GOALS:
+- Help with heating, cooling, and home comfort questions
+- Understand what the customer needs
+- Get contact information naturally during conversation
+- Handle emergencies with immediate assistance
+
+CONVERSATION STYLE:
+- Be warm, conversational, and relatable
+- Listen carefully and respond to what they actually say
+- Keep responses SHORT (1-2 sentences) but natural
+- Ask helpful follow-up questions
+- It's OK to have brief small talk or acknowledge their situation
+
+HANDLE EVERYTHING:
+- HVAC issues (heating, cooling, repairs, maintenance)
+- General questions about our services
+- Scheduling and appointments
+- Pricing and estimates
+- Emergency situations (no heat/AC, gas smell, urgent repairs)
+
+BE FLEXIBLE: If they mention something not directly HVAC-related but you can help connect it to home comfort, do so naturally.`;
+
+// Tool call round trips allowed per caller turn before forcing a spoken reply
+const MAX_TOOL_ROUNDS = 3;
+
+// Caller signing off ("that's all, thanks", "eso es todo")
+const CALLER_DONE_PATTERNS = [
+    /\b(that'?s|that is) (all|it|everything)\b/i,
+    /\bnothing else\b/i,
+    /\b(good ?bye|bye( bye)?|have a (good|great|nice) (day|one|night))\b/i,
+    /\b(i'?m|we'?re) (all set|good)(,? thanks?| thank you)?\s*[.!]*\s*$/i,
+    /\b(eso es todo|es todo|nada m[aá]s|adi[oó]s|hasta luego)\b/i
+];
+
+// Longer utterances are usually still asking for something, even if they contain a sign-off
+const MAX_CALLER_DONE_WORDS = 8;
+
+// Why a call ended (leadInfo.callStatus.endReason)
+const CALL_END_REASONS = ['caller_done', 'agent_ended', 'no_response', 'callback_requested'];
+
+class ConversationService {
+    constructor(businessService, openaiClient = null) {
+        this.businessService = businessService;
+        this.openai = openaiClient || this.initializeOpenAI();
+        this.leadExtraction = new LeadExtractionService(this.openai);
+    }
+
+    initializeOpenAI() {
+        // Initialize Azure OpenAI with defensive error handling
+        try {
+            if (process.env.OPENAI_ENDPOINT && process.env.OPENAI_KEY) {
+                return new AzureOpenAI({
+                    endpoint: process.env.OPENAI_ENDPOINT,
+                    apiKey: process.env.OPENAI_KEY,
+                    apiVersion: '2024-02-15-preview',
+                    deployment: 'gpt-35-turbo' // Your deployment name
+                });
+            }
+        } catch (error) {
+            console.error('Failed to initialize OpenAI client:', error.message);
+        }
+        return null;
+    }
+
+    /**
+     * Build the system prompt for a call
+     * @param {Object} businessContext - Business context from BusinessService (optional)
+     * @param {string} language - Language the call is held in
+     * @returns {string} System prompt
+     */
+    buildSystemPrompt(businessContext = null, language = 'en') {
+        if (businessContext) {
+            return this.businessService.generateSystemPrompt(businessContext, language);
+        }
+        return language === 'es' ?
+            `${DEFAULT_SYSTEM_PROMPT}\n\nLANGUAGE: The caller speaks Spanish. Always reply in natural, polite Spanish.` :
+            DEFAULT_SYSTEM_PROMPT;
+    }
+
+    /**
+     * Create an empty lead record for a new conversation
+     * @returns {Object} Lead info
+     */
+    createLeadInfo() {
+        return {
+            hasEmergency: false,
+            serviceType: null,
+            contactInfo: {},
+            urgencyLevel: 'normal',
+            qualificationScore: 0
+        };
+    }
+
+    /**
+     * Keyword analysis used when no business context is available
+     * @param {string} message - Caller utterance
+     * @returns {Object} Analysis with emergency and service type
+     */
+    analyzeMessage(message) {
+        const lowerMessage = message.toLowerCase();
+        const analysis = {
+            hasEmergency: false,
+            serviceType: null,
+            urgencyLevel: 'normal'
+        };
+
+        // Emergency detection
+        const emergencyKeywords = ['emergency', 'urgent', 'no heat', 'no air', 'gas smell', 'electrical', 'flooding'];
+        if (emergencyKeywords.some(keyword => lowerMessage.includes(keyword))) {
+            analysis.hasEmergency = true;
+            analysis.urgencyLevel = 'emergency';
+        }
+
+        // Service type detection
+        const serviceTypes = {
+            'heating': ['heat', 'furnace', 'boiler', 'warm'],
+            'cooling': ['cool', 'air conditioning', 'ac', 'cold'],
+            'maintenance': ['service', 'tune up', 'check'],
+            'installation': ['install', 'new', 'replace'],
+            'repair': ['repair', 'fix', 'broken']
+        };
+
+        for (const [type, keywords] of Object.entries(serviceTypes)) {
+            if (keywords.some(keyword => lowerMessage.includes(keyword))) {
+                analysis.serviceType = type;
+                break;
+            }
+        }
+
+        // Contact details come from extractLeadDetails, not keywords
+        return analysis;
+    }
+
+    /**
+     * Analyze a caller utterance and merge the result into the session lead
+     * @param {Object} session - Conversation session with leadInfo
+     * @param {string} text - Caller utterance
+     * @param {Object} businessContext - Business context (optional)
+     * @returns {Object} The analysis that was applied
+     */
+    applyTurnAnalysis(session, text, businessContext = null) {
+        // Business-specific emergency analysis
+        const analysis = businessContext ?
+            this.businessService.analyzeEmergency(text, businessContext) :
+            this.analyzeMessage(text);
+
+        // BusinessService reports isEmergency, the keyword fallback hasEmergency
+        if (analysis.hasEmergency || analysis.isEmergency) session.leadInfo.hasEmergency = true;
+        if (analysis.serviceType) session.leadInfo.serviceType = analysis.serviceType;
+        if (analysis.urgencyLevel) session.leadInfo.urgencyLevel = analysis.urgencyLevel;
+
+        session.leadInfo.qualificationScore = this.calculateLeadScore(session.leadInfo);
+        return analysis;
+    }
+
+    /**
+     * Check whether the caller is wrapping up the call
+     * @param {string} text - Caller utterance
+     * @returns {boolean} True for a short sign-off that is not a question
+     */
+    isCallerDone(text) {
+        if (!text || text.includes('?')) return false;
+        if (text.trim().split(/\s+/).length > MAX_CALLER_DONE_WORDS) return false;
+        return CALLER_DONE_PATTERNS.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Record that the conversation finished on our side
+     * @param {Object} session - Conversation session with leadInfo
+     * @param {string} endReason - One of CALL_END_REASONS
+     * @returns {Object} Call status stored on the lead
+     */
+    markCallCompleted(session, endReason) {
+        session.leadInfo.callStatus = {
+            callSid: session.callSid,
+            status: 'completed',
+            endReason: CALL_END_REASONS.includes(endReason) ? endReason : 'agent_ended',
+            endedAt: new Date().toISOString()
+        };
+        return session.leadInfo.callStatus;
+    }
+
+    /**
+     * Run model-based lead extraction on the latest caller turn and merge the result
+     * Call after the caller's message has been pushed onto session.messages.
+     * @param {Object} session - Conversation session with messages and leadInfo
+     * @param {string} text - Caller utterance
+     * @returns {Array} Names of lead fields that changed
+     */
+    async extractLeadDetails(session, text) {
+        const userTurns = session.messages.filter(message => message.role === 'user');
+        const lastAssistant = [...session.messages].reverse().find(message => message.role === 'assistant');
+
+        const fields = await this.leadExtraction.extract(text, {
+            lastAssistantMessage: lastAssistant ? lastAssistant.content : null
+        });
+
+        const changed = this.leadExtraction.mergeIntoLead(session.leadInfo, fields, userTurns.length - 1);
+        if (changed.length > 0) {
+            console.log(`📋 Lead fields extracted: ${changed.join(', ')}`);
+            session.leadInfo.qualificationScore = this.calculateLeadScore(session.leadInfo);
+        }
+        return changed;
+    }
+
+    /**
+     * Calculate lead score (0-100)
+     * @param {Object} leadInfo - Lead information
+     * @returns {number} Score
+     */
+    calculateLeadScore(leadInfo) {
+        let score = 10;
+        if (leadInfo.hasEmergency) score += 50;
+        if (leadInfo.serviceType === 'installation') score += 40;
+        else if (leadInfo.serviceType) score += 20;
+        if (leadInfo.contactInfo.name) score += 15;
+        if (leadInfo.contactInfo.phone) score += 10;
+        if (leadInfo.urgencyLevel === 'emergency') score += 30;
+        return Math.min(score, 100);
+    }
+
+    /**
+     * Get AI response from Azure OpenAI with enhanced error handling
+     * When tools are supplied, tool calls are executed and fed back until the model replies in text.
+     * @param {Array} messages - Chat history including the system prompt
+     * @param {Object} options - { tools, executeTool(name, args) } from AgentToolService, and the call's language
+     * @returns {string} Assistant reply (or a spoken-friendly error message)
+     */
+    async getAIResponse(messages, options = {}) {
+        const { tools = [], executeTool = null, language = 'en' } = options;
+        const useTools = tools.length > 0 && typeof executeTool === 'function';
+
+        try {
+            if (!this.openai) {
+                throw new Error('OpenAI client not initialized');
+            }
+
+            // Tool exchanges stay in this working copy; only the final reply joins the session
+            const conversation = [...messages];
+
+            for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+                const request = {
+                    model: 'gpt-35-turbo', // This should match your deployment name
+                    messages: conversation,
+                    max_tokens: 80,
+                    temperature: 0.7
+                };
+
+                // The last round omits tools so the model has to answer in words
+                if (useTools && round < MAX_TOOL_ROUNDS) {
+                    request.tools = tools;
+                    request.tool_choice = 'auto';
+                    request.max_tokens = 150; // Room for tool-call arguments
+                }
+
+                const completion = await this.openai.chat.completions.create(request);
+                const message = completion.choices[0].message;
+
+                if (!message.tool_calls || message.tool_calls.length === 0) {
+                    return message.content || getPhrase('anythingElse', language);
+                }
+
+                conversation.push({
+                    role: 'assistant',
+                    content: message.content || null,
+                    tool_calls: message.tool_calls
+                });
+
+                for (const toolCall of message.tool_calls) {
+                    conversation.push({
+                        role: 'tool',
+                        tool_call_id: toolCall.id,
+                        content: JSON.stringify(await this.runToolCall(toolCall, executeTool))
+                    });
+                }
+            }
+
+            return getPhrase('anythingElse', language);
+        } catch (error) {
+            console.error('Azure OpenAI error:', error.message);
+            if (error.message.includes('not initialized')) {
+                return getPhrase('aiUnavailable', language);
+            }
+            if (error.message.includes('deployment')) {
+                return getPhrase('aiMisconfigured', language);
+            }
+            return getPhrase('aiTrouble', language);
+        }
+    }
+
+    async runToolCall(toolCall, executeTool) {
+        let args = {};
+        try {
+            args = JSON.parse(toolCall.function.arguments || '{}');
+        } catch (error) {
+            return { error: 'Invalid JSON arguments' };
+        }
+
+        try {
+            return await executeTool(toolCall.function.name, args);
+        } catch (error) {
+            console.error(`❌ Tool ${toolCall.function.name} failed:`, error.message);
+            return { error: error.message };
+        }
+    }
+}
+
+ConversationService.DEFAULT_SYSTEM_PROMPT = DEFAULT_SYSTEM_PROMPT;
+
+ConversationService.CALL_END_REASONS = CALL_END_REASONS;
+
+module.exports = ConversationService;
@@ -0,0 +1,334 @@
+/**
+ * Customer Profile Service
+ * What one business knows about one caller, built from that business's own data only
+ * (leads, conversations and call records are all keyed by businessId + phone number, so
+ * a caller who phones two tenants has two separate profiles):
+ *   - caller context: name, address, last issue and upcoming appointment from the lead,
+ *     cheap enough to read before the greeting and for the model's system prompt
+ *   - profile: every name, phone, email and address the caller gave, past issues,
+ *     bookings and call counts across their calls
+ *   - timeline: calls and bookings in one list, newest first
+ */
+
+const { getRepositories } = require('./repositories');
+
+// Older issues are not brought up when the caller phones again
+const RECENT_ISSUE_DAYS = 90;
+
+// Calls read when building a profile or timeline
+const MAX_CALLS = 50;
+
+// Past calls that tell us nothing about the caller's needs
+const IGNORED_DISPOSITIONS = ['spam', 'wrong_number'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newestFirst = (a, b) => String(b.at || '').localeCompare(String(a.at || ''));
+
+class CustomerProfileService {
+    /**
+     * @param {Object} repositories - { sessions, leads, calls } (defaults to the STORAGE_BACKEND ones)
+     * @param {Object} appointmentService - AppointmentService for bookings (optional)
+     */
+    constructor(repositories = null, appointmentService = null) {
+        this.repositories = repositories;
+        this.appointmentService = appointmentService;
+    }
+
+    getRepositories() {
+        if (!this.repositories) this.repositories = getRepositories();
+        return this.repositories;
+    }
+
+    /**
+     * Returning caller details for the greeting and system prompt
+     * @param {string} businessId - Business identifier
+     * @param {string} phoneNumber - Caller phone number
+     * @returns {Object|null} Result of describeLead(), or null for a new caller (or no storage)
+     */
+    async getCallerContext(businessId, phoneNumber) {
+        const { leads } = this.getRepositories();
+        if (!leads || !phoneNumber) return null;
+
+        try {
+            return this.describeLead(await leads.get(businessId || 'default', phoneNumber));
+        } catch (error) {
+            console.warn('⚠️ Could not load caller context:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object|null} lead - Lead document (leadInfo, lastContact)
+     * @param {Date} now - Current time
+     * @returns {Object|null} { name, address, lastIssue: { problem, at, disposition, nextStep } | null,
+     *                          upcomingAppointment: { serviceType, startTime } | null, lastContactAt }
+     */
+    describeLead(lead, now = new Date()) {
+        if (!lead || !lead.leadInfo) return null;
+
+        const { leadInfo } = lead;
+        const contact = leadInfo.contactInfo || {};
+        const appointment = leadInfo.appointment;
+
+        return {
+            name: contact.name || null,
+            address: contact.address || null,
+            lastIssue: this.getLastIssue(leadInfo, lead.lastContact, now),
+            upcomingAppointment: appointment && ['held', 'confirmed'].includes(appointment.status) &&
+                new Date(appointment.startTime) > now ?
+                { serviceType: appointment.serviceType || null, startTime: appointment.startTime } :
+                null,
+            lastContactAt: lead.lastContact || null
+        };
+    }
+
+    /**
+     * The previous call's problem, if it is recent and specific enough to bring up: the model's
+     * post-call summary, else what the conversation picked up (rule summaries like "General
+     * inquiry" say nothing the caller would recognize)
+     */
+    getLastIssue(leadInfo, lastContact, now = new Date()) {
+        const summary = leadInfo.callSummary || null;
+        if (summary && IGNORED_DISPOSITIONS.includes(summary.disposition)) return null;
+
+        const at = (summary && summary.generatedAt) || lastContact || null;
+        if (!at || now - new Date(at) > RECENT_ISSUE_DAYS * DAY_MS) return null;
+
+        const serviceType = leadInfo.serviceType && leadInfo.serviceType !== 'general' ? leadInfo.serviceType : null;
+        const problem = (summary && summary.source === 'model' && summary.problem) ||
+            leadInfo.problemDescription ||
+            (serviceType ? `${serviceType} service` : null);
+        if (!problem) return null;
+
+        return {
+            problem,
+            at,
+            disposition: summary ? summary.disposition || null : null,
+            nextStep: summary ? summary.nextStep || null : null
+        };
+    }
+
+    /**
+     * Returning customer notes appended to the system prompt
+     * @param {Object|null} customer - Result of describeLead()
+     * @param {number} previousCalls - Earlier calls from this number to the business
+     * @returns {string} Prompt section, or '' for a first-time caller
+     */
+    buildPromptContext(customer, previousCalls = 0) {
+        if (!customer && !previousCalls) return '';
+
+        const lines = [`Returning customer (${previousCalls} previous calls)`];
+        if (customer) {
+            if (customer.name) lines.push(`Name on file: ${customer.name}`);
+            if (customer.address) lines.push(`Address on file: ${customer.address} (confirm it is still right before booking)`);
+            if (customer.lastIssue) {
+                const { problem, at, disposition, nextStep } = customer.lastIssue;
+                lines.push(`Last call (${String(at).substring(0, 10)}): ${problem}` +
+                    (disposition ? ` - outcome: ${disposition}` : '') +
+                    (nextStep ? ` - we promised: ${nextStep}` : ''));
+            }
+            if (customer.upcomingAppointment) {
+                const { serviceType, startTime } = customer.upcomingAppointment;
+                lines.push(`Upcoming appointment: ${serviceType || 'service'} at ${startTime}`);
+            }
+            if (customer.name || customer.lastIssue) {
+                lines.push('The greeting already welcomed them back' +
+                    (customer.lastIssue ? ' and mentioned the last call; find out whether they are calling about it or something new.' : '.') +
+                    ' Do not ask again for details on file.');
+            }
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Everything the business knows about a caller
+     * @param {string} businessId - Business identifier
+     * @param {string} phoneNumber - Caller phone number
+     * @returns {Object|null} Profile, or null if the caller has never called the business
+     */
+    async getProfile(businessId, phoneNumber) {
+        const history = await this.loadHistory(businessId, phoneNumber);
+        if (!history) return null;
+        return this.buildProfile(businessId, phoneNumber, history);
+    }
+
+    /**
+     * Calls and bookings for a caller, newest first
+     * @param {string} businessId - Business identifier
+     * @param {string} phoneNumber - Caller phone number
+     * @param {Object} options - { limit }
+     * @returns {Object|null} { profile, timeline }, or null if the caller has never called the business
+     */
+    async getTimeline(businessId, phoneNumber, options = {}) {
+        const history = await this.loadHistory(businessId, phoneNumber);
+        if (!history) return null;
+
+        return {
+            profile: this.buildProfile(businessId, phoneNumber, history),
+            timeline: this.buildTimeline(history).slice(0, Math.min(options.limit || 50, 200))
+        };
+    }
+
+    /**
+     * @returns {Object|null} { lead, calls: [{ callSid, at, session, record }], bookings }
+     */
+    async loadHistory(businessId, phoneNumber) {
+        const { sessions, leads, calls } = this.getRepositories();
+        if (!phoneNumber || (!sessions && !leads)) return null;
+
+        const [lead, sessionList, records] = await Promise.all([
+            leads ? leads.get(businessId, phoneNumber) : null,
+            sessions ? sessions.listByCaller(businessId, phoneNumber, MAX_CALLS) : [],
+            calls ? calls.list(businessId, { caller: phoneNumber, limit: MAX_CALLS }) : []
+        ]);
+        if (!lead && sessionList.length === 0 && records.length === 0) return null;
+
+        // One entry per call: the conversation and the status callback's record
+        const byCallSid = new Map();
+        sessionList.forEach(session => byCallSid.set(session.callSid, { callSid: session.callSid, session, record: null }));
+        records.forEach(record => {
+            const entry = byCallSid.get(record.callSid) || { callSid: record.callSid, session: null, record: null };
+            byCallSid.set(record.callSid, { ...entry, record });
+        });
+        const callList = [...byCallSid.values()]
+            .map(entry => ({
+                ...entry,
+                at: (entry.session && entry.session.createdAt) ||
+                    (entry.record && (entry.record.answeredAt || entry.record.statusHistory?.[0]?.at || entry.record.updatedAt)) || null
+            }))
+            .sort(newestFirst);
+
+        const bookingIds = callList.map(call => call.session?.leadInfo?.appointment?.bookingId).filter(Boolean);
+        let bookings = [];
+        if (this.appointmentService) {
+            try {
+                bookings = await this.appointmentService.listCustomerBookings(businessId, phoneNumber, bookingIds);
+            } catch (error) {
+                console.warn('⚠️ Could not load customer bookings:', error.message);
+            }
+        }
+
+        return { lead, calls: callList, bookings };
+    }
+
+    buildProfile(businessId, phoneNumber, history) {
+        const { lead, calls, bookings } = history;
+        const now = new Date();
+
+        // Newest first, so the first value seen is the current one
+        const leadInfos = [lead && lead.leadInfo, ...calls.map(call => call.session && call.session.leadInfo)].filter(Boolean);
+        const collect = field => [...new Set(leadInfos
+            .map(leadInfo => leadInfo.contactInfo && leadInfo.contactInfo[field])
+            .filter(value => value && String(value).trim() !== '')
+            .map(value => String(value).trim()))];
+
+        const issues = calls
+            .map(call => this.describeCallIssue(call))
+            .filter(Boolean);
+
+        const callTimes = calls.map(call => call.at).filter(Boolean);
+        const upcoming = bookings
+            .filter(booking => ['held', 'confirmed'].includes(booking.status) && new Date(booking.startTime) > now)
+            .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+        return {
+            businessId,
+            phoneNumber,
+            name: collect('name')[0] || null,
+            contacts: {
+                names: collect('name'),
+                phones: [...new Set([phoneNumber, ...collect('phone')])],
+                emails: collect('email')
+            },
+            addresses: collect('address'),
+            callCount: calls.length,
+            firstContactAt: callTimes.length > 0 ? callTimes[callTimes.length - 1] : (lead && lead.createdAt) || null,
+            lastContactAt: (lead && lead.lastContact) || callTimes[0] || null,
+            issues,
+            lastIssue: issues[0] || null,
+            bookings: bookings.map(booking => this.describeBooking(booking)),
+            upcomingBooking: upcoming.length > 0 ? this.describeBooking(upcoming[0]) : null,
+            disposition: lead?.leadInfo?.disposition || null,
+            score: lead && lead.score !== undefined ? lead.score : null
+        };
+    }
+
+    /**
+     * What a call was about: the post-call summary, else what the conversation picked up
+     */
+    describeCallIssue(call) {
+        const summary = call.record && call.record.summary;
+        const leadInfo = (call.session && call.session.leadInfo) || {};
+
+        if (summary) {
+            if (IGNORED_DISPOSITIONS.includes(summary.disposition)) return null;
+            return {
+                callSid: call.callSid,
+                at: call.at,
+                problem: summary.problem || null,
+                serviceType: leadInfo.serviceType || null,
+                urgency: summary.urgency || null,
+                disposition: summary.disposition || null
+            };
+        }
+
+        if (!leadInfo.serviceType) return null;
+        return {
+            callSid: call.callSid,
+            at: call.at,
+            problem: null,
+            serviceType: leadInfo.serviceType,
+            urgency: leadInfo.urgencyLevel || null,
+            disposition: null
+        };
+    }
+
+    describeBooking(booking) {
+        return {
+            id: booking.id,
+            serviceType: booking.serviceType || null,
+            startTime: booking.startTime,
+            endTime: booking.endTime || null,
+            status: booking.status,
+            address: booking.address || null,
+            callbackNumber: booking.callbackNumber || null,
+            callSid: booking.callSid || null
+        };
+    }
+
+    buildTimeline(history) {
+        const callEvents = history.calls.map(call => {
+            const record = call.record || {};
+            const summary = record.summary || null;
+            return {
+                type: 'call',
+                at: call.at,
+                callSid: call.callSid,
+                status: record.status || null,
+                durationSeconds: record.durationSeconds !== undefined ? record.durationSeconds : null,
+                turnCount: record.turnCount !== undefined ? record.turnCount : null,
+                endedBy: record.endedBy || null,
+                summary: summary ? {
+                    problem: summary.problem || null,
+                    urgency: summary.urgency || null,
+                    nextStep: summary.nextStep || null,
+                    disposition: summary.disposition || null
+                } : null,
+                serviceType: call.session?.leadInfo?.serviceType || null
+            };
+        });
+
+        const bookingEvents = history.bookings.map(booking => ({
+            type: 'booking',
+            at: booking.createdAt || booking.updatedAt || null,
+            ...this.describeBooking(booking)
+        }));
+
+        return [...callEvents, ...bookingEvents].sort(newestFirst);
+    }
+}
+
+CustomerProfileService.RECENT_ISSUE_DAYS = RECENT_ISSUE_DAYS;
+
+module.exports = CustomerProfileService;
@@ -6,10 +6,13 @@
 const admin = require('firebase-admin');
 
 class FirebaseService {
-    constructor() {
+    /**
+     * @param {Object} options - { connect: false to only use the defaults (local storage backends) }
+     */
+    constructor(options = {}) {
         this.firestore = null;
         this.initialized = false;
-        this.initializeFirebase();
+        if (options.connect !== false) this.initializeFirebase();
     }
 
     initializeFirebase() {
@@ -237,6 +240,7 @@ class FirebaseService {
                     list: ['heating repair', 'cooling repair', 'maintenance', 'installation']
                 },
                 schedule: {
+                    timezone: 'America/New_York',
                     weekdayHours: { open: '08:00', close: '17:00' },
                     weekendHours: { open: '09:00', close: '15:00' }
                 }
@@ -254,15 +258,49 @@ class FirebaseService {
         return {
             voiceStyle: 'friendly',
             gender: 'female',
+            voice: {
+                name: 'en-US-AvaMultilingualNeural', // See shared/voiceCatalog.js
+                rate: 1.3,
+                pitch: 'default',
+                style: null
+            },
+            pronunciations: {}, // { word: spoken form } for brand and street names
+            languages: ['en'], // Add 'es' to serve Spanish-speaking callers (see shared/languages.js)
+            defaultLanguage: 'en',
+            languageByNumber: {},
+            greetingMessages: {},
+            keypadMenu: { // DTMF options read after the greeting (see shared/keypadService.js)
+                enabled: false,
+                options: { '1': 'emergency', '2': 'schedule', '0': 'operator' }
+            },
             responseTone: 'professional',
             greetingMessage: 'Thank you for calling Blue Caller HVAC. How may I assist you today?',
-            businessSlogan: '',
+            closingMessage: '', // Spoken before hanging up; defaults to "Thank you for calling {companyName}. Have a great day!"
+            closingMessages: {},
+            businessSlogan: '', // Read after the closing line
             bufferTime: 15,
             serviceRadius: 25,
+            serviceDurations: {
+                maintenance: 60,
+                repair: 120,
+                installation: 240
+            },
+            reprompt: { // Misses in a row before each escalation (see shared/repromptService.js)
+                keypadAfter: 2, // handoffAfter defaults to humanForwarding.transferThreshold + 1
+                endAfter: 5
+            },
             humanForwarding: {
                 enabled: false,
                 phoneNumber: '',
                 transferThreshold: 3
+            },
+            afterHours: {
+                mode: 'ai_message' // ai_message | voicemail | emergency_only
+            },
+            tools: {
+                scheduling: true,
+                contactCapture: true,
+                endCall: true
             }
         };
     }
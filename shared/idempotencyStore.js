@@ -0,0 +1,137 @@
+/**
+ * Idempotency Store
+ * Remembers the response produced for a webhook request so a retried delivery gets the
+ * same answer instead of re-running the pipeline. Twilio retries a voice-stream post that
+ * timed out with the same CallSid and action URL, so requests are keyed on CallSid plus
+ * the turn sequence stamped on the Gather action URL.
+ *   - a retry while the original is still running on this instance waits for its response
+ *   - a retry after it finished gets the stored response (from memory, or from the
+ *     webhookResponses repository when another instance handled the original)
+ *   - failed requests store nothing, so their retry runs normally
+ * Responses expire after ttlSeconds, measured with the injectable clock.
+ */
+
+const DEFAULT_TTL_SECONDS = 600; // Matches the Gather action URL max age in the webhook validator
+
+class IdempotencyStore {
+    /**
+     * @param {Object} options - { repository (webhookResponses, optional), ttlSeconds, now (clock for tests), maxEntries }
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || null;
+        this.ttlMs = (options.ttlSeconds || DEFAULT_TTL_SECONDS) * 1000;
+        this.now = options.now || Date.now;
+        this.maxEntries = options.maxEntries || 1000;
+        this.completed = new Map(); // key -> { response, expiresAt }, oldest first
+        this.inFlight = new Map();  // key -> { promise, resolve }
+    }
+
+    /**
+     * Key for a voice-stream turn
+     * @param {string} callSid - Twilio call SID
+     * @param {Object} options - { turn (sequence from the action URL), deliveryToken (I-Twilio-Idempotency-Token) }
+     * @returns {string|null} Key, or null when the request can't be told apart from a new one
+     */
+    static createKey(callSid, options = {}) {
+        if (!callSid) return null;
+        if (options.turn) return `${callSid}_turn${options.turn}`;
+        if (options.deliveryToken) return `${callSid}_delivery${options.deliveryToken}`;
+        return null;
+    }
+
+    /**
+     * Claim a request, or get the response already produced for it
+     * @param {string} businessId - Business identifier (repository partition)
+     * @param {string} key - Result of createKey
+     * @returns {Object} { businessId, key, response } - response is set for a repeated request;
+     *                   otherwise the caller owns the request and must call settle()
+     */
+    async claim(businessId, key) {
+        const claim = { businessId, key, response: null };
+
+        // Same instance, original still running: answer with whatever it produces
+        const running = this.inFlight.get(key);
+        if (running) {
+            const response = await running.promise;
+            if (response) return { ...claim, response };
+            return await this.claim(businessId, key); // The original failed: run it again
+        }
+
+        // Registered before any await, so concurrent retries on this instance wait on it
+        let resolve;
+        const promise = new Promise(done => { resolve = done; });
+        this.inFlight.set(key, { promise, resolve });
+
+        const stored = this.getCompleted(key) || await this.getStored(businessId, key);
+        if (stored) {
+            this.inFlight.delete(key);
+            resolve(stored);
+            return { ...claim, response: stored };
+        }
+        return claim;
+    }
+
+    /**
+     * Record the outcome of a claimed request
+     * @param {Object} claim - Result of claim()
+     * @param {Object|null} response - Response to replay, or null if the request failed
+     */
+    async settle(claim, response) {
+        const running = this.inFlight.get(claim.key);
+        this.inFlight.delete(claim.key);
+        if (running) running.resolve(response || null);
+        if (!response) return;
+
+        const expiresAt = this.now() + this.ttlMs;
+        this.completed.set(claim.key, { response, expiresAt });
+        this.forgetExpired();
+
+        if (!this.repository) return;
+        try {
+            await this.repository.save(claim.businessId, claim.key, {
+                response,
+                createdAt: new Date(this.now()).toISOString(),
+                expiresAt: new Date(expiresAt).toISOString(),
+                ttl: Math.ceil(this.ttlMs / 1000)
+            });
+        } catch (error) {
+            // Only costs a re-run if the retry lands on another instance
+            console.warn('⚠️ Could not store webhook response:', error.message);
+        }
+    }
+
+    getCompleted(key) {
+        const entry = this.completed.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= this.now()) {
+            this.completed.delete(key);
+            return null;
+        }
+        return entry.response;
+    }
+
+    async getStored(businessId, key) {
+        if (!this.repository) return null;
+        try {
+            const stored = await this.repository.get(businessId, key);
+            if (!stored || Date.parse(stored.expiresAt) <= this.now()) return null;
+            return stored.response;
+        } catch (error) {
+            console.warn('⚠️ Could not read stored webhook response:', error.message);
+            return null;
+        }
+    }
+
+    forgetExpired() {
+        const now = this.now();
+        // Map keeps insertion order and every entry has the same ttl, so the oldest come first
+        for (const [key, entry] of this.completed) {
+            if (entry.expiresAt > now && this.completed.size <= this.maxEntries) break;
+            this.completed.delete(key);
+        }
+    }
+}
+
+IdempotencyStore.DEFAULT_TTL_SECONDS = DEFAULT_TTL_SECONDS;
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,214 @@
+/**
+ * Keypad Service
+ * DTMF handling for the <Gather> loop: a per-tenant keypad menu (single key presses that
+ * stand in for what the caller would have said) and digit capture for callback numbers
+ * and ZIP codes typed on the keypad.
+ *
+ * aiConfig.keypadMenu = { enabled: true, options: { '1': 'emergency', '2': 'schedule', '0': 'operator' } }
+ */
+
+const KEYPAD_ACTIONS = ['emergency', 'schedule', 'operator', 'callback', 'repeat'];
+
+const DEFAULT_KEYPAD_MENU = {
+    enabled: false,
+    options: { '1': 'emergency', '2': 'schedule', '0': 'operator' }
+};
+
+// Keys a menu option may use
+const MENU_KEYS = /^[0-9*]$/;
+
+// What can be typed in a capture turn; the caller ends the entry with #
+const DIGIT_CAPTURES = {
+    phone: { field: 'phone', normalize: digits => {
+        const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+        return /^[2-9]\d{9}$/.test(national) ? `+1${national}` : null;
+    } },
+    zip: { field: 'zip', normalize: digits => (/^\d{5}$/.test(digits) ? digits : null) }
+};
+
+const KEYPAD_PHRASES = {
+    en: {
+        menu: {
+            emergency: 'For an emergency, press {digit}.',
+            schedule: 'To schedule service, press {digit}.',
+            operator: 'To speak with someone on our team, press {digit}.',
+            callback: 'To enter a callback number, press {digit}.',
+            repeat: 'To hear these options again, press {digit}.'
+        },
+        utterances: {
+            emergency: 'This is an emergency.',
+            schedule: "I'd like to schedule a service appointment.",
+            operator: "I'd like to speak with a person."
+        },
+        capturePrompts: {
+            phone: 'Please enter your 10-digit callback number, then press pound.',
+            zip: 'Please enter your 5-digit ZIP code, then press pound.'
+        },
+        captureInvalid: {
+            phone: "That didn't look like a 10-digit phone number. Please enter it again, then press pound.",
+            zip: "That didn't look like a 5-digit ZIP code. Please enter it again, then press pound."
+        },
+        captured: {
+            phone: 'My callback number is {value}.',
+            zip: 'My ZIP code is {value}.'
+        },
+        unknownKey: "Sorry, that key isn't an option.",
+        star: 'star'
+    },
+    es: {
+        menu: {
+            emergency: 'Para una emergencia, oprima {digit}.',
+            schedule: 'Para programar un servicio, oprima {digit}.',
+            operator: 'Para hablar con alguien de nuestro equipo, oprima {digit}.',
+            callback: 'Para ingresar un número de contacto, oprima {digit}.',
+            repeat: 'Para escuchar estas opciones otra vez, oprima {digit}.'
+        },
+        utterances: {
+            emergency: 'Es una emergencia.',
+            schedule: 'Quiero programar una cita de servicio.',
+            operator: 'Quiero hablar con una persona.'
+        },
+        capturePrompts: {
+            phone: 'Por favor, ingrese su número de contacto de 10 dígitos y luego oprima la tecla numeral.',
+            zip: 'Por favor, ingrese su código postal de 5 dígitos y luego oprima la tecla numeral.'
+        },
+        captureInvalid: {
+            phone: 'Ese número no parece tener 10 dígitos. Por favor, ingréselo otra vez y luego oprima la tecla numeral.',
+            zip: 'Ese código postal no parece tener 5 dígitos. Por favor, ingréselo otra vez y luego oprima la tecla numeral.'
+        },
+        captured: {
+            phone: 'Mi número de contacto es {value}.',
+            zip: 'Mi código postal es {value}.'
+        },
+        unknownKey: 'Lo siento, esa tecla no es una opción.',
+        star: 'asterisco'
+    }
+};
+
+class KeypadService {
+    /**
+     * Keypad menu for a business (defaults fill anything not configured)
+     * @param {Object} businessContext - Business context data
+     * @returns {Object} { enabled, options: { digit: action } }
+     */
+    getMenu(businessContext) {
+        const configured = businessContext?.aiConfig?.keypadMenu || {};
+        const options = {};
+        Object.entries(configured.options || DEFAULT_KEYPAD_MENU.options).forEach(([digit, action]) => {
+            if (MENU_KEYS.test(digit) && KEYPAD_ACTIONS.includes(action)) options[digit] = action;
+        });
+
+        return {
+            enabled: configured.enabled === true && Object.keys(options).length > 0,
+            options
+        };
+    }
+
+    /**
+     * Spoken description of the menu, e.g. "For an emergency, press 1. ..."
+     * @param {Object} menu - Result of getMenu
+     * @param {string} language - Language code
+     * @returns {string} Menu prompt ('' when the menu is off)
+     */
+    describeMenu(menu, language = 'en') {
+        if (!menu || !menu.enabled) return '';
+        const phrases = this.getPhrases(language);
+
+        return Object.keys(menu.options)
+            .sort((a, b) => (a === '0') - (b === '0') || a.localeCompare(b)) // 0 (operator) reads last
+            .map(digit => phrases.menu[menu.options[digit]].replace('{digit}', digit === '*' ? phrases.star : digit))
+            .join(' ');
+    }
+
+    /**
+     * Interpret keys pressed during a Gather
+     * @param {string} digits - Twilio Digits
+     * @param {Object} options - { menu, capture ('phone' | 'zip' while collecting), language }
+     * @returns {Object} One of:
+     *   { type: 'captured', field, value, utterance }  - valid entry; continue as if the caller said utterance
+     *   { type: 'action', action, utterance }          - menu key standing in for speech
+     *   { type: 'prompt', prompt, capture }            - speak prompt and gather again (capture set while collecting)
+     */
+    interpret(digits, options = {}) {
+        const { menu = null, capture = null, language = 'en' } = options;
+        const phrases = this.getPhrases(language);
+        const entered = String(digits || '').replace(/[^0-9*]/g, '');
+
+        if (DIGIT_CAPTURES[capture]) {
+            const value = DIGIT_CAPTURES[capture].normalize(entered);
+            if (!value) {
+                return { type: 'prompt', prompt: phrases.captureInvalid[capture], capture };
+            }
+            return {
+                type: 'captured',
+                field: DIGIT_CAPTURES[capture].field,
+                value,
+                utterance: phrases.captured[capture].replace('{value}', this.formatForSpeech(capture, value))
+            };
+        }
+
+        const action = menu && menu.enabled ? menu.options[entered] : null;
+        switch (action) {
+            case 'emergency':
+            case 'schedule':
+            case 'operator':
+                return { type: 'action', action, utterance: phrases.utterances[action] };
+            case 'callback':
+                return { type: 'prompt', prompt: phrases.capturePrompts.phone, capture: 'phone' };
+            case 'repeat':
+                return { type: 'prompt', prompt: this.describeMenu(menu, language), capture: null };
+            default:
+                return { type: 'prompt', prompt: `${phrases.unknownKey} ${this.describeMenu(menu, language)}`.trim(), capture: null };
+        }
+    }
+
+    /**
+     * Prompt asking the caller to type a value
+     * @param {string} capture - 'phone' | 'zip'
+     * @param {string} language - Language code
+     * @returns {string} Prompt
+     */
+    getCapturePrompt(capture, language = 'en') {
+        return this.getPhrases(language).capturePrompts[capture] || null;
+    }
+
+    formatForSpeech(capture, value) {
+        if (capture === 'phone') {
+            const national = value.slice(-10);
+            return `${national.slice(0, 3)}-${national.slice(3, 6)}-${national.slice(6)}`;
+        }
+        return value;
+    }
+
+    getPhrases(language) {
+        return KEYPAD_PHRASES[language] || KEYPAD_PHRASES.en;
+    }
+}
+
+/**
+ * Validate a business's keypad menu
+ * @param {Object} keypadMenu - aiConfig.keypadMenu
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateKeypadMenu(keypadMenu) {
+    const errors = [];
+    if (!keypadMenu) return errors;
+
+    if (keypadMenu.enabled !== undefined && typeof keypadMenu.enabled !== 'boolean') {
+        errors.push('Keypad menu "enabled" must be true or false');
+    }
+
+    Object.entries(keypadMenu.options || {}).forEach(([digit, action]) => {
+        if (!MENU_KEYS.test(digit)) errors.push(`Keypad menu key "${digit}" must be 0-9 or *`);
+        if (!KEYPAD_ACTIONS.includes(action)) errors.push(`Keypad menu action for ${digit} must be one of: ${KEYPAD_ACTIONS.join(', ')}`);
+    });
+
+    return errors;
+}
+
+KeypadService.KEYPAD_ACTIONS = KEYPAD_ACTIONS;
+KeypadService.DEFAULT_KEYPAD_MENU = DEFAULT_KEYPAD_MENU;
+KeypadService.DIGIT_CAPTURES = Object.keys(DIGIT_CAPTURES);
+KeypadService.validateKeypadMenu = validateKeypadMenu;
+
+module.exports = KeypadService;
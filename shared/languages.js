@@ -0,0 +1,303 @@
+/**
+ * Call Languages
+ * Languages the agent can hold a call in, the fixed phrases it speaks in each, and the
+ * rules for picking a call's language: per-number default, then the caller's first
+ * utterance (or an explicit "español" / "English" at any point).
+ *
+ * aiConfig.languages = ['en', 'es']            - languages this business serves
+ * aiConfig.defaultLanguage = 'en'              - used when nothing else applies
+ * aiConfig.languageByNumber = { '+1555...': 'es' } - default per Twilio number
+ * aiConfig.greetingMessages = { es: '...' }    - custom greeting per language
+ * aiConfig.closingMessages = { es: '...' }     - custom closing line per language
+ */
+
+const { getVoice } = require('./voiceCatalog');
+
+const SUPPORTED_LANGUAGES = {
+    en: {
+        code: 'en',
+        name: 'English',
+        locale: 'en-US',
+        gatherLanguage: 'en-US',
+        twilioVoices: { normal: 'Google.en-US-Neural2-H', emergency: 'Google.en-US-Neural2-A' },
+        defaultVoices: { female: 'en-US-AvaMultilingualNeural', male: 'en-US-AndrewMultilingualNeural' }
+    },
+    es: {
+        code: 'es',
+        name: 'Spanish',
+        locale: 'es-US',
+        gatherLanguage: 'es-US',
+        twilioVoices: { normal: 'Google.es-US-Neural2-A', emergency: 'Google.es-US-Neural2-B' },
+        defaultVoices: { female: 'es-US-PalomaNeural', male: 'es-US-AlonsoNeural' }
+    }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Fixed phrases spoken by the call flow
+const PHRASES = {
+    en: {
+        clarification: 'I did not catch that. Could you please repeat?',
+        noSpeech: "I didn't hear anything. What can I help you with today?",
+        voicemailNonEmergency: "Thanks for letting me know. Since this isn't an emergency, please leave your name, number and a short message after the tone, and we'll call you back first thing.",
+        technicalDifficulties: "I'm sorry, I'm having technical difficulties. Please try calling back in a moment.",
+        noMessage: 'We did not receive a message. Goodbye.',
+        languageOffer: 'For English, say English.',
+        welcomeBack: 'Welcome back!',
+        welcomeBackName: 'Hi {name}, welcome back!',
+        lastIssue: 'Last time we spoke about: {issue}.',
+        closing: 'Thank you for calling {companyName}. Have a great day!',
+        goodbye: 'Thank you for calling. Goodbye.',
+        listening: "I'm listening...",
+        closedHoliday: "We're closed today for {holiday}.",
+        closedToday: "We're closed today.",
+        closedBreak: "We're on a short break right now.",
+        closedNow: "We're currently closed.",
+        nextOpening: 'Our next available time is {when}.',
+        emergencyInvite: 'For emergencies, please let me know!',
+        emergencyOnlyOffer: "If this is an emergency, please tell me what's happening now. Otherwise, I can take a voicemail for you.",
+        voicemailPrompt: "Please leave your name, phone number and a short message after the tone, and we'll call you back first thing.",
+        voicemailSaved: "Thank you. Your message has been saved and we'll call you back first thing. Goodbye.",
+        transferConnecting: "One moment please, I'm connecting you with a member of our team.",
+        transferEmergency: "I'm connecting you with a technician right now. Please stay on the line.",
+        transferUnavailable: 'Sorry, nobody from {companyName} is available right now. Please leave your name, number and a short message after the tone, and we will call you back as soon as possible.',
+        transferVoicemailSaved: 'Thank you. Your message has been saved and someone will call you back soon. Goodbye.',
+        transferFailed: "I'm sorry, I couldn't complete the transfer. Please call back in a moment.",
+        ourTeam: 'our team',
+        anythingElse: 'Is there anything else I can help you with?',
+        aiUnavailable: "I'm having trouble with my AI service. Let me connect you with someone who can help.",
+        aiMisconfigured: "I'm having configuration issues. Please call back in a few minutes.",
+        aiTrouble: "I'm having trouble right now. Could you try again?"
+    },
+    es: {
+        clarification: 'No le entendí bien. ¿Me lo puede repetir, por favor?',
+        noSpeech: 'No escuché nada. ¿En qué le puedo ayudar hoy?',
+        voicemailNonEmergency: 'Gracias por avisarnos. Como no es una emergencia, por favor deje su nombre, su número y un breve mensaje después del tono, y le llamaremos a primera hora.',
+        technicalDifficulties: 'Lo siento, estoy teniendo problemas técnicos. Por favor, vuelva a llamar en un momento.',
+        noMessage: 'No recibimos ningún mensaje. Adiós.',
+        languageOffer: 'Para español, diga español.',
+        welcomeBack: '¡Bienvenido de nuevo!',
+        welcomeBackName: 'Hola {name}, ¡bienvenido de nuevo!',
+        lastIssue: 'La última vez nos llamó por lo siguiente: {issue}.',
+        closing: 'Gracias por llamar a {companyName}. ¡Que tenga un excelente día!',
+        goodbye: 'Gracias por llamar. Adiós.',
+        listening: 'Le escucho...',
+        closedHoliday: 'Hoy estamos cerrados por {holiday}.',
+        closedToday: 'Hoy estamos cerrados.',
+        closedBreak: 'Estamos en un breve descanso en este momento.',
+        closedNow: 'En este momento estamos cerrados.',
+        nextOpening: 'Volvemos a atender {when}.',
+        emergencyInvite: 'Si se trata de una emergencia, ¡avíseme!',
+        emergencyOnlyOffer: 'Si se trata de una emergencia, cuénteme ahora qué está pasando. Si no, puedo tomarle un mensaje de voz.',
+        voicemailPrompt: 'Por favor deje su nombre, su número de teléfono y un breve mensaje después del tono, y le llamaremos a primera hora.',
+        voicemailSaved: 'Gracias. Guardamos su mensaje y le llamaremos a primera hora. Adiós.',
+        transferConnecting: 'Un momento, por favor. Le comunico con un miembro de nuestro equipo.',
+        transferEmergency: 'Le comunico ahora mismo con un técnico. Por favor, no cuelgue.',
+        transferUnavailable: 'Lo sentimos, en este momento no hay nadie de {companyName} disponible. Por favor deje su nombre, su número y un breve mensaje después del tono, y le devolveremos la llamada lo antes posible.',
+        transferVoicemailSaved: 'Gracias. Guardamos su mensaje y alguien le devolverá la llamada pronto. Adiós.',
+        transferFailed: 'Lo siento, no pude completar la transferencia. Por favor, vuelva a llamar en un momento.',
+        ourTeam: 'nuestro equipo',
+        anythingElse: '¿Hay algo más en lo que le pueda ayudar?',
+        aiUnavailable: 'Estoy teniendo problemas con mi servicio. Permítame comunicarle con alguien que le pueda ayudar.',
+        aiMisconfigured: 'Estoy teniendo problemas de configuración. Por favor, vuelva a llamar en unos minutos.',
+        aiTrouble: 'Estoy teniendo problemas en este momento. ¿Me lo puede repetir?'
+    }
+};
+
+// Caller asking for a language by name switches at any point in the call
+const LANGUAGE_REQUESTS = {
+    es: /\b(espa[nñ]ol|spanish)\b/i,
+    en: /\b(english|ingl[eé]s)\b/i
+};
+
+// Common words that give a language away in a short utterance
+const MARKER_WORDS = {
+    es: ['hola', 'buenos', 'buenas', 'necesito', 'tengo', 'quiero', 'por', 'favor', 'gracias', 'el', 'la', 'los', 'las', 'una', 'mi', 'es', 'está', 'esta', 'sí', 'que', 'de', 'con', 'para', 'aire', 'calefacción', 'agua', 'problema', 'ayuda', 'habla', 'hablo', 'puede', 'usted', 'casa', 'cita'],
+    en: ['the', 'is', 'my', 'i', "i'm", 'need', 'have', 'want', 'please', 'thanks', 'thank', 'hello', 'hi', 'with', 'for', 'and', 'it', 'to', 'help', 'this', 'you', 'can', 'appointment', 'house']
+};
+
+// Marker words needed before an utterance counts as a language
+const MIN_MARKERS = 2;
+
+/**
+ * Languages a business serves (always includes its default)
+ * @param {Object} aiConfig - Business AI configuration
+ * @returns {Array} Language codes
+ */
+function getEnabledLanguages(aiConfig = {}) {
+    const configured = ((aiConfig && aiConfig.languages) || []).filter(code => SUPPORTED_LANGUAGES[code]);
+    const fallback = getDefaultLanguage(aiConfig);
+    return configured.includes(fallback) ? configured : [fallback, ...configured];
+}
+
+function getDefaultLanguage(aiConfig = {}, phoneNumber = null) {
+    const byNumber = aiConfig && aiConfig.languageByNumber && phoneNumber ? aiConfig.languageByNumber[phoneNumber] : null;
+    if (SUPPORTED_LANGUAGES[byNumber]) return byNumber;
+    return aiConfig && SUPPORTED_LANGUAGES[aiConfig.defaultLanguage] ? aiConfig.defaultLanguage : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Language a call starts in
+ * @param {Object} businessContext - Business context
+ * @param {string} phoneNumber - Twilio number that was called
+ * @returns {string} Language code
+ */
+function resolveCallLanguage(businessContext, phoneNumber = null) {
+    return getDefaultLanguage(businessContext && businessContext.aiConfig, phoneNumber);
+}
+
+/**
+ * Guess the language of a caller utterance
+ * @param {string} text - Transcribed speech
+ * @returns {Object} { language (null when unsure), confidence, explicit }
+ */
+function detectLanguage(text) {
+    if (!text) return { language: null, confidence: 0, explicit: false };
+
+    // "Spanish" / "español" wins over whatever language the sentence itself is in
+    const requested = Object.keys(LANGUAGE_REQUESTS).find(code => LANGUAGE_REQUESTS[code].test(text));
+    if (requested) return { language: requested, confidence: 1, explicit: true };
+
+    const words = text.toLowerCase().match(/[a-záéíóúñü']+/g) || [];
+    const scores = {};
+    Object.keys(MARKER_WORDS).forEach(code => {
+        scores[code] = words.filter(word => MARKER_WORDS[code].includes(word)).length;
+    });
+
+    const [best, runnerUp] = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+    const total = scores[best] + scores[runnerUp];
+    if (scores[best] < MIN_MARKERS || scores[best] === scores[runnerUp]) {
+        return { language: null, confidence: 0, explicit: false };
+    }
+
+    return { language: best, confidence: Math.round((scores[best] / total) * 100) / 100, explicit: false };
+}
+
+/**
+ * Decide whether a caller utterance switches the call language
+ * @param {string} text - Transcribed speech
+ * @param {Object} options - { current, enabled (codes), firstTurn, detected (recognizer's language code) }
+ * @returns {string|null} New language code, or null to stay
+ */
+function chooseLanguageSwitch(text, options = {}) {
+    const { current = DEFAULT_LANGUAGE, enabled = [DEFAULT_LANGUAGE], firstTurn = false, detected = null } = options;
+    if (enabled.length < 2) return null;
+
+    const detection = detectLanguage(text);
+    let candidate = null;
+    if (detection.explicit) candidate = detection.language;
+    else if (firstTurn) candidate = detected || detection.language;
+
+    return candidate && candidate !== current && enabled.includes(candidate) ? candidate : null;
+}
+
+/**
+ * Fixed phrase in a language (falls back to English)
+ * @param {string} key - Phrase key from PHRASES
+ * @param {string} language - Language code
+ * @returns {string} Phrase
+ */
+function getPhrase(key, language = DEFAULT_LANGUAGE) {
+    return (PHRASES[language] && PHRASES[language][key]) || PHRASES[DEFAULT_LANGUAGE][key];
+}
+
+/**
+ * Voice settings for speaking a language: multilingual voices keep the business's pick,
+ * others are swapped for the language's default voice of the same gender
+ * @param {Object} voice - Resolved voice settings (businessContext.voice)
+ * @param {string} language - Language code
+ * @returns {Object} Voice settings
+ */
+function localizeVoice(voice, language = DEFAULT_LANGUAGE) {
+    const target = SUPPORTED_LANGUAGES[language];
+    if (!voice || !target || voice.locale.startsWith(`${language}-`)) return voice;
+
+    if (/Multilingual/.test(voice.name)) {
+        return { ...voice, locale: target.locale };
+    }
+
+    const entry = getVoice(target.defaultVoices[voice.gender] || target.defaultVoices.female);
+    return { ...voice, name: entry.name, locale: entry.locale, gender: entry.gender, style: null };
+}
+
+/**
+ * Twilio <Say> voice for a language
+ * @param {string} language - Language code
+ * @param {boolean} isEmergency - Use the clearer emergency voice
+ * @returns {string} Twilio voice name
+ */
+function getTwilioVoice(language = DEFAULT_LANGUAGE, isEmergency = false) {
+    const voices = (SUPPORTED_LANGUAGES[language] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE]).twilioVoices;
+    return isEmergency ? voices.emergency : voices.normal;
+}
+
+function getGatherLanguage(language = DEFAULT_LANGUAGE) {
+    return (SUPPORTED_LANGUAGES[language] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE]).gatherLanguage;
+}
+
+/**
+ * Map a recognizer locale (e.g. "es-US") to a supported language code
+ * @param {string} locale - BCP-47 locale
+ * @returns {string|null} Language code
+ */
+function languageFromLocale(locale) {
+    const code = locale ? locale.split('-')[0].toLowerCase() : null;
+    return SUPPORTED_LANGUAGES[code] ? code : null;
+}
+
+/**
+ * Validate a business's language settings
+ * @param {Object} aiConfig - Business AI configuration
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateLanguageSettings(aiConfig = {}) {
+    const errors = [];
+    const supported = Object.keys(SUPPORTED_LANGUAGES);
+    const isSupported = code => supported.includes(code);
+
+    if (aiConfig.languages !== undefined) {
+        if (!Array.isArray(aiConfig.languages) || aiConfig.languages.length === 0 || !aiConfig.languages.every(isSupported)) {
+            errors.push(`Languages must be a non-empty list of: ${supported.join(', ')}`);
+        }
+    }
+
+    if (aiConfig.defaultLanguage !== undefined && !isSupported(aiConfig.defaultLanguage)) {
+        errors.push(`Default language must be one of: ${supported.join(', ')}`);
+    } else if (aiConfig.defaultLanguage && Array.isArray(aiConfig.languages) && !aiConfig.languages.includes(aiConfig.defaultLanguage)) {
+        errors.push('Default language must be one of the business languages');
+    }
+
+    if (aiConfig.languageByNumber) {
+        const invalid = Object.entries(aiConfig.languageByNumber)
+            .filter(([, code]) => !isSupported(code))
+            .map(([number]) => number);
+        if (invalid.length > 0) {
+            errors.push(`Unsupported language for numbers: ${invalid.join(', ')}`);
+        }
+    }
+
+    if (aiConfig.greetingMessages) {
+        Object.entries(aiConfig.greetingMessages).forEach(([code, message]) => {
+            if (!isSupported(code)) errors.push(`Greeting language "${code}" is not supported`);
+            else if (typeof message !== 'string' || message.length > 500) errors.push(`Greeting message (${code}) must be text of at most 500 characters`);
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    PHRASES,
+    getEnabledLanguages,
+    resolveCallLanguage,
+    detectLanguage,
+    chooseLanguageSwitch,
+    getPhrase,
+    localizeVoice,
+    getTwilioVoice,
+    getGatherLanguage,
+    languageFromLocale,
+    validateLanguageSettings
+};
@@ -0,0 +1,222 @@
+/**
+ * Lead Extraction Service
+ * Per-turn structured extraction of lead details (name, callback number, address,
+ * service type, problem, preferred time, urgency) from the model as JSON, validated
+ * field by field and merged into session.leadInfo with confidence and source turn.
+ * Phone numbers are stored as E.164: numbers given with a country code ("+44 20...",
+ * "0044 20...") keep it, and 10-digit numbers without one are taken as North American (+1).
+ */
+
+const EXTRACTION_PROMPT = `You extract lead details from one caller turn of a phone call to a home services business.
+Return ONLY a JSON object. Include a field only if the caller stated it in THIS turn; never guess.
+Each included field is an object { "value": ..., "confidence": number 0-1 }.
+Fields:
+- name: the caller's name (a person's name, not a description like "having trouble")
+- phone: callback number, digits only, with a leading + and country code if the caller gave one
+- address: service address
+- serviceType: one of "heating", "cooling", "maintenance", "installation", "repair", "general"
+- problemDescription: short summary of the problem in the caller's words
+- preferredTime: when the caller wants service, as they said it (e.g. "tomorrow morning")
+- urgency: one of "normal", "urgent", "emergency"
+Example: {"name":{"value":"Dana Smith","confidence":0.95},"urgency":{"value":"urgent","confidence":0.7}}
+Return {} if the turn has none of these.`;
+
+const SERVICE_TYPES = ['heating', 'cooling', 'maintenance', 'installation', 'repair', 'general'];
+const URGENCY_LEVELS = ['normal', 'urgent', 'emergency'];
+
+// Fields below this confidence are dropped
+const MIN_CONFIDENCE = 0.5;
+
+// One to four words of letters in any script (José, Zoë, O'Brien, Nguyễn)
+const NAME_PATTERN = /^\p{L}[\p{L}\p{M}'’.-]*(\s+\p{L}[\p{L}\p{M}'’.-]*)*$/u;
+
+// E.164 allows up to 15 digits after the +; shorter than 8 is never a full number
+const MIN_INTERNATIONAL_DIGITS = 8;
+const MAX_INTERNATIONAL_DIGITS = 15;
+
+// First words of "I'm ..." phrases that are never names
+const NOT_NAMES = ['having', 'calling', 'looking', 'trying', 'not', 'just', 'so', 'very', 'really', 'interested', 'here', 'still', 'wondering', 'sorry', 'good', 'fine'];
+
+/**
+ * Callback number as E.164
+ * @param {string} text - Number as the caller (or the model) wrote it
+ * @returns {string|null} E.164 number, or null if it cannot be a full number
+ */
+function normalizePhone(text) {
+    const international = /^\s*(\+|00)/.exec(text);
+    const digits = String(text).replace(/\D/g, '');
+
+    if (international) {
+        const number = international[1] === '00' ? digits.slice(2) : digits;
+        const valid = number.length >= MIN_INTERNATIONAL_DIGITS && number.length <= MAX_INTERNATIONAL_DIGITS && number[0] !== '0';
+        return valid ? `+${number}` : null;
+    }
+
+    // No country code: North American numbering
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    return null;
+}
+
+class LeadExtractionService {
+    /**
+     * @param {Object} openaiClient - AzureOpenAI client (or a mock with chat.completions.create)
+     */
+    constructor(openaiClient = null) {
+        this.openai = openaiClient;
+    }
+
+    /**
+     * Extract lead fields from one caller turn
+     * @param {string} text - Caller utterance
+     * @param {Object} context - { lastAssistantMessage } question the caller is answering
+     * @returns {Object} Validated fields { name: { value, confidence }, ... } (empty on failure)
+     */
+    async extract(text, context = {}) {
+        if (!this.openai || !text || !text.trim()) return {};
+
+        const messages = [{ role: 'system', content: EXTRACTION_PROMPT }];
+        if (context.lastAssistantMessage) {
+            // Short answers ("it's 555 1234") only make sense next to the question
+            messages.push({ role: 'assistant', content: context.lastAssistantMessage });
+        }
+        messages.push({ role: 'user', content: text });
+
+        try {
+            const completion = await this.openai.chat.completions.create({
+                model: 'gpt-35-turbo',
+                messages,
+                max_tokens: 200,
+                temperature: 0
+            });
+
+            return this.validate(this.parseJSON(completion.choices[0].message.content));
+        } catch (error) {
+            console.error('❌ Lead extraction failed:', error.message);
+            return {};
+        }
+    }
+
+    parseJSON(content) {
+        if (!content) return {};
+        // Tolerate prose or code fences around the object
+        const match = content.match(/\{[\s\S]*\}/);
+        if (!match) return {};
+        try {
+            return JSON.parse(match[0]);
+        } catch (error) {
+            console.warn('⚠️ Lead extraction returned invalid JSON');
+            return {};
+        }
+    }
+
+    /**
+     * Keep only well-formed fields above the confidence floor
+     * @param {Object} raw - Parsed model output
+     * @returns {Object} Validated fields
+     */
+    validate(raw) {
+        const fields = {};
+        if (!raw || typeof raw !== 'object') return fields;
+
+        Object.entries(raw).forEach(([field, entry]) => {
+            if (!entry || typeof entry !== 'object') return;
+
+            const confidence = Number(entry.confidence);
+            if (!(confidence >= MIN_CONFIDENCE && confidence <= 1)) return;
+
+            const value = this.normalizeField(field, entry.value);
+            if (value !== null) {
+                fields[field] = { value, confidence };
+            }
+        });
+
+        return fields;
+    }
+
+    normalizeField(field, value) {
+        if (value === undefined || value === null) return null;
+        const text = String(value).trim();
+        if (!text) return null;
+
+        switch (field) {
+            case 'name': {
+                const words = text.split(/\s+/);
+                if (words.length > 4 || !NAME_PATTERN.test(text)) return null;
+                if (NOT_NAMES.includes(words[0].toLowerCase())) return null;
+                return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+            }
+
+            case 'phone':
+                return this.normalizePhone(text);
+
+            case 'serviceType':
+                return SERVICE_TYPES.includes(text.toLowerCase()) ? text.toLowerCase() : null;
+
+            case 'urgency':
+                return URGENCY_LEVELS.includes(text.toLowerCase()) ? text.toLowerCase() : null;
+
+            case 'address':
+            case 'problemDescription':
+            case 'preferredTime':
+                return text.substring(0, 200);
+
+            default:
+                return null;
+        }
+    }
+
+    normalizePhone(text) {
+        return normalizePhone(text);
+    }
+
+    /**
+     * Merge extracted fields into the lead, keeping the more confident value per field
+     * @param {Object} leadInfo - Session lead (updated in place)
+     * @param {Object} fields - Result of extract()
+     * @param {number} sourceTurn - Index of the caller turn the fields came from
+     * @returns {Array} Names of fields that changed
+     */
+    mergeIntoLead(leadInfo, fields, sourceTurn) {
+        leadInfo.contactInfo = leadInfo.contactInfo || {};
+        leadInfo.extracted = leadInfo.extracted || {};
+        const changed = [];
+
+        Object.entries(fields).forEach(([field, { value, confidence }]) => {
+            const previous = leadInfo.extracted[field];
+            if (previous && previous.confidence > confidence) return;
+
+            // Urgency only escalates within a call
+            if (field === 'urgency' && previous &&
+                URGENCY_LEVELS.indexOf(value) < URGENCY_LEVELS.indexOf(previous.value)) return;
+
+            leadInfo.extracted[field] = { value, confidence, sourceTurn, extractedAt: new Date().toISOString() };
+            changed.push(field);
+
+            switch (field) {
+                case 'name':
+                case 'phone':
+                case 'address':
+                    leadInfo.contactInfo[field] = value;
+                    break;
+                case 'serviceType':
+                    leadInfo.serviceType = value;
+                    break;
+                case 'urgency':
+                    leadInfo.urgencyLevel = value;
+                    if (value === 'emergency') leadInfo.hasEmergency = true;
+                    break;
+                default:
+                    leadInfo[field] = value;
+            }
+        });
+
+        return changed;
+    }
+}
+
+LeadExtractionService.SERVICE_TYPES = SERVICE_TYPES;
+LeadExtractionService.URGENCY_LEVELS = URGENCY_LEVELS;
+LeadExtractionService.normalizePhone = normalizePhone;
+
+module.exports = LeadExtractionService;
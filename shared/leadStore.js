@@ -0,0 +1,58 @@
+/**
+ * Lead Store
+ * Read-modify-write access to business-scoped leads (one lead per caller phone number
+ * per business) for callbacks that run outside the voice-stream conversation loop
+ */
+
+const { getRepositories } = require('./repositories');
+
+class LeadStore {
+    /**
+     * @param {Object} leads - Lead repository (defaults to the STORAGE_BACKEND one)
+     */
+    constructor(leads = null) {
+        this.leads = leads;
+    }
+
+    getRepository() {
+        if (this.leads) return this.leads;
+
+        this.leads = getRepositories().leads;
+        if (!this.leads) console.warn('⚠️ COSMOS_CONN not configured, lead updates will not be saved');
+        return this.leads;
+    }
+
+    /**
+     * @param {string} businessId - Business identifier
+     * @param {string} phoneNumber - Caller phone number
+     * @returns {Object|null} The caller's leadInfo, or null if there is no lead (or no storage)
+     */
+    async getLeadInfo(businessId, phoneNumber) {
+        const leads = this.getRepository();
+        if (!leads || !phoneNumber) return null;
+
+        const lead = await leads.get(businessId || 'default', phoneNumber);
+        return lead ? lead.leadInfo || null : null;
+    }
+
+    /**
+     * Apply a change to a caller's leadInfo, creating the lead if needed
+     * @param {string} businessId - Business identifier (partition key)
+     * @param {string} phoneNumber - Caller phone number
+     * @param {Function} mutate - Receives leadInfo and changes it in place (may run more than once)
+     * @returns {boolean} True if the lead was saved
+     */
+    async updateLeadInfo(businessId, phoneNumber, mutate) {
+        const leads = this.getRepository();
+        if (!leads || !phoneNumber) return false;
+
+        try {
+            return await leads.update(businessId || 'default', phoneNumber, mutate);
+        } catch (error) {
+            console.error('❌ Error updating lead:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = LeadStore;
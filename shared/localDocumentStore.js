@@ -0,0 +1,107 @@
+/**
+ * Local Document Store
+ * Collections of JSON documents kept in memory and, when a file path is given, written
+ * back to one JSON file after every change. Backs the local repositories so the
+ * function app runs without Cosmos DB or Firestore; not meant for production load.
+ * Every write stamps the document with a new _etag, and writes can be made conditional
+ * on it the way Cosmos DB's are (412 on a mismatch, 409 when creating an existing id).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Documents are copied in and out so callers can't change stored state by reference
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class LocalDocumentStore {
+    /**
+     * @param {Object} options - { filePath } (omit for memory only)
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.collections = {};
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        try {
+            this.collections = JSON.parse(fs.readFileSync(this.filePath, 'utf-8')) || {};
+            console.log(`📂 Loaded local data from ${this.filePath}`);
+        } catch (error) {
+            console.error(`❌ Could not read local data from ${this.filePath}:`, error.message);
+            this.collections = {};
+        }
+    }
+
+    persist() {
+        if (!this.filePath) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write then rename, so a crash mid-write never leaves half a file behind
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.collections, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    collection(name) {
+        if (!this.collections[name]) this.collections[name] = {};
+        return this.collections[name];
+    }
+
+    /**
+     * @param {string} name - Collection name
+     * @param {string} id - Document id
+     * @returns {Object|null} Copy of the document
+     */
+    get(name, id) {
+        return clone(this.collection(name)[id]) || null;
+    }
+
+    /**
+     * @param {string} name - Collection name
+     * @param {string} id - Document id
+     * @param {Object} doc - Document (replaces any existing one)
+     * @param {Object} conditions - { ifMatch: _etag the stored document must have, createOnly: fail if it exists }
+     * @returns {Object} Copy of the stored document, with its new _etag
+     */
+    put(name, id, doc, conditions = {}) {
+        const current = this.collection(name)[id];
+        if (conditions.createOnly && current) {
+            throw Object.assign(new Error(`Document ${id} already exists`), { code: 409 });
+        }
+        if (conditions.ifMatch && (!current || current._etag !== conditions.ifMatch)) {
+            throw Object.assign(new Error(`Document ${id} was changed by another writer`), { code: 412 });
+        }
+
+        const stored = { ...clone(doc), _etag: crypto.randomUUID() };
+        this.collection(name)[id] = stored;
+        this.persist();
+        return clone(stored);
+    }
+
+    /**
+     * @param {string} name - Collection name
+     * @param {string} id - Document id
+     * @returns {boolean} True if a document was removed
+     */
+    remove(name, id) {
+        if (!this.collection(name)[id]) return false;
+        delete this.collection(name)[id];
+        this.persist();
+        return true;
+    }
+
+    /**
+     * @param {string} name - Collection name
+     * @param {Function} predicate - Filter, receives each document
+     * @returns {Array} Copies of matching documents
+     */
+    find(name, predicate = () => true) {
+        return Object.values(this.collection(name)).filter(predicate).map(clone);
+    }
+}
+
+module.exports = LocalDocumentStore;
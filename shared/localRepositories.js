@@ -0,0 +1,414 @@
+/**
+ * Local Repositories
+ * Offline implementations of the repository interfaces in repositories.js, backed by a
+ * LocalDocumentStore (memory only, or one JSON file) and a local audio folder. Documents
+ * keep the same ids and shapes as their Cosmos/Firestore counterparts, so handlers can't
+ * tell the difference.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withRetry } = require('./retryPolicy');
+
+// Same retention as the Cosmos documents, kept on the document for parity
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 365;
+const LEAD_TTL_SECONDS = 60 * 60 * 24 * 365 * 2;
+
+const AUDIO_CONTENT_TYPES = {
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav'
+};
+
+// A bare date covers the whole day
+const endOfDay = date => (date.length === 10 ? `${date}T23:59:59.999Z` : date);
+
+const newestFirst = field => (a, b) => String(b[field] || '').localeCompare(String(a[field] || ''));
+
+class LocalSessionRepository {
+    /**
+     * @param {LocalDocumentStore} store - Document store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    getId(businessId, callSid) {
+        return `${businessId}_${callSid}`;
+    }
+
+    async provision() {
+        // Nothing to create locally
+    }
+
+    async get(businessId, callSid) {
+        return this.store.get('conversations', this.getId(businessId, callSid));
+    }
+
+    async create(businessId, callSid, customerPhone, details = {}) {
+        const { leadInfo = { contactInfo: {} }, messages = [], previousCalls = 0, customer = null, businessContext = null } = details;
+        const now = new Date().toISOString();
+        const id = this.getId(businessId, callSid);
+
+        const session = {
+            id,
+            businessId,
+            callSid,
+            customerPhone,
+            messages,
+            leadInfo,
+            previousCalls,
+            customer,
+            businessContext: {
+                companyName: businessContext?.companyName || 'Unknown',
+                industry: businessContext?.industry || 'general'
+            },
+            createdAt: now,
+            updatedAt: now,
+            businessScoped: true,
+            version: '2.0',
+            revision: 0,
+            ttl: SESSION_TTL_SECONDS
+        };
+
+        try {
+            return this.store.put('conversations', id, session, { createOnly: true });
+        } catch (error) {
+            if (error.code !== 409) throw error;
+            return await this.get(businessId, callSid);
+        }
+    }
+
+    /**
+     * Same ETag semantics as the Cosmos session update
+     * @param {Function} mutate - Receives the session document and changes it in place (may run more than once)
+     */
+    async update(businessId, callSid, mutate) {
+        const id = this.getId(businessId, callSid);
+        try {
+            return await withRetry(async () => {
+                const session = await this.get(businessId, callSid);
+                if (!session) {
+                    console.warn(`⚠️ No session ${id} to update`);
+                    return null;
+                }
+
+                const { _etag: etag, revision = 0 } = session;
+                mutate(session);
+                return this.store.put('conversations', id, {
+                    ...session,
+                    id,
+                    businessId,
+                    revision: revision + 1,
+                    updatedAt: new Date().toISOString()
+                }, { ifMatch: etag });
+            }, { label: `Session ${id} update` });
+        } catch (error) {
+            console.error('❌ Error updating local session:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Drop a closed call's session (the in-process fallback only keeps live calls)
+     */
+    async remove(businessId, callSid) {
+        return this.store.remove('conversations', this.getId(businessId, callSid));
+    }
+
+    async countPreviousCalls(businessId, customerPhone, callSid) {
+        return this.store.find('conversations', session =>
+            session.businessId === businessId && session.customerPhone === customerPhone && session.callSid !== callSid
+        ).length;
+    }
+
+    async listByCaller(businessId, customerPhone, limit = 50) {
+        return this.store.find('conversations', session =>
+            session.businessId === businessId && session.customerPhone === customerPhone
+        )
+            .sort(newestFirst('createdAt'))
+            .slice(0, limit)
+            .map(session => ({
+                callSid: session.callSid,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt,
+                leadInfo: session.leadInfo,
+                messageCount: (session.messages || []).length
+            }));
+    }
+
+    async listRecent(businessId, limit = 50) {
+        return this.store.find('conversations', session => !businessId || session.businessId === businessId)
+            .sort(newestFirst('updatedAt'))
+            .slice(0, limit);
+    }
+}
+
+class LocalLeadRepository {
+    /**
+     * @param {LocalDocumentStore} store - Document store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    getId(businessId, phoneNumber) {
+        return `${businessId}_${phoneNumber}`;
+    }
+
+    async get(businessId, phoneNumber) {
+        if (!phoneNumber) return null;
+        return this.store.get('leads', this.getId(businessId, phoneNumber));
+    }
+
+    async save(businessId, phoneNumber, leadInfo, extras = {}) {
+        return this.write(businessId, phoneNumber, () => leadInfo, extras);
+    }
+
+    /**
+     * Same ETag semantics as the Cosmos lead update
+     * @param {Function} mutate - Receives leadInfo and changes it in place (may run more than once)
+     */
+    async update(businessId, phoneNumber, mutate, extras = {}) {
+        if (!phoneNumber) return false;
+
+        return !!(await this.write(businessId, phoneNumber, existingLeadInfo => {
+            const leadInfo = existingLeadInfo || { contactInfo: {} };
+            mutate(leadInfo);
+            return leadInfo;
+        }, extras));
+    }
+
+    async write(businessId, phoneNumber, buildLeadInfo, extras = {}) {
+        const id = this.getId(businessId, phoneNumber);
+        return withRetry(async () => {
+            const existing = await this.get(businessId, phoneNumber);
+            const lead = {
+                ...(existing || {}),
+                id,
+                businessId,
+                phoneNumber,
+                leadInfo: buildLeadInfo(existing?.leadInfo || null),
+                ...(extras.callSid ? { lastCallSid: extras.callSid } : {}),
+                ...(extras.score !== undefined ? { score: extras.score } : {}),
+                createdAt: existing?.createdAt || new Date().toISOString(),
+                lastContact: new Date().toISOString(),
+                businessScoped: true,
+                ttl: LEAD_TTL_SECONDS
+            };
+
+            try {
+                return this.store.put('leads', id, lead, existing ? { ifMatch: existing._etag } : { createOnly: true });
+            } catch (error) {
+                // Another writer created the lead first: re-read and apply again
+                if (error.code === 409) error.code = 412;
+                throw error;
+            }
+        }, { label: `Lead ${id} update` });
+    }
+
+    async listRecent(businessId, limit = 100) {
+        return this.store.find('leads', lead => !businessId || lead.businessId === businessId)
+            .sort(newestFirst('lastContact'))
+            .slice(0, limit);
+    }
+}
+
+class LocalCallRepository {
+    /**
+     * @param {LocalDocumentStore} store - Document store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    // Call SIDs are only unique per Twilio account, so the local key includes the business like the partition does
+    getId(businessId, callSid) {
+        return `${businessId}_${callSid}`;
+    }
+
+    async get(businessId, callSid) {
+        return this.store.get('calls', this.getId(businessId, callSid));
+    }
+
+    async save(record) {
+        this.store.put('calls', this.getId(record.businessId, record.id), record);
+        return true;
+    }
+
+    async list(businessId, filters = {}) {
+        const to = filters.to ? endOfDay(filters.to) : null;
+
+        return this.store.find('calls', record =>
+            record.businessId === businessId &&
+            (!filters.from || (record.endedAt && record.endedAt >= filters.from)) &&
+            (!to || (record.endedAt && record.endedAt <= to)) &&
+            (!filters.disposition || record.summary?.disposition === filters.disposition) &&
+            (!filters.caller || record.from === filters.caller)
+        )
+            .sort(newestFirst('updatedAt'))
+            .slice(0, Math.min(filters.limit || 50, 200));
+    }
+}
+
+class LocalWebhookResponseRepository {
+    /**
+     * @param {LocalDocumentStore} store - Document store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    getId(businessId, key) {
+        return `${businessId}_${key}`;
+    }
+
+    async get(businessId, key) {
+        return this.store.get('webhookResponses', this.getId(businessId, key));
+    }
+
+    async save(businessId, key, entry) {
+        // Expired entries are dropped on write, since nothing local enforces ttl
+        const now = new Date().toISOString();
+        this.store.find('webhookResponses', stored => stored.expiresAt <= now)
+            .forEach(stored => this.store.remove('webhookResponses', this.getId(stored.businessId, stored.id)));
+
+        this.store.put('webhookResponses', this.getId(businessId, key), { ...entry, id: key, businessId });
+        return true;
+    }
+}
+
+class LocalBusinessRepository {
+    /**
+     * @param {LocalDocumentStore} store - Document store (businesses collection, id = businessId)
+     * @param {FirebaseService} defaults - Source of the default business and AI config
+     */
+    constructor(store, defaults) {
+        this.store = store;
+        this.defaults = defaults;
+    }
+
+    async get(businessId) {
+        if (!businessId || businessId === 'default') return null;
+        return this.store.get('businesses', businessId);
+    }
+
+    /**
+     * Matches businesses[].twilioNumbers[].phoneNumber, like the Firestore lookup
+     */
+    async findByPhone(phoneNumber) {
+        const [business] = this.store.find('businesses', data =>
+            (data.twilioNumbers || []).some(number => number.phoneNumber === phoneNumber)
+        );
+        if (!business) {
+            console.log(`⚠️ No local business for phone ${phoneNumber}, using default config`);
+            return this.getDefault();
+        }
+
+        const { id, ...data } = business;
+        return { businessId: id, data, found: true };
+    }
+
+    /**
+     * Add or replace a business (seeding local data)
+     * @param {string} businessId - Business document ID
+     * @param {Object} data - Business document (profile, services, schedule, twilioNumbers...)
+     */
+    async save(businessId, data) {
+        this.store.put('businesses', businessId, { ...data, id: businessId });
+        return true;
+    }
+
+    getDefault() {
+        return this.defaults.getDefaultBusinessConfig();
+    }
+}
+
+class LocalAIConfigRepository {
+    /**
+     * @param {LocalDocumentStore} store - Document store (aiAssistants collection, id = businessId)
+     * @param {FirebaseService} defaults - Source of the default AI config
+     */
+    constructor(store, defaults) {
+        this.store = store;
+        this.defaults = defaults;
+    }
+
+    async get(businessId) {
+        if (businessId === 'default') return this.getDefault();
+        return this.store.get('aiAssistants', businessId) || this.getDefault();
+    }
+
+    async save(businessId, aiConfig) {
+        if (businessId === 'default') {
+            console.warn('⚠️ Cannot update default business config');
+            return false;
+        }
+
+        this.store.put('aiAssistants', businessId, {
+            ...(this.store.get('aiAssistants', businessId) || {}),
+            ...aiConfig,
+            businessId,
+            updatedAt: new Date().toISOString()
+        });
+        return true;
+    }
+
+    getDefault() {
+        return this.defaults.getDefaultAIConfig();
+    }
+}
+
+class LocalAudioRepository {
+    /**
+     * @param {Object} options - { directory (omit for memory only), baseUrl (served by the audio function) }
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || null;
+        this.baseUrl = (options.baseUrl || 'http://localhost:7071/api').replace(/\/$/, '');
+        this.files = new Map();
+    }
+
+    getUrl(name) {
+        return `${this.baseUrl}/audio/${encodeURIComponent(name)}`;
+    }
+
+    async find(name) {
+        if (this.files.has(name)) return this.getUrl(name);
+        if (this.directory && fs.existsSync(path.join(this.directory, name))) return this.getUrl(name);
+        return null;
+    }
+
+    async save(name, audio, contentType) {
+        if (this.directory) {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.writeFileSync(path.join(this.directory, name), audio);
+        } else {
+            this.files.set(name, { data: audio, contentType });
+        }
+        return this.getUrl(name);
+    }
+
+    /**
+     * @param {string} name - Audio file name
+     * @returns {Object|null} { data: Buffer, contentType }
+     */
+    async read(name) {
+        if (this.files.has(name)) return this.files.get(name);
+        if (!this.directory) return null;
+
+        const filePath = path.join(this.directory, name);
+        if (!fs.existsSync(filePath)) return null;
+        const extension = path.extname(name).slice(1).toLowerCase();
+        return { data: fs.readFileSync(filePath), contentType: AUDIO_CONTENT_TYPES[extension] || 'application/octet-stream' };
+    }
+}
+
+module.exports = {
+    LocalSessionRepository,
+    LocalLeadRepository,
+    LocalCallRepository,
+    LocalWebhookResponseRepository,
+    LocalBusinessRepository,
+    LocalAIConfigRepository,
+    LocalAudioRepository
+};
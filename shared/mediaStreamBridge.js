@@ -0,0 +1,433 @@
+/**
+ * Twilio Media Streams Bridge
+ * Runs one call over a <Connect><Stream> WebSocket: continuous recognition on the
+ * inbound mulaw audio, streamed mulaw synthesis back as media frames, and the same
+ * business prompts, lead logic and storage as the voice-stream <Gather> pipeline: the
+ * session and lead are saved after every turn, and a call record is written when the
+ * stream ends unless the call-status callback has already closed the call
+ */
+
+const KeypadService = require('./keypadService');
+const AfterHoursService = require('./afterHoursService');
+const CallSessionService = require('./callSessionService');
+const CallLifecycleService = require('./callLifecycleService');
+const CallRecordStore = require('./callRecordStore');
+const { resolveCallLanguage, getEnabledLanguages, chooseLanguageSwitch, localizeVoice, languageFromLocale } = require('./languages');
+
+// Twilio plays 8kHz mulaw in 20ms frames (160 bytes each)
+const FRAME_BYTES = 160;
+
+// ws readyState for an open socket
+const SOCKET_OPEN = 1;
+
+class MediaStreamBridge {
+    /**
+     * @param {Object} socket - WebSocket connection from Twilio (ws-compatible)
+     * @param {Object} options - { businessService, conversationService, agentToolService, voiceManager, speechService,
+     *                            keypadService, callSessions, callRecordStore, onSessionEnd,
+     *                            streamClaims (verified token: callSid, businessId, from, to) }
+     */
+    constructor(socket, options = {}) {
+        this.socket = socket;
+        this.businessService = options.businessService;
+        this.conversationService = options.conversationService;
+        this.agentToolService = options.agentToolService || null;
+        this.voiceManager = options.voiceManager;
+        this.speechService = options.speechService || this.voiceManager.azureSpeech;
+        this.keypadService = options.keypadService || new KeypadService();
+        this.callSessions = options.callSessions || new CallSessionService({ conversationService: this.conversationService });
+        this.callRecordStore = options.callRecordStore || new CallRecordStore();
+        this.lifecycleService = new CallLifecycleService();
+        this.afterHoursService = new AfterHoursService(this.voiceManager);
+        this.onSessionEnd = options.onSessionEnd || (() => {});
+        this.streamClaims = options.streamClaims || null;
+
+        this.streamSid = null;
+        this.callSid = null;
+        this.businessContext = null;
+        this.callParams = {};
+        this.language = 'en';
+        this.session = null;
+        this.hoursAnalysis = null;
+        this.afterHoursMode = null;
+        this.recognizer = null;
+
+        this.ready = null;
+        this.turnQueue = Promise.resolve();
+        this.utteranceCounter = 0;
+        this.activeUtterance = null;
+        this.hangupAfterUtterance = null;
+        this.closed = false;
+    }
+
+    attach() {
+        this.socket.on('message', data => {
+            this.handleMessage(data).catch(error => {
+                console.error('❌ Media stream message error:', error.message);
+            });
+        });
+        this.socket.on('close', () => this.close());
+        this.socket.on('error', error => console.error('❌ Media stream socket error:', error.message));
+        return this;
+    }
+
+    async handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            console.warn('⚠️ Ignoring non-JSON media stream message');
+            return;
+        }
+
+        switch (message.event) {
+            case 'connected':
+                console.log('🔌 Media stream connected');
+                break;
+
+            case 'start':
+                this.ready = this.handleStart(message.start);
+                await this.ready;
+                break;
+
+            case 'media':
+                // Only inbound (caller) audio goes to recognition
+                if (this.recognizer && (!message.media.track || message.media.track === 'inbound')) {
+                    this.recognizer.pushAudio(Buffer.from(message.media.payload, 'base64'));
+                }
+                break;
+
+            case 'dtmf':
+                await this.handleDtmf(message.dtmf && message.dtmf.digit);
+                break;
+
+            case 'mark':
+                this.handleMark(message.mark && message.mark.name);
+                break;
+
+            case 'stop':
+                await this.close();
+                break;
+
+            default:
+                console.log(`🔍 Unhandled media stream event: ${message.event}`);
+        }
+    }
+
+    async handleStart(start = {}) {
+        // The token was issued for one call; a socket carrying another call's stream is dropped
+        if (this.streamClaims && start.callSid !== this.streamClaims.callSid) {
+            console.warn(`🚫 Media stream for call ${start.callSid} presented a token for ${this.streamClaims.callSid}`);
+            this.socket.close(1008, 'Token does not match call');
+            return;
+        }
+
+        this.streamSid = start.streamSid;
+        this.callSid = start.callSid;
+        // Signed details win over custom parameters
+        const params = { ...(start.customParameters || {}), ...(this.streamClaims || {}) };
+        this.callParams = params;
+
+        console.log(`📞 Media stream started for call ${this.callSid} (${params.from} -> ${params.to})`);
+
+        // Start listening before the business lookup so no caller audio is lost
+        this.recognizer = this.speechService.createContinuousRecognizer({
+            onRecognizing: () => this.handleBargeIn(),
+            onRecognized: (text, locale) => this.enqueueTurn(text, locale),
+            onError: error => console.error('❌ Recognition error:', error)
+        });
+
+        if (!this.recognizer) {
+            console.error('❌ Speech recognition unavailable - media stream cannot take turns');
+        }
+
+        this.businessContext = await this.businessService.getBusinessContext(params.businessId || null, params.to);
+        console.log(`🏢 Business context: ${this.businessContext.companyName} (${this.businessContext.industry})`);
+        this.language = resolveCallLanguage(this.businessContext, params.to);
+
+        await this.callSessions.connect();
+        this.session = await this.callSessions.getOrCreateSession(this.callSid, params.from, this.businessContext, this.language);
+
+        // Same greeting rules as voice-twiml. voice-connect sends voicemail and emergency-only
+        // calls to the <Gather> pipeline after hours (recording a voicemail needs TwiML), so a
+        // closed business here takes a message with the AI
+        let greeting = this.businessService.generateGreeting(this.businessContext, this.language);
+        this.hoursAnalysis = this.businessService.analyzeBusinessHours(this.businessContext, this.language);
+        if (!this.hoursAnalysis.isOpen) {
+            this.afterHoursMode = AfterHoursService.getMode(this.businessContext);
+            console.log(`⏰ After hours (${this.afterHoursMode}) for ${this.businessContext.companyName}`);
+            if (this.hoursAnalysis.message) greeting = `${greeting} ${this.hoursAnalysis.message}`;
+        }
+
+        await this.speak(greeting, { emotion: 'friendly', urgencyLevel: 'normal' });
+    }
+
+    /**
+     * Keypad menu press during a streamed call (one key per dtmf event)
+     * Digit capture needs a <Gather> with finishOnKey, so callback and typed-number keys are ignored here.
+     * @param {string} digit - Key pressed
+     */
+    async handleDtmf(digit) {
+        if (!digit) return;
+        await this.ready;
+        if (this.closed) return;
+
+        const result = this.keypadService.interpret(digit, {
+            menu: this.keypadService.getMenu(this.businessContext),
+            language: this.language
+        });
+        console.log(`🔢 Keypad ${digit} -> ${result.type}${result.action ? ` (${result.action})` : ''}`);
+
+        if (result.type === 'prompt' && (result.capture || !result.prompt)) return;
+
+        // A key press interrupts whatever is playing, like speaking over it would
+        this.handleBargeIn();
+        if (result.type === 'action') {
+            await this.enqueueTurn(result.utterance, null);
+        } else {
+            await this.speak(result.prompt, { emotion: 'helpful', urgencyLevel: 'normal' });
+        }
+    }
+
+    enqueueTurn(text, locale = null) {
+        // Turns run one at a time so replies never overlap
+        this.turnQueue = this.turnQueue
+            .then(() => this.ready)
+            .then(() => this.handleTurn(text, locale))
+            .catch(error => console.error('❌ Media stream turn error:', error.message));
+        return this.turnQueue;
+    }
+
+    async handleTurn(text, locale = null) {
+        if (this.closed || !text || text.trim().length < 1) return;
+
+        console.log(`🗣️ Caller: ${text}`);
+        this.switchLanguage(text, locale);
+        this.session.leadInfo.language = this.language;
+        this.session.messages.push({ role: 'user', content: text });
+
+        // Caller signed off: closing line and slogan, then hang up once it has played
+        if (this.conversationService.isCallerDone(text)) {
+            const closing = this.businessService.generateClosing(this.businessContext, this.language);
+            this.session.messages.push({ role: 'assistant', content: closing });
+            this.conversationService.markCallCompleted(this.session, 'caller_done');
+            this.persist();
+            const closingId = await this.speak(closing, { emotion: 'friendly', urgencyLevel: 'normal' });
+            if (closingId) this.hangupAfterUtterance = closingId;
+            return;
+        }
+
+        this.conversationService.applyTurnAnalysis(this.session, text, this.businessContext);
+        const leadExtraction = this.conversationService.extractLeadDetails(this.session, text);
+
+        // After hours: flag the lead for follow-up when the business opens
+        if (this.afterHoursMode && this.session.leadInfo.followUp?.status !== 'pending') {
+            this.session.leadInfo.followUp = this.afterHoursService.createFollowUpFlag(this.afterHoursMode, this.hoursAnalysis);
+        }
+
+        const aiStart = Date.now();
+        // Transfers need a TwiML redirect and digit capture a <Gather>, neither of which a media stream can issue
+        const toolOptions = this.agentToolService ? {
+            tools: this.agentToolService.getToolDefinitions(this.businessContext, { transfer: false, keypad: false }),
+            executeTool: this.agentToolService.createExecutor(this.session, this.businessContext)
+        } : {};
+        const aiResponse = await this.conversationService.getAIResponse(this.session.messages, { ...toolOptions, language: this.language });
+        console.log(`🤖 AI Response (${Date.now() - aiStart}ms): ${aiResponse}`);
+
+        this.session.messages.push({ role: 'assistant', content: aiResponse });
+        await leadExtraction;
+
+        const voiceContext = this.voiceManager ?
+            this.voiceManager.analyzeConversationContext(this.session) :
+            { urgencyLevel: this.session.leadInfo.urgencyLevel };
+
+        const pendingAction = this.session.pendingAction;
+        delete this.session.pendingAction;
+
+        // end_call: the closing line follows the reply, then hang up once Twilio reports it has played
+        const endCall = pendingAction && pendingAction.type === 'end_call';
+        if (endCall) this.conversationService.markCallCompleted(this.session, 'agent_ended');
+        const spoken = endCall ? `${aiResponse} ${this.businessService.generateClosing(this.businessContext, this.language)}` : aiResponse;
+
+        // Saved while the reply streams, so storage never delays the caller
+        this.persist();
+
+        const utteranceId = await this.speak(spoken, voiceContext);
+        if (endCall && utteranceId) {
+            this.hangupAfterUtterance = utteranceId;
+        }
+    }
+
+    /**
+     * Follow the caller's language: the recognizer's detection on the first utterance,
+     * or an explicit "español" / "English" at any point
+     * @param {string} text - Caller utterance
+     * @param {string} locale - Language the recognizer identified (e.g. "es-US")
+     */
+    switchLanguage(text, locale = null) {
+        const switchTo = chooseLanguageSwitch(text, {
+            current: this.language,
+            enabled: getEnabledLanguages(this.businessContext.aiConfig),
+            firstTurn: !this.session.messages.some(message => message.role === 'user'),
+            detected: languageFromLocale(locale)
+        });
+        if (!switchTo) return;
+
+        console.log(`🌐 Switching call ${this.callSid} from ${this.language} to ${switchTo}`);
+        this.language = switchTo;
+        this.session.messages[0].content = this.callSessions.buildSystemPrompt(this.session, this.businessContext, this.language);
+    }
+
+    /**
+     * Stream synthesized speech to Twilio as 20ms media frames followed by a mark
+     * @param {string} text - Text to speak
+     * @param {Object} voiceContext - Urgency/emotion context
+     * @returns {number|null} Utterance id (its mark is "utterance-<id>"), null if interrupted
+     */
+    async speak(text, voiceContext = {}) {
+        if (this.closed) return null;
+
+        const utteranceId = ++this.utteranceCounter;
+        this.activeUtterance = utteranceId;
+        const isEmergency = voiceContext.isEmergency || false;
+        const urgencyLevel = voiceContext.urgencyLevel || 'normal';
+
+        let pending = Buffer.alloc(0);
+        const synthStart = Date.now();
+        let firstChunkAt = null;
+
+        const result = await this.speechService.synthesizeToStream(text, {
+            isEmergency,
+            emotion: this.voiceManager ? this.voiceManager.getEmotionFromContext(urgencyLevel) : 'friendly',
+            urgencyLevel,
+            emphasis: isEmergency,
+            rate: this.speechService.getVoiceRate(isEmergency, urgencyLevel),
+            voice: this.businessContext ? localizeVoice(this.businessContext.voice, this.language) : null
+        }, chunk => {
+            // Drop the rest of an utterance the caller talked over
+            if (this.activeUtterance !== utteranceId) return;
+            if (!firstChunkAt) firstChunkAt = Date.now();
+
+            pending = Buffer.concat([pending, chunk]);
+            while (pending.length >= FRAME_BYTES) {
+                this.sendMedia(pending.subarray(0, FRAME_BYTES));
+                pending = pending.subarray(FRAME_BYTES);
+            }
+        });
+
+        if (this.activeUtterance !== utteranceId) return null;
+
+        if (pending.length > 0) this.sendMedia(pending);
+        this.send({ event: 'mark', streamSid: this.streamSid, mark: { name: `utterance-${utteranceId}` } });
+
+        if (result.success) {
+            console.log(`⏱️ Time to first audio: ${firstChunkAt ? firstChunkAt - synthStart : 'n/a'}ms`);
+        } else {
+            console.error('❌ Streaming synthesis failed:', result.error);
+        }
+        return utteranceId;
+    }
+
+    handleBargeIn() {
+        if (this.activeUtterance === null) return;
+
+        // Caller started talking over us: flush Twilio's playback buffer
+        console.log('✋ Barge-in detected, clearing playback');
+        this.activeUtterance = null;
+        this.send({ event: 'clear', streamSid: this.streamSid });
+    }
+
+    handleMark(name) {
+        // Twilio echoes a mark once the audio before it has played
+        if (name === `utterance-${this.activeUtterance}`) {
+            this.activeUtterance = null;
+        }
+
+        if (this.hangupAfterUtterance && name === `utterance-${this.hangupAfterUtterance}`) {
+            // Closing the stream ends <Connect>; with no further TwiML Twilio hangs up
+            console.log(`👋 Ending call ${this.callSid} after goodbye`);
+            this.socket.close();
+        }
+    }
+
+    sendMedia(frame) {
+        this.send({
+            event: 'media',
+            streamSid: this.streamSid,
+            media: { payload: frame.toString('base64') }
+        });
+    }
+
+    send(message) {
+        if (this.socket.readyState === SOCKET_OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.activeUtterance = null;
+
+        if (this.recognizer) {
+            await this.recognizer.stop();
+        }
+
+        console.log(`📴 Media stream closed for call ${this.callSid}`);
+        if (this.session) {
+            // A turn already under way finishes (and saves) before the call is closed out
+            await this.turnQueue;
+            await this.persist();
+            await this.recordCall();
+            await this.onSessionEnd(this.session, this.businessContext);
+        }
+    }
+
+    /**
+     * Save the session and the caller's lead (the lead only with session storage)
+     * @returns {Promise} Settles once both are saved; failures are logged, never thrown
+     */
+    persist() {
+        return Promise.all([
+            this.callSessions.saveSession(this.session),
+            this.callSessions.updateLead(this.session)
+        ]).catch(error => {
+            console.error(`❌ Could not save streamed call ${this.callSid}:`, error.message);
+        });
+    }
+
+    /**
+     * Call record for the finished stream. Twilio's call-status callback settles the record
+     * with its own duration when it arrives, so an already final record is left alone.
+     */
+    async recordCall() {
+        const businessId = this.session.businessId;
+        try {
+            const existing = await this.callRecordStore.getCallRecord(businessId, this.callSid);
+            if (existing && this.lifecycleService.isFinal(existing.status)) return;
+
+            const stats = CallRecordStore.summarizeMessages(this.session.messages);
+            const record = this.lifecycleService.buildCallRecord({
+                CallSid: this.callSid,
+                CallStatus: 'completed',
+                From: this.callParams.from,
+                To: this.callParams.to
+            }, {
+                businessId,
+                existing,
+                transcript: { ...stats, firstAt: existing?.answeredAt || this.session.createdAt },
+                leadInfo: this.session.leadInfo
+            });
+
+            if (await this.callRecordStore.saveCallRecord(record)) {
+                console.log(`✅ Call ${this.callSid} recorded: ${record.durationSeconds}s, ${record.turnCount} turns, ended by ${record.endedBy}`);
+            }
+        } catch (error) {
+            console.error(`❌ Could not record streamed call ${this.callSid}:`, error.message);
+        }
+    }
+}
+
+MediaStreamBridge.FRAME_BYTES = FRAME_BYTES;
+
+module.exports = MediaStreamBridge;
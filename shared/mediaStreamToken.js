@@ -0,0 +1,65 @@
+/**
+ * Media Stream Token
+ * voice-connect has checked Twilio's signature and picked the business, but the WebSocket
+ * Twilio then opens to the media stream server carries no signature of its own. So
+ * voice-connect issues a short-lived token (HMAC-SHA256 over the call's details) and puts
+ * it in the <Stream> URL path; the server only upgrades connections with a valid token and
+ * only for the call it was issued for. Twilio drops query strings from <Stream> URLs,
+ * hence the path segment: wss://host/media-stream/{token}
+ *
+ *   MEDIA_STREAM_SECRET - shared by the Functions app and the media stream server
+ */
+
+const crypto = require('crypto');
+
+// Twilio connects as soon as it reads the TwiML; the margin covers clock skew between hosts
+const DEFAULT_TTL_SECONDS = 120;
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Issue a token for one call
+ * @param {Object} claims - { callSid, businessId, from, to }
+ * @param {Object} options - { secret, ttlSeconds, now (clock for tests) }
+ * @returns {string|null} Token, or null when no secret is configured
+ */
+function createStreamToken(claims, options = {}) {
+    const secret = options.secret || process.env.MEDIA_STREAM_SECRET;
+    if (!secret) return null;
+
+    const now = options.now || Date.now;
+    const expiresAt = now() + (options.ttlSeconds || DEFAULT_TTL_SECONDS) * 1000;
+    const payload = Buffer.from(JSON.stringify({ ...claims, exp: expiresAt })).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check a token from an upgrade request
+ * @param {string} token - Token from the stream URL
+ * @param {Object} options - { secret, now }
+ * @returns {Object|null} Claims ({ callSid, businessId, from, to }), or null when the token is invalid or expired
+ */
+function verifyStreamToken(token, options = {}) {
+    const secret = options.secret || process.env.MEDIA_STREAM_SECRET;
+    const [payload, signature] = String(token || '').split('.');
+    if (!secret || !payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    } catch (error) {
+        return null;
+    }
+
+    const now = options.now || Date.now;
+    if (!claims || !claims.callSid || !(claims.exp > now())) return null;
+
+    const { exp, ...callClaims } = claims;
+    return callClaims;
+}
+
+module.exports = { createStreamToken, verifyStreamToken };
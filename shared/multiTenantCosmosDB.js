@@ -1,26 +1,99 @@
 /**
  * Multi-Tenant Cosmos DB Operations
- * Handles business-scoped data isolation and conversation management
+ * Handles business-scoped data isolation and conversation management. Every container is
+ * partitioned by businessId:
+ *   conversations - one session per call (id = businessId_callSid): messages + leadInfo,
+ *                   updated with ETag optimistic concurrency so every instance sees one history
+ *   leads         - one lead per caller per business (id = businessId_phoneNumber)
+ *   calls         - one record per call from Twilio status callbacks (id = callSid)
+ *   webhookResponses - TwiML sent per voice-stream turn, replayed to Twilio retries (short ttl)
+ * The database (COSMOS_DATABASE, default VoiceAgentDB) and containers are created on
+ * first use, so a fresh account needs no portal setup. The legacy voiceai database is
+ * only read by migrate-cosmos.js.
  */
 
+const { CosmosClient } = require('@azure/cosmos');
+const { withRetry } = require('./retryPolicy');
+
+const DEFAULT_DATABASE_ID = 'VoiceAgentDB';
+
+const CONTAINERS = ['conversations', 'leads', 'calls', 'webhookResponses'];
+
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 365;    // 1 year retention
+const LEAD_TTL_SECONDS = 60 * 60 * 24 * 365 * 2;   // 2 year retention
+
+let sharedInstance = null;
+
 class MultiTenantCosmosDB {
-    constructor(cosmosClient) {
+    /**
+     * @param {CosmosClient} cosmosClient - Cosmos SQL API client
+     * @param {Object} options - { databaseId }
+     */
+    constructor(cosmosClient, options = {}) {
         this.client = cosmosClient;
+        this.databaseId = options.databaseId || process.env.COSMOS_DATABASE || DEFAULT_DATABASE_ID;
         this.database = null;
-        this.conversationsContainer = null;
-        this.leadsContainer = null;
-        this.initialize();
+        this.containers = {};
+        this.provisioning = null;
     }
 
-    initialize() {
-        try {
-            this.database = this.client.database('VoiceAgentDB');
-            this.conversationsContainer = this.database.container('conversations');
-            this.leadsContainer = this.database.container('leads');
-            console.log('✅ Multi-tenant Cosmos DB initialized');
-        } catch (error) {
-            console.error('❌ Failed to initialize multi-tenant Cosmos DB:', error.message);
+    /**
+     * Process-wide instance built from COSMOS_CONN
+     * @returns {MultiTenantCosmosDB|null} Null when COSMOS_CONN is missing or not SQL API format
+     */
+    static fromEnvironment() {
+        if (sharedInstance) return sharedInstance;
+
+        if (!process.env.COSMOS_CONN || !process.env.COSMOS_CONN.includes('AccountEndpoint=')) {
+            return null;
+        }
+
+        sharedInstance = new MultiTenantCosmosDB(new CosmosClient(process.env.COSMOS_CONN));
+        return sharedInstance;
+    }
+
+    /**
+     * Create the database and containers if they don't exist (safe to call repeatedly)
+     * @returns {Object} Database
+     */
+    async provision() {
+        if (!this.provisioning) {
+            this.provisioning = (async () => {
+                const { database } = await this.client.databases.createIfNotExists({ id: this.databaseId });
+                for (const id of CONTAINERS) {
+                    const { container } = await database.containers.createIfNotExists({
+                        id,
+                        partitionKey: { paths: ['/businessId'] },
+                        defaultTtl: -1 // Documents expire by their own ttl field
+                    });
+                    this.containers[id] = container;
+                }
+                this.database = database;
+                console.log(`✅ Multi-tenant Cosmos DB ready: ${this.databaseId} (${CONTAINERS.join(', ')})`);
+                return database;
+            })().catch(error => {
+                this.provisioning = null; // Retry on the next call
+                throw error;
+            });
         }
+        return this.provisioning;
+    }
+
+    /**
+     * @param {string} id - conversations | leads | calls | webhookResponses
+     * @returns {Object} Container (provisioned)
+     */
+    async getContainer(id) {
+        await this.provision();
+        return this.containers[id];
+    }
+
+    getSessionId(businessId, callSid) {
+        return `${businessId}_${callSid}`;
+    }
+
+    getLeadId(businessId, phoneNumber) {
+        return `${businessId}_${phoneNumber}`;
     }
 
     /**
@@ -28,45 +101,43 @@ class MultiTenantCosmosDB {
      * @param {string} businessId - Business identifier
      * @param {string} callSid - Twilio call SID
      * @param {string} customerPhone - Customer phone number
-     * @param {Object} businessData - Business profile data
-     * @returns {Object} Created session
+     * @param {Object} details - { leadInfo, messages, previousCalls, customer, businessContext }
+     * @returns {Object} Created session document (the existing one if another instance created it first)
      */
-    async createSession(businessId, callSid, customerPhone, businessData = {}) {
+    async createSession(businessId, callSid, customerPhone, details = {}) {
+        const { leadInfo = { contactInfo: {} }, messages = [], previousCalls = 0, customer = null, businessContext = null } = details;
+        const now = new Date().toISOString();
+
+        const session = {
+            id: this.getSessionId(businessId, callSid),
+            businessId,
+            callSid,
+            customerPhone,
+            messages,
+            leadInfo,
+            previousCalls,
+            customer,
+            businessContext: {
+                companyName: businessContext?.companyName || 'Unknown',
+                industry: businessContext?.industry || 'general'
+            },
+            createdAt: now,
+            updatedAt: now,
+            businessScoped: true,
+            version: '2.0',
+            revision: 0,
+            ttl: SESSION_TTL_SECONDS
+        };
+
+        const container = await this.getContainer('conversations');
         try {
-            const sessionId = `${businessId}_${callSid}`;
-            
-            const session = {
-                id: sessionId,
-                businessId: businessId,                    // 🔥 NEW: Business partitioning
-                callSid: callSid,
-                customerPhone: customerPhone,
-                messages: [],
-                leadInfo: { 
-                    contactInfo: {}, 
-                    score: 0,
-                    businessId: businessId                 // 🔥 NEW: Business-scoped lead
-                },
-                businessContext: {                         // 🔥 NEW: Business context
-                    companyName: businessData.profile?.companyName || 'Unknown',
-                    industry: businessData.profile?.industry || 'general',
-                    services: businessData.services?.list || []
-                },
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString(),
-                businessScoped: true,                      // 🔥 NEW: Multi-tenant flag
-                version: '2.0'                             // Version for migration tracking
-            };
-
-            const { resource } = await this.conversationsContainer.items.create(session);
-            
-            console.log(`✅ Created business-scoped session: ${sessionId} for ${businessData.profile?.companyName || businessId}`);
+            const { resource } = await container.items.create(session);
+            console.log(`✅ Created business-scoped session: ${session.id}`);
             return resource;
-
         } catch (error) {
-            console.error('❌ Error creating business-scoped session:', error.message);
-            
-            // Fallback to legacy session creation for backwards compatibility
-            return await this.createLegacySession(callSid, customerPhone);
+            if (error.code !== 409) throw error;
+            // Two first turns raced: keep the document that won
+            return await this.getSession(businessId, callSid);
         }
     }
 
@@ -74,89 +145,218 @@ class MultiTenantCosmosDB {
      * Get business-scoped conversation session
      * @param {string} businessId - Business identifier
      * @param {string} callSid - Twilio call SID
-     * @returns {Object} Session data or null
+     * @returns {Object|null} Session document
      */
     async getSession(businessId, callSid) {
         try {
-            const sessionId = `${businessId}_${callSid}`;
-            
-            const { resource } = await this.conversationsContainer.item(sessionId).read();
-            
-            if (resource) {
-                console.log(`✅ Retrieved business-scoped session: ${sessionId}`);
-                return resource;
-            }
-
+            const container = await this.getContainer('conversations');
+            const { resource } = await container.item(this.getSessionId(businessId, callSid), businessId).read();
+            return resource || null;
         } catch (error) {
-            if (error.code === 404) {
-                console.log(`⚠️ Business-scoped session not found: ${businessId}_${callSid}, trying legacy lookup`);
-                
-                // Fallback to legacy session lookup for backwards compatibility
-                return await this.getLegacySession(callSid);
-            }
-            
-            console.error('❌ Error getting business-scoped session:', error.message);
+            if (error.code !== 404) console.error('❌ Error getting business-scoped session:', error.message);
+            return null;
         }
-
-        return null;
     }
 
     /**
-     * Update business-scoped conversation session
+     * Update business-scoped conversation session. The change is applied to the latest
+     * document and written only if its ETag still matches; on a conflict the document is
+     * re-read and the change applied again, so concurrent writers never overwrite each other.
      * @param {string} businessId - Business identifier
      * @param {string} callSid - Twilio call SID
-     * @param {Object} updates - Data to update
-     * @returns {Object} Updated session
+     * @param {Function} mutate - Receives the session document and changes it in place (may run more than once)
+     * @returns {Object|null} Updated session document
      */
-    async updateSession(businessId, callSid, updates) {
+    async updateSession(businessId, callSid, mutate) {
+        const id = this.getSessionId(businessId, callSid);
         try {
-            const sessionId = `${businessId}_${callSid}`;
-            
-            const updatedSession = {
-                ...updates,
-                businessId: businessId,              // Ensure business ID is preserved
-                updatedAt: new Date().toISOString()
-            };
+            return await withRetry(async () => {
+                const container = await this.getContainer('conversations');
+                const { resource: existing } = await container.item(id, businessId).read();
+                if (!existing) {
+                    console.warn(`⚠️ No session ${id} to update`);
+                    return null;
+                }
+
+                const session = JSON.parse(JSON.stringify(existing));
+                mutate(session);
+                const { resource } = await container.item(id, businessId).replace({
+                    ...session,
+                    id,
+                    businessId,                           // Ensure business ID is preserved
+                    revision: (existing.revision || 0) + 1,
+                    updatedAt: new Date().toISOString()
+                }, { accessCondition: { type: 'IfMatch', condition: existing._etag } });
+                return resource;
+            }, { label: `Session ${id} update` });
+        } catch (error) {
+            console.error('❌ Error updating business-scoped session:', error.message);
+            return null;
+        }
+    }
 
-            const { resource } = await this.conversationsContainer.item(sessionId).replace(updatedSession);
-            
-            console.log(`✅ Updated business-scoped session: ${sessionId}`);
-            return resource;
+    /**
+     * Number of earlier calls from a caller to this business
+     * @param {string} businessId - Business identifier
+     * @param {string} customerPhone - Customer phone number
+     * @param {string} callSid - Current call (excluded)
+     * @returns {number} Previous call count
+     */
+    async countPreviousCalls(businessId, customerPhone, callSid) {
+        try {
+            const container = await this.getContainer('conversations');
+            const { resources } = await container.items.query({
+                query: 'SELECT VALUE COUNT(1) FROM c WHERE c.customerPhone = @phone AND c.callSid != @callSid',
+                parameters: [
+                    { name: '@phone', value: customerPhone },
+                    { name: '@callSid', value: callSid }
+                ]
+            }, { partitionKey: businessId }).fetchAll();
+            return resources[0] || 0;
+        } catch (error) {
+            console.error('❌ Error counting previous calls:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * A caller's past conversations with a business, without their messages
+     * @param {string} businessId - Business identifier
+     * @param {string} customerPhone - Caller phone number
+     * @param {number} limit - Maximum conversations
+     * @returns {Array} [{ callSid, createdAt, updatedAt, leadInfo, messageCount }], newest first
+     */
+    async getCustomerConversations(businessId, customerPhone, limit = 50) {
+        try {
+            const container = await this.getContainer('conversations');
+            const { resources } = await container.items.query({
+                query: `SELECT c.callSid, c.createdAt, c.updatedAt, c.leadInfo, ARRAY_LENGTH(c.messages) AS messageCount
+                        FROM c WHERE c.customerPhone = @phone ORDER BY c.createdAt DESC OFFSET 0 LIMIT @limit`,
+                parameters: [
+                    { name: '@phone', value: customerPhone },
+                    { name: '@limit', value: limit }
+                ]
+            }, { partitionKey: businessId }).fetchAll();
+            return resources;
+        } catch (error) {
+            console.error('❌ Error getting customer conversations:', error.message);
+            return [];
+        }
+    }
 
+    /**
+     * Get a caller's lead for a business
+     * @param {string} businessId - Business identifier
+     * @param {string} phoneNumber - Caller phone number
+     * @returns {Object|null} Lead document
+     */
+    async getLead(businessId, phoneNumber) {
+        if (!phoneNumber) return null;
+        try {
+            const container = await this.getContainer('leads');
+            const { resource } = await container.item(this.getLeadId(businessId, phoneNumber), businessId).read();
+            return resource || null;
         } catch (error) {
-            console.error('❌ Error updating business-scoped session:', error.message);
-            
-            // Fallback to legacy update for backwards compatibility
-            return await this.updateLegacySession(callSid, updates);
+            if (error.code !== 404) console.error('❌ Error getting business-scoped lead:', error.message);
+            return null;
         }
     }
 
     /**
      * Save business-scoped lead information
      * @param {string} businessId - Business identifier
-     * @param {Object} leadData - Lead information
-     * @returns {Object} Created lead
+     * @param {string} phoneNumber - Caller phone number
+     * @param {Object} leadInfo - Lead info
+     * @param {Object} extras - { callSid, score }
+     * @returns {Object|null} Saved lead document
      */
-    async saveLead(businessId, leadData) {
+    async saveLead(businessId, phoneNumber, leadInfo, extras = {}) {
         try {
-            const leadId = `${businessId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            
+            return await this.writeLead(businessId, phoneNumber, () => leadInfo, extras);
+        } catch (error) {
+            console.error('❌ Error saving business-scoped lead:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Apply a change to a caller's leadInfo, creating the lead if needed. Like updateSession,
+     * the change is applied to the latest document and written only if its ETag still matches,
+     * so callbacks for the same caller (recording status and transcription arrive together)
+     * never drop each other's fields.
+     * @param {string} businessId - Business identifier
+     * @param {string} phoneNumber - Caller phone number
+     * @param {Function} mutate - Receives leadInfo and changes it in place (may run more than once)
+     * @param {Object} extras - { callSid, score }
+     * @returns {boolean} True if the lead was saved
+     */
+    async updateLeadInfo(businessId, phoneNumber, mutate, extras = {}) {
+        if (!phoneNumber) return false;
+
+        try {
+            return !!(await this.writeLead(businessId, phoneNumber, existingLeadInfo => {
+                const leadInfo = existingLeadInfo || { contactInfo: {} };
+                mutate(leadInfo);
+                return leadInfo;
+            }, extras));
+        } catch (error) {
+            console.error('❌ Error updating business-scoped lead:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Read-modify-write a lead guarded by its ETag (retried on a conflict). A lead that does
+     * not exist yet is created, and losing that race to another writer counts as a conflict.
+     * @param {Function} buildLeadInfo - Receives a copy of the stored leadInfo (or null), returns the new one
+     * @param {Object} extras - { callSid, score }
+     * @returns {Object} Saved lead document
+     */
+    async writeLead(businessId, phoneNumber, buildLeadInfo, extras = {}) {
+        const id = this.getLeadId(businessId, phoneNumber);
+        return await withRetry(async () => {
+            const container = await this.getContainer('leads');
+            const existing = await this.readItem(container, id, businessId);
             const lead = {
-                id: leadId,
-                businessId: businessId,                    // 🔥 NEW: Business partitioning
-                ...leadData,
-                createdAt: new Date().toISOString(),
-                businessScoped: true                       // 🔥 NEW: Multi-tenant flag
+                ...(existing || {}),
+                id,
+                businessId,
+                phoneNumber,
+                leadInfo: buildLeadInfo(existing?.leadInfo ? JSON.parse(JSON.stringify(existing.leadInfo)) : null),
+                ...(extras.callSid ? { lastCallSid: extras.callSid } : {}),
+                ...(extras.score !== undefined ? { score: extras.score } : {}),
+                createdAt: existing?.createdAt || new Date().toISOString(),
+                lastContact: new Date().toISOString(),
+                businessScoped: true,
+                ttl: LEAD_TTL_SECONDS
             };
 
-            const { resource } = await this.leadsContainer.items.create(lead);
-            
-            console.log(`✅ Saved business-scoped lead: ${leadId} for business ${businessId}`);
-            return resource;
+            if (existing) {
+                const { resource } = await container.item(id, businessId).replace(lead, {
+                    accessCondition: { type: 'IfMatch', condition: existing._etag }
+                });
+                return resource;
+            }
+            try {
+                const { resource } = await container.items.create(lead);
+                return resource;
+            } catch (error) {
+                if (error.code === 409) error.code = 412;
+                throw error;
+            }
+        }, { label: `Lead ${id} update` });
+    }
 
+    /**
+     * @returns {Object|null} The document, or null if it does not exist
+     */
+    async readItem(container, id, partitionKey) {
+        try {
+            const { resource } = await container.item(id, partitionKey).read();
+            return resource || null;
         } catch (error) {
-            console.error('❌ Error saving business-scoped lead:', error.message);
-            return null;
+            if (error.code === 404) return null;
+            throw error;
         }
     }
 
@@ -168,15 +368,15 @@ class MultiTenantCosmosDB {
      */
     async getBusinessLeads(businessId, limit = 100) {
         try {
-            const querySpec = {
-                query: 'SELECT * FROM c WHERE c.businessId = @businessId ORDER BY c.createdAt DESC',
+            const container = await this.getContainer('leads');
+            const { resources } = await container.items.query({
+                query: 'SELECT * FROM c WHERE c.businessId = @businessId ORDER BY c.lastContact DESC OFFSET 0 LIMIT @limit',
                 parameters: [
-                    { name: '@businessId', value: businessId }
+                    { name: '@businessId', value: businessId },
+                    { name: '@limit', value: limit }
                 ]
-            };
+            }, { partitionKey: businessId }).fetchAll();
 
-            const { resources } = await this.leadsContainer.items.query(querySpec, { maxItemCount: limit }).fetchAll();
-            
             console.log(`✅ Retrieved ${resources.length} leads for business ${businessId}`);
             return resources;
 
@@ -194,15 +394,15 @@ class MultiTenantCosmosDB {
      */
     async getBusinessConversations(businessId, limit = 50) {
         try {
-            const querySpec = {
-                query: 'SELECT * FROM c WHERE c.businessId = @businessId ORDER BY c.createdAt DESC',
+            const container = await this.getContainer('conversations');
+            const { resources } = await container.items.query({
+                query: 'SELECT * FROM c WHERE c.businessId = @businessId ORDER BY c.updatedAt DESC OFFSET 0 LIMIT @limit',
                 parameters: [
-                    { name: '@businessId', value: businessId }
+                    { name: '@businessId', value: businessId },
+                    { name: '@limit', value: limit }
                 ]
-            };
+            }, { partitionKey: businessId }).fetchAll();
 
-            const { resources } = await this.conversationsContainer.items.query(querySpec, { maxItemCount: limit }).fetchAll();
-            
             console.log(`✅ Retrieved ${resources.length} conversations for business ${businessId}`);
             return resources;
 
@@ -212,85 +412,24 @@ class MultiTenantCosmosDB {
         }
     }
 
-    // ===============================
-    // LEGACY COMPATIBILITY METHODS
-    // ===============================
-
-    /**
-     * Create legacy session (backwards compatibility)
-     * @param {string} callSid - Twilio call SID
-     * @param {string} customerPhone - Customer phone number
-     * @returns {Object} Created session
-     */
-    async createLegacySession(callSid, customerPhone) {
-        try {
-            const session = {
-                id: callSid,
-                callSid: callSid,
-                customerPhone: customerPhone,
-                messages: [],
-                leadInfo: { contactInfo: {}, score: 0 },
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString(),
-                businessScoped: false,     // Legacy session marker
-                version: '1.0'
-            };
-
-            const { resource } = await this.conversationsContainer.items.create(session);
-            console.log(`✅ Created legacy session: ${callSid}`);
-            return resource;
-
-        } catch (error) {
-            console.error('❌ Error creating legacy session:', error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Get legacy session (backwards compatibility)
-     * @param {string} callSid - Twilio call SID
-     * @returns {Object} Session data or null
-     */
-    async getLegacySession(callSid) {
-        try {
-            const { resource } = await this.conversationsContainer.item(callSid).read();
-            
-            if (resource) {
-                console.log(`✅ Retrieved legacy session: ${callSid}`);
-                return resource;
-            }
-
-        } catch (error) {
-            if (error.code === 404) {
-                console.log(`⚠️ Legacy session not found: ${callSid}`);
-                return null;
-            }
-            console.error('❌ Error getting legacy session:', error.message);
-        }
-
-        return null;
-    }
-
     /**
-     * Update legacy session (backwards compatibility)
-     * @param {string} callSid - Twilio call SID
-     * @param {Object} updates - Data to update
-     * @returns {Object} Updated session
+     * Query every business's documents in a container (dashboards across tenants)
+     * @param {string} containerId - conversations | leads | calls
+     * @param {string} query - SQL with an @limit parameter
+     * @param {number} limit - Maximum documents
+     * @returns {Array} Matching documents
      */
-    async updateLegacySession(callSid, updates) {
+    async queryAll(containerId, query, limit = 50) {
         try {
-            const updatedSession = {
-                ...updates,
-                updatedAt: new Date().toISOString()
-            };
-
-            const { resource } = await this.conversationsContainer.item(callSid).replace(updatedSession);
-            console.log(`✅ Updated legacy session: ${callSid}`);
-            return resource;
-
+            const container = await this.getContainer(containerId);
+            const { resources } = await container.items.query({
+                query,
+                parameters: [{ name: '@limit', value: limit }]
+            }).fetchAll();
+            return resources;
         } catch (error) {
-            console.error('❌ Error updating legacy session:', error.message);
-            throw error;
+            console.error(`❌ Error querying ${containerId}:`, error.message);
+            return [];
         }
     }
 
@@ -300,7 +439,7 @@ class MultiTenantCosmosDB {
      * @returns {boolean} True if multi-tenant session
      */
     isMultiTenantSession(session) {
-        return session && session.businessScoped === true && session.businessId;
+        return !!(session && session.businessScoped === true && session.businessId);
     }
 
     /**
@@ -310,13 +449,14 @@ class MultiTenantCosmosDB {
      */
     async getBusinessStats(businessId) {
         try {
+            const container = await this.getContainer('conversations');
             const querySpec = {
                 query: `
-                    SELECT 
+                    SELECT
                         COUNT(1) as totalCalls,
                         AVG(ARRAY_LENGTH(c.messages)) as avgMessages,
                         SUM(c.leadInfo.score) as totalLeadScore
-                    FROM c 
+                    FROM c
                     WHERE c.businessId = @businessId
                 `,
                 parameters: [
@@ -324,8 +464,8 @@ class MultiTenantCosmosDB {
                 ]
             };
 
-            const { resources } = await this.conversationsContainer.items.query(querySpec).fetchAll();
-            
+            const { resources } = await container.items.query(querySpec, { partitionKey: businessId }).fetchAll();
+
             const stats = resources[0] || {
                 totalCalls: 0,
                 avgMessages: 0,
@@ -342,4 +482,7 @@ class MultiTenantCosmosDB {
     }
 }
 
+MultiTenantCosmosDB.CONTAINERS = CONTAINERS;
+MultiTenantCosmosDB.DEFAULT_DATABASE_ID = DEFAULT_DATABASE_ID;
+
 module.exports = MultiTenantCosmosDB;
@@ -0,0 +1,38 @@
+/**
+ * Rate Limiter
+ * In-process sliding-window limiter keyed by caller (e.g. businessId). Limits apply per
+ * Function App instance, which is enough to stop accidental hammering of paid APIs.
+ */
+
+class RateLimiter {
+    /**
+     * @param {Object} options - { limit, windowMs, now } (now is injectable for tests)
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 10;
+        this.windowMs = options.windowMs || 60 * 1000;
+        this.now = options.now || (() => Date.now());
+        this.hits = new Map();
+    }
+
+    /**
+     * Record one request for a key if it is within the limit
+     * @param {string} key - Who is being limited
+     * @returns {Object} { allowed, remaining, retryAfterMs }
+     */
+    consume(key) {
+        const now = this.now();
+        const recent = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+
+        if (recent.length >= this.limit) {
+            this.hits.set(key, recent);
+            return { allowed: false, remaining: 0, retryAfterMs: this.windowMs - (now - recent[0]) };
+        }
+
+        recent.push(now);
+        this.hits.set(key, recent);
+        return { allowed: true, remaining: this.limit - recent.length, retryAfterMs: 0 };
+    }
+}
+
+module.exports = RateLimiter;
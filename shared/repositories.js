@@ -0,0 +1,121 @@
+/**
+ * Storage Repositories
+ * One place that decides where data lives, so handlers never talk to Cosmos DB, Firestore
+ * or Blob Storage directly. STORAGE_BACKEND selects the implementation:
+ *   cloud  (default) - Cosmos DB, Firestore and Blob Storage (cloudRepositories.js)
+ *   memory           - in-process only, lost on restart (localRepositories.js)
+ *   file             - JSON file + audio folder under STORAGE_DATA_DIR (default ./data)
+ * With memory or file, `func start` needs no Azure or Firebase credentials.
+ *
+ * Interfaces (every method is async unless noted):
+ *   sessions   - provision(), get(businessId, callSid), create(businessId, callSid, phone, details),
+ *                update(businessId, callSid, mutate) (ETag-checked, retried on conflict),
+ *                countPreviousCalls(businessId, phone, callSid),
+ *                listByCaller(businessId, phone, limit) (no messages), listRecent(businessId|null, limit)
+ *   leads      - get(businessId, phone), save(businessId, phone, leadInfo, { callSid, score }),
+ *                update(businessId, phone, mutate, { callSid, score }) (ETag-checked, retried on conflict),
+ *                listRecent(businessId|null, limit)
+ *   calls      - get(businessId, callSid), save(record), list(businessId, { from, to, disposition, caller, limit })
+ *   webhookResponses - get(businessId, key), save(businessId, key, { response, expiresAt, ttl }) (see idempotencyStore.js)
+ *   businesses - get(businessId), findByPhone(phone) -> { businessId, data, found }, getDefault() (sync)
+ *   aiConfigs  - get(businessId), save(businessId, aiConfig), getDefault() (sync)
+ *   audio      - find(name) -> url|null, save(name, audio, contentType) -> url
+ * In the cloud backend sessions/leads/calls/webhookResponses are null without COSMOS_CONN and audio is null
+ * without AZURE_STORAGE_CONNECTION_STRING; callers keep their existing fallbacks for that.
+ */
+
+const path = require('path');
+const FirebaseService = require('./firebaseService');
+const MultiTenantCosmosDB = require('./multiTenantCosmosDB');
+const LocalDocumentStore = require('./localDocumentStore');
+const {
+    CosmosSessionRepository,
+    CosmosLeadRepository,
+    CosmosCallRepository,
+    CosmosWebhookResponseRepository,
+    FirestoreBusinessRepository,
+    FirestoreAIConfigRepository,
+    BlobAudioRepository
+} = require('./cloudRepositories');
+const {
+    LocalSessionRepository,
+    LocalLeadRepository,
+    LocalCallRepository,
+    LocalWebhookResponseRepository,
+    LocalBusinessRepository,
+    LocalAIConfigRepository,
+    LocalAudioRepository
+} = require('./localRepositories');
+
+const BACKENDS = ['cloud', 'memory', 'file'];
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+let sharedRepositories = null;
+
+/**
+ * @param {Object} options - { backend, dataDir, baseUrl, firebaseService, cosmosDB } (defaults from the environment)
+ * @returns {Object} { backend, firebaseService, sessions, leads, calls, webhookResponses, businesses, aiConfigs, audio }
+ */
+function createRepositories(options = {}) {
+    const backend = (options.backend || process.env.STORAGE_BACKEND || 'cloud').toLowerCase();
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${BACKENDS.join(', ')})`);
+    }
+
+    if (backend === 'cloud') {
+        const firebaseService = options.firebaseService || new FirebaseService();
+        const db = options.cosmosDB !== undefined ? options.cosmosDB : MultiTenantCosmosDB.fromEnvironment();
+        const storageConnection = process.env.AZURE_STORAGE_CONNECTION_STRING;
+
+        return {
+            backend,
+            firebaseService,
+            sessions: db ? new CosmosSessionRepository(db) : null,
+            leads: db ? new CosmosLeadRepository(db) : null,
+            calls: db ? new CosmosCallRepository(db) : null,
+            webhookResponses: db ? new CosmosWebhookResponseRepository(db) : null,
+            businesses: new FirestoreBusinessRepository(firebaseService),
+            aiConfigs: new FirestoreAIConfigRepository(firebaseService),
+            audio: storageConnection ? new BlobAudioRepository(storageConnection) : null
+        };
+    }
+
+    // Local backends only use FirebaseService for its built-in defaults
+    const firebaseService = options.firebaseService || new FirebaseService({ connect: false });
+    const dataDir = options.dataDir || process.env.STORAGE_DATA_DIR || DEFAULT_DATA_DIR;
+    const store = new LocalDocumentStore({
+        filePath: backend === 'file' ? path.join(dataDir, 'local-store.json') : null
+    });
+    console.log(`🗄️ Using ${backend} storage${backend === 'file' ? ` in ${dataDir}` : ''}`);
+
+    return {
+        backend,
+        firebaseService,
+        sessions: new LocalSessionRepository(store),
+        leads: new LocalLeadRepository(store),
+        calls: new LocalCallRepository(store),
+        webhookResponses: new LocalWebhookResponseRepository(store),
+        businesses: new LocalBusinessRepository(store, firebaseService),
+        aiConfigs: new LocalAIConfigRepository(store, firebaseService),
+        audio: new LocalAudioRepository({
+            directory: backend === 'file' ? path.join(dataDir, 'audio') : null,
+            baseUrl: options.baseUrl || process.env.PUBLIC_BASE_URL
+        })
+    };
+}
+
+/**
+ * Process-wide repositories, so every function in the app shares one store
+ * @returns {Object} Result of createRepositories()
+ */
+function getRepositories() {
+    if (!sharedRepositories) sharedRepositories = createRepositories();
+    return sharedRepositories;
+}
+
+module.exports = {
+    createRepositories,
+    getRepositories,
+    BACKENDS
+};
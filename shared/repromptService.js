@@ -0,0 +1,226 @@
+/**
+ * Reprompt Service
+ * What the <Gather> loop says when a turn comes back empty (no-input) or too garbled to
+ * use (no-match). Misses in a row escalate: rephrase, offer the keypad, offer a transfer
+ * or callback, then end the call politely. The counters ride on the Gather action URL
+ * and reset as soon as the caller is understood.
+ *
+ * aiConfig.reprompt = { keypadAfter: 2, handoffAfter: 3, endAfter: 4 } (misses in a row)
+ */
+
+const KeypadService = require('./keypadService');
+const { getPhrase } = require('./languages');
+
+const REPROMPT_STAGES = ['rephrase', 'keypad', 'handoff', 'end'];
+
+const DEFAULT_REPROMPT_SETTINGS = {
+    keypadAfter: 2,
+    handoffAfter: 3,
+    endAfter: 4
+};
+
+const MAX_REPROMPT_THRESHOLD = 10;
+
+// Keys for the transfer / callback offer (only asked for on the handoff turn)
+const OFFER_KEYS = { transfer: '1', callback: '2' };
+
+const OFFER_REQUESTS = {
+    transfer: /\b(representative|person|someone|operator|agent|representante|persona|alguien|operador)\b/i,
+    callback: /\b(call\s*(me\s*)?back|callback|ll[aá]m(e|en)(me)?|devuelv)/i
+};
+
+const REPROMPT_PHRASES = {
+    en: {
+        rephrase: {
+            noInput: "Are you still there? Go ahead whenever you're ready.",
+            noMatch: "Sorry, I'm still not catching that. Could you tell me in a few words what you need?"
+        },
+        keypadIntro: "If it's easier, you can use your keypad.",
+        keypadCapture: "If it's easier, you can type your 10-digit callback number on your keypad, then press pound.",
+        handoffIntro: "I'm sorry, I'm having trouble understanding you.",
+        offerTransfer: 'To speak with someone on our team, press 1 or say representative.',
+        offerCallback: 'To have us call you back at this number, press 2 or say call me back.',
+        callbackConfirmed: "Thank you. We'll call you back at this number as soon as we can. Goodbye.",
+        end: "I'm sorry we couldn't connect today. Please call us back anytime. Goodbye."
+    },
+    es: {
+        rephrase: {
+            noInput: '¿Sigue ahí? Adelante, cuando esté listo.',
+            noMatch: 'Disculpe, todavía no le entiendo. ¿Me puede decir en pocas palabras qué necesita?'
+        },
+        keypadIntro: 'Si le resulta más fácil, puede usar el teclado.',
+        keypadCapture: 'Si le resulta más fácil, ingrese su número de contacto de 10 dígitos en el teclado y luego oprima la tecla numeral.',
+        handoffIntro: 'Lo siento, tengo problemas para entenderle.',
+        offerTransfer: 'Para hablar con alguien de nuestro equipo, oprima 1 o diga representante.',
+        offerCallback: 'Para que le devolvamos la llamada a este número, oprima 2 o diga llámenme.',
+        callbackConfirmed: 'Gracias. Le devolveremos la llamada a este número lo antes posible. Adiós.',
+        end: 'Lamento que no hayamos podido comunicarnos hoy. Llámenos cuando guste. Adiós.'
+    }
+};
+
+class RepromptService {
+    constructor() {
+        this.keypadService = new KeypadService();
+    }
+
+    /**
+     * Escalation thresholds for a business
+     * Without aiConfig.reprompt.handoffAfter, humanForwarding.transferThreshold still decides
+     * when the transfer is offered (one miss past the threshold, as before).
+     * @param {Object} businessContext - Business context data
+     * @returns {Object} { keypadAfter, handoffAfter, endAfter }
+     */
+    getSettings(businessContext) {
+        const aiConfig = businessContext?.aiConfig || {};
+        const configured = aiConfig.reprompt || {};
+        const transferThreshold = aiConfig.humanForwarding?.transferThreshold;
+
+        const handoffAfter = configured.handoffAfter ||
+            (Number.isInteger(transferThreshold) ? transferThreshold + 1 : DEFAULT_REPROMPT_SETTINGS.handoffAfter);
+
+        return {
+            keypadAfter: Math.min(configured.keypadAfter || DEFAULT_REPROMPT_SETTINGS.keypadAfter, handoffAfter),
+            handoffAfter,
+            endAfter: Math.max(configured.endAfter || DEFAULT_REPROMPT_SETTINGS.endAfter, handoffAfter + 1)
+        };
+    }
+
+    /**
+     * Miss counters carried on the Gather action URL
+     * @param {Object} query - Request query
+     * @returns {Object} { noInput, noMatch }
+     */
+    readCounters(query = {}) {
+        const read = name => Math.max(parseInt((query && query[name]) || '0', 10) || 0, 0);
+        return { noInput: read('noInput'), noMatch: read('noMatch') };
+    }
+
+    getStage(misses, settings) {
+        if (misses >= settings.endAfter) return 'end';
+        if (misses >= settings.handoffAfter) return 'handoff';
+        if (misses >= settings.keypadAfter) return 'keypad';
+        return 'rephrase';
+    }
+
+    /**
+     * Decide what to say after a miss
+     * @param {string} event - 'noInput' (Gather timed out) | 'noMatch' (speech too unclear)
+     * @param {Object} options - { counters, businessContext, language, canTransfer }
+     * @returns {Object} { stage, misses, prompt, digitCapture, gatherQuery (counters and offer for the next Gather) }
+     */
+    nextStep(event, options = {}) {
+        const { counters = { noInput: 0, noMatch: 0 }, businessContext = null, language = 'en', canTransfer = false } = options;
+        const updated = { ...counters, [event]: (counters[event] || 0) + 1 };
+        const misses = updated.noInput + updated.noMatch;
+        const stage = this.getStage(misses, this.getSettings(businessContext));
+        const phrases = this.getPhrases(language);
+
+        let prompt;
+        let digitCapture = null;
+        let offer = null;
+        switch (stage) {
+            case 'rephrase':
+                // The first miss uses the prewarmed canned prompts; later ones change the wording
+                prompt = misses === 1 ?
+                    getPhrase(event === 'noInput' ? 'noSpeech' : 'clarification', language) :
+                    phrases.rephrase[event];
+                break;
+
+            case 'keypad': {
+                const menu = this.keypadService.getMenu(businessContext);
+                if (menu.enabled) {
+                    prompt = `${phrases.keypadIntro} ${this.keypadService.describeMenu(menu, language)}`;
+                } else {
+                    prompt = phrases.keypadCapture;
+                    digitCapture = 'phone';
+                }
+                break;
+            }
+
+            case 'handoff':
+                prompt = [phrases.handoffIntro, canTransfer ? phrases.offerTransfer : null, phrases.offerCallback]
+                    .filter(Boolean)
+                    .join(' ');
+                offer = 'handoff';
+                break;
+
+            default:
+                prompt = phrases.end;
+        }
+
+        const gatherQuery = { noInput: updated.noInput, noMatch: updated.noMatch };
+        if (digitCapture) gatherQuery.capture = digitCapture;
+        if (offer) gatherQuery.offer = offer;
+
+        return { stage, misses, prompt, digitCapture, gatherQuery };
+    }
+
+    /**
+     * Read the caller's answer to the transfer / callback offer
+     * @param {Object} answer - { digits, speech }
+     * @param {boolean} canTransfer - Whether a transfer was offered
+     * @returns {string|null} 'transfer' | 'callback' | null (not an answer to the offer)
+     */
+    interpretOffer(answer = {}, canTransfer = false) {
+        const { digits = '', speech = '' } = answer;
+
+        if (digits) {
+            if (canTransfer && digits === OFFER_KEYS.transfer) return 'transfer';
+            if (digits === OFFER_KEYS.callback) return 'callback';
+            return null;
+        }
+
+        if (speech && OFFER_REQUESTS.callback.test(speech)) return 'callback';
+        if (speech && canTransfer && OFFER_REQUESTS.transfer.test(speech)) return 'transfer';
+        return null;
+    }
+
+    /**
+     * Lead follow-up flag for a caller who asked to be called back
+     * @returns {Object} Follow-up flag (same shape as after-hours follow-ups)
+     */
+    createCallbackFlag() {
+        return {
+            required: true,
+            reason: 'callback_requested',
+            status: 'pending',
+            dueAt: null,
+            requestedAt: new Date().toISOString()
+        };
+    }
+
+    getPhrases(language) {
+        return REPROMPT_PHRASES[language] || REPROMPT_PHRASES.en;
+    }
+}
+
+/**
+ * Validate a business's reprompt thresholds
+ * @param {Object} reprompt - aiConfig.reprompt
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateRepromptSettings(reprompt) {
+    const errors = [];
+    if (!reprompt) return errors;
+
+    const names = Object.keys(DEFAULT_REPROMPT_SETTINGS);
+    names.forEach(name => {
+        const value = reprompt[name];
+        if (value !== undefined && (!Number.isInteger(value) || value < 1 || value > MAX_REPROMPT_THRESHOLD)) {
+            errors.push(`Reprompt "${name}" must be a whole number of misses between 1 and ${MAX_REPROMPT_THRESHOLD}`);
+        }
+    });
+
+    const settings = { ...DEFAULT_REPROMPT_SETTINGS, ...reprompt };
+    if (errors.length === 0 && !(settings.keypadAfter <= settings.handoffAfter && settings.handoffAfter < settings.endAfter)) {
+        errors.push('Reprompt thresholds must satisfy keypadAfter <= handoffAfter < endAfter');
+    }
+
+    return errors;
+}
+
+RepromptService.REPROMPT_STAGES = REPROMPT_STAGES;
+RepromptService.DEFAULT_REPROMPT_SETTINGS = DEFAULT_REPROMPT_SETTINGS;
+RepromptService.validateRepromptSettings = validateRepromptSettings;
+
+module.exports = RepromptService;
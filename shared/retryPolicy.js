@@ -0,0 +1,54 @@
+/**
+ * Retry Policy
+ * Retries a storage operation on optimistic-concurrency conflicts and transient errors,
+ * with exponential backoff and jitter. Used for read-modify-replace updates guarded by
+ * an ETag: a 412 means someone else wrote first, so the operation re-reads and re-applies.
+ */
+
+// 412 precondition failed (ETag changed), 408 timeout, 429 throttled, 449 retry with, 503 unavailable
+const RETRYABLE_STATUS_CODES = [408, 412, 429, 449, 503];
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: 5,
+    baseDelayMs: 20,
+    maxDelayMs: 500,
+    sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/**
+ * @param {Error} error - Storage error (Cosmos errors carry the HTTP status in code)
+ * @returns {boolean} True if the operation may succeed when tried again
+ */
+function isRetryable(error) {
+    return !!error && RETRYABLE_STATUS_CODES.includes(error.code);
+}
+
+/**
+ * Run an operation, retrying it while it fails with a retryable error
+ * @param {Function} operation - async (attempt) => result; must re-read any state it depends on
+ * @param {Object} options - { maxAttempts, baseDelayMs, maxDelayMs, sleep, label }
+ * @returns {*} The operation's result (throws the last error once attempts run out)
+ */
+async function withRetry(operation, options = {}) {
+    const { maxAttempts, baseDelayMs, maxDelayMs, sleep, label } = { ...DEFAULT_OPTIONS, ...options };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (!isRetryable(error) || attempt >= maxAttempts) throw error;
+
+            // Throttling tells us how long to wait; otherwise back off with jitter so racing writers spread out
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+            const delay = error.retryAfterInMs || Math.round(backoff / 2 + Math.random() * backoff / 2);
+            console.warn(`⚠️ ${label || 'Storage operation'} failed with ${error.code} (attempt ${attempt}/${maxAttempts}), retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    withRetry,
+    isRetryable,
+    RETRYABLE_STATUS_CODES
+};
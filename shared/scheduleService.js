@@ -0,0 +1,337 @@
+/**
+ * Schedule Service
+ * Timezone-aware business hours: per-weekday open ranges (lunch breaks are just two
+ * ranges), holidays, one-off date overrides and "next open" phrasing for callers.
+ *
+ * Schedule model (stored on the business as `schedule`):
+ * {
+ *   timezone: 'America/Chicago',                      // IANA zone
+ *   weekly: {
+ *     monday: [{ open: '08:00', close: '12:00' }, { open: '13:00', close: '17:00' }],
+ *     saturday: [{ open: '09:00', close: '13:00' }],
+ *     sunday: []                                       // closed
+ *   },
+ *   holidays: [{ date: '12-25', name: 'Christmas' },   // MM-DD repeats every year
+ *              { date: '2025-11-27', name: 'Thanksgiving' }],
+ *   overrides: [{ date: '2025-12-24', ranges: [{ open: '08:00', close: '12:00' }] },
+ *               { date: '2025-08-15', closed: true, reason: 'team training' }]
+ * }
+ * Ranges are local wall-clock times within one day; use '24:00' to close at midnight.
+ * The legacy { weekdayHours, weekendHours } shape is still accepted.
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+// Next-opening phrasing per language ({at} is the formatted time, including its preposition)
+const OPENING_PHRASES = {
+    en: {
+        locale: 'en-US',
+        today: 'later today {at}',
+        tomorrow: 'tomorrow {at}',
+        thisWeek: '{day} {at}',
+        later: '{day}, {month} {date} {at}',
+        at: 'at {time}',
+        atNoon: 'at noon'
+    },
+    es: {
+        locale: 'es-ES',
+        today: 'hoy más tarde, {at}',
+        tomorrow: 'mañana {at}',
+        thisWeek: 'el {day} {at}',
+        later: 'el {day} {date} de {month} {at}',
+        at: 'a las {time}',
+        atOne: 'a la {time}',
+        atNoon: 'al mediodía'
+    }
+};
+
+// How far ahead to look for the next opening (covers long holiday closures)
+const MAX_LOOKAHEAD_DAYS = 21;
+
+class ScheduleService {
+    /**
+     * Convert any stored schedule into the normalized model
+     * @param {Object} schedule - Stored schedule (new or legacy shape)
+     * @param {string} fallbackTimezone - Zone to use when the schedule has none
+     * @returns {Object|null} Normalized schedule, or null when no hours are configured
+     */
+    normalizeSchedule(schedule, fallbackTimezone = null) {
+        if (!schedule || (!schedule.weekly && !schedule.weekdayHours && !schedule.weekendHours)) {
+            return null;
+        }
+
+        const timezone = this.isValidTimezone(schedule.timezone) ? schedule.timezone :
+            (this.isValidTimezone(fallbackTimezone) ? fallbackTimezone : DEFAULT_TIMEZONE);
+
+        const weekly = {};
+        DAY_NAMES.forEach(day => { weekly[day] = []; });
+
+        if (schedule.weekly) {
+            DAY_NAMES.forEach(day => {
+                weekly[day] = this.normalizeRanges(schedule.weekly[day]);
+            });
+        } else {
+            // Legacy shape: one range for weekdays, one for both weekend days
+            const weekday = this.normalizeRanges(schedule.weekdayHours ? [schedule.weekdayHours] : []);
+            const weekend = this.normalizeRanges(schedule.weekendHours ? [schedule.weekendHours] : []);
+            ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].forEach(day => { weekly[day] = weekday; });
+            ['saturday', 'sunday'].forEach(day => { weekly[day] = weekend; });
+        }
+
+        return {
+            timezone,
+            weekly,
+            holidays: (schedule.holidays || [])
+                .map(holiday => typeof holiday === 'string' ? { date: holiday, name: null } : holiday)
+                .filter(holiday => holiday && holiday.date),
+            overrides: (schedule.overrides || [])
+                .filter(override => override && override.date)
+                .map(override => ({
+                    date: override.date,
+                    ranges: override.closed ? [] : this.normalizeRanges(override.ranges),
+                    reason: override.reason || null
+                }))
+        };
+    }
+
+    normalizeRanges(ranges) {
+        return (ranges || [])
+            .filter(range => range && range.open && range.close)
+            .map(range => ({
+                open: range.open,
+                close: range.close,
+                openMinutes: this.parseTime(range.open),
+                closeMinutes: this.parseTime(range.close)
+            }))
+            .filter(range => range.openMinutes !== null && range.closeMinutes !== null && range.closeMinutes > range.openMinutes)
+            .sort((a, b) => a.openMinutes - b.openMinutes);
+    }
+
+    /**
+     * Work out whether the business is open at a given instant and when it next opens
+     * @param {Object} schedule - Normalized schedule
+     * @param {Date} now - Instant to evaluate (injectable for tests)
+     * @returns {Object} { isOpen, reason, holidayName, nextOpening }
+     */
+    evaluate(schedule, now = new Date()) {
+        const local = this.getLocalParts(now, schedule.timezone);
+        const today = this.getDayPlan(schedule, local.date, local.dayOfWeek);
+
+        const isOpen = today.ranges.some(range =>
+            local.minutes >= range.openMinutes && local.minutes < range.closeMinutes);
+
+        if (isOpen) {
+            return { isOpen: true, reason: null, holidayName: null, nextOpening: null };
+        }
+
+        let reason = 'outside_hours';
+        if (today.holidayName) reason = 'holiday';
+        else if (today.isOverride && today.ranges.length === 0) reason = 'closure';
+        else if (today.ranges.some(range => range.openMinutes <= local.minutes) &&
+                 today.ranges.some(range => range.openMinutes > local.minutes)) reason = 'break';
+
+        return {
+            isOpen: false,
+            reason,
+            holidayName: today.holidayName || today.closureReason || null,
+            nextOpening: this.findNextOpening(schedule, local)
+        };
+    }
+
+    findNextOpening(schedule, local) {
+        for (let daysAhead = 0; daysAhead <= MAX_LOOKAHEAD_DAYS; daysAhead++) {
+            const date = this.addDays(local.date, daysAhead);
+            const dayOfWeek = (local.dayOfWeek + daysAhead) % 7;
+            const plan = this.getDayPlan(schedule, date, dayOfWeek);
+
+            const range = plan.ranges.find(r => daysAhead > 0 || r.openMinutes > local.minutes);
+            if (range) {
+                return {
+                    daysAhead,
+                    date,
+                    dayOfWeek,
+                    time: range.open,
+                    at: this.localToInstant(date, range.openMinutes, schedule.timezone)
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * List upcoming opening times (start of each open range) after an instant
+     * @param {Object} schedule - Normalized schedule
+     * @param {Date} from - Start searching after this instant
+     * @param {number} count - Maximum openings to return
+     * @param {Date} now - Day that daysAhead is counted from (for phrasing)
+     * @returns {Array} Openings in the findNextOpening shape
+     */
+    listOpenings(schedule, from = new Date(), count = 3, now = new Date()) {
+        const openings = [];
+        const today = this.getLocalParts(now, schedule.timezone).date;
+        let cursor = from;
+
+        while (openings.length < count) {
+            const opening = this.findNextOpening(schedule, this.getLocalParts(cursor, schedule.timezone));
+            if (!opening) break;
+            opening.daysAhead = this.daysBetween(today, opening.date);
+            openings.push(opening);
+            cursor = new Date(opening.at.getTime() + 60 * 1000);
+        }
+
+        return openings;
+    }
+
+    getDayPlan(schedule, date, dayOfWeek) {
+        const override = schedule.overrides.find(o => o.date === date);
+        if (override) {
+            return { ranges: override.ranges, isOverride: true, closureReason: override.reason, holidayName: null };
+        }
+
+        const holiday = schedule.holidays.find(h => h.date === date || h.date === date.substring(5));
+        if (holiday) {
+            return { ranges: [], isOverride: false, closureReason: null, holidayName: holiday.name || 'the holiday' };
+        }
+
+        return { ranges: schedule.weekly[DAY_NAMES[dayOfWeek]] || [], isOverride: false, closureReason: null, holidayName: null };
+    }
+
+    /**
+     * Phrase the next opening for callers ("later today at 1 PM", "tomorrow at 8 AM", "Monday at 8:30 AM")
+     * @param {Object} nextOpening - Result of findNextOpening
+     * @param {string} language - Language code
+     * @returns {string|null} Spoken phrase
+     */
+    describeNextOpening(nextOpening, language = 'en') {
+        if (!nextOpening) return null;
+
+        const phrases = OPENING_PHRASES[language] || OPENING_PHRASES.en;
+        const at = this.formatTime(nextOpening.time, language);
+        if (nextOpening.daysAhead === 0) return phrases.today.replace('{at}', at);
+        if (nextOpening.daysAhead === 1) return phrases.tomorrow.replace('{at}', at);
+
+        const [year, month, day] = nextOpening.date.split('-').map(Number);
+        const calendarDay = new Date(Date.UTC(year, month - 1, day));
+        const weekday = calendarDay.toLocaleString(phrases.locale, { weekday: 'long', timeZone: 'UTC' });
+        if (nextOpening.daysAhead < 7) return phrases.thisWeek.replace('{day}', weekday).replace('{at}', at);
+
+        const monthName = calendarDay.toLocaleString(phrases.locale, { month: 'long', timeZone: 'UTC' });
+        return phrases.later
+            .replace('{day}', weekday)
+            .replace('{month}', monthName)
+            .replace('{date}', day)
+            .replace('{at}', at);
+    }
+
+    /**
+     * Phrase an exact instant the same way as describeNextOpening
+     * @param {Date} instant - Time to describe
+     * @param {string} timeZone - Business timezone
+     * @param {Date} now - Day that "today"/"tomorrow" are relative to
+     * @param {string} language - Language code
+     * @returns {string} Spoken phrase
+     */
+    describeInstant(instant, timeZone, now = new Date(), language = 'en') {
+        const local = this.getLocalParts(instant, timeZone);
+        const hours = String(Math.floor(local.minutes / 60)).padStart(2, '0');
+        const minutes = String(local.minutes % 60).padStart(2, '0');
+
+        return this.describeNextOpening({
+            daysAhead: this.daysBetween(this.getLocalParts(now, timeZone).date, local.date),
+            date: local.date,
+            dayOfWeek: local.dayOfWeek,
+            time: `${hours}:${minutes}`
+        }, language);
+    }
+
+    // "at 8:30 AM", "at noon" / "a las 8:30 AM", "a la 1 PM", "al mediodía"
+    formatTime(time, language = 'en') {
+        const phrases = OPENING_PHRASES[language] || OPENING_PHRASES.en;
+        const minutes = this.parseTime(time) % (24 * 60);
+        const hours24 = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        if (hours24 === 12 && mins === 0) return phrases.atNoon;
+
+        const suffix = hours24 < 12 ? 'AM' : 'PM';
+        const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+        const clock = mins === 0 ? `${hours12} ${suffix}` : `${hours12}:${String(mins).padStart(2, '0')} ${suffix}`;
+        return (hours12 === 1 && phrases.atOne ? phrases.atOne : phrases.at).replace('{time}', clock);
+    }
+
+    parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+        if (!match) return null;
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+        return hours * 60 + minutes;
+    }
+
+    // Local calendar date, weekday and minutes past midnight in the business timezone
+    getLocalParts(instant, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23'
+        }).formatToParts(instant).forEach(part => { parts[part.type] = part.value; });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+
+    // Convert a local wall-clock time in a timezone to a Date (DST-safe)
+    localToInstant(date, minutes, timeZone) {
+        const [year, month, day] = date.split('-').map(Number);
+        const wallClockAsUtc = Date.UTC(year, month - 1, day, 0, minutes);
+
+        let instant = wallClockAsUtc - this.getOffset(new Date(wallClockAsUtc), timeZone);
+        // Re-check in case the guess landed on the other side of a DST change
+        instant = wallClockAsUtc - this.getOffset(new Date(instant), timeZone);
+        return new Date(instant);
+    }
+
+    getOffset(instant, timeZone) {
+        const local = this.getLocalParts(instant, timeZone);
+        const [year, month, day] = local.date.split('-').map(Number);
+        const localAsUtc = Date.UTC(year, month - 1, day, 0, local.minutes);
+        return localAsUtc - Math.floor(instant.getTime() / 60000) * 60000;
+    }
+
+    daysBetween(fromDate, toDate) {
+        const toUtc = date => {
+            const [year, month, day] = date.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUtc(toDate) - toUtc(fromDate)) / (24 * 60 * 60 * 1000));
+    }
+
+    addDays(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+    }
+
+    isValidTimezone(timeZone) {
+        if (!timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+ScheduleService.DAY_NAMES = DAY_NAMES;
+ScheduleService.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+module.exports = ScheduleService;
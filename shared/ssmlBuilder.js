@@ -0,0 +1,223 @@
+/**
+ * SSML Builder
+ * Turns text plus voice context into Azure SSML: the business voice, an mstts:express-as
+ * style picked from emotion/urgency (only styles the voice supports), prosody rate and
+ * pitch, and emphasis on the opening sentence. Voices without a fitting style (the
+ * multilingual voices, including the default Ava, have none) carry the emotion in
+ * prosody instead. Pure and deterministic, so the output can be snapshotted.
+ */
+
+const { getVoice, resolveVoiceSettings } = require('./voiceCatalog');
+const { ABBREVIATIONS, TextNormalizer } = require('./textNormalizer');
+
+// Speaking styles to try for each emotion, in order of preference
+const EMOTION_STYLES = {
+    friendly: ['friendly', 'chat', 'cheerful'],
+    helpful: ['customerservice', 'assistant', 'friendly'],
+    patient: ['customerservice', 'chat'],
+    concerned: ['empathetic', 'customerservice'],
+    neutral: []
+};
+
+// Emergencies get a calm, steady delivery regardless of emotion or the tenant's style
+const EMERGENCY_STYLES = ['customerservice', 'empathetic', 'newscast'];
+
+// Rate multiplier and pitch standing in for a style on voices that have none
+const EMOTION_PROSODY = {
+    friendly: { rate: 1, pitch: '+5%' },
+    helpful: { rate: 1, pitch: '+2%' },
+    patient: { rate: 0.9, pitch: null },
+    concerned: { rate: 0.9, pitch: '-3%' },
+    neutral: null
+};
+
+const EMERGENCY_PROSODY = { rate: 0.9, pitch: '-2%' };
+
+// Relative rate keywords -> multiplier on the business's base rate
+const RATE_FACTORS = {
+    'x-slow': 0.7,
+    slow: 0.85,
+    medium: 1,
+    fast: 1.15,
+    'x-fast': 1.3
+};
+
+const MIN_RATE = 0.5;
+const MAX_RATE = 2.0;
+
+const PITCH_KEYWORDS = ['x-low', 'low', 'medium', 'high', 'x-high'];
+
+// A period ends a sentence only before whitespace/end and not after an abbreviation (keeps "$4.99", "St. Louis")
+const SENTENCE_PERIOD = new RegExp(`(?<!\\b(?:${ABBREVIATIONS.join('|')}))\\.(?=\\s|$)`, 'g');
+const OPENING_SENTENCE = new RegExp(`^([\\s\\S]+?(?:(?<!\\b(?:${ABBREVIATIONS.join('|')}))\\.|[!?]))(\\s+[\\s\\S]*)?$`);
+
+class SsmlBuilder {
+    constructor() {
+        this.normalizer = new TextNormalizer();
+    }
+
+    /**
+     * Build SSML for one utterance
+     * @param {string} text - Plain text to speak
+     * @param {Object} options - { voice, emotion, urgencyLevel, isEmergency, emphasis, rate, pitch }
+     *   voice: resolved settings from voiceCatalog (defaults to the platform voice)
+     *   rate: keyword from RATE_FACTORS or a multiplier, applied on top of voice.rate
+     *   pitch: keyword or percentage overriding voice.pitch for this utterance
+     *   voice.lexicon: tenant pronunciations { word: alias }
+     * @returns {string} SSML document
+     */
+    build(text, options = {}) {
+        const voice = options.voice || resolveVoiceSettings();
+        const style = this.selectStyle(voice, options);
+        const emotionProsody = style ? null : this.selectProsody(options);
+        const rate = this.computeRate(voice.rate, options.rate, emotionProsody ? emotionProsody.rate : 1);
+        const pitch = this.computePitch(voice.pitch, options.pitch, emotionProsody ? emotionProsody.pitch : null);
+
+        const language = voice.locale.split('-')[0];
+        let content = this.buildContent(text, options.emphasis && this.supportsEmphasis(voice), voice.lexicon, language);
+        content = `<prosody rate="${rate}" pitch="${pitch}">${content}</prosody>`;
+
+        // Multilingual voices speaking outside their home locale (see languages.localizeVoice)
+        const entry = getVoice(voice.name);
+        if (entry && entry.locale !== voice.locale) {
+            content = `<lang xml:lang="${voice.locale}">${content}</lang>`;
+        }
+        if (style) {
+            content = `<mstts:express-as style="${style}">${content}</mstts:express-as>`;
+        }
+
+        return [
+            `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="https://www.w3.org/2001/mstts" xml:lang="${voice.locale}">`,
+            `<voice name="${voice.name}">${content}</voice>`,
+            '</speak>'
+        ].join('');
+    }
+
+    /**
+     * Pick the speaking style: emergency styles first, then the business's chosen style,
+     * then one matching the emotion. Only styles the voice supports are used.
+     * @param {Object} voice - Resolved voice settings
+     * @param {Object} options - { emotion, urgencyLevel, isEmergency }
+     * @returns {string|null} Style name
+     */
+    selectStyle(voice, options = {}) {
+        const entry = getVoice(voice.name);
+        const supported = entry ? entry.styles : [];
+        const pick = candidates => candidates.find(style => supported.includes(style)) || null;
+
+        if (options.isEmergency || options.urgencyLevel === 'emergency') {
+            const emergencyStyle = pick(EMERGENCY_STYLES);
+            if (emergencyStyle) return emergencyStyle;
+        }
+
+        if (voice.style && supported.includes(voice.style)) return voice.style;
+
+        return pick(EMOTION_STYLES[options.emotion] || []);
+    }
+
+    /**
+     * Prosody for the emotion when no speaking style carries it
+     * @param {Object} options - { emotion, urgencyLevel, isEmergency }
+     * @returns {Object|null} { rate (multiplier), pitch (percentage or null) }
+     */
+    selectProsody(options = {}) {
+        if (options.isEmergency || options.urgencyLevel === 'emergency') return EMERGENCY_PROSODY;
+        return EMOTION_PROSODY[options.emotion] || null;
+    }
+
+    computeRate(baseRate = 1, adjustment = 'medium', emotionFactor = 1) {
+        const factor = typeof adjustment === 'number' ? adjustment : (RATE_FACTORS[adjustment] || 1);
+        const rate = Math.min(MAX_RATE, Math.max(MIN_RATE, Number(baseRate) * factor * emotionFactor));
+        return Math.round(rate * 100) / 100;
+    }
+
+    /**
+     * An explicit pitch for the utterance wins, then the tenant's pitch, then the emotion's
+     */
+    computePitch(basePitch = 'default', override = null, emotionPitch = null) {
+        if (override && (PITCH_KEYWORDS.includes(override) || /^[+-]\d{1,2}%$/.test(override)) && override !== 'medium') {
+            return override;
+        }
+        if ((!basePitch || basePitch === 'default') && emotionPitch) return emotionPitch;
+        return basePitch || 'default';
+    }
+
+    supportsEmphasis(voice) {
+        const entry = getVoice(voice.name);
+        return !!(entry && entry.emphasis);
+    }
+
+    /**
+     * Normalize the text and add pauses; optionally emphasize the first sentence
+     * @param {string} text - Plain text
+     * @param {boolean} emphasizeOpening - Wrap the first sentence in <emphasis>
+     * @param {Object} lexicon - Tenant pronunciations
+     * @param {string} language - Language code of the text
+     * @returns {string} SSML fragment
+     */
+    buildContent(text, emphasizeOpening = false, lexicon = null, language = 'en') {
+        if (!emphasizeOpening) return this.prepareText(text, lexicon, language);
+
+        const match = OPENING_SENTENCE.exec(text.trim());
+        if (!match) return `<emphasis level="moderate">${this.prepareText(text, lexicon, language)}</emphasis>`;
+
+        const rest = match[2] ? ` ${this.prepareText(match[2].trim(), lexicon, language)}` : '';
+        return `<emphasis level="moderate">${this.prepareText(match[1], lexicon, language)}</emphasis>${rest}`;
+    }
+
+    /**
+     * Turn plain text into an SSML fragment: say-as/sub markup for numbers, addresses and
+     * lexicon words (see TextNormalizer), escaping and pauses for the rest
+     * @param {string} text - Plain text
+     * @param {Object} lexicon - Tenant pronunciations { word: alias }
+     * @param {string} language - Language code of the text
+     * @returns {string} SSML fragment
+     */
+    prepareText(text, lexicon = null, language = 'en') {
+        return this.normalizer.segment(text, lexicon, language)
+            .map(segment => segment.type === 'markup' ? segment.value : this.preparePlainText(segment.value))
+            .join('');
+    }
+
+    preparePlainText(text) {
+        return text
+            // Fix contractions FIRST before escaping
+            .replace(/you're/gi, 'you are')
+            .replace(/we're/gi, 'we are')
+            .replace(/they're/gi, 'they are')
+            .replace(/I'm/gi, 'I am')
+            .replace(/can't/gi, 'cannot')
+            .replace(/won't/gi, 'will not')
+            .replace(/don't/gi, 'do not')
+            .replace(/didn't/gi, 'did not')
+            .replace(/isn't/gi, 'is not')
+            .replace(/aren't/gi, 'are not')
+            .replace(/wasn't/gi, 'was not')
+            .replace(/weren't/gi, 'were not')
+            .replace(/it's/gi, 'it is')
+            .replace(/that's/gi, 'that is')
+            .replace(/what's/gi, 'what is')
+            .replace(/here's/gi, 'here is')
+            .replace(/there's/gi, 'there is')
+            // Then escape XML special characters
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Fix name stuttering - remove pauses after names
+            .replace(/\bHi\s+([A-Z][a-z]+)!\s*/g, 'Hi $1! ')
+            .replace(/\bHello\s+([A-Z][a-z]+)!\s*/g, 'Hello $1! ')
+            // ULTRA-MINIMAL pauses for maximum speed
+            .replace(SENTENCE_PERIOD, '.<break time="50ms"/>')
+            .replace(/\?/g, '?<break time="75ms"/>')
+            .replace(/!/g, '!<break time="50ms"/>')
+            .replace(/,(?=\s|$)/g, ',<break time="25ms"/>') // Not thousands separators
+            .replace(/(?<!&(?:amp|lt|gt|quot));/g, ';<break time="30ms"/>'); // Not the ; ending an escape
+    }
+}
+
+SsmlBuilder.EMOTION_STYLES = EMOTION_STYLES;
+SsmlBuilder.EMOTION_PROSODY = EMOTION_PROSODY;
+SsmlBuilder.RATE_FACTORS = RATE_FACTORS;
+
+module.exports = SsmlBuilder;
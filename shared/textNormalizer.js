@@ -0,0 +1,211 @@
+/**
+ * Text Normalizer
+ * Finds spans the synthesizer tends to misread on the phone (phone numbers, addresses,
+ * times, dates, money, ZIP codes and tenant-specific words) and renders them as SSML
+ * say-as / sub markup. Everything else is returned as plain text for the caller to escape.
+ *
+ * Tenant lexicon: aiConfig.pronunciations = { "Gervais": "jer vay", "HVAC": "H V A C" }
+ */
+
+// Words ending in "." that do not end a sentence
+const ABBREVIATIONS = ['Mr', 'Mrs', 'Ms', 'Dr', 'St', 'Jr', 'Sr', 'Inc', 'Ltd', 'Co', 'vs', 'etc', 'Ave', 'Rd', 'Blvd', 'Apt', 'No'];
+
+const STREET_SUFFIXES = [
+    'Street', 'Avenue', 'Road', 'Boulevard', 'Drive', 'Lane', 'Court', 'Place', 'Parkway', 'Highway', 'Way', 'Circle', 'Terrace'
+];
+
+// Abbreviated suffixes take their period into the address, so "123 Main St. until 5" gets no sentence break
+const STREET_SUFFIX_ABBREVIATIONS = ['St', 'Ave', 'Rd', 'Blvd', 'Dr', 'Ln', 'Ct', 'Pl', 'Pkwy', 'Hwy', 'Cir', 'Ter'];
+
+const MAX_LEXICON_ENTRIES = 100;
+const MAX_LEXICON_WORD_LENGTH = 50;
+const MAX_LEXICON_ALIAS_LENGTH = 100;
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sayAs(interpretAs, content, format = null) {
+    const formatAttr = format ? ` format="${format}"` : '';
+    return `<say-as interpret-as="${interpretAs}"${formatAttr}>${escapeXml(content)}</say-as>`;
+}
+
+function sub(alias, content) {
+    return `<sub alias="${escapeXml(alias)}">${escapeXml(content)}</sub>`;
+}
+
+// Spoken currency words per language
+const MONEY_WORDS = {
+    en: { dollar: ['dollar', 'dollars'], cent: ['cent', 'cents'], and: 'and' },
+    es: { dollar: ['dólar', 'dólares'], cent: ['centavo', 'centavos'], and: 'con' }
+};
+
+function pluralize(count, forms) {
+    return `${count} ${count === 1 ? forms[0] : forms[1]}`;
+}
+
+// Detection rules in priority order: when two spans start at the same place the earlier rule wins
+const RULES = [
+    {
+        name: 'phone',
+        pattern: /(?<![\d-])(?:\+?1[\s.-]?)?\(?(\d{3})\)?[\s.-]?(\d{3})[\s.-]?(\d{4})(?![\d-])/g,
+        render: match => sayAs('telephone', `(${match[1]}) ${match[2]}-${match[3]}`)
+    },
+    {
+        name: 'money',
+        pattern: /\$(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{2}))?(?!\d|,\d)/g,
+        render: (match, lexicon, language) => {
+            const words = MONEY_WORDS[language] || MONEY_WORDS.en;
+            const dollars = parseInt(match[1].replace(/,/g, ''), 10);
+            const cents = match[2] ? parseInt(match[2], 10) : 0;
+            const parts = [];
+            if (dollars > 0 || cents === 0) parts.push(pluralize(dollars, words.dollar));
+            if (cents > 0) parts.push(pluralize(cents, words.cent));
+            return sub(parts.join(` ${words.and} `), match[0]);
+        }
+    },
+    {
+        name: 'isoDate',
+        pattern: /(?<!\d)(\d{4})-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(?!\d)/g,
+        render: match => sayAs('date', match[0], 'ymd')
+    },
+    {
+        name: 'date',
+        pattern: /(?<![\d/])(0?[1-9]|1[0-2])\/(0?[1-9]|[12]\d|3[01])(?:\/(\d{4}|\d{2}))?(?![\d/])/g,
+        render: match => sayAs('date', match[0], match[3] ? 'mdy' : 'md')
+    },
+    {
+        name: 'time',
+        pattern: /(?<![\d:])(1[0-2]|0?[1-9])(?::([0-5]\d))?\s?([aApP])(?:\.[mM]\.(?!\s*(?:$|[A-Z]))|\.?[mM]\b)/g, // p.m. ending a sentence keeps its period
+        render: match => sayAs('time', `${parseInt(match[1], 10)}:${match[2] || '00'} ${match[3].toUpperCase()}M`, 'hms12')
+    },
+    {
+        name: 'address',
+        pattern: new RegExp(`(?<!\\d)\\d{1,6}\\s+(?:[NSEW]\\s+)?(?:[A-Z][A-Za-z']+\\s+){1,3}` +
+            `(?:(?:${STREET_SUFFIXES.join('|')})\\b|(?:${STREET_SUFFIX_ABBREVIATIONS.join('|')})\\b\\.?)`, 'g'),
+        render: (match, lexicon) => sayAs('address', lexicon.apply(match[0]))
+    },
+    {
+        name: 'zip',
+        pattern: /(?<=\b[A-Z]{2},?\s)(\d{5})(?:-(\d{4}))?(?!\d)/g,
+        render: match => sayAs('digits', match[1]) + (match[2] ? ` ${sayAs('digits', match[2])}` : '')
+    }
+];
+
+/**
+ * Tenant pronunciation overrides, matched as whole words (case-insensitive)
+ */
+class Lexicon {
+    /**
+     * @param {Object} entries - { word: spoken alias }
+     */
+    constructor(entries = {}) {
+        this.aliases = new Map();
+        Object.entries(entries || {}).forEach(([word, alias]) => {
+            if (typeof alias === 'string' && word.trim() && alias.trim()) {
+                this.aliases.set(word.trim().toLowerCase(), alias.trim());
+            }
+        });
+
+        // Longest words first so "Blue Caller HVAC" beats "HVAC"
+        const words = [...this.aliases.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+        this.pattern = words.length > 0 ? new RegExp(`(?<![\\w])(?:${words.join('|')})(?![\\w])`, 'gi') : null;
+    }
+
+    aliasFor(word) {
+        return this.aliases.get(word.toLowerCase()) || null;
+    }
+
+    /**
+     * Replace lexicon words with their aliases as plain text (for use inside other markup)
+     * @param {string} text - Text
+     * @returns {string} Text with aliases substituted
+     */
+    apply(text) {
+        return this.pattern ? text.replace(this.pattern, word => this.aliasFor(word)) : text;
+    }
+}
+
+class TextNormalizer {
+    /**
+     * Split text into plain and markup segments
+     * @param {string} text - Raw text
+     * @param {Object} pronunciations - Tenant lexicon { word: alias }
+     * @param {string} language - Language code of the text (for spoken currency)
+     * @returns {Array} [{ type: 'text' | 'markup', value }] (text segments are unescaped)
+     */
+    segment(text, pronunciations = null, language = 'en') {
+        const lexicon = new Lexicon(pronunciations);
+        const spans = [];
+
+        RULES.forEach((rule, priority) => {
+            for (const match of text.matchAll(rule.pattern)) {
+                spans.push({ start: match.index, end: match.index + match[0].length, priority, markup: rule.render(match, lexicon, language) });
+            }
+        });
+        if (lexicon.pattern) {
+            for (const match of text.matchAll(lexicon.pattern)) {
+                spans.push({ start: match.index, end: match.index + match[0].length, priority: RULES.length, markup: sub(lexicon.aliasFor(match[0]), match[0]) });
+            }
+        }
+
+        spans.sort((a, b) => a.start - b.start || a.priority - b.priority);
+
+        const segments = [];
+        let cursor = 0;
+        spans.forEach(span => {
+            if (span.start < cursor) return; // Overlaps a span already taken
+            if (span.start > cursor) segments.push({ type: 'text', value: text.slice(cursor, span.start) });
+            segments.push({ type: 'markup', value: span.markup });
+            cursor = span.end;
+        });
+        if (cursor < text.length) segments.push({ type: 'text', value: text.slice(cursor) });
+
+        return segments;
+    }
+}
+
+/**
+ * Validate a tenant pronunciation lexicon
+ * @param {Object} pronunciations - aiConfig.pronunciations
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validatePronunciations(pronunciations) {
+    const errors = [];
+    if (pronunciations === undefined || pronunciations === null) return errors;
+
+    if (typeof pronunciations !== 'object' || Array.isArray(pronunciations)) {
+        return ['Pronunciations must be an object of { word: spoken form }'];
+    }
+
+    const entries = Object.entries(pronunciations);
+    if (entries.length > MAX_LEXICON_ENTRIES) {
+        errors.push(`Too many pronunciations (max ${MAX_LEXICON_ENTRIES})`);
+    }
+
+    entries.forEach(([word, alias]) => {
+        if (!word.trim() || word.length > MAX_LEXICON_WORD_LENGTH) {
+            errors.push(`Pronunciation word "${word}" must be 1-${MAX_LEXICON_WORD_LENGTH} characters`);
+        }
+        if (typeof alias !== 'string' || !alias.trim() || alias.length > MAX_LEXICON_ALIAS_LENGTH) {
+            errors.push(`Pronunciation for "${word}" must be 1-${MAX_LEXICON_ALIAS_LENGTH} characters of text`);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    ABBREVIATIONS,
+    TextNormalizer,
+    Lexicon,
+    validatePronunciations
+};
@@ -0,0 +1,172 @@
+/**
+ * Human Transfer Service
+ * Decides when a call should go to a person (tenant humanForwarding settings) and
+ * builds the warm-transfer TwiML: <Dial> with a whisper summary to the technician
+ * and a voicemail fallback when nobody answers
+ */
+
+const querystring = require('querystring');
+const { getPhrase } = require('./languages');
+
+// Phrases that mean "let me talk to a human"
+const HUMAN_REQUEST_PATTERNS = [
+    /\b(speak|talk|connect|transfer|put)\b.*\b(person|human|someone|somebody|representative|rep|agent|operator|technician|manager|owner)\b/i,
+    /\b(real|live|actual)\s+(person|human|agent)\b/i,
+    /^\s*(operator|representative|agent|human)\s*[.!?]*\s*$/i
+];
+
+// Whisper summaries are passed in the <Number url>, so keep them short
+const MAX_SUMMARY_LENGTH = 300;
+
+class TransferService {
+    constructor(voiceManager) {
+        this.voiceManager = voiceManager;
+        this.baseUrl = voiceManager.baseUrl;
+    }
+
+    /**
+     * Get the tenant's forwarding settings when transfers are possible
+     * @param {Object} businessContext - Business context data
+     * @returns {Object|null} humanForwarding config or null when disabled
+     */
+    getForwardingConfig(businessContext) {
+        const forwarding = businessContext?.aiConfig?.humanForwarding;
+        if (!forwarding || !forwarding.enabled || !forwarding.phoneNumber) {
+            return null;
+        }
+        return forwarding;
+    }
+
+    /**
+     * Check whether the caller is asking for a person
+     * @param {string} text - Caller utterance
+     * @returns {boolean} True if the caller wants a human
+     */
+    isHumanRequest(text) {
+        if (!text) return false;
+        return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Decide whether this turn should be transferred. Repeated misses are handed off by
+     * repromptService (reason failed_turns), not here.
+     * @param {Object} turn - { text, analysis }
+     * @param {Object} businessContext - Business context data
+     * @returns {Object} { shouldTransfer, reason }
+     */
+    evaluateTransfer(turn, businessContext) {
+        const forwarding = this.getForwardingConfig(businessContext);
+        if (!forwarding) {
+            return { shouldTransfer: false, reason: null };
+        }
+
+        const { text = '', analysis = {} } = turn;
+
+        if (this.isHumanRequest(text)) {
+            return { shouldTransfer: true, reason: 'caller_request' };
+        }
+
+        if (analysis.isEmergency || analysis.hasEmergency) {
+            return { shouldTransfer: true, reason: 'emergency' };
+        }
+
+        return { shouldTransfer: false, reason: null };
+    }
+
+    /**
+     * Build the spoken summary whispered to the technician before the call is bridged
+     * @param {Object} session - Conversation session
+     * @param {Object} businessContext - Business context data
+     * @param {string} reason - Transfer reason
+     * @returns {string} Whisper text
+     */
+    buildWhisperSummary(session, businessContext, reason) {
+        const { leadInfo = {}, phoneNumber } = session || {};
+        const parts = [`Incoming transfer from the ${businessContext?.companyName || 'AI'} assistant.`];
+
+        if (reason === 'emergency') parts.push('This caller reported an emergency.');
+        else if (reason === 'caller_request') parts.push('The caller asked to speak with a person.');
+        else if (reason === 'failed_turns') parts.push('The assistant had trouble understanding this caller.');
+
+        if (leadInfo.contactInfo?.name) parts.push(`Caller name: ${leadInfo.contactInfo.name}.`);
+        if (leadInfo.serviceType) parts.push(`Service needed: ${leadInfo.serviceType}.`);
+
+        const lastUserMessage = (session?.messages || []).filter(m => m.role === 'user').pop();
+        if (lastUserMessage) parts.push(`They said: ${lastUserMessage.content.replace(/[.!?]*$/, '.')}`);
+
+        // Read the callback number digit by digit
+        if (phoneNumber) parts.push(`Calling from ${phoneNumber.replace(/\D/g, '').split('').join(' ')}.`);
+
+        const summary = parts.join(' ');
+        return summary.length > MAX_SUMMARY_LENGTH ? `${summary.substring(0, MAX_SUMMARY_LENGTH - 3)}...` : summary;
+    }
+
+    /**
+     * Create the warm-transfer TwiML
+     * @param {Object} options - { forwarding, summary, reason, businessId, callerNumber, isEmergency, language }
+     * @returns {string} TwiML
+     */
+    createTransferTwiML(options) {
+        const { forwarding, summary, reason, businessId, callerNumber, isEmergency = false, language = 'en' } = options;
+        const voice = this.voiceManager.azureSpeech.getTwilioFallbackVoice(isEmergency, null, language);
+
+        const announcement = getPhrase(reason === 'emergency' ? 'transferEmergency' : 'transferConnecting', language);
+
+        // The caller's language rides along so the voicemail fallback speaks it too
+        const stateParams = { businessId, reason, caller: callerNumber, language };
+        const dialAction = this.transferUrl({ step: 'dial-complete', ...stateParams });
+        const whisperUrl = this.transferUrl({ step: 'whisper', summary });
+
+        return `
+            <Response>
+                <Say voice="${voice}">${this.voiceManager.escapeXML(announcement)}</Say>
+                <Dial action="${this.voiceManager.escapeXML(dialAction)}" method="POST" timeout="20" answerOnBridge="true">
+                    <Number url="${this.voiceManager.escapeXML(whisperUrl)}" method="POST">${this.voiceManager.escapeXML(forwarding.phoneNumber)}</Number>
+                </Dial>
+            </Response>
+        `.trim();
+    }
+
+    /**
+     * TwiML played only to the technician before the legs are bridged
+     * @param {string} summary - Whisper text
+     * @returns {string} TwiML
+     */
+    createWhisperTwiML(summary) {
+        return `
+            <Response>
+                <Say voice="${this.voiceManager.azureSpeech.getTwilioFallbackVoice(false)}">${this.voiceManager.escapeXML(summary || 'Incoming transfer from the AI assistant.')}</Say>
+            </Response>
+        `.trim();
+    }
+
+    /**
+     * Voicemail fallback when the technician does not answer
+     * @param {Object} options - { businessId, reason, callerNumber, companyName, language }
+     * @returns {string} TwiML
+     */
+    createVoicemailTwiML(options) {
+        const { businessId, reason, callerNumber, companyName, language = 'en' } = options;
+        const voice = this.voiceManager.azureSpeech.getTwilioFallbackVoice(false, null, language);
+        const recordAction = this.transferUrl({ step: 'voicemail-complete', businessId, reason, caller: callerNumber, language });
+        const prompt = getPhrase('transferUnavailable', language).replace('{companyName}', companyName || getPhrase('ourTeam', language));
+
+        return `
+            <Response>
+                <Say voice="${voice}">${this.voiceManager.escapeXML(prompt)}</Say>
+                <Record action="${this.voiceManager.escapeXML(recordAction)}" method="POST" maxLength="120" playBeep="true" finishOnKey="#"/>
+                <Say voice="${voice}">${this.voiceManager.escapeXML(getPhrase('noMessage', language))}</Say>
+                <Hangup/>
+            </Response>
+        `.trim();
+    }
+
+    transferUrl(params) {
+        const definedParams = Object.fromEntries(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        return `${this.baseUrl}/voice-transfer?${querystring.stringify(definedParams)}`;
+    }
+}
+
+module.exports = TransferService;
@@ -0,0 +1,134 @@
+/**
+ * TTS Audio Cache
+ * Content-addressed cache for synthesized audio. The key is a hash of everything that
+ * changes the audio (voice, SSML options, text, output format), so identical prompts are
+ * synthesized and uploaded once and reused across calls and instances:
+ *   1. in-process LRU of key -> audio URL
+ *   2. existing audio named after the key in the audio repository (Blob Storage or local)
+ *   3. synthesize, store, remember
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.TTS_CACHE_MAX_ENTRIES || '500', 10);
+
+let sharedCache = null;
+
+class TtsAudioCache {
+    /**
+     * @param {Object} options - { maxEntries }
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.entries = new Map(); // Map keeps insertion order, so the first key is least recently used
+        this.inFlight = new Map();
+        this.stats = { memoryHits: 0, blobHits: 0, misses: 0, errors: 0 };
+    }
+
+    /**
+     * One cache per process, so every function's VoiceManager shares hits
+     * @param {Object} options - Constructor options (used on first call only)
+     * @returns {TtsAudioCache} Shared cache
+     */
+    static getShared(options = {}) {
+        if (!sharedCache) sharedCache = new TtsAudioCache(options);
+        return sharedCache;
+    }
+
+    /**
+     * Build a cache key from everything that affects the rendered audio
+     * @param {Object} parts - e.g. { voice, format, ssml }
+     * @returns {string} Hex digest
+     */
+    static createKey(parts) {
+        const canonical = Object.keys(parts).sort().map(key => `${key}=${parts[key]}`).join('\n');
+        return crypto.createHash('sha256').update(canonical).digest('hex');
+    }
+
+    /**
+     * Get the URL for a key, producing and uploading the audio only on a miss
+     * @param {string} key - Result of createKey
+     * @param {Function} produceAudio - async () => Buffer, called on a miss
+     * @param {Object} storage - { repository: audio repository (find/save) or null, extension, contentType }
+     * @returns {Object} { url, source: 'memory' | 'blob' | 'synthesized' }
+     */
+    async getOrCreate(key, produceAudio, storage = {}) {
+        const cachedUrl = this.entries.get(key);
+        if (cachedUrl) {
+            this.touch(key, cachedUrl);
+            this.stats.memoryHits++;
+            return { url: cachedUrl, source: 'memory' };
+        }
+
+        // Concurrent requests for the same prompt share one synthesis
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const pending = this.resolveMiss(key, produceAudio, storage)
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, pending);
+        return pending;
+    }
+
+    async resolveMiss(key, produceAudio, storage) {
+        const { repository = null, extension = 'mp3', contentType = 'audio/mpeg' } = storage;
+        if (!repository) {
+            this.stats.errors++;
+            throw new Error('Audio storage not configured');
+        }
+
+        const name = `tts-${key}.${extension}`;
+
+        try {
+            const storedUrl = await repository.find(name);
+            if (storedUrl) {
+                this.touch(key, storedUrl);
+                this.stats.blobHits++;
+                return { url: storedUrl, source: 'blob' };
+            }
+        } catch (error) {
+            // Lookup failures only cost a re-synthesis
+            console.warn('⚠️ Audio cache lookup failed:', error.message);
+        }
+
+        this.stats.misses++;
+        let url;
+        try {
+            const audio = await produceAudio();
+            url = await repository.save(name, audio, contentType);
+        } catch (error) {
+            this.stats.errors++;
+            throw error;
+        }
+
+        this.touch(key, url);
+        return { url, source: 'synthesized' };
+    }
+
+    touch(key, url) {
+        this.entries.delete(key);
+        this.entries.set(key, url);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Hit/miss counts and rates since startup
+     * @returns {Object} Stats
+     */
+    getStats() {
+        const { memoryHits, blobHits, misses, errors } = this.stats;
+        const lookups = memoryHits + blobHits + misses;
+        return {
+            ...this.stats,
+            lookups,
+            hitRate: lookups > 0 ? Math.round(((memoryHits + blobHits) / lookups) * 1000) / 1000 : 0,
+            memoryEntries: this.entries.size,
+            maxEntries: this.maxEntries
+        };
+    }
+}
+
+module.exports = TtsAudioCache;
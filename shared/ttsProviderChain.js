@@ -0,0 +1,87 @@
+/**
+ * TTS Provider Chain
+ * Tries TTS providers in order with a per-provider timeout, so one backend outage
+ * (Azure Speech, blob storage) degrades the voice instead of dropping the call.
+ * Records which provider served each turn and keeps running counts per provider.
+ */
+
+// Default time a provider gets before the chain moves on (ms)
+const DEFAULT_PROVIDER_TIMEOUT_MS = 5000;
+
+class TtsProviderChain {
+    /**
+     * @param {Array} providers - Providers in fallback order (see ttsProviders.js)
+     * @param {Object} options - { timeouts: { [providerName]: ms }, defaultTimeoutMs }
+     */
+    constructor(providers, options = {}) {
+        this.providers = providers;
+        this.timeouts = options.timeouts || {};
+        this.defaultTimeoutMs = options.defaultTimeoutMs || DEFAULT_PROVIDER_TIMEOUT_MS;
+        this.stats = {};
+        providers.forEach(provider => {
+            this.stats[provider.name] = { served: 0, failed: 0, timedOut: 0 };
+        });
+    }
+
+    /**
+     * Render text with the first provider that succeeds in time
+     * @param {string} text - Text to speak
+     * @param {Object} options - Voice options passed to each provider
+     * @returns {Object} Provider result plus { provider, attempts: [{ provider, ok, ms, error }] }
+     */
+    async render(text, options = {}) {
+        const attempts = [];
+
+        for (const provider of this.providers) {
+            const start = Date.now();
+            try {
+                const result = await this.withTimeout(provider.render(text, options), this.getTimeout(provider));
+                attempts.push({ provider: provider.name, ok: true, ms: Date.now() - start });
+                this.stats[provider.name].served++;
+
+                if (attempts.length > 1) {
+                    console.warn(`⚠️ TTS served by ${provider.name} after ${attempts.length - 1} failed provider(s)`);
+                }
+                console.log(`📈 TTS provider: ${provider.name} (${Date.now() - start}ms)`);
+                return { ...result, provider: provider.name, attempts };
+            } catch (error) {
+                const timedOut = error.code === 'TTS_TIMEOUT';
+                attempts.push({ provider: provider.name, ok: false, ms: Date.now() - start, error: error.message });
+                this.stats[provider.name][timedOut ? 'timedOut' : 'failed']++;
+                console.error(`❌ TTS provider ${provider.name} ${timedOut ? 'timed out' : 'failed'}: ${error.message}`);
+            }
+        }
+
+        const error = new Error(`All TTS providers failed (${attempts.map(a => a.provider).join(', ')})`);
+        error.attempts = attempts;
+        throw error;
+    }
+
+    getTimeout(provider) {
+        return this.timeouts[provider.name] || this.defaultTimeoutMs;
+    }
+
+    withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`No response within ${ms}ms`);
+                error.code = 'TTS_TIMEOUT';
+                reject(error);
+            }, ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Served/failed/timed-out counts per provider since startup
+     * @returns {Object} Stats keyed by provider name
+     */
+    getStats() {
+        return JSON.parse(JSON.stringify(this.stats));
+    }
+}
+
+TtsProviderChain.DEFAULT_PROVIDER_TIMEOUT_MS = DEFAULT_PROVIDER_TIMEOUT_MS;
+
+module.exports = TtsProviderChain;
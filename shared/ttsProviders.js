@@ -0,0 +1,87 @@
+/**
+ * TTS Providers
+ * Interchangeable text-to-speech backends for the TwiML pipeline. Each provider has a
+ * `name` and `render(text, options)` that resolves to what Twilio should play:
+ *   { type: 'play', url }               - hosted audio for <Play>
+ *   { type: 'say', text, voice }         - text for Twilio's own <Say>
+ * and throws when it cannot serve the turn, so TtsProviderChain can try the next one.
+ */
+
+const crypto = require('crypto');
+
+class AzureNeuralProvider {
+    /**
+     * @param {Object} azureSpeech - AzureSpeechService
+     */
+    constructor(azureSpeech) {
+        this.name = 'azure-neural';
+        this.azureSpeech = azureSpeech;
+    }
+
+    async render(text, options = {}) {
+        const { isEmergency = false, emotion = 'friendly', urgencyLevel = 'normal', voice = null } = options;
+
+        // Cached audio is reused; only a miss calls Speech and uploads
+        const { url, source } = await this.azureSpeech.synthesizeToUrl(text, {
+            isEmergency,
+            emotion,
+            urgencyLevel,
+            emphasis: isEmergency,
+            rate: this.azureSpeech.getVoiceRate(isEmergency, urgencyLevel),
+            voice
+        });
+
+        return { type: 'play', url, cache: source };
+    }
+}
+
+class TwilioSayProvider {
+    /**
+     * @param {Object} azureSpeech - AzureSpeechService (only used to pick the Twilio voice)
+     */
+    constructor(azureSpeech) {
+        this.name = 'twilio-say';
+        this.azureSpeech = azureSpeech;
+    }
+
+    async render(text, options = {}) {
+        return {
+            type: 'say',
+            text,
+            voice: this.azureSpeech.getTwilioFallbackVoice(options.isEmergency || false, null, options.language)
+        };
+    }
+}
+
+/**
+ * Offline provider for local runs and tests: no network, deterministic URLs,
+ * and switches to simulate an outage or a slow backend
+ */
+class LocalStubProvider {
+    /**
+     * @param {Object} options - { baseUrl, fail (Error|string), delayMs }
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'local-stub';
+        this.baseUrl = options.baseUrl || 'https://localhost/tts-stub';
+        this.fail = options.fail || null;
+        this.delayMs = options.delayMs || 0;
+        this.calls = [];
+    }
+
+    async render(text, options = {}) {
+        this.calls.push({ text, options });
+
+        if (this.delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+        if (this.fail) {
+            throw this.fail instanceof Error ? this.fail : new Error(this.fail);
+        }
+
+        const hash = crypto.createHash('md5').update(text).digest('hex');
+        return { type: 'play', url: `${this.baseUrl}/${hash}.mp3` };
+    }
+}
+
+module.exports = { AzureNeuralProvider, TwilioSayProvider, LocalStubProvider };
@@ -0,0 +1,229 @@
+/**
+ * Twilio Webhook Validator
+ * Checks X-Twilio-Signature on incoming webhooks against the exact public URL Twilio
+ * called plus the POST params, using the auth token of the Twilio account that owns the
+ * business. Also rejects replays: duplicate deliveries inside the replay window, and
+ * <Gather> posts whose action URL (stamped with ts when it was issued) is too old.
+ *
+ * Auth tokens come from the environment, never from business documents:
+ *   TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN   - platform account
+ *   TWILIO_AUTH_TOKENS = {"AC...": "token"}  - tenants on their own (sub)accounts,
+ *                                              matched by business twilio.accountSid
+ *   TWILIO_SIGNATURE_VALIDATION              - enforce (default) | report | off
+ * In enforce mode a platform or tenant token is required, otherwise every call is rejected.
+ *
+ * Handlers validate before looking up the business (the token is picked by the AccountSid
+ * Twilio posts), then check that the business's numbers live on that account.
+ *   PUBLIC_BASE_URL                          - base URL Twilio calls, e.g. http://localhost:7071/api locally
+ */
+
+const crypto = require('crypto');
+const querystring = require('querystring');
+
+const VALIDATION_MODES = ['enforce', 'report', 'off'];
+
+// How long a <Gather> action URL stays usable, and how long deliveries are remembered
+const DEFAULT_MAX_AGE_SECONDS = 600;
+
+// Tolerated clock skew for ts stamps from another instance
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Twilio's signature: base64 HMAC-SHA1 of the URL followed by each POST param name and
+ * value, sorted by name
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full URL Twilio requested (including query string)
+ * @param {Object} params - POST params (empty for GET)
+ * @returns {string} Expected X-Twilio-Signature
+ */
+function computeSignature(authToken, url, params = {}) {
+    const data = Object.keys(params).sort().reduce((signed, name) => {
+        const values = Array.isArray(params[name]) ? [...params[name]].sort() : [params[name]];
+        return signed + values.map(value => `${name}${value}`).join('');
+    }, url);
+
+    return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+/**
+ * Build a signed form POST the way Twilio would send it (local simulation and scripts)
+ * @param {string} url - Public URL the validator will reconstruct
+ * @param {Object} params - Form params (CallSid, From, To, SpeechResult...)
+ * @param {string} authToken - Auth token the validator resolves for the account
+ * @returns {Object} { headers, body }
+ */
+function signRequest(url, params, authToken) {
+    return {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'X-Twilio-Signature': computeSignature(authToken, url, params)
+        },
+        body: querystring.stringify(params)
+    };
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class TwilioWebhookValidator {
+    /**
+     * @param {Object} options - { baseUrl, mode, maxAgeSeconds, now (clock for tests) }
+     */
+    constructor(options = {}) {
+        this.baseUrl = (process.env.PUBLIC_BASE_URL || options.baseUrl || '').replace(/\/$/, '');
+        const mode = options.mode || process.env.TWILIO_SIGNATURE_VALIDATION || 'enforce';
+        this.mode = VALIDATION_MODES.includes(mode) ? mode : 'enforce';
+        this.maxAgeMs = (options.maxAgeSeconds ||
+            parseInt(process.env.TWILIO_WEBHOOK_MAX_AGE_SECONDS || '0', 10) ||
+            DEFAULT_MAX_AGE_SECONDS) * 1000;
+        this.now = options.now || Date.now;
+        this.seen = new Map(); // delivery key -> first seen (ms)
+
+        if (this.mode === 'enforce' && !process.env.TWILIO_AUTH_TOKEN && !process.env.TWILIO_AUTH_TOKENS) {
+            console.error('❌ TWILIO_AUTH_TOKEN is not set and TWILIO_SIGNATURE_VALIDATION is enforce - every Twilio webhook will be rejected. Set TWILIO_AUTH_TOKEN (or TWILIO_AUTH_TOKENS), or use report mode locally.');
+        }
+    }
+
+    /**
+     * The URL Twilio signed: our public base, the function name and the query string as sent
+     * @param {Object} req - Azure Functions request
+     * @param {string} functionName - e.g. 'voice-stream'
+     * @returns {string} Public URL
+     */
+    getPublicUrl(req, functionName) {
+        const requested = req.originalUrl || req.url || '';
+        const queryStart = requested.indexOf('?');
+        return `${this.baseUrl}/${functionName}${queryStart >= 0 ? requested.slice(queryStart) : ''}`;
+    }
+
+    /**
+     * POST params as Twilio sent them
+     * @param {Object} req - Azure Functions request
+     * @returns {Object} Params (empty for GET)
+     */
+    getParams(req) {
+        if (req.method !== 'POST' || !req.body) return {};
+        return typeof req.body === 'string' ? querystring.parse(req.body) : req.body;
+    }
+
+    /**
+     * Auth token for the account a business's numbers live on (or, before the business
+     * is known, for the account the request says it comes from)
+     * @param {Object} businessContext - Business context (twilioAccountSid), or null
+     * @param {string} requestAccountSid - AccountSid posted by Twilio
+     * @returns {Object} { accountSid, authToken } (authToken null when not configured)
+     */
+    resolveAuthToken(businessContext, requestAccountSid = null) {
+        const accountSid = (businessContext ? businessContext.twilioAccountSid : requestAccountSid) ||
+            process.env.TWILIO_ACCOUNT_SID || null;
+
+        let tenantTokens = {};
+        try {
+            tenantTokens = JSON.parse(process.env.TWILIO_AUTH_TOKENS || '{}');
+        } catch (error) {
+            console.error('❌ TWILIO_AUTH_TOKENS is not valid JSON:', error.message);
+        }
+
+        const isPlatformAccount = !accountSid || accountSid === process.env.TWILIO_ACCOUNT_SID;
+        const authToken = (accountSid && tenantTokens[accountSid]) ||
+            (isPlatformAccount ? process.env.TWILIO_AUTH_TOKEN : null) ||
+            null;
+
+        return { accountSid, authToken };
+    }
+
+    /**
+     * Validate a webhook request
+     * @param {Object} req - Azure Functions request
+     * @param {Object} options - { functionName, businessContext (omit to validate before the lookup),
+     *                            allowRetries (the handler is safe to run again for a repeated delivery) }
+     * @returns {Object} { valid, reason } - reason set when the request is rejected (or would be, in report mode)
+     */
+    validate(req, options = {}) {
+        if (this.mode === 'off') return { valid: true, reason: null };
+        return this.applyMode(this.check(req, options));
+    }
+
+    /**
+     * After the business lookup: the request must come from the account its numbers live on
+     * @param {Object} req - Azure Functions request (already passed validate)
+     * @param {Object} businessContext - Business context (twilioAccountSid)
+     * @returns {Object} { valid, reason }
+     */
+    validateAccount(req, businessContext) {
+        if (this.mode === 'off') return { valid: true, reason: null };
+        return this.applyMode(this.checkAccount(this.getParams(req), businessContext));
+    }
+
+    applyMode(result) {
+        if (!result.valid && this.mode === 'report') {
+            console.warn(`⚠️ Twilio webhook would be rejected (${result.reason}) - report mode`);
+            return { valid: true, reason: result.reason };
+        }
+        return result;
+    }
+
+    checkAccount(params, businessContext) {
+        const accountSid = businessContext?.twilioAccountSid || process.env.TWILIO_ACCOUNT_SID || null;
+
+        // A valid signature from some other account must not reach this business's number
+        if (params.AccountSid && accountSid && params.AccountSid !== accountSid) {
+            return { valid: false, reason: 'account_mismatch' };
+        }
+        return { valid: true, reason: null };
+    }
+
+    check(req, options = {}) {
+        const { functionName, businessContext = null, allowRetries = false } = options;
+        const headers = req.headers || {};
+        const signature = headers['x-twilio-signature'];
+        if (!signature) return { valid: false, reason: 'missing_signature' };
+
+        const params = this.getParams(req);
+        const { authToken } = this.resolveAuthToken(businessContext, params.AccountSid);
+        if (!authToken) return { valid: false, reason: 'no_auth_token' };
+
+        if (businessContext) {
+            const account = this.checkAccount(params, businessContext);
+            if (!account.valid) return account;
+        }
+
+        const url = this.getPublicUrl(req, functionName);
+        if (!safeEqual(signature, computeSignature(authToken, url, params))) {
+            return { valid: false, reason: 'invalid_signature' };
+        }
+
+        // ts is part of the signed URL, so it cannot be refreshed by whoever replays it
+        const now = this.now();
+        const issuedAt = parseInt((req.query && req.query.ts) || '0', 10);
+        if (issuedAt && (now - issuedAt > this.maxAgeMs || issuedAt - now > MAX_CLOCK_SKEW_MS)) {
+            return { valid: false, reason: 'stale' };
+        }
+
+        if (allowRetries) return { valid: true, reason: null };
+
+        const deliveryKey = headers['i-twilio-idempotency-token'] || signature;
+        this.forgetExpired(now);
+        if (this.seen.has(deliveryKey)) return { valid: false, reason: 'duplicate' };
+        this.seen.set(deliveryKey, now);
+
+        return { valid: true, reason: null };
+    }
+
+    forgetExpired(now) {
+        // Map keeps insertion order, so the oldest deliveries come first
+        for (const [key, seenAt] of this.seen) {
+            if (now - seenAt <= this.maxAgeMs) break;
+            this.seen.delete(key);
+        }
+    }
+}
+
+TwilioWebhookValidator.VALIDATION_MODES = VALIDATION_MODES;
+TwilioWebhookValidator.computeSignature = computeSignature;
+TwilioWebhookValidator.signRequest = signRequest;
+
+module.exports = TwilioWebhookValidator;
@@ -0,0 +1,138 @@
+/**
+ * Voice Catalog
+ * Azure neural voices a business may choose for its agent, and the rules for turning
+ * aiConfig (voice, voiceStyle, gender) into validated synthesis settings.
+ *
+ * aiConfig.voice = { name: 'en-US-JennyNeural', rate: 1.1, pitch: '+5%', style: 'customerservice' }
+ * Missing fields fall back to gender/voiceStyle, then to the platform default (Ava).
+ * `emphasis` marks voices that honor SSML <emphasis> (others ignore it).
+ */
+
+const VOICE_CATALOG = [
+    { name: 'en-US-AvaMultilingualNeural', locale: 'en-US', gender: 'female', styles: [], description: 'Bright, engaging (default)' },
+    { name: 'en-US-AndrewMultilingualNeural', locale: 'en-US', gender: 'male', styles: [], description: 'Warm, confident' },
+    { name: 'en-US-EmmaMultilingualNeural', locale: 'en-US', gender: 'female', styles: [], description: 'Cheerful, clear' },
+    { name: 'en-US-BrianMultilingualNeural', locale: 'en-US', gender: 'male', styles: [], description: 'Casual, approachable' },
+    { name: 'en-US-JennyNeural', locale: 'en-US', gender: 'female', styles: ['assistant', 'chat', 'customerservice', 'newscast', 'cheerful', 'friendly', 'hopeful', 'sad', 'excited'], description: 'Friendly assistant' },
+    { name: 'en-US-AriaNeural', locale: 'en-US', gender: 'female', styles: ['chat', 'customerservice', 'narration-professional', 'newscast-casual', 'newscast-formal', 'cheerful', 'empathetic', 'friendly', 'hopeful'], description: 'Expressive, professional' },
+    { name: 'en-US-SaraNeural', locale: 'en-US', gender: 'female', styles: ['cheerful', 'friendly', 'hopeful', 'sad', 'excited'], description: 'Youthful, upbeat' },
+    { name: 'en-US-GuyNeural', locale: 'en-US', gender: 'male', styles: ['newscast', 'cheerful', 'friendly', 'hopeful', 'sad', 'excited'], emphasis: true, description: 'Steady, authoritative' },
+    { name: 'en-US-DavisNeural', locale: 'en-US', gender: 'male', styles: ['chat', 'cheerful', 'friendly', 'hopeful', 'excited'], emphasis: true, description: 'Relaxed, conversational' },
+    { name: 'en-US-JasonNeural', locale: 'en-US', gender: 'male', styles: ['cheerful', 'friendly', 'hopeful', 'sad', 'excited'], description: 'Energetic' },
+    { name: 'es-US-PalomaNeural', locale: 'es-US', gender: 'female', styles: [], description: 'Spanish (US)' },
+    { name: 'es-US-AlonsoNeural', locale: 'es-US', gender: 'male', styles: [], description: 'Spanish (US)' },
+    { name: 'es-MX-DaliaNeural', locale: 'es-MX', gender: 'female', styles: ['cheerful', 'sad', 'whispering'], description: 'Spanish (Mexico)' },
+    { name: 'es-MX-JorgeNeural', locale: 'es-MX', gender: 'male', styles: ['chat', 'cheerful', 'excited', 'whispering'], description: 'Spanish (Mexico)' }
+];
+
+const DEFAULT_VOICE = 'en-US-AvaMultilingualNeural';
+
+// Default voice per gender when the business has not picked one
+const DEFAULT_VOICE_BY_GENDER = {
+    female: 'en-US-AvaMultilingualNeural',
+    male: 'en-US-AndrewMultilingualNeural'
+};
+
+// aiConfig.voiceStyle -> Azure speaking styles to try, in order (used only if the voice supports one)
+const STYLE_PREFERENCES = {
+    professional: ['customerservice', 'narration-professional', 'assistant'],
+    friendly: ['friendly', 'chat', 'cheerful'],
+    casual: ['chat', 'friendly'],
+    authoritative: ['newscast', 'newscast-formal', 'narration-professional']
+};
+
+// Our historic prosody: a little faster than Azure's default reads better on the phone
+const DEFAULT_RATE = 1.3;
+const MIN_RATE = 0.5;
+const MAX_RATE = 2.0;
+const PITCH_KEYWORDS = ['default', 'x-low', 'low', 'medium', 'high', 'x-high'];
+const MAX_PITCH_PERCENT = 50;
+
+/**
+ * Look up a catalog voice
+ * @param {string} name - Azure voice name
+ * @returns {Object|null} Catalog entry
+ */
+function getVoice(name) {
+    return VOICE_CATALOG.find(voice => voice.name === name) || null;
+}
+
+function isValidPitch(pitch) {
+    if (PITCH_KEYWORDS.includes(pitch)) return true;
+    const match = /^([+-])(\d{1,2})%$/.exec(String(pitch));
+    return !!match && parseInt(match[2], 10) <= MAX_PITCH_PERCENT;
+}
+
+/**
+ * Validate a business's voice choice against the catalog
+ * @param {Object} voice - aiConfig.voice
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateVoiceSettings(voice) {
+    const errors = [];
+    if (!voice || typeof voice !== 'object') return errors;
+
+    const entry = voice.name ? getVoice(voice.name) : null;
+    if (voice.name && !entry) {
+        errors.push(`Unknown voice "${voice.name}"`);
+    }
+
+    if (voice.rate !== undefined && voice.rate !== null) {
+        const rate = Number(voice.rate);
+        if (isNaN(rate) || rate < MIN_RATE || rate > MAX_RATE) {
+            errors.push(`Voice rate must be between ${MIN_RATE} and ${MAX_RATE}`);
+        }
+    }
+
+    if (voice.pitch !== undefined && voice.pitch !== null && !isValidPitch(voice.pitch)) {
+        errors.push(`Voice pitch must be one of ${PITCH_KEYWORDS.join(', ')} or a percentage between -${MAX_PITCH_PERCENT}% and +${MAX_PITCH_PERCENT}%`);
+    }
+
+    if (voice.style && entry && !entry.styles.includes(voice.style)) {
+        errors.push(entry.styles.length > 0 ?
+            `Voice ${entry.name} supports styles: ${entry.styles.join(', ')}` :
+            `Voice ${entry.name} does not support speaking styles`);
+    }
+
+    return errors;
+}
+
+/**
+ * Resolve the synthesis settings for a business
+ * Invalid stored values are ignored rather than failing the call.
+ * @param {Object} aiConfig - Business AI configuration
+ * @returns {Object} { name, locale, gender, rate, pitch, style, lexicon }
+ */
+function resolveVoiceSettings(aiConfig = {}) {
+    const configured = (aiConfig && aiConfig.voice) || {};
+    const gender = aiConfig && aiConfig.gender === 'male' ? 'male' : 'female';
+
+    let entry = configured.name ? getVoice(configured.name) : null;
+    if (configured.name && !entry) {
+        console.warn(`⚠️ Voice "${configured.name}" is not in the catalog, using default`);
+    }
+    if (!entry) entry = getVoice(DEFAULT_VOICE_BY_GENDER[gender]) || getVoice(DEFAULT_VOICE);
+
+    const rate = Number(configured.rate);
+    const style = configured.style && entry.styles.includes(configured.style) ?
+        configured.style :
+        (STYLE_PREFERENCES[aiConfig && aiConfig.voiceStyle] || []).find(candidate => entry.styles.includes(candidate)) || null;
+
+    return {
+        name: entry.name,
+        locale: entry.locale,
+        gender: entry.gender,
+        rate: rate >= MIN_RATE && rate <= MAX_RATE ? rate : DEFAULT_RATE,
+        pitch: configured.pitch && isValidPitch(configured.pitch) ? configured.pitch : 'default',
+        style,
+        lexicon: aiConfig && aiConfig.pronunciations && typeof aiConfig.pronunciations === 'object' ? aiConfig.pronunciations : null
+    };
+}
+
+module.exports = {
+    VOICE_CATALOG,
+    DEFAULT_VOICE,
+    getVoice,
+    validateVoiceSettings,
+    resolveVoiceSettings
+};
@@ -1,7 +1,28 @@
+const querystring = require('querystring');
 const AzureSpeechService = require('./azureSpeechService');
+const TtsProviderChain = require('./ttsProviderChain');
+const { AzureNeuralProvider, TwilioSayProvider, LocalStubProvider } = require('./ttsProviders');
+const { getPhrase, getGatherLanguage } = require('./languages');
+
+// Fallback order when TTS_PROVIDERS is not set
+const DEFAULT_TTS_PROVIDERS = 'azure-neural,twilio-say';
+
+// Fixed prompts spoken by the call flow; pre-generated for each tenant when its aiConfig is saved
+const CANNED_PROMPT_KEYS = ['clarification', 'noSpeech'];
+
+function getCannedPrompts(language = 'en') {
+    const prompts = {};
+    CANNED_PROMPT_KEYS.forEach(key => { prompts[key] = getPhrase(key, language); });
+    return prompts;
+}
+
+const CANNED_PROMPTS = getCannedPrompts('en');
 
 class VoiceManager {
-    constructor() {
+    /**
+     * @param {Object} options - { ttsChain } to replace the env-configured provider chain (tests)
+     */
+    constructor(options = {}) {
         console.log('🔍 VoiceManager Constructor - Debugging Environment Variables:');
         console.log('AZURE_STORAGE_CONNECTION_STRING exists:', !!process.env.AZURE_STORAGE_CONNECTION_STRING);
         console.log('AZURE_STORAGE_CONNECTION_STRING length:', process.env.AZURE_STORAGE_CONNECTION_STRING?.length || 0);
@@ -9,106 +30,180 @@ class VoiceManager {
         
         this.azureSpeech = new AzureSpeechService();
         this.fallbackEnabled = true;
-        this.baseUrl = 'https://func-blucallerai-dkavgbhvdkesgmer.westus-01.azurewebsites.net/api';
+        this.baseUrl = process.env.PUBLIC_BASE_URL || 'https://func-blucallerai-dkavgbhvdkesgmer.westus-01.azurewebsites.net/api';
+        this.ttsChain = options.ttsChain || this.createTtsChain();
     }
 
-    async generateVoiceResponse(text, context = {}) {
-                console.log(`🎙️ Generating AVA MULTILINGUAL voice response for: "${text.substring(0, 50)}..."`);
-
-        const {
-            isEmergency = false,
-            customerName = null,
-            emotion = 'neutral',
-            urgencyLevel = 'normal',
-            followUpPrompt = "I'm listening..."
-        } = context;
-
-        try {
-            // ONLY use Azure Speech Services with Ava Multilingual - NO FALLBACKS
-            console.log('🎤 Synthesizing with Azure Ava Multilingual (All-or-Nothing mode)');
-            
-            const azureResult = await this.azureSpeech.synthesizeSpeech(text, {
-                isEmergency,
-                emotion: this.getEmotionFromContext(urgencyLevel),
-                emphasis: isEmergency,
-                rate: this.azureSpeech.getVoiceRate(isEmergency, urgencyLevel)
+    /**
+     * Build the TTS fallback chain from TTS_PROVIDERS (comma-separated, in order)
+     * and TTS_TIMEOUT_MS / TTS_<PROVIDER>_TIMEOUT_MS (e.g. TTS_AZURE_NEURAL_TIMEOUT_MS)
+     * @returns {TtsProviderChain} Provider chain
+     */
+    createTtsChain() {
+        const factories = {
+            'azure-neural': () => new AzureNeuralProvider(this.azureSpeech),
+            'twilio-say': () => new TwilioSayProvider(this.azureSpeech),
+            'local-stub': () => new LocalStubProvider()
+        };
+
+        const names = (process.env.TTS_PROVIDERS || DEFAULT_TTS_PROVIDERS)
+            .split(',')
+            .map(name => name.trim())
+            .filter(name => {
+                if (!factories[name]) console.warn(`⚠️ Unknown TTS provider "${name}" ignored`);
+                return !!factories[name];
             });
 
-            if (azureResult.success) {
-                console.log('✅ Azure Ava Multilingual synthesis successful');
-                
-                // Upload main audio to blob storage and get URL
-                const audioUrl = await this.azureSpeech.cacheAudio(text, azureResult.audioData);
-                
-                if (audioUrl) {
-                    console.log('✅ Main audio uploaded to blob storage');
-                    
-                    // Use single audio for cleaner, faster playback
-                    return this.createAlloyTurboTwiML(audioUrl, null, context);
-                } else {
-                    console.error('❌ Failed to upload audio to blob storage');
-                    throw new Error('Audio upload failed - no fallback allowed');
-                }
-            } else {
-                console.error('❌ Azure Speech synthesis failed');
-                throw new Error('Azure Speech failed - no fallback allowed');
-            }
-
-        } catch (error) {
-            console.error('❌ PHOEBE MULTILINGUAL FAILED:', error.message);
-            throw error; // Re-throw to cause function failure - no fallbacks!
-        }
+        // Twilio <Say> needs no external service, so it is always the last resort
+        if (!names.includes('twilio-say')) names.push('twilio-say');
+
+        const timeouts = {};
+        names.forEach(name => {
+            const envValue = process.env[`TTS_${name.toUpperCase().replace(/-/g, '_')}_TIMEOUT_MS`];
+            if (envValue) timeouts[name] = parseInt(envValue, 10);
+        });
+
+        return new TtsProviderChain(names.map(name => factories[name]()), {
+            timeouts,
+            defaultTimeoutMs: parseInt(process.env.TTS_TIMEOUT_MS || '0', 10) || undefined
+        });
+    }
+
+    async generateVoiceResponse(text, context = {}) {
+        const turn = await this.generateVoiceTurn(text, context);
+        return turn.twiml;
+    }
+
+    /**
+     * Render a reply through the TTS provider chain and wrap it in TwiML
+     * @param {string} text - Text to speak
+     * @param {Object} context - Voice context (isEmergency, urgencyLevel, emotion, voice, language, endCall, closing, digitCapture, gatherQuery...)
+     * @returns {Object} { twiml, provider, attempts } - provider that served this turn
+     */
+    async generateVoiceTurn(text, context = {}) {
+        console.log(`🎙️ Generating voice response for: "${text.substring(0, 50)}..."`);
+
+        const { isEmergency = false, urgencyLevel = 'normal', voice = null } = context;
+
+        const rendered = await this.ttsChain.render(text, {
+            isEmergency,
+            urgencyLevel,
+            emotion: context.emotion || this.getEmotionFromContext(urgencyLevel),
+            voice,
+            language: context.language
+        });
+
+        const twiml = rendered.type === 'play' ?
+            this.createAlloyTurboTwiML(rendered.url, null, context) :
+            this.createTwilioFallbackTwiML(rendered.text, context, rendered.voice);
+
+        return { twiml, provider: rendered.provider, attempts: rendered.attempts };
+    }
+
+    /**
+     * Pre-generate cached neural audio so the first caller does not wait on synthesis
+     * @param {Array} texts - Prompts to warm (spoken with normal urgency)
+     * @param {Object} voice - Business voice settings (businessContext.voice)
+     * @returns {Object} { synthesized, cached, failed }
+     */
+    async prewarmAudio(texts, voice = null) {
+        const summary = { synthesized: 0, cached: 0, failed: 0 };
+
+        // Same options AzureNeuralProvider uses for a normal turn, so the cache keys match
+        const results = await Promise.allSettled([...new Set(texts.filter(Boolean))].map(text =>
+            this.azureSpeech.synthesizeToUrl(text, {
+                isEmergency: false,
+                emotion: this.getEmotionFromContext('normal'),
+                urgencyLevel: 'normal',
+                emphasis: false,
+                rate: this.azureSpeech.getVoiceRate(false, 'normal'),
+                voice
+            })));
+
+        results.forEach(result => {
+            if (result.status === 'rejected') summary.failed++;
+            else if (result.value.source === 'synthesized') summary.synthesized++;
+            else summary.cached++;
+        });
+
+        console.log(`🔥 Audio pre-warm: ${summary.synthesized} synthesized, ${summary.cached} already cached, ${summary.failed} failed`);
+        return summary;
+    }
+
+    /**
+     * TTS telemetry since startup
+     * @returns {Object} { providers, audioCache }
+     */
+    getTtsStats() {
+        return {
+            providers: this.ttsChain.getStats(),
+            audioCache: this.azureSpeech.audioCache.getStats()
+        };
     }
 
     createAlloyTurboTwiML(audioUrl, followUpUrl, context = {}) {
-        const { isEmergency = false } = context;
-        
         // Use the actual Azure Ava Multilingual audio URLs from blob storage
         console.log('🎵 Creating TwiML with Ava Multilingual audio URLs');
         console.log('Main audio:', audioUrl.substring(0, 50) + '...');
         if (followUpUrl) console.log('Follow-up audio:', followUpUrl.substring(0, 50) + '...');
         
+        return this.createTurnTwiML(`<Play>${audioUrl}</Play>`, context);
+    }
+
+    // Used when neural audio is unavailable: Twilio speaks the text itself
+    createTwilioFallbackTwiML(text, context = {}, voice = null) {
+        const { isEmergency = false } = context;
+        const sayVoice = voice || this.azureSpeech.getTwilioFallbackVoice(isEmergency, null, context.language);
+        
+        return this.createTurnTwiML(`<Say voice="${sayVoice}">${this.escapeXML(text)}</Say>`, context);
+    }
+
+    // Speak, then either listen for the next turn or hang up
+    createTurnTwiML(speech, context = {}) {
+        const { isEmergency = false } = context;
         const timeout = isEmergency ? '15' : '30';
+        // Keys: one press picks a keypad menu option; typed numbers (digitCapture) end with #
+        const keypad = context.digitCapture ? 'finishOnKey="#"' : 'numDigits="1"';
+        // actionOnEmptyResult: a timeout still posts back, so silence is counted as a no-input miss
+        // The closing after the Gather only plays if that post never happens
+        const closingVoice = this.azureSpeech.getTwilioFallbackVoice(isEmergency, null, context.language);
+        const closing = this.escapeXML(context.closing || getPhrase('goodbye', context.language));
         
-        return `
+        // Conversation is over: play the goodbye and hang up instead of listening again
+        if (context.endCall) {
+            return `
             <Response>
-                <Play>${audioUrl}</Play>
-                <Gather input="speech" 
-                        timeout="${timeout}" 
-                        speechTimeout="auto" 
-                        action="${this.baseUrl}/voice-stream" 
-                        method="POST">
-                </Gather>
-                <Say voice="alice">Thank you for calling Blue Caller HVAC. Have a great day!</Say>
+                ${speech}
                 <Hangup/>
             </Response>
         `.trim();
-    }
-
-    createTwilioFallbackTwiML(text, followUpPrompt, context = {}) {
-        const { isEmergency = false, urgencyLevel = 'normal' } = context;
-        const voice = this.azureSpeech.getTwilioFallbackVoice(isEmergency);
-        const rate = this.azureSpeech.getVoiceRate(isEmergency, urgencyLevel);
-        const timeout = isEmergency ? '15' : '30';
+        }
         
         return `
             <Response>
-                <Say voice="${voice}" rate="${rate}">
-                    ${this.escapeXML(text)}
-                </Say>
-                <Pause length="1"/>
-                <Gather input="speech" 
+                ${speech}
+                <Gather input="speech dtmf" 
+                        actionOnEmptyResult="true" 
+                        ${keypad} 
+                        language="${getGatherLanguage(context.language)}" 
                         timeout="${timeout}" 
                         speechTimeout="auto" 
-                        action="${this.baseUrl}/voice-stream" 
+                        action="${this.getGatherActionUrl(context.gatherQuery)}" 
                         method="POST">
-                    ${this.createFollowUpSpeech(followUpPrompt, context)}
                 </Gather>
-                <Redirect>${this.baseUrl}/voice-twiml</Redirect>
+                <Say voice="${closingVoice}">${closing}</Say>
+                <Hangup/>
             </Response>
         `.trim();
     }
 
+    // Per-call state (e.g. miss counters) rides along on the Gather action URL, stamped with
+    // ts (issue time) so the webhook validator can reject stale replays of the signed URL
+    getGatherActionUrl(gatherQuery = null) {
+        const actionUrl = `${this.baseUrl}/voice-stream`;
+        return this.escapeXML(`${actionUrl}?${querystring.stringify({ ...(gatherQuery || {}), ts: Date.now() })}`);
+    }
+
     createFollowUpSpeech(followUpPrompt, context = {}) {
         const { isEmergency = false } = context;
         const voice = this.azureSpeech.getTwilioFallbackVoice(isEmergency);
@@ -196,9 +291,9 @@ class VoiceManager {
         return "Is there anything else I can help you with today?";
     }
 
-    // Create error response with appropriate voice
-    createErrorResponse(errorMessage = "I'm sorry, I'm having technical difficulties. Please try calling back in a moment.") {
-        const voice = this.azureSpeech.getTwilioFallbackVoice(false);
+    // Create error response with appropriate voice (in the call's language)
+    createErrorResponse(errorMessage = "I'm sorry, I'm having technical difficulties. Please try calling back in a moment.", language = 'en') {
+        const voice = this.azureSpeech.getTwilioFallbackVoice(false, null, language);
         
         return `
             <Response>
@@ -210,24 +305,38 @@ class VoiceManager {
         `.trim();
     }
 
-    // Create greeting with potential personalization
-    async createPersonalizedGreeting(customerName = null, isReturningCustomer = false) {
-        let greetingText;
-        
-        if (isReturningCustomer && customerName) {
-            greetingText = `Hi ${customerName}! Welcome back to Blue Caller HVAC. How can I help you today?`;
-        } else if (customerName) {
-            greetingText = `Hi ${customerName}! Thank you for calling Blue Caller HVAC. How can I help you today?`;
-        } else {
-            greetingText = "Hi! Thank you for calling Blue Caller HVAC. I'm your AI assistant and I'm here to help with all your heating and cooling needs. What can I help you with today?";
-        }
-        
-        return await this.generateVoiceResponse(greetingText, {
-            emotion: 'friendly',
-            urgencyLevel: 'normal',
-            followUpPrompt: "I'm listening..."
-        });
+    /**
+     * Business greeting, opened with a welcome back (by name, mentioning the last issue) for returning callers
+     * @param {string} greeting - The business's greeting text
+     * @param {Object|null} customer - Caller context from CustomerProfileService (null for a new caller)
+     * @param {Object} context - Voice context, as for generateVoiceResponse
+     * @returns {string} TwiML
+     */
+    async createPersonalizedGreeting(greeting, customer = null, context = {}) {
+        return await this.generateVoiceResponse(this.buildPersonalizedGreeting(greeting, customer, context.language), context);
+    }
+
+    buildPersonalizedGreeting(greeting, customer = null, language = 'en') {
+        if (!customer || (!customer.name && !customer.lastIssue)) return greeting;
+
+        const welcome = customer.name ?
+            getPhrase('welcomeBackName', language).replace('{name}', customer.name) :
+            getPhrase('welcomeBack', language);
+        const lastIssue = customer.lastIssue ?
+            getPhrase('lastIssue', language).replace('{issue}', this.toClause(customer.lastIssue.problem)) :
+            null;
+
+        return [welcome, lastIssue, greeting].filter(Boolean).join(' ');
+    }
+
+    // "Furnace is not heating." -> "furnace is not heating" (acronyms like "AC" keep their case)
+    toClause(sentence) {
+        const text = String(sentence).trim().replace(/[.!?]+$/, '');
+        return /^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text;
     }
 }
 
+VoiceManager.CANNED_PROMPTS = CANNED_PROMPTS;
+VoiceManager.getCannedPrompts = getCannedPrompts;
+
 module.exports = VoiceManager;
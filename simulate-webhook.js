@@ -0,0 +1,77 @@
+/**
+ * Send a signed Twilio-style webhook to a locally running function app, so calls can be
+ * simulated with signature validation switched on.
+ *
+ * Usage: node simulate-webhook.js <function> [Name=value ...] [--query "language=en&ts=..."] [--retry]
+ *   node simulate-webhook.js voice-twiml To=+15555550199
+ *   node simulate-webhook.js voice-stream SpeechResult="My furnace stopped working" Confidence=0.9
+ *   node simulate-webhook.js voice-stream CallSid=CA123 SpeechResult="No heat" --query "turn=2" --retry
+ * --retry sends the identical request again, the way Twilio retries a post that timed out,
+ * and reports whether the function answered it with the same response.
+ *
+ * Signs with TWILIO_AUTH_TOKEN (the same token the validator resolves) against
+ * PUBLIC_BASE_URL, which should be set to the local base when running `func start`.
+ */
+
+const { signRequest } = require('./shared/twilioWebhookValidator');
+
+const DEFAULT_BASE_URL = 'http://localhost:7071/api';
+
+async function main(argv) {
+    const [functionName, ...rest] = argv;
+    if (!functionName) {
+        console.error('Usage: node simulate-webhook.js <function> [Name=value ...] [--query "a=b"] [--retry]');
+        process.exit(1);
+    }
+
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) {
+        console.error('❌ Set TWILIO_AUTH_TOKEN to the token the function app validates with');
+        process.exit(1);
+    }
+
+    const params = {
+        CallSid: `CAsimulated${Date.now()}`,
+        AccountSid: process.env.TWILIO_ACCOUNT_SID || 'ACsimulated',
+        From: '+15555550100',
+        To: '+15555550199'
+    };
+    let query = '';
+    let retry = false;
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--query') {
+            query = rest[++i] || '';
+        } else if (rest[i] === '--retry') {
+            retry = true;
+        } else {
+            const separator = rest[i].indexOf('=');
+            if (separator > 0) params[rest[i].slice(0, separator)] = rest[i].slice(separator + 1);
+        }
+    }
+
+    const baseUrl = (process.env.PUBLIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+    const url = `${baseUrl}/${functionName}${query ? `?${query}` : ''}`;
+    const { headers, body } = signRequest(url, params, authToken);
+
+    const send = async () => {
+        console.log(`📤 POST ${url}`);
+        const response = await fetch(url, { method: 'POST', headers, body });
+        const text = await response.text();
+        console.log(`📥 ${response.status} ${response.statusText}`);
+        console.log(text);
+        return text;
+    };
+
+    const first = await send();
+    if (retry) {
+        const second = await send();
+        console.log(second === first ? '🔁 Retry answered with the same response' : '⚠️ Retry got a different response');
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌ Simulation failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AgentToolService = require('../shared/agentToolService');
+
+test.mock.method(console, 'log', () => {});
+
+const BUSINESS = { businessId: 'biz1', aiConfig: {} };
+
+const newSession = () => ({ callSid: 'CA1', phoneNumber: '+15555550100', leadInfo: { contactInfo: {} } });
+
+// Booking calendar stand-in: holdSlot answers with the given results in turn
+function mockAppointments(holdResults) {
+    const calls = [];
+    return {
+        calls,
+        isAvailable: () => true,
+        holdSlot: async (businessContext, request) => {
+            calls.push(['holdSlot', request.startTime]);
+            return holdResults.shift();
+        },
+        cancelBooking: async (businessId, bookingId, reason) => {
+            calls.push(['cancelBooking', bookingId, reason]);
+            return { success: true };
+        }
+    };
+}
+
+const held = (id, startTime) => ({
+    success: true,
+    booking: { id, startTime, serviceType: 'repair', holdExpiresAt: '2026-10-20T14:10:00.000Z' }
+});
+
+test('capture_contact stores the phone number as E.164', async () => {
+    const tools = new AgentToolService({}, {});
+    const session = newSession();
+
+    const result = await tools.executeTool('capture_contact', { name: ' Dana Smith ', phone: '(555) 555-0123' }, { session, businessContext: BUSINESS });
+
+    assert.deepEqual(result, { saved: ['name', 'phone'] });
+    assert.deepEqual(session.leadInfo.contactInfo, { name: 'Dana Smith', phone: '+15555550123' });
+});
+
+test('capture_contact drops a phone number that is not a full number', async () => {
+    const tools = new AgentToolService({}, {});
+    const session = newSession();
+    session.leadInfo.contactInfo.phone = '+15555550123';
+
+    const result = await tools.executeTool('capture_contact', { phone: '555-0123', address: '12 Elm St' }, { session, businessContext: BUSINESS });
+
+    assert.deepEqual(result.saved, ['address']);
+    assert.deepEqual(result.rejected, ['phone']);
+    assert.equal(session.leadInfo.contactInfo.phone, '+15555550123');
+});
+
+test('book_appointment keeps the previous hold when the new time cannot be held', async () => {
+    const appointments = mockAppointments([
+        held('booking1', '2026-10-20T14:00:00.000Z'),
+        { success: false, error: 'That time is no longer available', conflict: true }
+    ]);
+    const tools = new AgentToolService({}, appointments);
+    const session = newSession();
+    const toolContext = { session, businessContext: BUSINESS };
+
+    await tools.executeTool('book_appointment', { startTime: '2026-10-20T14:00:00.000Z' }, toolContext);
+    const result = await tools.executeTool('book_appointment', { startTime: '2026-10-20T16:00:00.000Z' }, toolContext);
+
+    assert.equal(result.booked, false);
+    assert.equal(result.stillHeld, '2026-10-20T14:00:00.000Z');
+    assert.deepEqual(appointments.calls.map(([method]) => method), ['holdSlot', 'holdSlot']);
+    assert.equal(session.leadInfo.appointment.bookingId, 'booking1');
+    assert.equal(session.leadInfo.appointment.status, 'held');
+});
+
+test('book_appointment releases the previous hold once the new time is held', async () => {
+    const appointments = mockAppointments([
+        held('booking1', '2026-10-20T14:00:00.000Z'),
+        held('booking2', '2026-10-20T16:00:00.000Z')
+    ]);
+    const tools = new AgentToolService({}, appointments);
+    const session = newSession();
+    const toolContext = { session, businessContext: BUSINESS };
+
+    await tools.executeTool('book_appointment', { startTime: '2026-10-20T14:00:00.000Z' }, toolContext);
+    await tools.executeTool('book_appointment', { startTime: '2026-10-20T14:00:00.000Z' }, toolContext);
+    await tools.executeTool('book_appointment', { startTime: '2026-10-20T16:00:00.000Z' }, toolContext);
+
+    assert.deepEqual(appointments.calls, [
+        ['holdSlot', '2026-10-20T14:00:00.000Z'],
+        ['holdSlot', '2026-10-20T16:00:00.000Z'],
+        ['cancelBooking', 'booking1', 'caller_changed_time']
+    ]);
+    assert.equal(session.leadInfo.appointment.bookingId, 'booking2');
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AppointmentService = require('../shared/appointmentService');
+
+test.mock.method(console, 'log', () => {});
+
+// Just enough Firestore for the appointment service: equality and range filters, doc get/set/update, transactions
+class FakeQuery {
+    constructor(docs, filters = []) {
+        this.docs = docs;
+        this.filters = filters;
+    }
+
+    where(field, op, value) {
+        return new FakeQuery(this.docs, [...this.filters, { field, op, value }]);
+    }
+
+    async get() {
+        const matches = [...this.docs.entries()].filter(([, data]) => this.filters.every(({ field, op, value }) =>
+            (op === '==' && data[field] === value) ||
+            (op === '>=' && data[field] >= value) ||
+            (op === '<=' && data[field] <= value)));
+        return { docs: matches.map(([id, data]) => ({ id, exists: true, data: () => ({ ...data }) })) };
+    }
+}
+
+class FakeCollection extends FakeQuery {
+    constructor() {
+        super(new Map());
+        this.nextId = 1;
+    }
+
+    doc(id = `booking${this.nextId++}`) {
+        const docs = this.docs;
+        return {
+            id,
+            get: async () => ({ id, exists: docs.has(id), data: () => ({ ...docs.get(id) }) }),
+            set: async data => { docs.set(id, { ...data }); },
+            update: async data => { docs.set(id, { ...docs.get(id), ...data }); }
+        };
+    }
+}
+
+function createFirebase(technicians) {
+    const collections = { technicians: new FakeCollection(), bookings: new FakeCollection() };
+    technicians.forEach(({ id, ...data }) => collections.technicians.docs.set(id, data));
+
+    return {
+        collections,
+        initialized: true,
+        firestore: {
+            collection: () => ({ doc: () => ({ collection: name => collections[name] }) }),
+            runTransaction: async work => work({
+                get: query => query.get(),
+                set: (ref, data) => ref.set(data)
+            })
+        }
+    };
+}
+
+const BUSINESS = {
+    businessId: 'biz1',
+    schedule: {
+        timezone: 'America/New_York',
+        weekly: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+            .reduce((weekly, day) => ({ ...weekly, [day]: [{ open: '08:00', close: '17:00' }] }), {})
+    },
+    aiConfig: {}
+};
+
+const NOW = new Date('2025-06-09T12:00:00Z');
+
+async function setup(technicians) {
+    const firebase = createFirebase(technicians);
+    const service = new AppointmentService(firebase);
+    const held = await service.holdSlot(BUSINESS, {
+        startTime: '2025-06-10T14:00:00.000Z', // Tue 10:00 EDT
+        serviceType: 'repair',
+        technicianId: 'alice',
+        callSid: 'CA1',
+        phoneNumber: '+15555550100'
+    }, NOW);
+    assert.equal(held.success, true);
+    return { firebase, service, booking: held.booking };
+}
+
+const TEAM = [
+    { id: 'alice', name: 'Alice', serviceTypes: ['repair'], daysOff: ['2025-06-11'] },
+    { id: 'bob', name: 'Bob', serviceTypes: ['repair'], daysOff: [] }
+];
+
+test('rescheduleBooking() keeps the technician when they are free', async () => {
+    const { service, booking } = await setup(TEAM);
+    const result = await service.rescheduleBooking(BUSINESS, booking.id, '2025-06-10T18:00:00.000Z', NOW);
+
+    assert.equal(result.success, true);
+    assert.equal(result.booking.technicianId, 'alice');
+    assert.equal(result.booking.rescheduledFrom, '2025-06-10T14:00:00.000Z');
+});
+
+test('rescheduleBooking() hands the job to another technician on a day off', async () => {
+    const { service, booking } = await setup(TEAM);
+    const result = await service.rescheduleBooking(BUSINESS, booking.id, '2025-06-11T14:00:00.000Z', NOW);
+
+    assert.equal(result.success, true);
+    assert.equal(result.booking.technicianId, 'bob');
+    assert.equal(result.booking.date, '2025-06-11');
+});
+
+test('rescheduleBooking() hands the job over outside the technician\'s own hours', async () => {
+    const team = [{ ...TEAM[0], daysOff: [], weekly: { tuesday: [{ open: '08:00', close: '12:00' }] } }, TEAM[1]];
+    const { service, booking } = await setup(team);
+    const result = await service.rescheduleBooking(BUSINESS, booking.id, '2025-06-10T18:00:00.000Z', NOW);
+
+    assert.equal(result.success, true);
+    assert.equal(result.booking.technicianId, 'bob');
+});
+
+test('rescheduleBooking() reports a conflict when nobody can take the job', async () => {
+    const { service, booking } = await setup([TEAM[0]]);
+    const result = await service.rescheduleBooking(BUSINESS, booking.id, '2025-06-11T14:00:00.000Z', NOW);
+
+    assert.equal(result.success, false);
+    assert.equal(result.conflict, true);
+});
+
+test('confirmBooking() stores the callback number without replacing the caller ID', async () => {
+    const { service, booking } = await setup(TEAM);
+    const result = await service.confirmBooking(BUSINESS, booking.id, {
+        customerName: 'Dana Smith',
+        callbackNumber: '+15555550123'
+    }, NOW);
+
+    assert.equal(result.success, true);
+    assert.equal(result.booking.phoneNumber, '+15555550100');
+    assert.equal(result.booking.callbackNumber, '+15555550123');
+
+    const listed = await service.listCustomerBookings('biz1', '+15555550100');
+    assert.deepEqual(listed.map(b => b.id), [booking.id]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../shared/repositories');
+const BusinessService = require('../shared/businessService');
+
+test.mock.method(console, 'log', () => {});
+
+const businessService = new BusinessService(createRepositories({ backend: 'memory' }));
+
+const BUSINESS = {
+    schedule: {
+        timezone: 'America/New_York',
+        weekly: { monday: [{ open: '08:00', close: '17:00' }], tuesday: [{ open: '08:00', close: '17:00' }] },
+        holidays: [{ date: '12-25', name: 'Christmas' }]
+    }
+};
+
+const MONDAY_NIGHT = new Date('2025-06-10T01:00:00Z'); // Mon 21:00 EDT
+
+test('analyzeBusinessHours() speaks the closed message in the call language', () => {
+    const english = businessService.analyzeBusinessHours(BUSINESS, 'en', MONDAY_NIGHT);
+    assert.equal(english.closedMessage, "We're currently closed. Our next available time is tomorrow at 8 AM.");
+    assert.equal(english.message, `${english.closedMessage} For emergencies, please let me know!`);
+
+    const spanish = businessService.analyzeBusinessHours(BUSINESS, 'es', MONDAY_NIGHT);
+    assert.equal(spanish.closedMessage, 'En este momento estamos cerrados. Volvemos a atender mañana a las 8 AM.');
+    assert.equal(spanish.message, `${spanish.closedMessage} Si se trata de una emergencia, ¡avíseme!`);
+    assert.equal(spanish.nextOpenAt, english.nextOpenAt);
+});
+
+test('analyzeBusinessHours() names the holiday', () => {
+    const christmas = new Date('2025-12-25T15:00:00Z');
+    assert.match(businessService.analyzeBusinessHours(BUSINESS, 'en', christmas).closedMessage, /^We're closed today for Christmas\./);
+    assert.match(businessService.analyzeBusinessHours(BUSINESS, 'es', christmas).closedMessage, /^Hoy estamos cerrados por Christmas\./);
+});
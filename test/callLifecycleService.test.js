@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CallLifecycleService = require('../shared/callLifecycleService');
+
+const lifecycle = new CallLifecycleService();
+
+const CALL = { CallSid: 'CA1', From: '+15555550100', To: '+15555550199', Direction: 'inbound' };
+
+const status = (CallStatus, Timestamp, extra = {}) => ({ ...CALL, CallStatus, Timestamp, ...extra });
+
+// Ringing -> answered -> final, as Twilio posts it
+function completeCall(finalParams, details = {}) {
+    let record = lifecycle.buildCallRecord(status('ringing', '2025-06-10T15:00:00Z'), { businessId: 'biz1' });
+    record = lifecycle.buildCallRecord(status('in-progress', '2025-06-10T15:00:05Z'), { businessId: 'biz1', existing: record });
+    return lifecycle.buildCallRecord(finalParams, { businessId: 'biz1', existing: record, ...details });
+}
+
+const TRANSCRIPT = { turnCount: 4, firstAt: '2025-06-10T15:00:06Z', lastAt: '2025-06-10T15:01:30Z', lastRole: 'assistant' };
+
+test('resolveEnding() only trusts lead state from this call', () => {
+    assert.deepEqual(lifecycle.resolveEnding('no-answer', {}, 'CA1'), { endedBy: 'not_connected', endReason: 'no-answer' });
+    assert.deepEqual(lifecycle.resolveEnding('completed', { callStatus: { callSid: 'CA1', endReason: 'caller_done' } }, 'CA1'),
+        { endedBy: 'agent', endReason: 'caller_done' });
+    assert.deepEqual(lifecycle.resolveEnding('completed', { transfer: { callSid: 'CA1', reason: 'emergency' } }, 'CA1'),
+        { endedBy: 'transfer', endReason: 'emergency' });
+    assert.deepEqual(lifecycle.resolveEnding('completed', {
+        callStatus: { callSid: 'CA0', endReason: 'caller_done' },
+        transfer: { callSid: 'CA0', reason: 'emergency' }
+    }, 'CA1'), { endedBy: 'caller', endReason: 'caller_hangup' });
+});
+
+test('buildCallRecord() keeps the status history and answer time until the call ends', () => {
+    const ringing = lifecycle.buildCallRecord(status('ringing', '2025-06-10T15:00:00Z'), { businessId: 'biz1' });
+    const answered = lifecycle.buildCallRecord(status('in-progress', '2025-06-10T15:00:05Z'), { businessId: 'biz1', existing: ringing });
+
+    assert.equal(answered.id, 'CA1');
+    assert.equal(answered.businessId, 'biz1');
+    assert.equal(answered.answeredAt, '2025-06-10T15:00:05.000Z');
+    assert.deepEqual(answered.statusHistory.map(entry => entry.status), ['ringing', 'in-progress']);
+    assert.equal(answered.endedAt, undefined);
+    assert.equal(lifecycle.buildCallRecord({ ...CALL, CallStatus: 'bogus' }, { businessId: 'biz1' }).status, 'failed');
+});
+
+test('buildCallRecord() works out the duration when Twilio leaves it out', () => {
+    assert.equal(completeCall(status('completed', '2025-06-10T15:01:35Z', { CallDuration: '92' }), { transcript: TRANSCRIPT }).durationSeconds, 92);
+    assert.equal(completeCall(status('completed', '2025-06-10T15:01:35Z'), { transcript: TRANSCRIPT }).durationSeconds, 90);
+
+    const unanswered = lifecycle.buildCallRecord(status('no-answer', '2025-06-10T15:00:30Z'), { businessId: 'biz1' });
+    assert.equal(unanswered.durationSeconds, 0);
+    assert.equal(unanswered.endedBy, 'not_connected');
+    assert.equal(unanswered.recovery, null);
+});
+
+test('a caller who hangs up before leaving any contact details is flagged for recovery', () => {
+    const record = completeCall(status('completed', '2025-06-10T15:01:35Z'), {
+        transcript: TRANSCRIPT,
+        leadInfo: { contactInfo: {} }
+    });
+
+    assert.equal(record.endedBy, 'caller');
+    assert.equal(record.hungUpDuringAgentTurn, true);
+    assert.equal(record.contactCaptured, false);
+    assert.equal(record.turnCount, 4);
+    assert.equal(record.recovery.reason, 'abandoned_call');
+    assert.equal(record.recovery.status, 'pending');
+    assert.equal(record.recovery.callSid, 'CA1');
+    assert.equal(record.recovery.callbackNumber, '+15555550100');
+});
+
+test('no recovery when the caller left details, the agent ended the call or it never connected', () => {
+    const withName = completeCall(status('completed', '2025-06-10T15:01:35Z'), {
+        transcript: TRANSCRIPT,
+        leadInfo: { contactInfo: { name: 'Dana Smith' } }
+    });
+    assert.equal(withName.contactCaptured, true);
+    assert.equal(withName.recovery, null);
+
+    const blankName = completeCall(status('completed', '2025-06-10T15:01:35Z'), { leadInfo: { contactInfo: { name: '  ' } } });
+    assert.equal(blankName.contactCaptured, false);
+    assert.notEqual(blankName.recovery, null);
+
+    const agentEnded = completeCall(status('completed', '2025-06-10T15:01:35Z'), {
+        transcript: TRANSCRIPT,
+        leadInfo: { contactInfo: {}, callStatus: { callSid: 'CA1', endReason: 'caller_done' } }
+    });
+    assert.equal(agentEnded.endedBy, 'agent');
+    assert.equal(agentEnded.hungUpDuringAgentTurn, false);
+    assert.equal(agentEnded.recovery, null);
+
+    assert.equal(completeCall(status('busy', '2025-06-10T15:00:10Z')).recovery, null);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../shared/repositories');
+const BusinessService = require('../shared/businessService');
+const ConversationService = require('../shared/conversationService');
+const CallSessionService = require('../shared/callSessionService');
+
+test.mock.method(console, 'log', () => {});
+
+const CALLER = '+15555550100';
+
+test('a new call keeps the caller\'s details but none of the last call\'s state', async () => {
+    const repositories = createRepositories({ backend: 'memory' });
+    const businessService = new BusinessService(repositories);
+    const callSessions = new CallSessionService({ conversationService: new ConversationService(businessService, null), repositories });
+    await callSessions.connect();
+    const businessContext = await businessService.getBusinessContext(null, '+15555550199');
+
+    await repositories.leads.save(businessContext.businessId, CALLER, {
+        contactInfo: { name: 'Dana Smith', address: '12 Elm St' },
+        voicemails: [{ recordingSid: 'RE1' }],
+        serviceType: 'heating',
+        hasEmergency: true,
+        urgencyLevel: 'emergency',
+        transfer: { status: 'no_answer' },
+        followUp: { status: 'pending', reason: 'after_hours' },
+        callStatus: 'completed',
+        appointment: { status: 'confirmed' },
+        extracted: { name: { value: 'Dana Smith' } },
+        callSummary: { problem: 'No heat' },
+        language: 'es'
+    });
+
+    const session = await callSessions.getOrCreateSession('CA2', CALLER, businessContext);
+
+    assert.deepEqual(session.leadInfo, {
+        ...new ConversationService(businessService, null).createLeadInfo(),
+        contactInfo: { name: 'Dana Smith', address: '12 Elm St' },
+        voicemails: [{ recordingSid: 'RE1' }]
+    });
+    assert.equal(session.customer.name, 'Dana Smith');
+
+    session.leadInfo.contactInfo.phone = '+15555550123';
+    const lead = await repositories.leads.get(businessContext.businessId, CALLER);
+    assert.equal(lead.leadInfo.contactInfo.phone, undefined);
+});
+
+test('a failed session save does not hold up the next one', async () => {
+    const repositories = createRepositories({ backend: 'memory' });
+    const businessService = new BusinessService(repositories);
+    const callSessions = new CallSessionService({ conversationService: new ConversationService(businessService, null), repositories });
+    await callSessions.connect();
+    const businessContext = await businessService.getBusinessContext(null, '+15555550199');
+    const session = await callSessions.getOrCreateSession('CA3', CALLER, businessContext);
+
+    const update = repositories.sessions.update.bind(repositories.sessions);
+    let calls = 0;
+    repositories.sessions.update = (...args) => (++calls === 1 ? Promise.reject(new Error('503 Service Unavailable')) : update(...args));
+
+    session.messages.push({ role: 'user', content: 'My furnace stopped working' });
+    const first = callSessions.saveSession(session);
+    session.messages.push({ role: 'assistant', content: 'Sorry to hear that. What is the address?' });
+    const second = callSessions.saveSession(session);
+
+    await assert.rejects(first, /503/);
+    assert.equal(await second, true);
+    const saved = await repositories.sessions.get(session.businessId, 'CA3');
+    assert.deepEqual(saved.messages.map(message => message.role), ['user', 'assistant']);
+});
+
+test('a new call\'s lead update keeps what earlier calls recorded', async () => {
+    const repositories = createRepositories({ backend: 'memory' });
+    const businessService = new BusinessService(repositories);
+    const callSessions = new CallSessionService({ conversationService: new ConversationService(businessService, null), repositories });
+    await callSessions.connect();
+    const businessContext = await businessService.getBusinessContext(null, '+15555550199');
+
+    await repositories.leads.save(businessContext.businessId, CALLER, {
+        contactInfo: { name: 'Dana Smith' },
+        appointment: { status: 'confirmed', start: '2025-06-12T15:00:00.000Z' },
+        followUp: { status: 'pending', reason: 'abandoned' },
+        callSummary: { callSid: 'CA1', problem: 'No heat' },
+        disposition: 'booked'
+    });
+
+    const session = await callSessions.getOrCreateSession('CA5', CALLER, businessContext);
+    session.leadInfo.serviceType = 'cooling';
+    session.leadInfo.contactInfo.address = '12 Elm St';
+    // A voicemail callback lands while the call is in progress
+    await repositories.leads.update(businessContext.businessId, CALLER, leadInfo => {
+        leadInfo.voicemails = [{ recordingSid: 'RE2' }];
+    });
+    assert.equal(await callSessions.updateLead(session), true);
+
+    const lead = await repositories.leads.get(businessContext.businessId, CALLER);
+    assert.deepEqual(lead.leadInfo.appointment, { status: 'confirmed', start: '2025-06-12T15:00:00.000Z' });
+    assert.deepEqual(lead.leadInfo.callSummary, { callSid: 'CA1', problem: 'No heat' });
+    assert.equal(lead.leadInfo.disposition, 'booked');
+    assert.equal(lead.leadInfo.followUp.status, 'pending');
+    assert.deepEqual(lead.leadInfo.voicemails, [{ recordingSid: 'RE2' }]);
+    assert.deepEqual(lead.leadInfo.contactInfo, { name: 'Dana Smith', address: '12 Elm St' });
+    assert.equal(lead.leadInfo.serviceType, 'cooling');
+    assert.equal(lead.lastCallSid, 'CA5');
+});
+
+test('the system prompt for a new language keeps what we know about the caller', async () => {
+    const repositories = createRepositories({ backend: 'memory' });
+    const businessService = new BusinessService(repositories);
+    const callSessions = new CallSessionService({ conversationService: new ConversationService(businessService, null), repositories });
+    await callSessions.connect();
+    const businessContext = await businessService.getBusinessContext(null, '+15555550199');
+
+    await repositories.leads.save(businessContext.businessId, CALLER, { contactInfo: { name: 'Dana Smith', address: '12 Elm St' } });
+    const session = await callSessions.getOrCreateSession('CA4', CALLER, businessContext, 'en');
+    assert.match(session.messages[0].content, /Name on file: Dana Smith/);
+
+    const spanish = callSessions.buildSystemPrompt(session, businessContext, 'es');
+    assert.match(spanish, /Name on file: Dana Smith/);
+    assert.match(spanish, /Address on file: 12 Elm St/);
+    assert.match(spanish, /LANGUAGE: The caller speaks Spanish/);
+});
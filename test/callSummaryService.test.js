@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CallSummaryService = require('../shared/callSummaryService');
+
+test.mock.method(console, 'error', () => {});
+test.mock.method(console, 'warn', () => {});
+
+// Model stand-in that answers every summary with the given content (or throws it)
+function mockModel(reply) {
+    const requests = [];
+    return {
+        requests,
+        chat: {
+            completions: {
+                create: async request => {
+                    requests.push(request);
+                    if (reply instanceof Error) throw reply;
+                    return { choices: [{ message: { content: reply } }] };
+                }
+            }
+        }
+    };
+}
+
+const MESSAGES = [
+    { role: 'system', content: 'You are the receptionist.' },
+    { role: 'assistant', content: 'Thanks for calling Acme Heating!' },
+    { role: 'user', content: 'My furnace stopped working.' },
+    { role: 'assistant', content: 'We can come out Tuesday at 9 AM.' }
+];
+
+test('summarize() validates the model output', async () => {
+    const model = mockModel('Here you go:\n```json\n' + JSON.stringify({
+        problem: '  Furnace stopped working  ',
+        urgency: 'URGENT',
+        nextStep: 'null',
+        disposition: 'info_only',
+        mood: 'grumpy'
+    }) + '\n```');
+    const service = new CallSummaryService(model);
+
+    const summary = await service.summarize(MESSAGES, { contactInfo: { name: 'Dana Smith', phone: '+15555550123', notes: 'x' } });
+
+    assert.equal(summary.problem, 'Furnace stopped working');
+    assert.equal(summary.urgency, 'urgent');
+    assert.equal(summary.nextStep, null);
+    assert.equal(summary.disposition, 'info_only');
+    assert.equal(summary.source, 'model');
+    assert.deepEqual(summary.contact, { name: 'Dana Smith', phone: '+15555550123' });
+    assert.equal(summary.mood, undefined);
+
+    const transcript = model.requests[0].messages[1].content;
+    assert.equal(transcript.split('\n')[0], 'Agent: Thanks for calling Acme Heating!');
+    assert.doesNotMatch(transcript, /receptionist/);
+});
+
+const invalidReplies = [
+    ['a failed request', new Error('429 Too Many Requests')],
+    ['prose', 'I could not summarize this call.'],
+    ['broken JSON', '{"problem": '],
+    ['unknown values only', JSON.stringify({ urgency: 'whenever', disposition: 'maybe' })],
+    ['non-string fields', JSON.stringify({ problem: 42, disposition: ['booked'] })]
+];
+
+test('summarize() falls back to the rules when the model output is unusable', async t => {
+    for (const [name, reply] of invalidReplies) {
+        await t.test(name, async () => {
+            const summary = await new CallSummaryService(mockModel(reply)).summarize(MESSAGES, { serviceType: 'heating', urgencyLevel: 'urgent' });
+            assert.equal(summary.source, 'rules');
+            assert.equal(summary.problem, 'heating request');
+            assert.equal(summary.urgency, 'urgent');
+            assert.equal(summary.disposition, 'info_only');
+        });
+    }
+});
+
+test('summarize() skips the model when nothing was said', async () => {
+    const model = mockModel('{}');
+    const summary = await new CallSummaryService(model).summarize([], {}, { callSid: 'CA1', recovery: { status: 'pending' } });
+
+    assert.equal(model.requests.length, 0);
+    assert.equal(summary.problem, 'No conversation');
+    assert.equal(summary.disposition, 'needs_callback');
+});
+
+const dispositionCases = [
+    ['a confirmed booking wins over the model', 'info_only', { appointment: { status: 'confirmed' } }, {}, 'booked'],
+    ['a confirmed booking wins over spam', 'spam', { appointment: { status: 'confirmed' } }, {}, 'booked'],
+    ['the model cannot book without a booking', 'booked', { appointment: { status: 'held' } }, {}, 'info_only'],
+    ['a pending follow-up owes a callback', 'info_only', { followUp: { status: 'pending' } }, {}, 'needs_callback'],
+    ['an abandoned call owes a callback', 'info_only', {}, { callSid: 'CA1', recovery: { reason: 'abandoned_call' } }, 'needs_callback'],
+    ['an unanswered transfer owes a callback', 'info_only', { transfer: { callSid: 'CA1', status: 'no_answer' } }, { callSid: 'CA1' }, 'needs_callback'],
+    ['a transfer from an earlier call does not', 'info_only', { transfer: { callSid: 'CA0', status: 'no_answer' } }, { callSid: 'CA1' }, 'info_only'],
+    ['spam owes nothing', 'spam', { followUp: { status: 'pending' } }, {}, 'spam'],
+    ['a wrong number owes nothing', 'wrong_number', {}, { callSid: 'CA1', recovery: { reason: 'abandoned_call' } }, 'wrong_number'],
+    ['the model can ask for a callback', 'needs_callback', {}, {}, 'needs_callback'],
+    ['unknown dispositions are info only', 'maybe', {}, {}, 'info_only']
+];
+
+test('resolveDisposition() lets known outcomes win over the model', async t => {
+    const service = new CallSummaryService();
+    for (const [name, proposed, leadInfo, callRecord, expected] of dispositionCases) {
+        await t.test(name, () => {
+            assert.equal(service.resolveDisposition(proposed, leadInfo, callRecord), expected);
+        });
+    }
+});
+
+test('buildRuleSummary() states the promised next step', () => {
+    const service = new CallSummaryService();
+    assert.equal(service.buildRuleSummary({ appointment: { status: 'confirmed', startTime: '2025-06-10T13:00:00.000Z' } }, {}, 'x').nextStep,
+        'Appointment confirmed for 2025-06-10T13:00:00.000Z');
+    assert.equal(service.buildRuleSummary({ followUp: { status: 'pending' } }, {}, 'x').nextStep, 'Call the customer back');
+    assert.equal(service.buildRuleSummary({}, { endedBy: 'transfer' }, 'x').nextStep, 'Transferred to the team');
+    assert.equal(service.buildRuleSummary({ hasEmergency: true, urgencyLevel: 'normal' }, {}, 'x').urgency, 'emergency');
+});
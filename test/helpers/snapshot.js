@@ -0,0 +1,41 @@
+/**
+ * Minimal snapshot assertions for node:test (t.assert.snapshot needs Node 22)
+ * Snapshots live in test/__snapshots__/<test file>.json, one entry per name.
+ * UPDATE_SNAPSHOTS=1 npm test rewrites them; a missing snapshot is written on first run
+ * outside CI and fails in CI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', '__snapshots__');
+
+function createSnapshotMatcher(testFile) {
+    const file = path.join(SNAPSHOT_DIR, `${path.basename(testFile)}.json`);
+    const update = process.env.UPDATE_SNAPSHOTS === '1';
+    const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    const snapshots = update ? {} : { ...saved };
+    let changed = false;
+
+    process.on('exit', () => {
+        if (!changed) return;
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        const sorted = Object.fromEntries(Object.keys(snapshots).sort().map(name => [name, snapshots[name]]));
+        fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+    });
+
+    return function matchSnapshot(name, actual) {
+        if (!update && name in snapshots) {
+            assert.equal(actual, snapshots[name], `Snapshot "${name}" changed (UPDATE_SNAPSHOTS=1 to accept)`);
+            return;
+        }
+        if (!update && process.env.CI) {
+            assert.fail(`Missing snapshot "${name}" (run UPDATE_SNAPSHOTS=1 npm test)`);
+        }
+        snapshots[name] = actual;
+        changed = true;
+    };
+}
+
+module.exports = { createSnapshotMatcher };
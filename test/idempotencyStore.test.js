@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IdempotencyStore = require('../shared/idempotencyStore');
+
+test.mock.method(console, 'warn', () => {});
+
+// Clock the test moves by hand
+function fakeClock(start = Date.parse('2025-06-10T12:00:00Z')) {
+    let now = start;
+    const clock = () => now;
+    clock.advance = seconds => { now += seconds * 1000; };
+    return clock;
+}
+
+// webhookResponses repository shared by two "instances"
+function fakeRepository() {
+    const entries = new Map();
+    return {
+        entries,
+        get: async (businessId, key) => entries.get(`${businessId}_${key}`) || null,
+        save: async (businessId, key, entry) => { entries.set(`${businessId}_${key}`, entry); return true; }
+    };
+}
+
+const TWIML = { headers: { 'Content-Type': 'text/xml' }, body: '<Response><Play>https://example.test/turn1.mp3</Play></Response>' };
+
+test('createKey() needs the call and a turn or delivery token', () => {
+    assert.equal(IdempotencyStore.createKey('CA1', { turn: 3 }), 'CA1_turn3');
+    assert.equal(IdempotencyStore.createKey('CA1', { deliveryToken: 'tok' }), 'CA1_deliverytok');
+    assert.equal(IdempotencyStore.createKey('CA1', { turn: 3, deliveryToken: 'tok' }), 'CA1_turn3');
+    assert.equal(IdempotencyStore.createKey('CA1'), null);
+    assert.equal(IdempotencyStore.createKey(null, { turn: 1 }), null);
+});
+
+test('a first delivery is claimed and its settled response replayed', async () => {
+    const clock = fakeClock();
+    const store = new IdempotencyStore({ now: clock });
+
+    const claim = await store.claim('biz1', 'CA1_turn1');
+    assert.deepEqual(claim, { businessId: 'biz1', key: 'CA1_turn1', response: null });
+    await store.settle(claim, TWIML);
+
+    clock.advance(30);
+    const retry = await store.claim('biz1', 'CA1_turn1');
+    assert.deepEqual(retry.response, TWIML);
+
+    const nextTurn = await store.claim('biz1', 'CA1_turn2');
+    assert.equal(nextTurn.response, null);
+});
+
+test('a duplicate while the original is in flight waits for its response', async () => {
+    const store = new IdempotencyStore({ now: fakeClock() });
+
+    const claim = await store.claim('biz1', 'CA1_turn1');
+    let replayed = null;
+    const duplicate = store.claim('biz1', 'CA1_turn1').then(result => { replayed = result; });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(replayed, null);
+
+    await store.settle(claim, TWIML);
+    await duplicate;
+    assert.deepEqual(replayed.response, TWIML);
+});
+
+test('a duplicate of a failed request runs it again', async () => {
+    const repository = fakeRepository();
+    const store = new IdempotencyStore({ now: fakeClock(), repository });
+
+    const claim = await store.claim('biz1', 'CA1_turn1');
+    const duplicate = store.claim('biz1', 'CA1_turn1');
+    await store.settle(claim, null);
+
+    const rerun = await duplicate;
+    assert.equal(rerun.response, null);
+    assert.equal(repository.entries.size, 0);
+
+    await store.settle(rerun, TWIML);
+    assert.deepEqual((await store.claim('biz1', 'CA1_turn1')).response, TWIML);
+});
+
+test('responses expire after the ttl', async () => {
+    const clock = fakeClock();
+    const repository = fakeRepository();
+    const store = new IdempotencyStore({ now: clock, repository, ttlSeconds: 60 });
+
+    await store.settle(await store.claim('biz1', 'CA1_turn1'), TWIML);
+    const [stored] = repository.entries.values();
+    assert.equal(stored.expiresAt, '2025-06-10T12:01:00.000Z');
+    assert.equal(stored.ttl, 60);
+
+    clock.advance(59);
+    assert.deepEqual((await store.claim('biz1', 'CA1_turn1')).response, TWIML);
+
+    clock.advance(1);
+    const expired = await store.claim('biz1', 'CA1_turn1');
+    assert.equal(expired.response, null);
+    assert.equal(store.completed.has('CA1_turn1'), false);
+});
+
+test('another instance replays from the repository until it expires', async () => {
+    const clock = fakeClock();
+    const repository = fakeRepository();
+    const first = new IdempotencyStore({ now: clock, repository, ttlSeconds: 60 });
+    const second = new IdempotencyStore({ now: clock, repository, ttlSeconds: 60 });
+
+    await first.settle(await first.claim('biz1', 'CA1_turn1'), TWIML);
+
+    clock.advance(10);
+    assert.deepEqual((await second.claim('biz1', 'CA1_turn1')).response, TWIML);
+
+    clock.advance(50);
+    assert.equal((await second.claim('biz1', 'CA1_turn1')).response, null);
+});
+
+test('the in-memory cache drops the oldest responses beyond maxEntries', async () => {
+    const store = new IdempotencyStore({ now: fakeClock(), maxEntries: 2 });
+
+    for (const turn of [1, 2, 3]) {
+        await store.settle(await store.claim('biz1', `CA1_turn${turn}`), { ...TWIML, body: `turn ${turn}` });
+    }
+    assert.deepEqual([...store.completed.keys()], ['CA1_turn2', 'CA1_turn3']);
+});
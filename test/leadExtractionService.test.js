@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LeadExtractionService = require('../shared/leadExtractionService');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+test.mock.method(console, 'warn', () => {});
+
+// Model stand-in that answers every extraction with the given content (or throws it)
+function mockModel(reply) {
+    const requests = [];
+    return {
+        requests,
+        chat: {
+            completions: {
+                create: async request => {
+                    requests.push(request);
+                    if (reply instanceof Error) throw reply;
+                    return { choices: [{ message: { content: reply } }] };
+                }
+            }
+        }
+    };
+}
+
+const field = (value, confidence = 0.9) => ({ value, confidence });
+
+test('extract() validates the model output', async () => {
+    const model = mockModel('```json\n' + JSON.stringify({
+        name: field('josé núñez'),
+        phone: field('(555) 555-0123'),
+        serviceType: field('Heating'),
+        urgency: field('emergency', 0.4),
+        favouriteColour: field('blue')
+    }) + '\n```');
+    const service = new LeadExtractionService(model);
+
+    const fields = await service.extract('This is José Núñez, 555 555 0123, my heat is out', {
+        lastAssistantMessage: 'May I have your name?'
+    });
+
+    assert.deepEqual(fields, {
+        name: field('José Núñez'),
+        phone: field('+15555550123'),
+        serviceType: field('heating')
+    });
+    assert.deepEqual(model.requests[0].messages.map(message => message.role), ['system', 'assistant', 'user']);
+    assert.equal(model.requests[0].temperature, 0);
+});
+
+test('extract() returns nothing when the model fails or rambles', async () => {
+    assert.deepEqual(await new LeadExtractionService(mockModel(new Error('429 Too Many Requests'))).extract('hello'), {});
+    assert.deepEqual(await new LeadExtractionService(mockModel('I could not find anything.')).extract('hello'), {});
+    assert.deepEqual(await new LeadExtractionService(mockModel('{"name": ')).extract('hello'), {});
+    assert.deepEqual(await new LeadExtractionService(null).extract('hello'), {});
+});
+
+test('extract() skips the model for empty turns', async () => {
+    const model = mockModel('{}');
+    assert.deepEqual(await new LeadExtractionService(model).extract('   '), {});
+    assert.equal(model.requests.length, 0);
+});
+
+const nameCases = [
+    ['dana smith', 'Dana Smith'],
+    ['José Núñez', 'José Núñez'],
+    ['zoë O\'Brien', 'Zoë O\'Brien'],
+    ['Nguyễn Văn An', 'Nguyễn Văn An'],
+    ['François-Xavier Dubois', 'François-Xavier Dubois'],
+    ['Björk', 'Björk'],
+    ['having trouble', null],
+    ['Calling About My Furnace Today', null],
+    ['Dana 2', null],
+    ['', null]
+];
+
+test('normalizeField() accepts names in any script', async t => {
+    const service = new LeadExtractionService();
+    for (const [input, expected] of nameCases) {
+        await t.test(JSON.stringify(input), () => {
+            assert.equal(service.normalizeField('name', input), expected);
+        });
+    }
+});
+
+const phoneCases = [
+    ['555-555-0123', '+15555550123'],
+    ['1 (555) 555-0123', '+15555550123'],
+    ['+1 555 555 0123', '+15555550123'],
+    ['+44 20 7946 0958', '+442079460958'],
+    ['0044 20 7946 0958', '+442079460958'],
+    ['+52 55 1234 5678', '+525512345678'],
+    ['+49 30 901820', '+4930901820'],
+    ['555-0123', null],
+    ['+44 0', null],
+    ['+1234567890123456', null],
+    ['2 555 555 0123', null]
+];
+
+test('normalizeField() stores phone numbers as E.164', async t => {
+    const service = new LeadExtractionService();
+    for (const [input, expected] of phoneCases) {
+        await t.test(input, () => {
+            assert.equal(service.normalizeField('phone', input), expected);
+        });
+    }
+});
+
+test('mergeIntoLead() keeps the more confident value and only escalates urgency', () => {
+    const service = new LeadExtractionService();
+    const leadInfo = { contactInfo: {} };
+
+    assert.deepEqual(service.mergeIntoLead(leadInfo, { name: field('Dana Smith', 0.9), urgency: field('urgent', 0.8) }, 0), ['name', 'urgency']);
+    assert.deepEqual(service.mergeIntoLead(leadInfo, { name: field('Dan Smith', 0.6), urgency: field('normal', 0.95) }, 1), []);
+    assert.deepEqual(service.mergeIntoLead(leadInfo, { urgency: field('emergency', 0.9), address: field('12 Elm St') }, 2), ['urgency', 'address']);
+
+    assert.equal(leadInfo.contactInfo.name, 'Dana Smith');
+    assert.equal(leadInfo.contactInfo.address, '12 Elm St');
+    assert.equal(leadInfo.urgencyLevel, 'emergency');
+    assert.equal(leadInfo.hasEmergency, true);
+    assert.equal(leadInfo.extracted.urgency.sourceTurn, 2);
+});
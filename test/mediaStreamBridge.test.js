@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../shared/repositories');
+const BusinessService = require('../shared/businessService');
+const ConversationService = require('../shared/conversationService');
+const { createMediaStreamServer, MEDIA_STREAM_PATH } = require('../media-stream/server');
+const FakeTwilioClient = require('../media-stream/fakeTwilioClient');
+const { createStreamToken, verifyStreamToken } = require('../shared/mediaStreamToken');
+
+// The services log every step; on Node 20 that output can corrupt the test runner's own stream
+test.mock.method(console, 'log', () => {});
+
+const STREAM_SECRET = 'test-stream-secret';
+const CALLER = '+15555550100';
+const BUSINESS_NUMBER = '+15555550199';
+
+// Model stand-in: lead extraction gets JSON, the conversation gets a fixed reply
+const fakeOpenAI = {
+    chat: {
+        completions: {
+            create: async request => {
+                const isExtraction = request.messages[0].content.startsWith('You extract lead details');
+                const content = isExtraction ?
+                    JSON.stringify({ name: { value: 'Dana Smith', confidence: 0.9 }, serviceType: { value: 'heating', confidence: 0.8 } }) :
+                    'Sorry to hear that, Dana. What is the address?';
+                return { choices: [{ message: { content } }] };
+            }
+        }
+    }
+};
+
+// Recognition is driven by the test; synthesis returns a little mulaw silence per utterance
+class FakeSpeechService {
+    constructor() {
+        this.handlers = null;
+        this.spoken = [];
+    }
+
+    createContinuousRecognizer(handlers) {
+        this.handlers = handlers;
+        return { pushAudio: () => {}, stop: async () => {} };
+    }
+
+    async synthesizeToStream(text, options, onChunk) {
+        this.spoken.push(text);
+        onChunk(Buffer.alloc(400, 0xff));
+        return { success: true };
+    }
+
+    getVoiceRate() {
+        return 'medium';
+    }
+}
+
+async function startServer(hours) {
+    const repositories = createRepositories({ backend: 'memory' });
+    const businessService = new BusinessService(repositories);
+    businessService.analyzeBusinessHours = () => hours;
+    const speechService = new FakeSpeechService();
+
+    let sessionEnded;
+    const ended = new Promise(resolve => { sessionEnded = resolve; });
+
+    const server = createMediaStreamServer({
+        repositories,
+        businessService,
+        conversationService: new ConversationService(businessService, fakeOpenAI),
+        speechService,
+        streamSecret: STREAM_SECRET,
+        onSessionEnd: session => sessionEnded(session)
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        repositories,
+        speechService,
+        ended,
+        server,
+        url: `ws://127.0.0.1:${server.address().port}${MEDIA_STREAM_PATH}`
+    };
+}
+
+const isMark = name => message => message.event === 'mark' && message.mark.name === name;
+
+async function runCall(harness, callSid, utterance) {
+    const client = await new FakeTwilioClient(harness.url, { callSid, from: CALLER, to: BUSINESS_NUMBER, streamSecret: STREAM_SECRET }).connect();
+    await client.waitFor(isMark('utterance-1'));
+
+    harness.speechService.handlers.onRecognized(utterance, 'en-US');
+    await client.waitFor(isMark('utterance-2'));
+
+    await client.stop();
+    return harness.ended;
+}
+
+test('a streamed call saves its conversation, lead and call record', async () => {
+    const harness = await startServer({ isOpen: true, message: null });
+    try {
+        const session = await runCall(harness, 'CAstream1', 'Hi, this is Dana Smith, my furnace stopped working');
+        const { sessions, leads, calls } = harness.repositories;
+
+        const saved = await sessions.get(session.businessId, 'CAstream1');
+        assert.deepEqual(saved.messages.map(message => message.role), ['user', 'assistant']);
+        assert.equal(saved.messages[1].content, 'Sorry to hear that, Dana. What is the address?');
+
+        const lead = await leads.get(session.businessId, CALLER);
+        assert.equal(lead.leadInfo.contactInfo.name, 'Dana Smith');
+        assert.equal(lead.leadInfo.serviceType, 'heating');
+        assert.ok(!lead.leadInfo.followUp);
+
+        const record = await calls.get(session.businessId, 'CAstream1');
+        assert.equal(record.status, 'completed');
+        assert.equal(record.from, CALLER);
+        assert.equal(record.to, BUSINESS_NUMBER);
+        assert.equal(record.turnCount, 1);
+        assert.equal(record.endedBy, 'caller');
+        assert.equal(record.contactCaptured, true);
+    } finally {
+        harness.server.close();
+    }
+});
+
+test('a streamed call after hours takes a message and flags the lead for follow-up', async () => {
+    const harness = await startServer({
+        isOpen: false,
+        message: "We're currently closed. For emergencies, please let me know!",
+        closedMessage: "We're currently closed.",
+        nextOpenAt: '2025-06-11T12:00:00.000Z'
+    });
+    try {
+        const session = await runCall(harness, 'CAstream2', 'My name is Dana Smith, please call me back about my heater');
+
+        assert.match(harness.speechService.spoken[0], /We're currently closed/);
+
+        const lead = await harness.repositories.leads.get(session.businessId, CALLER);
+        assert.equal(lead.leadInfo.followUp.reason, 'after_hours');
+        assert.equal(lead.leadInfo.followUp.mode, 'ai_message');
+        assert.equal(lead.leadInfo.followUp.dueAt, '2025-06-11T12:00:00.000Z');
+    } finally {
+        harness.server.close();
+    }
+});
+
+test('a stream without a valid token is refused at the upgrade', async () => {
+    const harness = await startServer({ isOpen: true, message: null });
+    try {
+        const unsigned = new FakeTwilioClient(harness.url, { callSid: 'CAstream3', token: null });
+        await assert.rejects(unsigned.connect(), /401/);
+
+        const forged = new FakeTwilioClient(harness.url, { callSid: 'CAstream3', streamSecret: 'not-the-secret' });
+        await assert.rejects(forged.connect(), /401/);
+    } finally {
+        harness.server.close();
+    }
+});
+
+test('a token issued for another call does not open its stream', async () => {
+    const harness = await startServer({ isOpen: true, message: null });
+    try {
+        const { token } = new FakeTwilioClient(harness.url, { callSid: 'CAstream4', streamSecret: STREAM_SECRET });
+        const client = await new FakeTwilioClient(harness.url, { callSid: 'CAstream5', token }).connect();
+        const code = await new Promise(resolve => client.socket.once('close', resolve));
+
+        assert.equal(code, 1008);
+        assert.equal(harness.speechService.spoken.length, 0);
+    } finally {
+        harness.server.close();
+    }
+});
+
+test('stream tokens carry the call and expire', () => {
+    let now = Date.parse('2025-06-10T12:00:00Z');
+    const options = { secret: 'stream-secret', now: () => now };
+    const token = createStreamToken({ callSid: 'CA7', businessId: 'biz1', from: '+15555550100', to: '+15555550199' }, options);
+
+    assert.deepEqual(verifyStreamToken(token, options), { callSid: 'CA7', businessId: 'biz1', from: '+15555550100', to: '+15555550199' });
+    assert.equal(verifyStreamToken(token, { ...options, secret: 'other-secret' }), null);
+    assert.equal(verifyStreamToken(`${token.split('.')[0]}x.${token.split('.')[1]}`, options), null);
+    assert.equal(verifyStreamToken('garbage', options), null);
+
+    now += 121 * 1000;
+    assert.equal(verifyStreamToken(token, options), null);
+});
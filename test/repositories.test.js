@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRepositories } = require('../shared/repositories');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const CALLER = '+15555550100';
+
+// Every local backend has to behave the same way for the handlers; the file backend
+// also has to hand the same data to a second process (a fresh createRepositories)
+const backends = {
+    memory: () => ({ open: () => createRepositories({ backend: 'memory' }), cleanup: () => {} }),
+    file: () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repositories-test-'));
+        return {
+            open: () => createRepositories({ backend: 'file', dataDir, baseUrl: 'http://localhost:7071/api' }),
+            reopen: () => createRepositories({ backend: 'file', dataDir, baseUrl: 'http://localhost:7071/api' }),
+            cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true })
+        };
+    }
+};
+
+for (const [backend, setup] of Object.entries(backends)) {
+    test(`${backend} backend`, async t => {
+        const fixture = setup();
+        const repositories = fixture.open();
+        t.after(fixture.cleanup);
+
+        await t.test('sessions are created once and updated in order', async () => {
+            const { sessions } = repositories;
+            await sessions.provision();
+            assert.equal(await sessions.get('biz1', 'CA1'), null);
+
+            const created = await sessions.create('biz1', 'CA1', CALLER, { leadInfo: { contactInfo: { name: 'Dana' } }, previousCalls: 0 });
+            assert.equal(created.callSid, 'CA1');
+            assert.equal(created.revision, 0);
+
+            const again = await sessions.create('biz1', 'CA1', CALLER, { leadInfo: { contactInfo: {} } });
+            assert.equal(again.leadInfo.contactInfo.name, 'Dana');
+
+            const updated = await sessions.update('biz1', 'CA1', session => {
+                session.messages.push({ role: 'user', content: 'Hello' });
+            });
+            assert.equal(updated.revision, 1);
+            assert.deepEqual((await sessions.get('biz1', 'CA1')).messages, [{ role: 'user', content: 'Hello' }]);
+            assert.equal(await sessions.update('biz1', 'CAmissing', () => {}), null);
+        });
+
+        await t.test('sessions are listed per caller and business', async () => {
+            const { sessions } = repositories;
+            await sessions.create('biz1', 'CA2', CALLER, {});
+            await sessions.create('biz2', 'CA3', CALLER, {});
+
+            assert.equal(await sessions.countPreviousCalls('biz1', CALLER, 'CA2'), 1);
+            const byCaller = await sessions.listByCaller('biz1', CALLER);
+            assert.deepEqual(byCaller.map(session => session.callSid).sort(), ['CA1', 'CA2']);
+            assert.equal(byCaller.find(session => session.callSid === 'CA1').messageCount, 1);
+            assert.equal(byCaller[0].messages, undefined);
+            assert.equal((await sessions.listRecent('biz2')).length, 1);
+            assert.equal((await sessions.listRecent(null)).length, 3);
+        });
+
+        await t.test('leads are saved whole and updated in place', async () => {
+            const { leads } = repositories;
+            assert.equal(await leads.get('biz1', CALLER), null);
+
+            await leads.save('biz1', CALLER, { contactInfo: { name: 'Dana' }, serviceType: 'heating' }, { callSid: 'CA1', score: 35 });
+            const saved = await leads.get('biz1', CALLER);
+            assert.equal(saved.lastCallSid, 'CA1');
+            assert.equal(saved.score, 35);
+
+            assert.equal(await leads.update('biz1', CALLER, leadInfo => { leadInfo.followUp = { status: 'pending' }; }), true);
+            const updated = await leads.get('biz1', CALLER);
+            assert.deepEqual(updated.leadInfo, { contactInfo: { name: 'Dana' }, serviceType: 'heating', followUp: { status: 'pending' } });
+            assert.equal(updated.createdAt, saved.createdAt);
+            assert.equal(updated.score, 35);
+
+            assert.equal(await leads.update('biz1', null, () => {}), false);
+            assert.deepEqual((await leads.listRecent('biz1')).map(lead => lead.phoneNumber), [CALLER]);
+            assert.equal((await leads.listRecent('biz2')).length, 0);
+        });
+
+        await t.test('concurrent lead updates keep each other\'s fields', async () => {
+            const { leads } = repositories;
+            const voicemail = (recordingSid, field, value) => leadInfo => {
+                leadInfo.voicemails = leadInfo.voicemails || [];
+                let entry = leadInfo.voicemails.find(v => v.recordingSid === recordingSid);
+                if (!entry) leadInfo.voicemails.push(entry = { recordingSid });
+                entry[field] = value;
+            };
+
+            await Promise.all([
+                leads.update('biz1', '+15555550122', voicemail('RE1', 'recordingUrl', 'https://example.test/RE1')),
+                leads.update('biz1', '+15555550122', voicemail('RE1', 'transcription', 'My furnace is out'))
+            ]);
+            assert.deepEqual((await leads.get('biz1', '+15555550122')).leadInfo.voicemails, [
+                { recordingSid: 'RE1', recordingUrl: 'https://example.test/RE1', transcription: 'My furnace is out' }
+            ]);
+        });
+
+        await t.test('call records are filtered by day, disposition and caller', async () => {
+            const { calls } = repositories;
+            const record = (id, endedAt, disposition, from = CALLER) => ({
+                id, businessId: 'biz1', from, endedAt, updatedAt: endedAt, summary: { disposition }
+            });
+            await calls.save(record('CA1', '2025-06-09T15:00:00.000Z', 'booked'));
+            await calls.save(record('CA2', '2025-06-10T15:00:00.000Z', 'needs_callback'));
+            await calls.save(record('CA3', '2025-06-10T18:00:00.000Z', 'needs_callback', '+15555550111'));
+            await calls.save({ ...record('CA1', '2025-06-09T15:00:00.000Z', 'spam'), businessId: 'biz2' });
+
+            assert.equal((await calls.get('biz1', 'CA1')).summary.disposition, 'booked');
+            assert.equal((await calls.get('biz2', 'CA1')).summary.disposition, 'spam');
+            assert.deepEqual((await calls.list('biz1')).map(call => call.id), ['CA3', 'CA2', 'CA1']);
+            assert.deepEqual((await calls.list('biz1', { from: '2025-06-10', to: '2025-06-10' })).map(call => call.id), ['CA3', 'CA2']);
+            assert.deepEqual((await calls.list('biz1', { disposition: 'needs_callback', caller: CALLER })).map(call => call.id), ['CA2']);
+            assert.equal((await calls.list('biz1', { limit: 1 })).length, 1);
+        });
+
+        await t.test('webhook responses are kept per business until they expire', async () => {
+            const { webhookResponses } = repositories;
+            const expired = new Date(Date.now() - 1000).toISOString();
+            const live = new Date(Date.now() + 60 * 1000).toISOString();
+
+            await webhookResponses.save('biz1', 'CA1:turn:1', { response: { body: '<Response/>' }, expiresAt: expired, ttl: 600 });
+            await webhookResponses.save('biz1', 'CA1:turn:2', { response: { body: '<Response><Hangup/></Response>' }, expiresAt: live, ttl: 600 });
+
+            assert.equal(await webhookResponses.get('biz1', 'CA1:turn:1'), null);
+            assert.equal((await webhookResponses.get('biz1', 'CA1:turn:2')).response.body, '<Response><Hangup/></Response>');
+            assert.equal(await webhookResponses.get('biz2', 'CA1:turn:2'), null);
+        });
+
+        await t.test('businesses are found by their Twilio numbers, with a default otherwise', async () => {
+            const { businesses, aiConfigs } = repositories;
+            await businesses.save('biz1', { companyName: 'Acme Heating', twilioNumbers: [{ phoneNumber: '+15555550199' }] });
+
+            const found = await businesses.findByPhone('+15555550199');
+            assert.equal(found.businessId, 'biz1');
+            assert.equal(found.found, true);
+            assert.equal(found.data.companyName, 'Acme Heating');
+            assert.equal((await businesses.get('biz1')).companyName, 'Acme Heating');
+            assert.equal(await businesses.get('default'), null);
+            assert.deepEqual(await businesses.findByPhone('+15555550000'), businesses.getDefault());
+
+            assert.deepEqual(await aiConfigs.get('biz1'), aiConfigs.getDefault());
+            assert.equal(await aiConfigs.save('biz1', { greetingMessage: 'Hi there!' }), true);
+            assert.equal(await aiConfigs.save('biz1', { closingMessage: 'Bye!' }), true);
+            const aiConfig = await aiConfigs.get('biz1');
+            assert.equal(aiConfig.greetingMessage, 'Hi there!');
+            assert.equal(aiConfig.closingMessage, 'Bye!');
+            assert.equal(await aiConfigs.save('default', {}), false);
+        });
+
+        await t.test('audio is served from the audio function', async () => {
+            const { audio } = repositories;
+            assert.equal(await audio.find('greeting.mp3'), null);
+
+            const url = await audio.save('greeting.mp3', Buffer.from('mp3 bytes'), 'audio/mpeg');
+            assert.equal(url, 'http://localhost:7071/api/audio/greeting.mp3');
+            assert.equal(await audio.find('greeting.mp3'), url);
+
+            const stored = await audio.read('greeting.mp3');
+            assert.equal(stored.data.toString(), 'mp3 bytes');
+            assert.equal(stored.contentType, 'audio/mpeg');
+        });
+
+        if (fixture.reopen) {
+            await t.test('a second process sees the same data', async () => {
+                const reopened = fixture.reopen();
+                assert.equal((await reopened.sessions.get('biz1', 'CA1')).messages.length, 1);
+                assert.equal((await reopened.leads.get('biz1', CALLER)).leadInfo.followUp.status, 'pending');
+                assert.equal((await reopened.calls.list('biz1')).length, 3);
+                assert.equal((await reopened.businesses.findByPhone('+15555550199')).businessId, 'biz1');
+                assert.equal((await reopened.audio.read('greeting.mp3')).data.toString(), 'mp3 bytes');
+            });
+        }
+    });
+}
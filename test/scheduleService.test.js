@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScheduleService = require('../shared/scheduleService');
+
+const scheduleService = new ScheduleService();
+
+const weekdays = ranges => ({ monday: ranges, tuesday: ranges, wednesday: ranges, thursday: ranges, friday: ranges });
+
+const OFFICE = scheduleService.normalizeSchedule({
+    timezone: 'America/New_York',
+    weekly: {
+        ...weekdays([{ open: '08:00', close: '12:00' }, { open: '13:00', close: '17:00' }]),
+        saturday: [{ open: '09:00', close: '13:00' }],
+        sunday: []
+    },
+    holidays: [{ date: '12-25', name: 'Christmas' }, { date: '2025-11-27', name: 'Thanksgiving' }],
+    overrides: [
+        { date: '2025-12-24', ranges: [{ open: '08:00', close: '12:00' }] },
+        { date: '2025-08-15', closed: true, reason: 'team training' }
+    ]
+});
+
+// Night shift across midnight: '24:00' closes one day, '00:00' opens the next
+const NIGHT_SHIFT = scheduleService.normalizeSchedule({
+    timezone: 'America/Chicago',
+    weekly: {
+        friday: [{ open: '22:00', close: '24:00' }],
+        saturday: [{ open: '00:00', close: '06:00' }]
+    }
+});
+
+// Sunday hours that straddle the spring-forward gap (02:00 -> 03:00)
+const SUNDAY_DST = scheduleService.normalizeSchedule({
+    timezone: 'America/New_York',
+    weekly: { ...weekdays([{ open: '08:00', close: '17:00' }]), sunday: [{ open: '01:00', close: '04:00' }] }
+});
+
+const evaluateCases = [
+    { name: 'weekday morning', schedule: OFFICE, now: '2025-06-10T13:30:00Z', isOpen: true },
+    { name: 'lunch break', schedule: OFFICE, now: '2025-06-10T16:30:00Z', isOpen: false, reason: 'break', next: '2025-06-10T17:00:00Z', daysAhead: 0 },
+    { name: 'after closing', schedule: OFFICE, now: '2025-06-10T22:00:00Z', isOpen: false, reason: 'outside_hours', next: '2025-06-11T12:00:00Z', daysAhead: 1 },
+    { name: 'closing time is exclusive', schedule: OFFICE, now: '2025-06-10T21:00:00Z', isOpen: false, reason: 'outside_hours' },
+    { name: 'sunday skips to monday', schedule: OFFICE, now: '2025-06-08T15:00:00Z', isOpen: false, reason: 'outside_hours', next: '2025-06-09T12:00:00Z', daysAhead: 1 },
+    { name: 'recurring holiday', schedule: OFFICE, now: '2025-12-25T15:00:00Z', isOpen: false, reason: 'holiday', holidayName: 'Christmas', next: '2025-12-26T13:00:00Z' },
+    { name: 'dated holiday', schedule: OFFICE, now: '2025-11-27T15:00:00Z', isOpen: false, reason: 'holiday', holidayName: 'Thanksgiving', next: '2025-11-28T13:00:00Z' },
+    { name: 'shortened day open', schedule: OFFICE, now: '2025-12-24T14:00:00Z', isOpen: true },
+    { name: 'shortened day closed', schedule: OFFICE, now: '2025-12-24T18:00:00Z', isOpen: false, next: '2025-12-26T13:00:00Z', daysAhead: 2 },
+    { name: 'one-off closure', schedule: OFFICE, now: '2025-08-15T14:00:00Z', isOpen: false, reason: 'closure', holidayName: 'team training', next: '2025-08-16T13:00:00Z' },
+    { name: 'overnight before midnight', schedule: NIGHT_SHIFT, now: '2025-06-14T04:30:00Z', isOpen: true },
+    { name: 'overnight after midnight', schedule: NIGHT_SHIFT, now: '2025-06-14T08:00:00Z', isOpen: true },
+    { name: 'overnight before the shift', schedule: NIGHT_SHIFT, now: '2025-06-14T01:00:00Z', isOpen: false, next: '2025-06-14T03:00:00Z', daysAhead: 0 },
+    { name: 'overnight after the shift', schedule: NIGHT_SHIFT, now: '2025-06-14T12:00:00Z', isOpen: false, next: '2025-06-21T03:00:00Z', daysAhead: 6 },
+    { name: 'spring forward: open after the gap', schedule: SUNDAY_DST, now: '2025-03-09T07:30:00Z', isOpen: true },
+    { name: 'spring forward: next day opens on EDT', schedule: SUNDAY_DST, now: '2025-03-09T09:00:00Z', isOpen: false, next: '2025-03-10T12:00:00Z' },
+    { name: 'fall back: next opening on EST', schedule: OFFICE, now: '2025-11-01T18:00:00Z', isOpen: false, next: '2025-11-03T13:00:00Z', daysAhead: 2 }
+];
+
+test('evaluate()', async t => {
+    for (const c of evaluateCases) {
+        await t.test(c.name, () => {
+            const result = scheduleService.evaluate(c.schedule, new Date(c.now));
+
+            assert.equal(result.isOpen, c.isOpen);
+            if (c.reason) assert.equal(result.reason, c.reason);
+            if (c.holidayName) assert.equal(result.holidayName, c.holidayName);
+            if (c.next) assert.equal(result.nextOpening.at.toISOString(), new Date(c.next).toISOString());
+            if (c.daysAhead !== undefined) assert.equal(result.nextOpening.daysAhead, c.daysAhead);
+            if (c.isOpen) assert.equal(result.nextOpening, null);
+        });
+    }
+});
+
+const nextOpeningCases = [
+    { name: 'later today', schedule: OFFICE, now: '2025-06-10T11:00:00Z', time: '08:00', date: '2025-06-10', phrase: 'later today at 8 AM' },
+    { name: 'after lunch', schedule: OFFICE, now: '2025-06-10T16:15:00Z', time: '13:00', date: '2025-06-10', phrase: 'later today at 1 PM' },
+    { name: 'tomorrow', schedule: OFFICE, now: '2025-06-10T23:00:00Z', time: '08:00', date: '2025-06-11', phrase: 'tomorrow at 8 AM' },
+    { name: 'saturday hours', schedule: OFFICE, now: '2025-06-13T22:00:00Z', time: '09:00', date: '2025-06-14', phrase: 'tomorrow at 9 AM' },
+    { name: 'over the weekend', schedule: OFFICE, now: '2025-06-14T18:00:00Z', time: '08:00', date: '2025-06-16', phrase: 'Monday at 8 AM' },
+    { name: 'over christmas', schedule: OFFICE, now: '2025-12-24T18:00:00Z', time: '08:00', date: '2025-12-26', phrase: 'Friday at 8 AM' },
+    { name: 'overnight shift starts tonight', schedule: NIGHT_SHIFT, now: '2025-06-13T15:00:00Z', time: '22:00', date: '2025-06-13', phrase: 'later today at 10 PM' },
+    { name: 'overnight shift next week', schedule: NIGHT_SHIFT, now: '2025-06-14T12:00:00Z', time: '22:00', date: '2025-06-20', phrase: 'Friday at 10 PM' },
+    { name: 'midnight opening', schedule: scheduleService.normalizeSchedule({ timezone: 'UTC', weekly: { monday: [{ open: '00:00', close: '06:00' }] } }), now: '2025-06-08T12:00:00Z', time: '00:00', date: '2025-06-09', phrase: 'tomorrow at 12 AM' },
+    { name: 'more than a week away', schedule: scheduleService.normalizeSchedule({ timezone: 'UTC', weekly: { monday: [{ open: '09:30', close: '10:00' }] }, holidays: ['2025-06-09'] }), now: '2025-06-09T12:00:00Z', time: '09:30', date: '2025-06-16', phrase: 'Monday, June 16 at 9:30 AM' }
+];
+
+test('findNextOpening()', async t => {
+    for (const c of nextOpeningCases) {
+        await t.test(c.name, () => {
+            const local = scheduleService.getLocalParts(new Date(c.now), c.schedule.timezone);
+            const opening = scheduleService.findNextOpening(c.schedule, local);
+
+            assert.equal(opening.time, c.time);
+            assert.equal(opening.date, c.date);
+            assert.equal(scheduleService.describeNextOpening(opening), c.phrase);
+            assert.equal(scheduleService.getLocalParts(opening.at, c.schedule.timezone).date, c.date);
+        });
+    }
+});
+
+test('describeNextOpening() speaks Spanish', () => {
+    const opening = { time: '13:00', date: '2025-06-10', dayOfWeek: 2 };
+    assert.equal(scheduleService.describeNextOpening({ ...opening, daysAhead: 0 }, 'es'), 'hoy más tarde, a la 1 PM');
+    assert.equal(scheduleService.describeNextOpening({ ...opening, time: '12:00', daysAhead: 1 }, 'es'), 'mañana al mediodía');
+    assert.equal(scheduleService.describeNextOpening({ ...opening, time: '08:30', daysAhead: 3 }, 'es'), 'el martes a las 8:30 AM');
+    assert.equal(scheduleService.describeNextOpening({ ...opening, time: '09:00', daysAhead: 8 }, 'es'), 'el martes 10 de junio a las 9 AM');
+});
+
+test('findNextOpening() gives up when nothing opens within the lookahead', () => {
+    const closed = scheduleService.normalizeSchedule({ timezone: 'UTC', weekly: { monday: [] } });
+    const local = scheduleService.getLocalParts(new Date('2025-06-09T12:00:00Z'), 'UTC');
+    assert.equal(scheduleService.findNextOpening(closed, local), null);
+});
+
+test('localToInstant() handles both DST transitions', () => {
+    const zone = 'America/New_York';
+    assert.equal(scheduleService.localToInstant('2025-03-08', 8 * 60, zone).toISOString(), '2025-03-08T13:00:00.000Z');
+    assert.equal(scheduleService.localToInstant('2025-03-09', 8 * 60, zone).toISOString(), '2025-03-09T12:00:00.000Z');
+    assert.equal(scheduleService.localToInstant('2025-11-01', 8 * 60, zone).toISOString(), '2025-11-01T12:00:00.000Z');
+    assert.equal(scheduleService.localToInstant('2025-11-02', 8 * 60, zone).toISOString(), '2025-11-02T13:00:00.000Z');
+});
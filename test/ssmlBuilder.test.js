@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SsmlBuilder = require('../shared/ssmlBuilder');
+const { resolveVoiceSettings } = require('../shared/voiceCatalog');
+const { localizeVoice } = require('../shared/languages');
+const { createSnapshotMatcher } = require('./helpers/snapshot');
+
+const matchSnapshot = createSnapshotMatcher(__filename);
+const builder = new SsmlBuilder();
+
+const AVA = resolveVoiceSettings();
+const JENNY = resolveVoiceSettings({ voice: { name: 'en-US-JennyNeural' } });
+const GUY = resolveVoiceSettings({ voice: { name: 'en-US-GuyNeural', rate: 1.1 } });
+const LOW_AVA = resolveVoiceSettings({ voice: { pitch: '-10%' }, pronunciations: { HVAC: 'H V A C' } });
+
+const cases = [
+    { name: 'default voice, friendly', text: "Thanks for calling! How can I help you today?", options: { voice: AVA, emotion: 'friendly' } },
+    { name: 'default voice, concerned', text: "I'm sorry to hear that. Let's get someone out to you.", options: { voice: AVA, emotion: 'concerned', urgencyLevel: 'high' } },
+    { name: 'default voice, patient and slow', text: 'Could you say that again?', options: { voice: AVA, emotion: 'patient', rate: 'slow' } },
+    { name: 'default voice, neutral', text: 'Your appointment is confirmed.', options: { voice: AVA, emotion: 'neutral' } },
+    { name: 'default voice, emergency', text: 'Please leave the house now. Help is on the way.', options: { voice: AVA, emotion: 'concerned', isEmergency: true, emphasis: true } },
+    { name: 'default voice in Spanish', text: '¡Gracias por llamar! ¿En qué puedo ayudarle?', options: { voice: localizeVoice(AVA, 'es'), emotion: 'friendly' } },
+    { name: 'tenant pitch and lexicon', text: 'Our HVAC team is at 123 Main St. until 5 PM.', options: { voice: LOW_AVA, emotion: 'friendly' } },
+    { name: 'styled voice, friendly', text: 'Hi Dana! Good to hear from you again.', options: { voice: JENNY, emotion: 'friendly' } },
+    { name: 'styled voice, emergency', text: 'Turn off the gas at the meter. A technician is on the way.', options: { voice: JENNY, isEmergency: true } },
+    { name: 'emphasis voice, urgent', text: 'We can be there by 3 PM. Does that work?', options: { voice: GUY, emotion: 'helpful', urgencyLevel: 'urgent', emphasis: true, pitch: 'high' } },
+    { name: 'escaping and pauses', text: 'Parts & labor are $4.99, plus tax; <that> is "it".', options: { voice: AVA } }
+];
+
+test('build() output', async t => {
+    for (const c of cases) {
+        await t.test(c.name, () => {
+            matchSnapshot(c.name, builder.build(c.text, c.options));
+        });
+    }
+});
+
+test('emotion without a matching style falls back to prosody', () => {
+    const ssml = builder.build('Hello!', { voice: AVA, emotion: 'concerned' });
+    assert.doesNotMatch(ssml, /express-as/);
+    assert.match(ssml, /<prosody rate="1.17" pitch="-3%">/);
+});
+
+test('a supported style carries the emotion on its own', () => {
+    const ssml = builder.build('Hello!', { voice: JENNY, emotion: 'friendly' });
+    assert.match(ssml, /<mstts:express-as style="friendly">/);
+    assert.match(ssml, /pitch="default"/);
+});
+
+test('the tenant pitch and an explicit pitch win over the emotion', () => {
+    assert.match(builder.build('Hello!', { voice: LOW_AVA, emotion: 'friendly' }), /pitch="-10%"/);
+    assert.match(builder.build('Hello!', { voice: AVA, emotion: 'friendly', pitch: 'low' }), /pitch="low"/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TextNormalizer, validatePronunciations } = require('../shared/textNormalizer');
+
+const normalizer = new TextNormalizer();
+
+// Segments joined back into one string, plain text in [brackets]
+const render = (text, pronunciations = null, language = 'en') => normalizer.segment(text, pronunciations, language)
+    .map(segment => segment.type === 'markup' ? segment.value : `[${segment.value}]`)
+    .join('');
+
+const telephone = number => `<say-as interpret-as="telephone">${number}</say-as>`;
+const time = value => `<say-as interpret-as="time" format="hms12">${value}</say-as>`;
+const digits = value => `<say-as interpret-as="digits">${value}</say-as>`;
+
+const cases = [
+    // Phone numbers
+    ['Call 555-555-0123.', `[Call ]${telephone('(555) 555-0123')}[.]`],
+    ['(555) 555-0123 or +1 555.555.0123', `${telephone('(555) 555-0123')}[ or ]${telephone('(555) 555-0123')}`],
+    ['Ticket 555-0123', '[Ticket 555-0123]'],
+    // Money
+    ['It is $49.99 today', '[It is ]<sub alias="49 dollars and 99 cents">$49.99</sub>[ today]'],
+    ['Total $1,250.', '[Total ]<sub alias="1250 dollars">$1,250</sub>[.]'],
+    ['Only $0.50', '[Only ]<sub alias="50 cents">$0.50</sub>'],
+    ['A $1 fee', '[A ]<sub alias="1 dollar">$1</sub>[ fee]'],
+    // Dates
+    ['On 2025-06-10 we', '[On ]<say-as interpret-as="date" format="ymd">2025-06-10</say-as>[ we]'],
+    ['On 6/10 at noon', '[On ]<say-as interpret-as="date" format="md">6/10</say-as>[ at noon]'],
+    ['Due 06/10/2025', '[Due ]<say-as interpret-as="date" format="mdy">06/10/2025</say-as>'],
+    ['Due 6/10/25', '[Due ]<say-as interpret-as="date" format="mdy">6/10/25</say-as>'],
+    ['Page 13/40', '[Page 13/40]'],
+    // Times: a.m. ending a sentence leaves its period as the sentence end
+    ['See you at 9 a.m.', `[See you at ]${time('9:00 AM')}[.]`],
+    ['Come at 9 a.m. Bring the key', `[Come at ]${time('9:00 AM')}[. Bring the key]`],
+    ['Back by 9 a.m. tomorrow', `[Back by ]${time('9:00 AM')}[ tomorrow]`],
+    ['At 2:30pm', `[At ]${time('2:30 PM')}`],
+    // ZIP codes
+    ['Austin, TX 78701-1234', `[Austin, TX ]${digits('78701')} ${digits('1234')}`],
+    ['Austin TX 78701', `[Austin TX ]${digits('78701')}`],
+    ['Chapter 5 of 78701', '[Chapter 5 of 78701]'],
+    // Addresses keep an abbreviated suffix's period, but not a sentence's
+    ['At 123 Main St. until 5', '[At ]<say-as interpret-as="address">123 Main St.</say-as>[ until 5]'],
+    ['At 45 Oak Street. See you', '[At ]<say-as interpret-as="address">45 Oak Street</say-as>[. See you]']
+];
+
+test('segment() marks up what the synthesizer misreads', async t => {
+    for (const [input, expected] of cases) {
+        await t.test(input, () => {
+            assert.equal(render(input), expected);
+        });
+    }
+});
+
+test('segment() speaks money in the call language', () => {
+    assert.equal(render('$2.01 hoy', null, 'es'), '<sub alias="2 dólares con 1 centavo">$2.01</sub>[ hoy]');
+});
+
+const LEXICON = { HVAC: 'H V A C', 'Blue Caller HVAC': 'blue caller H V A C', 555: 'five five five' };
+
+const lexiconCases = [
+    ['Blue Caller HVAC is here', '<sub alias="blue caller H V A C">Blue Caller HVAC</sub>[ is here]'],
+    ['our hvac team', '[our ]<sub alias="H V A C">hvac</sub>[ team]'],
+    ['Call 555-555-0123', `[Call ]${telephone('(555) 555-0123')}`],
+    ['At 12 HVAC Lane', '[At ]<say-as interpret-as="address">12 H V A C Lane</say-as>'],
+    ['HVACs', '[HVACs]']
+];
+
+test('segment() applies the tenant lexicon after the built-in rules', async t => {
+    for (const [input, expected] of lexiconCases) {
+        await t.test(input, () => {
+            assert.equal(render(input, LEXICON), expected);
+        });
+    }
+});
+
+test('validatePronunciations() checks the shape and sizes', () => {
+    assert.deepEqual(validatePronunciations({ HVAC: 'H V A C' }), []);
+    assert.deepEqual(validatePronunciations(null), []);
+    assert.equal(validatePronunciations(['HVAC']).length, 1);
+    assert.equal(validatePronunciations({ HVAC: '' }).length, 1);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TwilioWebhookValidator = require('../shared/twilioWebhookValidator');
+
+test.mock.method(console, 'error', () => {});
+
+const BASE_URL = 'https://example.test/api';
+const PLATFORM = { sid: 'ACplatform', token: 'platform-token' };
+const TENANT = { sid: 'ACtenant', token: 'tenant-token' };
+
+process.env.TWILIO_ACCOUNT_SID = PLATFORM.sid;
+process.env.TWILIO_AUTH_TOKEN = PLATFORM.token;
+process.env.TWILIO_AUTH_TOKENS = JSON.stringify({ [TENANT.sid]: TENANT.token });
+delete process.env.PUBLIC_BASE_URL;
+
+// Azure Functions request as Twilio would send it, signed with the given token
+function twilioRequest(functionName, params, authToken, query = '') {
+    const signed = TwilioWebhookValidator.signRequest(`${BASE_URL}/${functionName}${query}`, params, authToken);
+    return {
+        method: 'POST',
+        originalUrl: `/api/${functionName}${query}`,
+        query: Object.fromEntries(new URLSearchParams(query.slice(1))),
+        headers: { 'x-twilio-signature': signed.headers['X-Twilio-Signature'] },
+        body: signed.body
+    };
+}
+
+const validator = () => new TwilioWebhookValidator({ baseUrl: BASE_URL, mode: 'enforce' });
+
+test('validate() picks the token by the posted AccountSid before the business is known', () => {
+    const tenantCall = twilioRequest('voice-stream', { CallSid: 'CA1', AccountSid: TENANT.sid }, TENANT.token);
+    assert.deepEqual(validator().validate(tenantCall, { functionName: 'voice-stream' }), { valid: true, reason: null });
+
+    const platformCall = twilioRequest('voice-stream', { CallSid: 'CA2', AccountSid: PLATFORM.sid }, PLATFORM.token);
+    assert.equal(validator().validate(platformCall, { functionName: 'voice-stream' }).valid, true);
+
+    const forged = twilioRequest('voice-stream', { CallSid: 'CA3', AccountSid: TENANT.sid }, PLATFORM.token);
+    assert.equal(validator().validate(forged, { functionName: 'voice-stream' }).reason, 'invalid_signature');
+
+    const unknownAccount = twilioRequest('voice-stream', { CallSid: 'CA4', AccountSid: 'ACother' }, 'other-token');
+    assert.equal(validator().validate(unknownAccount, { functionName: 'voice-stream' }).reason, 'no_auth_token');
+});
+
+test('validateAccount() keeps a tenant\'s numbers to its own account', () => {
+    const req = twilioRequest('voice-twiml', { CallSid: 'CA5', AccountSid: TENANT.sid }, TENANT.token);
+    assert.equal(validator().validateAccount(req, { twilioAccountSid: TENANT.sid }).valid, true);
+    assert.equal(validator().validateAccount(req, { twilioAccountSid: 'ACsomeoneElse' }).reason, 'account_mismatch');
+    assert.equal(validator().validateAccount(req, {}).reason, 'account_mismatch');
+});
+
+test('allowRetries lets a repeated delivery through', () => {
+    const checker = validator();
+    const req = twilioRequest('voice-afterhours', { CallSid: 'CA6', RecordingSid: 'RE1' }, PLATFORM.token, '?step=recording-status&businessId=biz1');
+
+    assert.equal(checker.validate(req, { functionName: 'voice-afterhours', allowRetries: true }).valid, true);
+    assert.equal(checker.validate(req, { functionName: 'voice-afterhours', allowRetries: true }).valid, true);
+    assert.equal(checker.validate(req, { functionName: 'voice-afterhours' }).valid, true);
+    assert.equal(checker.validate(req, { functionName: 'voice-afterhours' }).reason, 'duplicate');
+});
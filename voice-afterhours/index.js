@@ -0,0 +1,113 @@
+const querystring = require('querystring');
+const VoiceManager = require('../shared/voiceManager');
+const LeadStore = require('../shared/leadStore');
+const AfterHoursService = require('../shared/afterHoursService');
+const BusinessService = require('../shared/businessService');
+const TwilioWebhookValidator = require('../shared/twilioWebhookValidator');
+const { SUPPORTED_LANGUAGES, getPhrase } = require('../shared/languages');
+
+const voiceManager = new VoiceManager();
+const leadStore = new LeadStore();
+const afterHoursService = new AfterHoursService(voiceManager);
+const businessService = new BusinessService();
+const webhookValidator = new TwilioWebhookValidator({ baseUrl: voiceManager.baseUrl });
+
+// Find (or create) the voicemail entry for a recording on the caller's lead
+const upsertVoicemail = async (businessId, callerNumber, recordingSid, changes, context) => {
+  // The follow-up is due when the business next opens
+  const businessContext = await businessService.getBusinessContext(businessId, null);
+  const hoursAnalysis = businessService.analyzeBusinessHours(businessContext);
+  
+  const saved = await leadStore.updateLeadInfo(businessId, callerNumber, leadInfo => {
+    leadInfo.voicemails = leadInfo.voicemails || [];
+    
+    let voicemail = leadInfo.voicemails.find(v => v.recordingSid === recordingSid);
+    if (!voicemail) {
+      voicemail = { recordingSid, createdAt: new Date().toISOString() };
+      leadInfo.voicemails.push(voicemail);
+    }
+    Object.assign(voicemail, changes, { updatedAt: new Date().toISOString() });
+    
+    // Every voicemail needs a next-morning call back
+    if (!leadInfo.followUp || leadInfo.followUp.status !== 'pending') {
+      leadInfo.followUp = afterHoursService.createFollowUpFlag('voicemail', hoursAnalysis);
+    }
+  });
+  
+  if (saved) context.log(`✅ Voicemail ${recordingSid} linked to lead ${callerNumber}`);
+  return saved;
+};
+
+/**
+ * After-hours voicemail callbacks:
+ *   step=recorded         - <Record> action once the caller finishes (ends the call)
+ *   step=recording-status - recordingStatusCallback with the final recording URL
+ *   step=transcription    - transcribeCallback with the voicemail text
+ */
+module.exports = async function (context, req) {
+  context.log("📼 After-hours voicemail callback");
+  
+  const formData = typeof req.body === 'string' ? querystring.parse(req.body) : (req.body || {});
+  const { step, businessId, caller } = req.query || {};
+  const callerNumber = caller || formData.From;
+  const language = SUPPORTED_LANGUAGES[req.query && req.query.language] ? req.query.language : 'en';
+  
+  // businessId and caller ride on the signed callback URL, so a valid signature also vouches for them.
+  // Every step is an upsert, so a repeated delivery is simply applied again
+  const webhookCheck = webhookValidator.validate(req, { functionName: 'voice-afterhours', allowRetries: true });
+  if (!webhookCheck.valid) {
+    context.log.warn(`🚫 Rejected voice-afterhours webhook (${step}): ${webhookCheck.reason}`);
+    context.res = { status: 403, body: "Forbidden" };
+    return;
+  }
+  
+  try {
+    switch (step) {
+      case 'recorded':
+        context.res = {
+          headers: { "Content-Type": "text/xml" },
+          body: `
+            <Response>
+              <Say voice="${voiceManager.azureSpeech.getTwilioFallbackVoice(false, null, language)}">${voiceManager.escapeXML(getPhrase('voicemailSaved', language))}</Say>
+              <Hangup/>
+            </Response>
+          `.trim()
+        };
+        return;
+        
+      case 'recording-status':
+        if (formData.RecordingStatus && formData.RecordingStatus !== 'completed') {
+          context.log.warn(`Recording ${formData.RecordingSid} finished with status ${formData.RecordingStatus}`);
+        }
+        await upsertVoicemail(businessId, callerNumber, formData.RecordingSid, {
+          businessId: businessId || null,
+          callSid: formData.CallSid,
+          recordingUrl: formData.RecordingUrl ? `${formData.RecordingUrl}.mp3` : null,
+          durationSeconds: parseInt(formData.RecordingDuration || '0', 10),
+          recordingStatus: formData.RecordingStatus || 'completed'
+        }, context);
+        context.res = { status: 204 };
+        return;
+        
+      case 'transcription':
+        await upsertVoicemail(businessId, callerNumber, formData.RecordingSid, {
+          businessId: businessId || null,
+          callSid: formData.CallSid,
+          transcript: formData.TranscriptionStatus === 'completed' ? formData.TranscriptionText : null,
+          transcriptionStatus: formData.TranscriptionStatus
+        }, context);
+        context.res = { status: 204 };
+        return;
+        
+      default:
+        context.res = { status: 400, body: "Unknown after-hours step" };
+    }
+  } catch (error) {
+    context.log.error("❌ After-hours callback error:", error.message);
+    context.res = step === 'recorded' ? {
+      status: 200,
+      headers: { "Content-Type": "text/xml" },
+      body: voiceManager.createErrorResponse(getPhrase('goodbye', language), language)
+    } : { status: 500 };
+  }
+};
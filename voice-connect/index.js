@@ -0,0 +1,85 @@
+const VoiceManager = require('../shared/voiceManager');
+const BusinessService = require('../shared/businessService');
+const AfterHoursService = require('../shared/afterHoursService');
+const TwilioWebhookValidator = require('../shared/twilioWebhookValidator');
+const { createStreamToken } = require('../shared/mediaStreamToken');
+
+const voiceManager = new VoiceManager();
+const businessService = new BusinessService();
+const webhookValidator = new TwilioWebhookValidator({ baseUrl: voiceManager.baseUrl });
+
+// After-hours modes that need TwiML the stream cannot send (<Record> for voicemail)
+const GATHER_ONLY_AFTER_HOURS_MODES = ['voicemail', 'emergency_only'];
+
+const redirectToGather = () => ({
+    headers: { "Content-Type": "text/xml" },
+    body: `<Response><Redirect method="POST">${voiceManager.baseUrl}/voice-twiml</Redirect></Response>`
+});
+
+/**
+ * Real-time entry point: hands the call to the Media Streams server instead of
+ * the <Gather> -> voice-stream loop. Point a Twilio number's voice webhook here.
+ */
+module.exports = async function (context, req) {
+    context.log("🎬 Media Streams TwiML (real-time pipeline)");
+
+    const callSid = req.body?.CallSid || req.query.CallSid;
+    const callerNumber = req.body?.From || req.query.From;
+    const twilioPhoneNumber = req.body?.To || req.query.To;
+    const streamUrl = process.env.MEDIA_STREAM_URL;
+
+    // Same TwiML for every delivery, so repeated deliveries are answered again
+    const webhookCheck = webhookValidator.validate(req, { functionName: 'voice-connect', allowRetries: true });
+    if (!webhookCheck.valid) {
+        context.log.warn(`🚫 Rejected voice-connect webhook for ${twilioPhoneNumber}: ${webhookCheck.reason}`);
+        context.res = { status: 403, body: 'Forbidden' };
+        return;
+    }
+
+    if (!streamUrl || !process.env.MEDIA_STREAM_SECRET) {
+        // No stream server configured - fall back to the classic turn-based pipeline
+        context.log.warn('MEDIA_STREAM_URL or MEDIA_STREAM_SECRET not set, redirecting to voice-twiml');
+        context.res = redirectToGather();
+        return;
+    }
+
+    const businessContext = await businessService.getBusinessContext(null, twilioPhoneNumber);
+    const accountCheck = webhookValidator.validateAccount(req, businessContext);
+    if (!accountCheck.valid) {
+        context.log.warn(`🚫 Rejected voice-connect webhook for ${twilioPhoneNumber}: ${accountCheck.reason}`);
+        context.res = { status: 403, body: 'Forbidden' };
+        return;
+    }
+
+    const hoursAnalysis = businessService.analyzeBusinessHours(businessContext);
+    if (!hoursAnalysis.isOpen) {
+        const afterHoursMode = AfterHoursService.getMode(businessContext);
+        if (GATHER_ONLY_AFTER_HOURS_MODES.includes(afterHoursMode)) {
+            context.log(`⏰ After hours (${afterHoursMode}) for ${businessContext.companyName} - redirecting to voice-twiml`);
+            context.res = redirectToGather();
+            return;
+        }
+    }
+
+    context.log(`📞 Streaming call from ${callerNumber} to business number ${twilioPhoneNumber}`);
+
+    // The stream server only accepts this call's socket, and reads the caller and business from the token
+    const token = createStreamToken({
+        callSid,
+        businessId: businessContext.businessId,
+        from: callerNumber,
+        to: twilioPhoneNumber
+    });
+    const twiml = `
+        <Response>
+            <Connect>
+                <Stream url="${voiceManager.escapeXML(`${streamUrl.replace(/\/$/, '')}/${token}`)}"/>
+            </Connect>
+        </Response>
+    `.trim();
+
+    context.res = {
+        headers: { "Content-Type": "text/xml" },
+        body: twiml
+    };
+};
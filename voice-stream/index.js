@@ -1,388 +1,110 @@
-const { AzureOpenAI } = require("openai");
-const { CosmosClient } = require("@azure/cosmos");
 const VoiceManager = require("../shared/voiceManager");
 const BusinessService = require("../shared/businessService");
-const MultiTenantCosmosDB = require("../shared/multiTenantCosmosDB");
-
-// Initialize Azure OpenAI with defensive error handling
-let openai = null;
-try {
-  if (process.env.OPENAI_ENDPOINT && process.env.OPENAI_KEY) {
-    openai = new AzureOpenAI({
-      endpoint: process.env.OPENAI_ENDPOINT,
-      apiKey: process.env.OPENAI_KEY,
-      apiVersion: "2024-02-15-preview",
-      deployment: "gpt-35-turbo" // Your deployment name
-    });
-  }
-} catch (error) {
-  console.error("Failed to initialize OpenAI client:", error.message);
-}
-
-// Initialize Cosmos DB SQL API client
-let cosmosClient = null;
-let database = null;
-let transcriptsContainer = null;
-let leadsContainer = null;
-let isDbConnected = false;
-
-// Store conversation sessions (fallback)
-const conversationSessions = new Map();
+const ConversationService = require("../shared/conversationService");
+const TransferService = require("../shared/transferService");
+const AfterHoursService = require("../shared/afterHoursService");
+const AgentToolService = require("../shared/agentToolService");
+const KeypadService = require("../shared/keypadService");
+const RepromptService = require("../shared/repromptService");
+const TwilioWebhookValidator = require("../shared/twilioWebhookValidator");
+const IdempotencyStore = require("../shared/idempotencyStore");
+const CallSessionService = require("../shared/callSessionService");
+const { getRepositories } = require("../shared/repositories");
+const { SUPPORTED_LANGUAGES, resolveCallLanguage, getEnabledLanguages, chooseLanguageSwitch, getPhrase, localizeVoice } = require("../shared/languages");
 
 // Initialize Voice Manager for Azure Speech Services
 const voiceManager = new VoiceManager();
 
 // Initialize Business Service for Multi-Tenant Support
-const businessService = new BusinessService();
-
-// Multi-tenant Cosmos DB wrapper
-let multiTenantDB = null;
-
-// Initialize Cosmos DB SQL API connection with enhanced error handling
-const initializeCosmosDB = async (context) => {
-  if (isDbConnected) return true;
-  
-  try {
-    if (!process.env.COSMOS_CONN) {
-      context.log.warn('COSMOS_CONN not found, using memory storage');
-      return false;
-    }
-
-    // Validate connection string format for SQL API
-    if (!process.env.COSMOS_CONN.includes('AccountEndpoint=') || !process.env.COSMOS_CONN.includes('AccountKey=')) {
-      context.log.error('COSMOS_CONN appears to be MongoDB format, not SQL API format');
-      context.log.error('Expected format: AccountEndpoint=https://...;AccountKey=...');
-      return false;
-    }
-
-    // Use the SQL API connection string with timeout
-    cosmosClient = new CosmosClient(process.env.COSMOS_CONN);
-    
-    // Test connection with timeout
-    const connectionTimeout = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Connection timeout')), 5000)
-    );
-    
-    const connectPromise = (async () => {
-      // Create database if it doesn't exist
-      const { database: db } = await cosmosClient.databases.createIfNotExists({
-        id: 'voiceai'
-      });
-      database = db;
-      
-      // Create containers if they don't exist
-      const { container: transcripts } = await database.containers.createIfNotExists({
-        id: 'transcripts',
-        partitionKey: { paths: ['/callSid'] }
-      });
-      transcriptsContainer = transcripts;
-      
-      const { container: leads } = await database.containers.createIfNotExists({
-        id: 'leads',
-        partitionKey: { paths: ['/phoneNumber'] }
-      });
-      leadsContainer = leads;
-    })();
-    
-    await Promise.race([connectPromise, connectionTimeout]);
-    
-    // 🔥 NEW: Initialize multi-tenant database wrapper
-    multiTenantDB = new MultiTenantCosmosDB(cosmosClient);
-    
-    isDbConnected = true;
-    context.log('✅ Connected to Cosmos DB SQL API with multi-tenant support');
-    return true;
-  } catch (error) {
-    context.log.error('Failed to connect to Cosmos DB:', error.message);
-    if (error.message.includes('timeout')) {
-      context.log.error('Database connection timed out - check network connectivity');
-    }
-    if (error.message.includes('AccountEndpoint')) {
-      context.log.error('Connection string format error - ensure SQL API format');
-    }
-    isDbConnected = false;
-    return false;
-  }
-};
-
-// Helper function to get or create conversation session with business context
-const getOrCreateSession = async (callSid, phoneNumber, context, businessContext = null) => {
-  if (isDbConnected) {
-    try {
-      // Get existing conversation from this call
-      const querySpec = {
-        query: 'SELECT * FROM c WHERE c.callSid = @callSid ORDER BY c.timestamp DESC',
-        parameters: [{ name: '@callSid', value: callSid }]
-      };
-      
-      const { resources: existingMessages } = await transcriptsContainer.items
-        .query(querySpec)
-        .fetchAll();
-      
-      // Check for previous calls from this number
-      const historyQuery = {
-        query: 'SELECT TOP 3 * FROM c WHERE c.phoneNumber = @phoneNumber ORDER BY c.timestamp DESC',
-        parameters: [{ name: '@phoneNumber', value: phoneNumber }]
-      };
-      
-      const { resources: previousCalls } = await transcriptsContainer.items
-        .query(historyQuery)
-        .fetchAll();
-      
-      // 🔥 NEW: Generate business-specific system prompt
-      const systemPrompt = businessContext ? 
-        businessService.generateSystemPrompt(businessContext) :
-        `You are a friendly customer service agent for Blue Caller HVAC. Have natural conversations and be genuinely helpful.
-
-PRIMARY GOALS:
-- Help with heating, cooling, and home comfort questions
-- Understand what the customer needs
-- Get contact information naturally during conversation
-- Handle emergencies with immediate assistance
+const businessService = new BusinessService(getRepositories());
 
-CONVERSATION STYLE:
-- Be warm, conversational, and relatable
-- Listen carefully and respond to what they actually say
-- Keep responses SHORT (1-2 sentences) but natural
-- Ask helpful follow-up questions
-- It's OK to have brief small talk or acknowledge their situation
+// Shared prompt, lead analysis and OpenAI logic (also used by media-stream)
+const conversationService = new ConversationService(businessService);
 
-HANDLE EVERYTHING:
-- HVAC issues (heating, cooling, repairs, maintenance)
-- General questions about our services
-- Scheduling and appointments
-- Pricing and estimates
-- Emergency situations (no heat/AC, gas smell, urgent repairs)
+// Function tools the model can call (booking, contact capture, transfer, end call)
+const agentToolService = new AgentToolService(businessService);
 
-BE FLEXIBLE: If they mention something not directly HVAC-related but you can help connect it to home comfort, do so naturally.`;
+// Warm transfer to the tenant's humanForwarding number
+const transferService = new TransferService(voiceManager);
 
-      // Add returning customer context
-      const finalSystemPrompt = systemPrompt + (previousCalls.length > 0 ? `\n\nReturning customer (${previousCalls.length} previous calls)` : '');
+// After-hours message taking, voicemail and emergency triage
+const afterHoursService = new AfterHoursService(voiceManager);
 
-      // Build conversation context
-      let messages = [{
-        role: "system",
-        content: finalSystemPrompt
-      }];
-      
-      // Add existing messages from this call
-      if (existingMessages.length > 0) {
-        existingMessages.reverse().forEach(msg => {
-          if (msg.role !== 'system') {
-            messages.push({
-              role: msg.role,
-              content: msg.content
-            });
-          }
-        });
-      }
-      
-      // Get or create lead info
-      let leadInfo = {
-        hasEmergency: false,
-        serviceType: null,
-        contactInfo: {},
-        urgencyLevel: 'normal',
-        qualificationScore: 0
-      };
-      
-      try {
-        const { resource: existingLead } = await leadsContainer
-          .item(phoneNumber, phoneNumber)
-          .read();
-        if (existingLead) {
-          leadInfo = { ...leadInfo, ...existingLead.leadInfo };
-        }
-      } catch (err) {
-        // Lead doesn't exist yet
-      }
-      
-      return {
-        messages,
-        leadInfo,
-        callSid,
-        phoneNumber,
-        isFromDb: true
-      };
-    } catch (error) {
-      context.log.error('Database error in getOrCreateSession:', error.message);
-    }
-  }
+// DTMF keypad menu and typed callback numbers / ZIP codes
+const keypadService = new KeypadService();
 
-  // Fallback to memory
-  if (!conversationSessions.has(callSid)) {
-    conversationSessions.set(callSid, {
-      messages: [{
-        role: "system",
-        content: `You are a friendly customer service agent for Blue Caller HVAC. Have natural conversations and be genuinely helpful.
+// Escalating re-prompts for silent or unintelligible turns
+const repromptService = new RepromptService();
 
-PRIMARY GOALS:
-- Help with heating, cooling, and home comfort questions
-- Understand what the customer needs
-- Get contact information naturally during conversation
-- Handle emergencies with immediate assistance
+// X-Twilio-Signature, stale action URL and duplicate delivery checks
+const webhookValidator = new TwilioWebhookValidator({ baseUrl: voiceManager.baseUrl });
 
-CONVERSATION STYLE:
-- Be warm, conversational, and relatable
-- Listen carefully and respond to what they actually say
-- Keep responses SHORT (1-2 sentences) but natural
-- Ask helpful follow-up questions
-- It's OK to have brief small talk or acknowledge their situation
+// TwiML already sent per call turn, replayed when Twilio retries a post that timed out
+const turnResponses = new IdempotencyStore();
 
-HANDLE EVERYTHING:
-- HVAC issues (heating, cooling, repairs, maintenance)
-- General questions about our services
-- Scheduling and appointments
-- Pricing and estimates
-- Emergency situations (no heat/AC, gas smell, urgent repairs)
+// Business-scoped sessions and leads (Cosmos DB, or local storage per STORAGE_BACKEND)
+const repositories = getRepositories();
 
-BE FLEXIBLE: If they mention something not directly HVAC-related but you can help connect it to home comfort, do so naturally.`
-      }],
-      leadInfo: {
-        hasEmergency: false,
-        serviceType: null,
-        contactInfo: {},
-        urgencyLevel: 'normal',
-        qualificationScore: 0
-      },
-      callSid,
-      phoneNumber,
-      isFromDb: false
-    });
-  }
+// Sessions and leads per call, with the in-process fallback call-status also reads
+// (returning caller details go into the system prompt)
+const callSessions = new CallSessionService({ conversationService, repositories });
 
-  return conversationSessions.get(callSid);
+// Connect the session store; retries that land on another instance find their TwiML there
+const initializeCosmosDB = async () => {
+  const connected = await callSessions.connect();
+  if (connected) turnResponses.repository = repositories.webhookResponses;
+  return connected;
 };
 
-// Save message to Cosmos DB
-const saveMessage = async (callSid, phoneNumber, role, content, context) => {
-  if (!isDbConnected) return false;
+// Session and lead saves never throw: a failure is logged and the call goes on. Handlers await
+// them before returning, since the Functions host may freeze the instance once the response is sent
+const saveSession = (session, context) => callSessions.saveSession(session).catch(error => {
+  context.log.error(`❌ Could not save session ${session.callSid}:`, error.message);
+  return false;
+});
+
+const saveLead = (session, context) => callSessions.updateLead(session).catch(error => {
+  context.log.error(`❌ Could not save lead for ${session.callSid}:`, error.message);
+  return false;
+});
+
+// Hand the call to a person: record the attempt on the session and lead, then build the <Dial> TwiML
+const startTransfer = async (session, businessContext, reason, language, context) => {
+  const forwarding = transferService.getForwardingConfig(businessContext);
   
-  try {
-    const messageDoc = {
-      id: `${callSid}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      callSid,
-      phoneNumber,
-      role,
-      content,
-      timestamp: new Date().toISOString(),
-      ttl: 60 * 60 * 24 * 365 // 1 year retention
-    };
-    
-    await transcriptsContainer.items.create(messageDoc);
-    context.log(`Saved ${role} message to Cosmos DB`);
-    return true;
-  } catch (error) {
-    context.log.error('Error saving message to Cosmos DB:', error.message);
-    return false;
-  }
-};
-
-// Business intelligence analysis
-const analyzeMessage = (message) => {
-  const lowerMessage = message.toLowerCase();
-  const analysis = {
-    hasEmergency: false,
-    serviceType: null,
-    urgencyLevel: 'normal',
-    contactInfo: {}
+  session.leadInfo.transfer = {
+    status: 'initiated',
+    callSid: session.callSid,
+    reason,
+    to: forwarding.phoneNumber,
+    initiatedAt: new Date().toISOString()
   };
-
-  // Emergency detection
-  const emergencyKeywords = ['emergency', 'urgent', 'no heat', 'no air', 'gas smell', 'electrical', 'flooding'];
-  if (emergencyKeywords.some(keyword => lowerMessage.includes(keyword))) {
-    analysis.hasEmergency = true;
-    analysis.urgencyLevel = 'emergency';
-  }
-
-  // Service type detection
-  const serviceTypes = {
-    'heating': ['heat', 'furnace', 'boiler', 'warm'],
-    'cooling': ['cool', 'air conditioning', 'ac', 'cold'],
-    'maintenance': ['service', 'tune up', 'check'],
-    'installation': ['install', 'new', 'replace'],
-    'repair': ['repair', 'fix', 'broken']
-  };
-
-  for (const [type, keywords] of Object.entries(serviceTypes)) {
-    if (keywords.some(keyword => lowerMessage.includes(keyword))) {
-      analysis.serviceType = type;
-      break;
-    }
-  }
-
-  // Extract contact information
-  const nameMatch = message.match(/(?:my name is|i'm|i am)\s+([a-z]+(?:\s+[a-z]+)?)/i);
-  if (nameMatch) {
-    analysis.contactInfo.name = nameMatch[1].trim();
-  }
-
-  return analysis;
-};
-
-// Calculate lead score
-const calculateLeadScore = (leadInfo) => {
-  let score = 10;
-  if (leadInfo.hasEmergency) score += 50;
-  if (leadInfo.serviceType === 'installation') score += 40;
-  else if (leadInfo.serviceType) score += 20;
-  if (leadInfo.contactInfo.name) score += 15;
-  if (leadInfo.urgencyLevel === 'emergency') score += 30;
-  return Math.min(score, 100);
-};
-
-// Update lead information
-const updateLead = async (phoneNumber, leadInfo, callSid, context) => {
-  if (!isDbConnected) return false;
+  await Promise.all([saveSession(session, context), saveLead(session, context)]);
   
-  try {
-    const leadDoc = {
-      id: phoneNumber,
-      phoneNumber,
-      leadInfo,
-      lastContact: new Date().toISOString(),
-      lastCallSid: callSid,
-      score: calculateLeadScore(leadInfo),
-      ttl: 60 * 60 * 24 * 365 * 2 // 2 year retention
-    };
-    
-    await leadsContainer.items.upsert(leadDoc);
-    context.log('Lead information updated in Cosmos DB');
-    return true;
-  } catch (error) {
-    context.log.error('Error updating lead:', error.message);
-    return false;
-  }
+  context.log(`📲 Transferring call ${session.callSid} to ${forwarding.phoneNumber} (${reason})`);
+  
+  return transferService.createTransferTwiML({
+    forwarding,
+    summary: transferService.buildWhisperSummary(session, businessContext, reason),
+    reason,
+    businessId: businessContext.businessId,
+    callerNumber: session.phoneNumber,
+    isEmergency: reason === 'emergency',
+    language
+  });
 };
 
-// Get AI response from Azure OpenAI with enhanced error handling
-const getAIResponse = async (messages) => {
+module.exports = async function (context, req) {
+  const turnState = { claim: null, failed: false };
   try {
-    if (!openai) {
-      throw new Error('OpenAI client not initialized');
-    }
-    
-    const completion = await openai.chat.completions.create({
-      model: "gpt-35-turbo", // This should match your deployment name
-      messages: messages,
-      max_tokens: 80,
-      temperature: 0.7
-    });
-    
-    return completion.choices[0].message.content;
-  } catch (error) {
-    console.error("Azure OpenAI error:", error.message);
-    if (error.message.includes('not initialized')) {
-      return "I'm having trouble with my AI service. Let me connect you with someone who can help.";
-    }
-    if (error.message.includes('deployment')) {
-      return "I'm having configuration issues. Please call back in a few minutes.";
-    }
-    return "I'm having trouble right now. Could you try again?";
+    await handleVoiceStream(context, req, turnState);
+  } finally {
+    // Error TwiML is not stored, so a retry of a failed turn runs the pipeline again
+    if (turnState.claim) await turnResponses.settle(turnState.claim, turnState.failed ? null : context.res);
   }
 };
 
-module.exports = async function (context, req) {
+async function handleVoiceStream(context, req, turnState) {
   context.log("🎙️ MULTI-TENANT VOICE-STREAM WITH BUSINESS CONTEXT!");
   context.log("🔍 Voice-stream debug - VoiceManager exists:", !!voiceManager);
   context.log("🔍 Business service initialized:", !!businessService);
@@ -392,61 +114,203 @@ module.exports = async function (context, req) {
     context.log.error("Missing OpenAI configuration - OPENAI_ENDPOINT or OPENAI_KEY not set");
   }
   
-  if (!process.env.COSMOS_CONN) {
-    context.log.warn("Missing COSMOS_CONN - will use memory fallback");
-  } else if (!process.env.COSMOS_CONN.includes('AccountEndpoint=')) {
-    context.log.error("COSMOS_CONN appears to be MongoDB format - SQL API format required");
-  }
-  
-  // Initialize Cosmos DB with timeout
-  const dbPromise = initializeCosmosDB(context);
+  // Initialize session storage with timeout
+  const dbPromise = initializeCosmosDB();
   const timeoutPromise = new Promise(resolve => setTimeout(() => resolve(false), 5000));
   const dbConnected = await Promise.race([dbPromise, timeoutPromise]);
   
-  context.log("Cosmos DB Status:", dbConnected ? "Connected" : "Memory fallback");
+  context.log("Session storage:", dbConnected ? `Connected (${repositories.backend})` : "Memory fallback");
   
   try {
     if (req.method === "POST" && req.body) {
       const querystring = require('querystring');
       const formData = typeof req.body === 'string' ? querystring.parse(req.body) : req.body;
       
-      const speechResult = formData.SpeechResult;
+      let speechResult = formData.SpeechResult;
+      const digits = formData.Digits;
       const callSid = formData.CallSid;
       const phoneNumber = formData.From;
       const confidence = parseFloat(formData.Confidence || 0);
       
       context.log("Speech Result:", speechResult);
       context.log("Confidence:", confidence);
+      if (digits) context.log("Digits:", digits);
+      
+      // No-input / no-match misses in a row so far (carried on the Gather action URL)
+      const missCounters = repromptService.readCounters(req.query);
+      
+      const twilioPhoneNumber = formData.To; // The business number that was called
+      
+      // Reject unsigned, forged or stale posts before any storage lookup or OpenAI / Speech spend
+      // (repeated deliveries are let through and answered from turnResponses below)
+      const webhookCheck = webhookValidator.validate(req, { functionName: "voice-stream", allowRetries: true });
+      if (!webhookCheck.valid) {
+        context.log.warn(`🚫 Rejected voice-stream webhook for ${twilioPhoneNumber}: ${webhookCheck.reason}`);
+        context.res = { status: 403, body: "Forbidden" };
+        return;
+      }
+      
+      // 🔥 NEW: Get business context for this call
+      const businessContext = await businessService.getBusinessContext(null, twilioPhoneNumber);
+      
+      context.log(`🏢 Business context: ${businessContext.companyName} (${businessContext.industry})`);
+      
+      const accountCheck = webhookValidator.validateAccount(req, businessContext);
+      if (!accountCheck.valid) {
+        context.log.warn(`🚫 Rejected voice-stream webhook for ${twilioPhoneNumber}: ${accountCheck.reason}`);
+        context.res = { status: 403, body: "Forbidden" };
+        return;
+      }
+      
+      // A retried turn (same CallSid and turn sequence) gets the TwiML the first delivery produced,
+      // without appending the caller's words again or calling OpenAI twice
+      const turn = parseInt((req.query && req.query.turn) || '0', 10) || 0;
+      const requestKey = IdempotencyStore.createKey(callSid, {
+        turn,
+        deliveryToken: req.headers && req.headers['i-twilio-idempotency-token']
+      });
+      if (requestKey) {
+        const claim = await turnResponses.claim(businessContext.businessId, requestKey);
+        if (claim.response) {
+          context.log(`🔁 Repeated delivery of ${requestKey} - replaying the response already sent`);
+          context.res = claim.response;
+          return;
+        }
+        turnState.claim = claim;
+      }
+      
+      // Call language rides on the Gather action URL once voice-twiml has picked it
+      let language = SUPPORTED_LANGUAGES[req.query && req.query.language] ?
+        req.query.language :
+        resolveCallLanguage(businessContext, twilioPhoneNumber);
+      let voice = localizeVoice(businessContext?.voice, language);
       
-      // Filter only extremely low-confidence results  
-      if (confidence < 0.1 || (!speechResult || speechResult.trim().length < 1)) {
-        context.log(`⚠️ Very low confidence (${confidence}) or empty speech, requesting clarification`);
+      // Every Gather issued from here carries the next turn number
+      const nextGatherQuery = (extra = {}) => ({ language, turn: turn + 1, ...extra });
+      
+      // Answer to the transfer / callback offer made after repeated misses
+      const canTransfer = !!transferService.getForwardingConfig(businessContext);
+      if (req.query && req.query.offer === 'handoff') {
+        const choice = repromptService.interpretOffer({ digits, speech: speechResult }, canTransfer);
+        if (choice) {
+          context.log(`🆘 Caller chose ${choice} after repeated misses`);
+          const session = await callSessions.getOrCreateSession(callSid, phoneNumber, businessContext, language);
+          
+          if (choice === 'transfer') {
+            context.res = {
+              headers: { "Content-Type": "text/xml" },
+              body: await startTransfer(session, businessContext, 'failed_turns', language, context)
+            };
+            return;
+          }
+          
+          session.leadInfo.followUp = repromptService.createCallbackFlag();
+          conversationService.markCallCompleted(session, 'callback_requested');
+          const leadSaved = saveLead(session, context);
+          const callbackResponse = await voiceManager.generateVoiceResponse(
+            repromptService.getPhrases(language).callbackConfirmed,
+            { emotion: 'friendly', urgencyLevel: 'normal', voice, language, endCall: true }
+          );
+          await leadSaved;
+          
+          context.res = {
+            headers: { "Content-Type": "text/xml" },
+            body: callbackResponse
+          };
+          return;
+        }
+      }
+      
+      // Keys pressed instead of speaking: a menu option or a typed number stands in for the utterance
+      let keypadResult = null;
+      if (digits) {
+        const capture = req.query && req.query.capture;
+        keypadResult = keypadService.interpret(digits, {
+          menu: keypadService.getMenu(businessContext),
+          capture,
+          language
+        });
+        context.log(`🔢 Keypad "${digits}" -> ${keypadResult.type}${keypadResult.action ? ` (${keypadResult.action})` : ''}`);
         
-        const clarificationResponse = await voiceManager.generateVoiceResponse(
-          "I did not catch that. Could you please repeat?",
-          { 
+        if (keypadResult.type === 'prompt') {
+          const keypadResponse = await voiceManager.generateVoiceResponse(keypadResult.prompt, {
             emotion: 'helpful',
             urgencyLevel: 'normal',
-            followUpPrompt: "I'm listening..."
-          }
-        );
+            voice,
+            language,
+            digitCapture: keypadResult.capture,
+            gatherQuery: nextGatherQuery(keypadResult.capture ? { capture: keypadResult.capture } : {})
+          });
+          
+          context.res = {
+            headers: { "Content-Type": "text/xml" },
+            body: keypadResponse
+          };
+          return;
+        }
+        
+        speechResult = keypadResult.utterance;
+      }
+      
+      // Gather timed out (no-input) or speech was too unclear to use (no-match): escalate
+      // from rephrasing to the keypad, then a transfer / callback offer, then a polite goodbye
+      const noInput = !speechResult || speechResult.trim().length < 1;
+      if (!keypadResult && (noInput || confidence < 0.1)) {
+        const step = repromptService.nextStep(noInput ? 'noInput' : 'noMatch', {
+          counters: missCounters,
+          businessContext,
+          language,
+          canTransfer
+        });
+        context.log(`⚠️ ${noInput ? 'No input' : `Very low confidence (${confidence})`} - ${step.misses} miss(es) in a row, ${step.stage}`);
+        
+        let leadSaved = null;
+        if (step.stage === 'end') {
+          const session = await callSessions.getOrCreateSession(callSid, phoneNumber, businessContext, language);
+          conversationService.markCallCompleted(session, 'no_response');
+          leadSaved = saveLead(session, context);
+        }
+        
+        const repromptResponse = await voiceManager.generateVoiceResponse(step.prompt, {
+          emotion: step.stage === 'rephrase' ? 'helpful' : 'patient',
+          urgencyLevel: 'normal',
+          followUpPrompt: getPhrase('listening', language),
+          voice,
+          language,
+          digitCapture: step.digitCapture,
+          endCall: step.stage === 'end',
+          gatherQuery: nextGatherQuery(step.gatherQuery)
+        });
+        
+        await leadSaved;
         
         context.res = {
           headers: { "Content-Type": "text/xml" },
-          body: clarificationResponse
+          body: repromptResponse
         };
         return;
       }
       
       if (speechResult && speechResult.trim().length > 0) {
-        // 🔥 NEW: Get business context for this call
-        const twilioPhoneNumber = formData.To; // The business number that was called
-        const businessContext = await businessService.getBusinessContext(null, twilioPhoneNumber);
-        
-        context.log(`🏢 Business context: ${businessContext.companyName} (${businessContext.industry})`);
-        
         // Get or create session with business context
-        const session = await getOrCreateSession(callSid, phoneNumber, context, businessContext);
+        const session = await callSessions.getOrCreateSession(callSid, phoneNumber, businessContext, language);
+        
+        // Language from the caller's first utterance, or an explicit "español" / "English" later
+        const switchTo = chooseLanguageSwitch(speechResult, {
+          current: language,
+          enabled: getEnabledLanguages(businessContext.aiConfig),
+          firstTurn: !session.messages.some(msg => msg.role === 'user')
+        });
+        if (switchTo) {
+          context.log(`🌐 Switching call ${callSid} from ${language} to ${switchTo}`);
+          language = switchTo;
+          voice = localizeVoice(businessContext?.voice, language);
+          session.messages[0].content = callSessions.buildSystemPrompt(session, businessContext, language);
+        }
+        session.leadInfo.language = language;
+        if (keypadResult && keypadResult.type === 'captured') {
+          session.leadInfo.contactInfo[keypadResult.field] = keypadResult.value;
+        }
         
         // Add user message
         session.messages.push({
@@ -454,25 +318,86 @@ module.exports = async function (context, req) {
           content: speechResult
         });
         
-        // Save user message (non-blocking)
-        saveMessage(callSid, phoneNumber, 'user', speechResult, context);
+        // Save user message (non-blocking; later saves queue behind it and are awaited)
+        saveSession(session, context);
         
-        // 🔥 NEW: Business-specific emergency analysis
-        const analysis = businessContext ? 
-          businessService.analyzeEmergency(speechResult, businessContext) :
-          analyzeMessage(speechResult);
+        // Caller signed off ("that's all, thanks"): closing line, slogan and hang up without another AI turn
+        if (!keypadResult && conversationService.isCallerDone(speechResult)) {
+          context.log(`👋 Caller ${phoneNumber} is done - ending call ${callSid}`);
+          const closing = businessService.generateClosing(businessContext, language);
+          session.messages.push({ role: "assistant", content: closing });
+          conversationService.markCallCompleted(session, 'caller_done');
+          const closingSaved = Promise.all([saveSession(session, context), saveLead(session, context)]);
+          
+          const closingTurn = await voiceManager.generateVoiceTurn(closing, {
+            emotion: 'friendly',
+            urgencyLevel: 'normal',
+            voice,
+            language,
+            endCall: true
+          });
+          await closingSaved;
+          
+          context.res = {
+            headers: { "Content-Type": "text/xml" },
+            body: closingTurn.twiml
+          };
+          return;
+        }
+        
+        // 🔥 NEW: Business-specific emergency analysis + lead update
+        const analysis = conversationService.applyTurnAnalysis(session, speechResult, businessContext);
+        if (keypadResult && keypadResult.action === 'emergency') {
+          analysis.isEmergency = true;
+          session.leadInfo.hasEmergency = true;
+          session.leadInfo.urgencyLevel = 'high';
+        }
         
-        // Update lead info
-        if (analysis.hasEmergency) session.leadInfo.hasEmergency = true;
-        if (analysis.serviceType) session.leadInfo.serviceType = analysis.serviceType;
-        if (analysis.urgencyLevel) session.leadInfo.urgencyLevel = analysis.urgencyLevel;
-        if (analysis.contactInfo && analysis.contactInfo.name) session.leadInfo.contactInfo.name = analysis.contactInfo.name;
+        // Structured lead extraction runs alongside the AI reply; await it before the lead is saved
+        const leadExtraction = conversationService.extractLeadDetails(session, speechResult);
+        
+        // After hours: flag the lead for next-morning follow-up
+        const hoursAnalysis = businessService.analyzeBusinessHours(businessContext, language);
+        const afterHoursMode = hoursAnalysis.isOpen ? null : AfterHoursService.getMode(businessContext);
+        if (afterHoursMode && session.leadInfo.followUp?.status !== 'pending') {
+          session.leadInfo.followUp = afterHoursService.createFollowUpFlag(afterHoursMode, hoursAnalysis);
+        }
+        
+        // Caller asked for a person (by voice or the operator key) or reported an emergency: transfer instead of answering
+        const transferDecision = keypadResult && keypadResult.action === 'operator' ?
+          { shouldTransfer: !!transferService.getForwardingConfig(businessContext), reason: 'caller_request' } :
+          transferService.evaluateTransfer({ text: speechResult, analysis }, businessContext);
+        if (transferDecision.shouldTransfer) {
+          await leadExtraction;
+          context.res = {
+            headers: { "Content-Type": "text/xml" },
+            body: await startTransfer(session, businessContext, transferDecision.reason, language, context)
+          };
+          return;
+        }
         
-        session.leadInfo.qualificationScore = calculateLeadScore(session.leadInfo);
+        // Emergency-only triage: non-emergencies leave a voicemail instead of talking to the AI
+        if (afterHoursMode === 'emergency_only') await leadExtraction;
+        if (afterHoursMode === 'emergency_only' && !session.leadInfo.hasEmergency) {
+          context.log(`⏰ After hours, no emergency detected - sending ${phoneNumber} to voicemail`);
+          await Promise.all([saveSession(session, context), saveLead(session, context)]);
+          context.res = {
+            headers: { "Content-Type": "text/xml" },
+            body: afterHoursService.createVoicemailTwiML(
+              getPhrase('voicemailNonEmergency', language),
+              { businessId: businessContext.businessId, callerNumber: phoneNumber, language }
+            )
+          };
+          return;
+        }
         
         // Get AI response with timing
         const aiStart = Date.now();
-        const aiResponse = await getAIResponse(session.messages);
+        const aiResponse = await conversationService.getAIResponse(session.messages, {
+          tools: agentToolService.getToolDefinitions(businessContext),
+          executeTool: agentToolService.createExecutor(session, businessContext),
+          language
+        });
         const aiEnd = Date.now();
         context.log("🤖 AI Response:", aiResponse);
         context.log("🔍 AI Response length:", aiResponse.length);
@@ -485,9 +410,29 @@ module.exports = async function (context, req) {
           content: aiResponse
         });
         
-        // Save AI response and update lead (non-blocking)
-        saveMessage(callSid, phoneNumber, 'assistant', aiResponse, context);
-        updateLead(phoneNumber, session.leadInfo, callSid, context);
+        // Actions requested through tool calls apply to this turn only
+        const pendingAction = session.pendingAction;
+        delete session.pendingAction;
+        
+        // end_call: the tenant's closing line and slogan follow the AI's last words
+        const closing = businessService.generateClosing(businessContext, language);
+        const endCall = pendingAction?.type === 'end_call';
+        const spokenResponse = endCall ? `${aiResponse} ${closing}` : aiResponse;
+        if (endCall) conversationService.markCallCompleted(session, 'agent_ended');
+        
+        // Save AI response and update lead while the reply is synthesized; the session save
+        // finishes before Twilio gets the TwiML, so the next turn always loads this exchange
+        await leadExtraction;
+        const turnSaved = Promise.all([saveSession(session, context), saveLead(session, context)]);
+        
+        if (pendingAction && pendingAction.type === 'transfer') {
+          await turnSaved;
+          context.res = {
+            headers: { "Content-Type": "text/xml" },
+            body: await startTransfer(session, businessContext, pendingAction.reason, language, context)
+          };
+          return;
+        }
         
         // Analyze conversation context for voice characteristics
         const voiceContext = voiceManager.analyzeConversationContext(session);
@@ -497,21 +442,34 @@ module.exports = async function (context, req) {
         
         // Generate enhanced voice response with context awareness and timing
         const voiceStart = Date.now();
-        const responseTwiml = await voiceManager.generateVoiceResponse(aiResponse, {
+        // The model asked the caller to type a number: the next Gather collects digits until #
+        const digitCapture = pendingAction && pendingAction.type === 'collect_digits' ? pendingAction.kind : null;
+        
+        const voiceTurn = await voiceManager.generateVoiceTurn(spokenResponse, {
           ...voiceContext,
           businessId: businessContext?.businessId,              // 🔥 NEW: Business context
           industry: businessContext?.industry,                  // 🔥 NEW: Industry context  
           companyName: businessContext?.companyName,            // 🔥 NEW: Company context
+          voice,
+          language,
+          digitCapture,
+          gatherQuery: nextGatherQuery(digitCapture ? { capture: digitCapture } : {}),
           customerName: session.leadInfo?.contactInfo?.name,
-          followUpPrompt: followUpPrompt
+          followUpPrompt: followUpPrompt,
+          endCall,
+          closing
         });
         const voiceEnd = Date.now();
-        context.log(`⏱️ Voice Synthesis + Upload Time: ${voiceEnd - voiceStart}ms`);
-        context.log(`⏱️ Total Response Time: ${voiceEnd - aiStart}ms`);
+        context.log(`⏱️ Voice Synthesis + Upload Time: ${voiceEnd - voiceStart}ms (provider: ${voiceTurn.provider})`);
+        if (voiceTurn.attempts.length > 1) {
+          context.log.warn(`⚠️ TTS fallback used for ${callSid}:`, JSON.stringify(voiceTurn.attempts));
+        }
+        await turnSaved;
+        context.log(`⏱️ Total Response Time: ${Date.now() - aiStart}ms`);
         
         context.res = {
           headers: { "Content-Type": "text/xml" },
-          body: responseTwiml
+          body: voiceTurn.twiml
         };
         return;
       } else {
@@ -519,11 +477,14 @@ module.exports = async function (context, req) {
         context.log("🔇 No speech detected, using enhanced voice response");
         
         const noSpeechResponse = await voiceManager.generateVoiceResponse(
-          "I didn't hear anything. What can I help you with today?",
+          VoiceManager.getCannedPrompts(language).noSpeech,
           { 
             emotion: 'patient',
             urgencyLevel: 'normal',
-            followUpPrompt: "I'm listening..."
+            followUpPrompt: getPhrase('listening', language),
+            voice,
+            language,
+            gatherQuery: nextGatherQuery()
           }
         );
         
@@ -542,11 +503,11 @@ module.exports = async function (context, req) {
   } catch (error) {
     context.log.error("❌ Function error:", error.message);
     context.log.error("Stack trace:", error.stack);
+    turnState.failed = true;
     
     // Create enhanced error response
-    const errorResponse = voiceManager.createErrorResponse(
-      "I'm sorry, I'm having technical difficulties. Please try calling back in a moment."
-    );
+    const language = SUPPORTED_LANGUAGES[req.query && req.query.language] ? req.query.language : 'en';
+    const errorResponse = voiceManager.createErrorResponse(getPhrase('technicalDifficulties', language), language);
     
     context.res = { 
       status: 200,
@@ -554,4 +515,4 @@ module.exports = async function (context, req) {
       body: errorResponse
     };
   }
-};
\ No newline at end of file
+}
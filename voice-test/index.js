@@ -118,9 +118,35 @@ module.exports = async function (context, req) {
     });
   }
   
-  // Test 5: Cosmos DB Connection
+  // Test 5: TTS audio cache hit rate (shared by every function in this instance)
+  try {
+    const voiceManager = new VoiceManager();
+    const ttsStats = voiceManager.getTtsStats();
+
+    tests.push({
+      name: "TTS Audio Cache",
+      status: "✅ PASS",
+      details: {
+        hit_rate: `${Math.round(ttsStats.audioCache.hitRate * 100)}%`,
+        memory_hits: ttsStats.audioCache.memoryHits,
+        blob_hits: ttsStats.audioCache.blobHits,
+        misses: ttsStats.audioCache.misses,
+        errors: ttsStats.audioCache.errors,
+        entries: `${ttsStats.audioCache.memoryEntries}/${ttsStats.audioCache.maxEntries}`
+      }
+    });
+  } catch (error) {
+    tests.push({
+      name: "TTS Audio Cache",
+      status: "❌ FAIL",
+      details: { error: error.message }
+    });
+  }
+  
+  // Test 6: Cosmos DB Connection
   try {
     const { CosmosClient } = require("@azure/cosmos");
+    const MultiTenantCosmosDB = require("../shared/multiTenantCosmosDB");
     
     if (!process.env.COSMOS_CONN) {
       throw new Error("COSMOS_CONN environment variable not set");
@@ -130,14 +156,15 @@ module.exports = async function (context, req) {
       throw new Error("COSMOS_CONN appears to be MongoDB format, not SQL API format. Expected: AccountEndpoint=https://...;AccountKey=...");
     }
     
-    const cosmosClient = new CosmosClient(process.env.COSMOS_CONN);
-    const { database } = await cosmosClient.databases.createIfNotExists({ id: 'voiceai' });
+    const multiTenantDB = new MultiTenantCosmosDB(new CosmosClient(process.env.COSMOS_CONN));
+    const database = await multiTenantDB.provision();
     
     tests.push({
       name: "Cosmos DB SQL API",
       status: "✅ PASS",
       details: { 
         database: database.id,
+        containers: MultiTenantCosmosDB.CONTAINERS.join(', '),
         connection_format: "SQL API (correct)",
         endpoint: "Connected successfully"
       }
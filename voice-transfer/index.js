@@ -0,0 +1,112 @@
+const querystring = require('querystring');
+const VoiceManager = require('../shared/voiceManager');
+const BusinessService = require('../shared/businessService');
+const TransferService = require('../shared/transferService');
+const LeadStore = require('../shared/leadStore');
+const TwilioWebhookValidator = require('../shared/twilioWebhookValidator');
+const { SUPPORTED_LANGUAGES, getPhrase } = require('../shared/languages');
+
+const voiceManager = new VoiceManager();
+const businessService = new BusinessService();
+const transferService = new TransferService(voiceManager);
+const webhookValidator = new TwilioWebhookValidator({ baseUrl: voiceManager.baseUrl });
+
+const leadStore = new LeadStore();
+
+// Merge the transfer outcome into the caller's lead document
+const recordTransferOutcome = async (businessId, phoneNumber, outcome, context) => {
+  const saved = await leadStore.updateLeadInfo(businessId, phoneNumber, leadInfo => {
+    leadInfo.transfer = {
+      ...leadInfo.transfer,
+      ...outcome,
+      updatedAt: new Date().toISOString()
+    };
+  });
+  
+  if (saved) context.log(`✅ Transfer outcome recorded for ${phoneNumber}: ${outcome.status}`);
+  return saved;
+};
+
+/**
+ * Warm transfer callbacks:
+ *   step=whisper            - played to the technician before the call is bridged
+ *   step=dial-complete      - <Dial> finished; fall back to voicemail if nobody answered
+ *   step=voicemail-complete - voicemail <Record> finished
+ */
+module.exports = async function (context, req) {
+  context.log("📲 Human transfer callback");
+  
+  const formData = typeof req.body === 'string' ? querystring.parse(req.body) : (req.body || {});
+  const { step, businessId, reason, caller, summary } = req.query || {};
+  const language = SUPPORTED_LANGUAGES[req.query && req.query.language] ? req.query.language : 'en';
+  const xmlResponse = body => ({ headers: { "Content-Type": "text/xml" }, body });
+  
+  // businessId, caller and the whisper summary ride on the signed callback URL. Outcomes are
+  // merged into the lead, so a repeated delivery is simply applied again
+  const webhookCheck = webhookValidator.validate(req, { functionName: 'voice-transfer', allowRetries: true });
+  if (!webhookCheck.valid) {
+    context.log.warn(`🚫 Rejected voice-transfer webhook (${step}): ${webhookCheck.reason}`);
+    context.res = { status: 403, body: "Forbidden" };
+    return;
+  }
+  
+  try {
+    switch (step) {
+      case 'whisper':
+        context.res = xmlResponse(transferService.createWhisperTwiML(summary));
+        return;
+        
+      case 'dial-complete': {
+        const dialStatus = formData.DialCallStatus;
+        context.log(`📞 Transfer for ${caller} finished with status: ${dialStatus}`);
+        
+        if (dialStatus === 'completed' || dialStatus === 'answered') {
+          await recordTransferOutcome(businessId, caller, {
+            status: 'connected',
+            reason,
+            durationSeconds: parseInt(formData.DialCallDuration || '0', 10)
+          }, context);
+          context.res = xmlResponse('<Response><Hangup/></Response>');
+          return;
+        }
+        
+        await recordTransferOutcome(businessId, caller, { status: 'no_answer', reason, dialStatus }, context);
+        
+        const businessContext = await businessService.getBusinessContext(businessId, formData.To);
+        context.res = xmlResponse(transferService.createVoicemailTwiML({
+          businessId,
+          reason,
+          callerNumber: caller,
+          companyName: businessContext.companyName,
+          language
+        }));
+        return;
+      }
+      
+      case 'voicemail-complete':
+        await recordTransferOutcome(businessId, caller, {
+          status: formData.RecordingUrl ? 'voicemail' : 'voicemail_empty',
+          reason,
+          recordingUrl: formData.RecordingUrl || null,
+          recordingDuration: parseInt(formData.RecordingDuration || '0', 10)
+        }, context);
+        context.res = xmlResponse(`
+          <Response>
+            <Say voice="${voiceManager.azureSpeech.getTwilioFallbackVoice(false, null, language)}">${voiceManager.escapeXML(getPhrase('transferVoicemailSaved', language))}</Say>
+            <Hangup/>
+          </Response>
+        `.trim());
+        return;
+        
+      default:
+        context.res = { status: 400, body: "Unknown transfer step" };
+    }
+  } catch (error) {
+    context.log.error("❌ Transfer callback error:", error.message);
+    context.res = {
+      status: 200,
+      headers: { "Content-Type": "text/xml" },
+      body: voiceManager.createErrorResponse(getPhrase('transferFailed', language), language)
+    };
+  }
+};
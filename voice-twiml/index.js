@@ -1,8 +1,24 @@
 const VoiceManager = require('../shared/voiceManager');
 const BusinessService = require('../shared/businessService');
+const AfterHoursService = require('../shared/afterHoursService');
+const TwilioWebhookValidator = require('../shared/twilioWebhookValidator');
+const CustomerProfileService = require('../shared/customerProfileService');
+const { resolveCallLanguage, localizeVoice, getPhrase } = require('../shared/languages');
 
 const voiceManager = new VoiceManager();
 const businessService = new BusinessService();
+const afterHoursService = new AfterHoursService(voiceManager);
+const webhookValidator = new TwilioWebhookValidator({ baseUrl: voiceManager.baseUrl });
+const customerProfileService = new CustomerProfileService();
+
+// The greeting does not wait longer than this for the caller's lead
+const CALLER_LOOKUP_TIMEOUT_MS = 1500;
+
+// Returning caller's name and last issue with this business, or null (new caller, no storage, slow lookup)
+const lookupCaller = (businessId, callerNumber) => Promise.race([
+    customerProfileService.getCallerContext(businessId, callerNumber),
+    new Promise(resolve => setTimeout(() => resolve(null), CALLER_LOOKUP_TIMEOUT_MS))
+]);
 
 module.exports = async function (context, req) {
     context.log("🎬 Multi-Tenant TwiML with Business-Specific Greetings");
@@ -14,34 +30,82 @@ module.exports = async function (context, req) {
         
         context.log(`📞 Call from ${callerNumber} to business number ${twilioPhoneNumber}`);
 
+        // Only signed, fresh requests get a greeting. The greeting is the same however often
+        // Twilio delivers it, so repeated deliveries (retries after a timeout) are answered again
+        const webhookCheck = webhookValidator.validate(req, { functionName: 'voice-twiml', allowRetries: true });
+        if (!webhookCheck.valid) {
+            context.log.warn(`🚫 Rejected voice-twiml webhook for ${twilioPhoneNumber}: ${webhookCheck.reason}`);
+            context.res = { status: 403, body: 'Forbidden' };
+            return;
+        }
+        
         // 🔥 NEW: Multi-tenant business lookup
         const businessContext = await businessService.getBusinessContext(null, twilioPhoneNumber);
         
         context.log(`🏢 Business identified: ${businessContext.companyName} (${businessContext.industry}) - Found: ${businessContext.found}`);
         
+        // ...and only from the Twilio account the business's numbers live on
+        const accountCheck = webhookValidator.validateAccount(req, businessContext);
+        if (!accountCheck.valid) {
+            context.log.warn(`🚫 Rejected voice-twiml webhook for ${twilioPhoneNumber}: ${accountCheck.reason}`);
+            context.res = { status: 403, body: 'Forbidden' };
+            return;
+        }
+        
+        // Per-number default language; voice-stream may switch after the first utterance
+        const language = resolveCallLanguage(businessContext, twilioPhoneNumber);
+        
+        // Started now so the lookup overlaps the greeting and hours work below
+        const callerLookup = lookupCaller(businessContext.businessId, callerNumber);
+        
         // 🔥 NEW: Generate business-specific greeting
-        const greeting = businessService.generateGreeting(businessContext);
+        const greeting = businessService.generateGreeting(businessContext, language);
         
         // 🔥 NEW: Check business hours
-        const hoursAnalysis = businessService.analyzeBusinessHours(businessContext);
+        const hoursAnalysis = businessService.analyzeBusinessHours(businessContext, language);
         let finalGreeting = greeting;
         
-        if (!hoursAnalysis.isOpen && hoursAnalysis.message) {
-            finalGreeting = `${greeting} ${hoursAnalysis.message}`;
-            context.log(`⏰ After hours message added for ${businessContext.companyName}`);
+        if (!hoursAnalysis.isOpen) {
+            const afterHoursMode = AfterHoursService.getMode(businessContext);
+            context.log(`⏰ After hours (${afterHoursMode}) for ${businessContext.companyName}`);
+            
+            if (afterHoursMode === 'voicemail') {
+                // Straight to voicemail - no AI conversation after hours
+                context.res = {
+                    headers: { "Content-Type": "text/xml" },
+                    body: afterHoursService.createVoicemailTwiML(
+                        afterHoursService.buildVoicemailPrompt(greeting, hoursAnalysis, language),
+                        { businessId: businessContext.businessId, callerNumber, language }
+                    )
+                };
+                return;
+            }
+            
+            if (afterHoursMode === 'emergency_only') {
+                finalGreeting = afterHoursService.buildEmergencyOnlyGreeting(greeting, hoursAnalysis, language);
+            } else if (hoursAnalysis.message) {
+                finalGreeting = `${greeting} ${hoursAnalysis.message}`;
+            }
         }
 
+        // Returning callers are welcomed back by name and reminded of their last issue
+        const customer = await callerLookup;
+        if (customer) context.log(`👋 Returning caller${customer.name ? ` ${customer.name}` : ''}${customer.lastIssue ? ', last issue on file' : ''}`);
+        
         // Generate voice response with business context
-        const voiceResponse = await voiceManager.generateVoiceResponse(finalGreeting, {
+        const voiceResponse = await voiceManager.createPersonalizedGreeting(finalGreeting, customer, {
             emotion: 'friendly',
             urgencyLevel: 'normal',
             businessId: businessContext.businessId,              // 🔥 NEW: Business context
             industry: businessContext.industry,                  // 🔥 NEW: Industry context
             companyName: businessContext.companyName,            // 🔥 NEW: Company context
-            followUpPrompt: "I'm listening..."
+            voice: localizeVoice(businessContext.voice, language),
+            language,
+            gatherQuery: { language, turn: 1 }, // voice-stream numbers each turn to recognize retries
+            followUpPrompt: getPhrase('listening', language)
         });
 
-        context.log(`✅ Generated ${businessContext.industry} greeting for ${businessContext.companyName}`);
+        context.log(`✅ Generated ${businessContext.industry} greeting (${language}) for ${businessContext.companyName}`);
 
         context.res = {
             headers: { "Content-Type": "text/xml" },